@@ -130,6 +130,12 @@ function ChatListItem({ session, isSelected, onClick }) {
             </p>
           )}
 
+          {session.handoff?.agentName && (
+            <p className="text-xs text-orange-600 mb-1">
+              👤 {session.handoff.agentName}
+            </p>
+          )}
+
           <p className="text-sm text-gray-600 truncate">
             {session.lastMessageRole === 'user' ? '📱 ' : session.lastMessageRole === 'assistant' ? '🤖 ' : ''}
             {session.lastMessageText}
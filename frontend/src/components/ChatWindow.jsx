@@ -8,7 +8,7 @@ import MessageBubble from './MessageBubble';
  * ChatWindow Component
  * Displays the full conversation for a selected session
  */
-export default function ChatWindow({ session, handoff, onSendMessage, onSendMedia, onIntervene, onCloseIntervention, onStartConversation, onBackToList, showBackButton }) {
+export default function ChatWindow({ session, handoff, agents = [], onTransfer, onSendMessage, onSuggestReplies, onSendMedia, onIntervene, onCloseIntervention, onStartConversation, onBackToList, showBackButton }) {
   const messagesEndRef = useRef(null);
 
   // Auto-scroll to bottom when new messages arrive
@@ -50,6 +50,9 @@ export default function ChatWindow({ session, handoff, onSendMessage, onSendMedi
         phoneNumber={session.phoneNumber}
         status={status}
         hasActiveHandoff={hasActiveHandoff}
+        handoff={handoff}
+        agents={agents}
+        onTransfer={onTransfer}
         onIntervene={onIntervene}
         onCloseIntervention={onCloseIntervention}
         onStartConversation={onStartConversation}
@@ -57,6 +60,9 @@ export default function ChatWindow({ session, handoff, onSendMessage, onSendMedi
         showBackButton={showBackButton}
       />
 
+      {/* Handoff briefing pinned above the messages */}
+      {handoff?.briefing && <HandoffBriefing briefing={handoff.briefing} />}
+
       {/* Messages area */}
       <div className="flex-1 overflow-y-auto p-2 xs:p-3 md:p-4 space-y-2 min-h-0">
         {session.conversationHistory && session.conversationHistory.length > 0 ? (
@@ -94,17 +100,80 @@ export default function ChatWindow({ session, handoff, onSendMessage, onSendMedi
         sessionId={session.sessionId}
         status={status}
         onSendMessage={onSendMessage}
+        onSuggestReplies={onSuggestReplies}
         onSendMedia={onSendMedia}
       />
     </div>
   );
 }
 
+/**
+ * HandoffBriefing Component
+ * Summary generated when the chat was handed off to an agent: patient, appointments,
+ * what the bot already tried and the open question. Collapsible so it doesn't hide the chat.
+ */
+function HandoffBriefing({ briefing }) {
+  const [expanded, setExpanded] = useState(true);
+  const appointments = briefing.appointments || [];
+  const attempts = briefing.attempts || [];
+
+  return (
+    <div className="flex-shrink-0 border-b border-indigo-200 bg-indigo-50 px-3 md:px-4 py-2 text-xs md:text-sm text-indigo-900">
+      <button
+        type="button"
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center justify-between gap-2 text-left"
+      >
+        <span className="font-semibold truncate">
+          📌 Resumen del relevo{briefing.reason ? ` · ${briefing.reason}` : ''}
+        </span>
+        <span className="flex-shrink-0 text-indigo-500">{expanded ? '▲' : '▼'}</span>
+      </button>
+
+      {expanded && (
+        <div className="mt-2 space-y-1.5">
+          <p>
+            <span className="font-medium">👤 {briefing.patientName || 'Cliente'}</span>
+            {briefing.documentNumber && <span className="text-indigo-700"> · CC {briefing.documentNumber}</span>}
+          </p>
+          <p>📝 {briefing.summary}</p>
+          {attempts.length > 0 && (
+            <div>
+              <p className="font-medium">🤖 El bot intentó:</p>
+              <ul className="list-disc pl-5">
+                {attempts.map((attempt, index) => <li key={index}>{attempt}</li>)}
+              </ul>
+            </div>
+          )}
+          <p className="font-medium">❓ {briefing.openQuestion}</p>
+          {appointments.length > 0 && (
+            <div>
+              <p className="font-medium">📅 Próximas citas:</p>
+              <ul className="pl-1">
+                {appointments.map(apt => (
+                  <li key={apt.id}>
+                    {format(new Date(`${apt.date}T00:00:00`), "EEE d 'de' MMM", { locale: es })} {apt.time}
+                    {apt.dentist && ` con ${apt.dentist}`}
+                    {apt.status && <span className="text-indigo-600"> ({apt.status})</span>}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {briefing.source === 'fallback' && (
+            <p className="text-indigo-500 italic">Resumen automático sin IA: revisa la conversación.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
 /**
  * ChatWindowHeader Component
  * Header showing user info and intervention controls
  */
-function ChatWindowHeader({ userName, userDocument, phoneNumber, status, hasActiveHandoff, onIntervene, onCloseIntervention, onStartConversation, onBackToList, showBackButton }) {
+function ChatWindowHeader({ userName, userDocument, phoneNumber, status, hasActiveHandoff, handoff, agents, onTransfer, onIntervene, onCloseIntervention, onStartConversation, onBackToList, showBackButton }) {
   return (
     <div className="bg-white border-b border-gray-200 px-2 xs:px-3 md:px-4 py-2 xs:py-3 flex-shrink-0">
       <div className="flex items-center justify-between gap-1 xs:gap-2">
@@ -134,6 +203,12 @@ function ChatWindowHeader({ userName, userDocument, phoneNumber, status, hasActi
               <span className="hidden sm:inline">Doc: {userDocument}</span>
               <span className="hidden sm:inline">•</span>
               <span className="truncate text-xs">{phoneNumber}</span>
+              {handoff?.agentName && (
+                <>
+                  <span>•</span>
+                  <span className="truncate text-xs text-orange-600">👤 {handoff.agentName}</span>
+                </>
+              )}
             </div>
           </div>
         </div>
@@ -148,6 +223,25 @@ function ChatWindowHeader({ userName, userDocument, phoneNumber, status, hasActi
             <StatusIndicator status={status} size="normal" showLabel={true} />
           </div>
 
+          {/* Transfer to another agent - only with an active handoff and more than one agent */}
+          {hasActiveHandoff && agents.length > 1 && (
+            <select
+              value=""
+              onChange={(e) => e.target.value && onTransfer(e.target.value)}
+              className="hidden sm:block px-2 py-1.5 md:py-2 border border-gray-300 rounded-lg bg-white text-xs md:text-sm"
+              title="Transferir a otro agente"
+            >
+              <option value="">Transferir…</option>
+              {agents
+                .filter(agent => agent.id !== handoff?.agentId)
+                .map(agent => (
+                  <option key={agent.id} value={agent.id}>
+                    {agent.name}{agent.working ? '' : ' (fuera de horario)'}
+                  </option>
+                ))}
+            </select>
+          )}
+
           {/* Start conversation button (send template) - only show when no active handoff */}
           {!hasActiveHandoff && (
             <button
@@ -199,9 +293,9 @@ function ChatWindowHeader({ userName, userDocument, phoneNumber, status, hasActi
 
 /**
  * ChatWindowInput Component
- * Message input area with text, file attachment, and voice recording
+ * Message input area with text, file attachment, voice recording and suggested replies
  */
-function ChatWindowInput({ sessionId, status, onSendMessage, onSendMedia }) {
+function ChatWindowInput({ sessionId, status, onSendMessage, onSuggestReplies, onSendMedia }) {
   const inputRef = useRef(null);
   const fileInputRef = useRef(null);
   const mediaRecorderRef = useRef(null);
@@ -210,9 +304,43 @@ function ChatWindowInput({ sessionId, status, onSendMessage, onSendMedia }) {
   const [isRecording, setIsRecording] = useState(false);
   const [recordingDuration, setRecordingDuration] = useState(0);
   const [isSending, setIsSending] = useState(false);
+  const [suggestions, setSuggestions] = useState([]);
+  const [isSuggesting, setIsSuggesting] = useState(false);
+  const [suggestionError, setSuggestionError] = useState(null);
 
   const canSend = status === 'agent_intervening';
 
+  // Suggestions belong to the chat they were drafted for
+  useEffect(() => {
+    setSuggestions([]);
+    setSuggestionError(null);
+  }, [sessionId]);
+
+  // Ask the backend for draft replies
+  const handleSuggest = async () => {
+    if (!onSuggestReplies || !canSend || isSuggesting) return;
+
+    setIsSuggesting(true);
+    setSuggestionError(null);
+
+    try {
+      setSuggestions(await onSuggestReplies(sessionId) || []);
+    } catch (error) {
+      console.error('Error suggesting replies:', error);
+      setSuggestions([]);
+      setSuggestionError(error.message);
+    } finally {
+      setIsSuggesting(false);
+    }
+  };
+
+  // A chip only fills the input: the agent edits the draft and sends it
+  const handleUseSuggestion = (text) => {
+    if (!inputRef.current) return;
+    inputRef.current.value = text;
+    inputRef.current.focus();
+  };
+
   // Handle text message submit
   const handleSubmit = (e) => {
     e.preventDefault();
@@ -221,6 +349,7 @@ function ChatWindowInput({ sessionId, status, onSendMessage, onSendMedia }) {
 
     onSendMessage(sessionId, message);
     inputRef.current.value = '';
+    setSuggestions([]);
   };
 
   // Handle file selection
@@ -468,6 +597,43 @@ function ChatWindowInput({ sessionId, status, onSendMessage, onSendMedia }) {
         </div>
       )}
 
+      {/* Suggested replies */}
+      {canSend && onSuggestReplies && !isRecording && (
+        <div className="mb-2 flex items-center gap-2 overflow-x-auto">
+          <button
+            type="button"
+            onClick={handleSuggest}
+            disabled={isSuggesting || isSending}
+            className={`
+              flex-shrink-0 px-3 py-1.5 rounded-full text-xs font-medium border transition-all
+              ${isSuggesting || isSending
+                ? 'border-gray-200 text-gray-400 cursor-not-allowed'
+                : 'border-indigo-200 text-indigo-700 bg-indigo-50 hover:bg-indigo-100 active:scale-95'
+              }
+            `}
+            title="Proponer respuestas con la conversación, la información de la clínica y las citas"
+          >
+            {isSuggesting ? 'Pensando...' : suggestions.length > 0 ? '✨ Otras sugerencias' : '✨ Sugerir respuestas'}
+          </button>
+
+          {suggestions.map((text, index) => (
+            <button
+              key={index}
+              type="button"
+              onClick={() => handleUseSuggestion(text)}
+              className="flex-shrink-0 max-w-xs px-3 py-1.5 rounded-full text-xs text-left text-gray-700 bg-gray-100 border border-gray-200 hover:bg-gray-200 active:scale-95 transition-all truncate"
+              title={text}
+            >
+              {text}
+            </button>
+          ))}
+
+          {suggestionError && (
+            <span className="flex-shrink-0 text-xs text-red-600" title={suggestionError}>No se pudieron sugerir respuestas</span>
+          )}
+        </div>
+      )}
+
       {/* Hidden file input */}
       <input
         ref={fileInputRef}
@@ -3,7 +3,7 @@ import { signOut } from 'firebase/auth';
 import { auth } from '../firebase';
 import { useFirestoreSessions } from '../hooks/useFirestoreSessions';
 import { useFirestoreHandoffs } from '../hooks/useFirestoreHandoffs';
-import { sendMessage, sendMedia, startIntervention, closeIntervention, startConversation } from '../services/api';
+import { sendMessage, sendMedia, startIntervention, closeIntervention, startConversation, transferIntervention, getAgents, suggestReplies } from '../services/api';
 import ChatList from './ChatList';
 import ChatWindow from './ChatWindow';
 
@@ -11,21 +11,50 @@ function Dashboard() {
   const [selectedSessionId, setSelectedSessionId] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
   const [showChatInMobile, setShowChatInMobile] = useState(false);
+  const [agents, setAgents] = useState([]);
+  // Queue filter: 'all', 'mine' or an agent id
+  const [queue, setQueue] = useState('all');
 
   // Real-time Firestore listeners - only run when authenticated
   const { sessions, loading: sessionsLoading, error: sessionsError } = useFirestoreSessions();
   const { handoffs, loading: handoffsLoading, error: handoffsError } = useFirestoreHandoffs();
 
-  // Filter sessions by search query
+  // Agent roster (for queues and transfers); chat counts come from the live handoffs
+  useEffect(() => {
+    getAgents()
+      .then(result => setAgents(result.agents || []))
+      .catch(error => console.error('❌ Error loading agents:', error));
+  }, []);
+
+  // Roster agent signed in to the dashboard (matched by email)
+  const currentAgent = useMemo(() => {
+    const email = auth.currentUser?.email?.toLowerCase();
+    return agents.find(agent => agent.email && agent.email === email) || null;
+  }, [agents]);
+
+  // Active chats per agent id
+  const queueCounts = useMemo(() => {
+    return Object.values(handoffs).reduce((counts, handoff) => {
+      if (handoff.agentId) counts[handoff.agentId] = (counts[handoff.agentId] || 0) + 1;
+      return counts;
+    }, {});
+  }, [handoffs]);
+
+  // Filter sessions by queue and search query
   const filteredSessions = useMemo(() => {
-    if (!searchQuery.trim()) return sessions;
+    const queueAgentId = queue === 'mine' ? currentAgent?.id : queue;
+    const inQueue = queue === 'all'
+      ? sessions
+      : sessions.filter(session => handoffs[session.sessionId]?.agentId === queueAgentId);
+
+    if (!searchQuery.trim()) return inQueue;
 
     const query = searchQuery.toLowerCase();
-    return sessions.filter(session => {
+    return inQueue.filter(session => {
       const userName = session.data?.userName || session.phoneNumber;
       return userName.toLowerCase().includes(query);
     });
-  }, [sessions, searchQuery]);
+  }, [sessions, handoffs, queue, currentAgent, searchQuery]);
 
   // Auto-select session from URL parameter (?client=573xxx)
   useEffect(() => {
@@ -64,11 +93,33 @@ function Dashboard() {
   // Handler: Send message
   const handleSendMessage = async (sessionId, message) => {
     try {
-      await sendMessage(sessionId, message);
+      const result = await sendMessage(sessionId, message);
       console.log('✅ Message sent successfully');
+      if (result.status === 'retrying') {
+        alert(`⏳ ${result.message}`);
+      }
     } catch (error) {
       console.error('❌ Error sending message:', error);
-      alert(`Error al enviar mensaje: ${error.message}`);
+
+      // Outside the 24h window only an approved template can be sent
+      if (error.data?.windowClosed) {
+        const sendTemplate = window.confirm(
+          `⚠️ ${error.message}\n\n` +
+          `${error.data.reason}\n\n` +
+          '¿Enviar la plantilla de contacto en su lugar?'
+        );
+        if (sendTemplate) {
+          try {
+            const clientName = selectedSession?.data?.userName || 'Estimado paciente';
+            const result = await sendMessage(sessionId, message, { allowTemplate: true, clientName, agentEmail: auth.currentUser?.email });
+            alert(result.message);
+          } catch (templateError) {
+            alert(`Error al enviar la plantilla: ${templateError.message}`);
+          }
+        }
+      } else {
+        alert(`Error al enviar mensaje: ${error.message}`);
+      }
     }
   };
 
@@ -89,7 +140,7 @@ function Dashboard() {
 
     try {
       const clientName = selectedSession.data?.userName || 'Cliente';
-      const result = await startIntervention(selectedSession.sessionId, clientName);
+      const result = await startIntervention(selectedSession.sessionId, clientName, auth.currentUser?.email);
       console.log('✅ Intervention started');
 
       // Show remaining hours if available
@@ -125,13 +176,32 @@ function Dashboard() {
     }
   };
 
+  // Handler: Transfer intervention to another agent
+  const handleTransfer = async (agentId) => {
+    if (!selectedSession) return;
+
+    try {
+      const result = await transferIntervention(selectedSession.sessionId, agentId);
+      console.log(`✅ ${result.message}`);
+    } catch (error) {
+      console.error('❌ Error transferring intervention:', error);
+      alert(`Error al transferir: ${error.message}`);
+    }
+  };
+
+  // Handler: Draft replies for the agent; errors are shown next to the input
+  const handleSuggestReplies = async (sessionId) => {
+    const result = await suggestReplies(sessionId);
+    return result.suggestions;
+  };
+
   // Handler: Start conversation (send template when 24h window is closed)
   const handleStartConversation = async () => {
     if (!selectedSession) return;
 
     try {
       const clientName = selectedSession.data?.userName || 'Estimado paciente';
-      await startConversation(selectedSession.sessionId, clientName);
+      await startConversation(selectedSession.sessionId, clientName, auth.currentUser?.email);
       console.log('✅ Template sent successfully');
       alert('Mensaje enviado. El cliente debe responder para abrir la conversación.');
     } catch (error) {
@@ -192,8 +262,25 @@ function Dashboard() {
       <div className="flex-1 flex overflow-hidden">
         {/* Left sidebar: Chat list */}
         <div className={`${showChatInMobile ? 'hidden' : 'flex'} md:flex w-full md:w-96 flex-col`}>
-          {/* Search bar */}
+          {/* Queue selector + search bar */}
           <div className="bg-white border-b border-gray-200 px-4 py-3">
+            {agents.length > 1 && (
+              <select
+                value={queue}
+                onChange={(e) => setQueue(e.target.value)}
+                className="w-full mb-2 px-3 py-2 border border-gray-300 rounded-lg bg-white text-sm focus:outline-none focus:ring-2 focus:ring-whatsapp-green"
+              >
+                <option value="all">Todas las conversaciones</option>
+                {currentAgent && (
+                  <option value="mine">Mis chats ({queueCounts[currentAgent.id] || 0})</option>
+                )}
+                {agents.map(agent => (
+                  <option key={agent.id} value={agent.id}>
+                    {agent.name} ({queueCounts[agent.id] || 0}){agent.working ? '' : ' · fuera de horario'}
+                  </option>
+                ))}
+              </select>
+            )}
             <input
               type="text"
               placeholder="🔍 Buscar por nombre..."
@@ -224,7 +311,10 @@ function Dashboard() {
           <ChatWindow
             session={selectedSession}
             handoff={selectedHandoff}
+            agents={agents}
+            onTransfer={handleTransfer}
             onSendMessage={handleSendMessage}
+            onSuggestReplies={handleSuggestReplies}
             onSendMedia={handleSendMedia}
             onIntervene={handleIntervene}
             onCloseIntervention={handleCloseIntervention}
@@ -273,6 +273,33 @@ function MediaContent({ mediaUrl, mediaType, mimeType }) {
   }
 }
 
+/**
+ * DeliveryTicks Component
+ * WhatsApp-style delivery status for outgoing messages (sent, delivered, read, failed)
+ */
+function DeliveryTicks({ status, error }) {
+  if (!status) return null;
+
+  if (status === 'failed') {
+    const reason = error ? `${error.code ?? ''} ${error.details || error.title || error.message || ''}`.trim() : '';
+    return (
+      <span className="ml-1 text-red-600 font-semibold" title={reason ? `No entregado: ${reason}` : 'No entregado'}>
+        ⚠️ No entregado
+      </span>
+    );
+  }
+
+  const labels = { sent: 'Enviado', delivered: 'Entregado', read: 'Leído' };
+  return (
+    <span
+      className={`ml-1 tracking-tighter ${status === 'read' ? 'text-blue-500' : 'text-gray-500'}`}
+      title={labels[status] || status}
+    >
+      {status === 'sent' ? '✓' : '✓✓'}
+    </span>
+  );
+}
+
 /**
  * MessageBubble Component
  * Renders individual message bubbles in WhatsApp style
@@ -282,6 +309,7 @@ export default function MessageBubble({ message, index }) {
   const isAssistant = message.role === 'assistant';
   const isAgent = message.role === 'agent';
   const isSystem = message.role === 'system';
+  const isNote = message.role === 'note';
 
   // Check for media content
   const hasMedia = !!message.mediaUrl;
@@ -332,6 +360,17 @@ export default function MessageBubble({ message, index }) {
               {hasMedia && (
                 <MediaContent mediaUrl={mediaUrl} mediaType={mediaType} mimeType={mimeType} />
               )}
+              {message.transcript && (
+                <p className="text-sm text-gray-700 italic whitespace-pre-wrap break-words mt-1">
+                  🎤 "{message.transcript}"
+                </p>
+              )}
+              {message.analysis?.description && (
+                <p className="text-xs text-gray-600 whitespace-pre-wrap break-words mt-1">
+                  🔍 {message.analysis.description}
+                  {message.analysis.decision === 'agent' && ' · Requiere agente'}
+                </p>
+              )}
               {showText && (
                 <p className="text-sm text-gray-900 whitespace-pre-wrap break-words">
                   {messageText}
@@ -364,9 +403,10 @@ export default function MessageBubble({ message, index }) {
                   {messageText}
                 </p>
               )}
-              {timestamp && (
+              {(timestamp || message.status) && (
                 <p className="text-xs text-gray-500 mt-1 text-right">
-                  {format(timestamp, 'HH:mm', { locale: es })}
+                  {timestamp && format(timestamp, 'HH:mm', { locale: es })}
+                  <DeliveryTicks status={message.status} error={message.statusError} />
                 </p>
               )}
             </div>
@@ -393,9 +433,10 @@ export default function MessageBubble({ message, index }) {
                   {messageText}
                 </p>
               )}
-              {timestamp && (
+              {(timestamp || message.status) && (
                 <p className="text-xs text-gray-500 mt-1 text-right">
-                  {format(timestamp, 'HH:mm', { locale: es })}
+                  {timestamp && format(timestamp, 'HH:mm', { locale: es })}
+                  <DeliveryTicks status={message.status} error={message.statusError} />
                 </p>
               )}
             </div>
@@ -406,6 +447,23 @@ export default function MessageBubble({ message, index }) {
     );
   }
 
+  // Internal notes (agents only, written with /nota from WhatsApp)
+  if (isNote) {
+    return (
+      <div className="flex justify-center my-2">
+        <div className="max-w-[85%] md:max-w-[70%] bg-yellow-100 border border-yellow-300 rounded-lg px-3 py-2 text-sm">
+          <p className="text-xs text-yellow-800 font-semibold mb-1">📝 Nota interna</p>
+          <p className="text-gray-900 whitespace-pre-wrap break-words">{messageText}</p>
+          {timestamp && (
+            <p className="text-xs text-gray-500 mt-1 text-right">
+              {format(timestamp, 'HH:mm', { locale: es })}
+            </p>
+          )}
+        </div>
+      </div>
+    );
+  }
+
   // Fallback for unknown message types
   return (
     <div className="flex justify-center my-2">
@@ -34,7 +34,10 @@ export function useFirestoreHandoffs() {
               id: doc.id,
               clientId: data.clientId,
               agentPhoneNumber: data.agentPhoneNumber,
+              agentId: data.agentId || null,
+              agentName: data.agentName || null,
               clientName: data.clientName || 'Cliente',
+              briefing: data.briefing || null,
               status: data.status,
               createdAt: data.createdAt?.toDate() || new Date(),
               lastMessage: data.lastMessage?.toDate() || new Date(),
@@ -47,6 +47,11 @@ export function useFirestoreSessions() {
               mediaUrl: msg.mediaUrl || null,
               mediaType: msg.mediaType || null,
               mimeType: msg.mimeType || null,
+              transcript: msg.transcript || null,
+              analysis: msg.analysis || null,
+              // Delivery status of outgoing messages (sent, delivered, read, failed)
+              status: msg.status || null,
+              statusError: msg.statusError || null,
               timestamp: msg.timestamp || null,
             })),
             lastUpdated: new Date(conv.timestamp),
@@ -35,13 +35,15 @@ async function fetchWithAuth(endpoint, options = {}) {
 
 /**
  * Send a message from the dashboard to a WhatsApp user
+ * Fails with error.data.windowClosed when the 24h window is closed
  * @param {string} to - Phone number (e.g., "573001234567")
  * @param {string} message - Message text
+ * @param {Object} options - { allowTemplate: send the contact template if the window is closed, clientName, agentEmail: signed-in user who sends it }
  */
-export async function sendMessage(to, message) {
+export async function sendMessage(to, message, { allowTemplate = false, clientName = null, agentEmail = null } = {}) {
   return fetchWithAuth('/dashboard/send-message', {
     method: 'POST',
-    body: JSON.stringify({ to, message })
+    body: JSON.stringify({ to, message, allowTemplate, clientName, agentEmail })
   });
 }
 
@@ -49,14 +51,45 @@ export async function sendMessage(to, message) {
  * Start an intervention (handoff) for a specific client
  * @param {string} clientId - Client phone number
  * @param {string} clientName - Client name (optional)
+ * @param {string} agentEmail - Email of the signed-in user; the chat goes to the roster agent with that email (optional)
  */
-export async function startIntervention(clientId, clientName = 'Cliente') {
+export async function startIntervention(clientId, clientName = 'Cliente', agentEmail = null) {
   return fetchWithAuth('/dashboard/intervene', {
     method: 'POST',
-    body: JSON.stringify({ clientId, clientName })
+    body: JSON.stringify({ clientId, clientName, agentEmail })
   });
 }
 
+/**
+ * Hand an active intervention over to another agent
+ * @param {string} clientId - Client phone number
+ * @param {string} agentId - Roster id of the agent who takes the chat
+ */
+export async function transferIntervention(clientId, agentId) {
+  return fetchWithAuth('/dashboard/transfer', {
+    method: 'POST',
+    body: JSON.stringify({ clientId, agentId })
+  });
+}
+
+/**
+ * Ask for 2-3 draft replies for an intervened chat (nothing is sent)
+ * @param {string} clientId - Client phone number
+ */
+export async function suggestReplies(clientId) {
+  return fetchWithAuth('/dashboard/suggest-replies', {
+    method: 'POST',
+    body: JSON.stringify({ clientId })
+  });
+}
+
+/**
+ * Get the agent roster with each agent's active chats
+ */
+export async function getAgents() {
+  return fetchWithAuth('/dashboard/agents');
+}
+
 /**
  * Close an intervention (handoff) for a specific client
  * @param {string} clientId - Client phone number
@@ -111,10 +144,11 @@ export async function sendMedia(to, mediaType, mediaData, filename, mimeType, ca
  * Used when the 24h window is closed and agent needs to initiate contact
  * @param {string} clientId - Client phone number
  * @param {string} clientName - Client name (optional)
+ * @param {string} agentEmail - Email of the signed-in user; the client's reply goes to the roster agent with that email (optional)
  */
-export async function startConversation(clientId, clientName = 'Estimado paciente') {
+export async function startConversation(clientId, clientName = 'Estimado paciente', agentEmail = null) {
   return fetchWithAuth('/dashboard/start-conversation', {
     method: 'POST',
-    body: JSON.stringify({ clientId, clientName })
+    body: JSON.stringify({ clientId, clientName, agentEmail })
   });
 }
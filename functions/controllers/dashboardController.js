@@ -1,13 +1,20 @@
 const { getActiveSessions, getSessionById } = require('../services/dashboardService');
-const { createHandoff, closeHandoff, getActiveHandoffByClient } = require('../services/handoffService');
-const { getAgentPhoneNumber } = require('../services/configService');
+const { BOT_BACK_MESSAGE, createHandoff, closeHandoff, transferHandoff, getActiveHandoffByClient, getAllActiveHandoffs, updateHandoffTimestamp, setContactRequest } = require('../services/handoffService');
+const { getAgentRoster, getAgentByEmail, getAgentById } = require('../services/configService');
+const agentRoutingService = require('../services/agentRoutingService');
 const whatsappService = require('../services/whatsappService');
 const whatsappTemplateService = require('../services/whatsappTemplateService');
 const conversationLogService = require('../services/conversationLogService');
 const mediaService = require('../services/mediaService');
+const idempotencyService = require('../services/idempotencyService');
+const outboundQueueService = require('../services/outboundQueueService');
+const replySuggestionService = require('../services/replySuggestionService');
 const { convertWebmToOgg } = require('../utils/audioConverter');
 const logger = require('../utils/logger');
 
+// Cómo queda en la conversación el template doctor_message (el texto real está aprobado en Meta)
+const CONTACT_TEMPLATE_LOG = '[Template enviado: Nuestro equipo desea comunicarse contigo]';
+
 /**
  * Dashboard Controller
  * Handles HTTP endpoints for the web dashboard interface
@@ -76,14 +83,28 @@ async function getSessionDetails(req, res) {
   }
 }
 
+/**
+ * Ends the patient's wait on their active handoff (see handoffSlaService)
+ * @param {string} clientId
+ */
+async function markAgentReply(clientId) {
+  const handoff = await getActiveHandoffByClient(clientId);
+  if (handoff) {
+    await updateHandoffTimestamp(handoff.id, 'agent');
+  }
+}
+
 /**
  * POST /api/dashboard/send-message
  * Sends a message from the web dashboard to a WhatsApp user
- * Body: { to: "573001234567", message: "Hola desde el dashboard" }
+ * Body: { to: "573001234567", message: "Hola desde el dashboard", allowTemplate: false, clientName: "Juan", agentEmail: "ana@clinica.com" }
+ * If the 24h window is closed the message is rejected (windowClosed: true), unless
+ * allowTemplate is true: then the doctor_message template is sent instead, on behalf of
+ * the roster agent with that dashboard email
  */
 async function sendMessageFromDashboard(req, res) {
   try {
-    const { to, message } = req.body;
+    const { to, message, allowTemplate = false, clientName = null, agentEmail = null } = req.body;
 
     if (!to || !message) {
       return res.status(400).json({
@@ -94,26 +115,61 @@ async function sendMessageFromDashboard(req, res) {
 
     console.log(`📤 Dashboard: Sending message to ${to}...`);
 
-    // Get agent phone number for logging
-    const agentPhoneNumber = await getAgentPhoneNumber();
+    // Send message via the outbound queue (24h window, retries)
+    const result = await outboundQueueService.enqueueText(to, message, {
+      kind: 'agent',
+      ...(allowTemplate && { fallbackTemplate: 'doctor_message', templateParams: [clientName || 'Estimado paciente'] })
+    });
 
-    // Send message via WhatsApp
-    await whatsappService.sendMessage(to, message);
+    if (result.status === 'rejected') {
+      console.log(`⚠️ Dashboard: Ventana de 24h cerrada para ${to}: ${result.error?.message}`);
+      return res.status(400).json({
+        success: false,
+        error: 'La ventana de 24 horas está cerrada: WhatsApp no permite enviar texto libre',
+        reason: result.error?.message,
+        suggestion: 'Envía la plantilla de contacto y espera a que el cliente responda para escribirle.',
+        windowClosed: true
+      });
+    }
+
+    if (result.status === 'failed') {
+      return res.status(502).json({
+        success: false,
+        error: 'WhatsApp rechazó el mensaje',
+        details: result.error?.message
+      });
+    }
 
     // Log message to conversations.json with role='agent'
     await conversationLogService.logSimpleMessage(
       to,
       'agent',
-      message,
+      result.status === 'converted' ? CONTACT_TEMPLATE_LOG : message,
       null, // userDocument might not be available yet
-      null  // userName might not be available yet
+      clientName,
+      result.messageId
     );
 
-    console.log(`✅ Dashboard: Message sent successfully to ${to}`);
+    // The patient's reply to the template goes back to the agent who sent it
+    if (result.status === 'converted') {
+      await setContactRequest(to, await getAgentByEmail(agentEmail), result.messageId);
+    }
+
+    await markAgentReply(to);
+
+    console.log(`✅ Dashboard: Message ${result.status} to ${to}`);
+
+    const messages = {
+      sent: 'Mensaje enviado correctamente',
+      converted: 'La ventana de 24 horas estaba cerrada: se envió la plantilla de contacto. El cliente debe responder para abrir la conversación.',
+      retrying: 'WhatsApp no respondió; el mensaje se reintentará automáticamente'
+    };
 
     return res.status(200).json({
       success: true,
-      message: 'Mensaje enviado correctamente',
+      status: result.status,
+      message: messages[result.status],
+      messageId: result.messageId,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -129,11 +185,12 @@ async function sendMessageFromDashboard(req, res) {
 /**
  * POST /api/dashboard/intervene
  * Starts agent intervention (handoff) for a specific chat
- * Body: { clientId: "573001234567", clientName: "Juan Pérez" }
+ * Body: { clientId: "573001234567", clientName: "Juan Pérez", agentEmail: "ana@clinica.com" }
+ * The handoff goes to the roster agent with that dashboard email; otherwise it is auto-assigned
  */
 async function startIntervention(req, res) {
   try {
-    const { clientId, clientName } = req.body;
+    const { clientId, clientName, agentEmail = null } = req.body;
 
     if (!clientId) {
       return res.status(400).json({
@@ -169,24 +226,23 @@ async function startIntervention(req, res) {
       });
     }
 
-    // Get agent phone number from config
-    const agentPhoneNumber = await getAgentPhoneNumber();
-
-    if (!agentPhoneNumber) {
-      return res.status(500).json({
-        success: false,
-        error: 'No se ha configurado el número del agente en tenant_config'
-      });
-    }
+    // The agent who pressed "Intervenir" takes the chat, if they are on the roster
+    const agent = await getAgentByEmail(agentEmail);
 
-    // Create handoff (this will send notification to agent via WhatsApp)
     const handoff = await createHandoff(
       clientId,
-      agentPhoneNumber,
+      agent?.phone || null,
       clientName || 'Cliente'
     );
 
-    console.log(`✅ Dashboard: Intervention started for ${clientId}`);
+    if (!handoff) {
+      return res.status(500).json({
+        success: false,
+        error: 'No hay agentes configurados en tenant_config (agents o agentPhoneNumber)'
+      });
+    }
+
+    console.log(`✅ Dashboard: Intervention started for ${clientId} (${handoff.agentName || handoff.agentPhoneNumber})`);
 
     // Send notification to client that agent is now handling the chat
     const agentJoinedMessage = '👤 Un agente se ha unido a la conversación y te atenderá personalmente.';
@@ -201,6 +257,9 @@ async function startIntervention(req, res) {
       clientName
     );
 
+    // The agent opened the chat: the patient is not waiting for a reply yet
+    await updateHandoffTimestamp(handoff.id, 'agent');
+
     return res.status(200).json({
       success: true,
       message: 'Intervención iniciada correctamente',
@@ -252,14 +311,13 @@ async function closeIntervention(req, res) {
     console.log(`✅ Dashboard: Intervention closed for ${clientId}`);
 
     // Send notification to client that bot is back
-    const botBackMessage = '🤖 Paola ha vuelto a atenderte. ¿En qué más puedo ayudarte?';
-    await whatsappService.sendMessage(clientId, botBackMessage);
+    await whatsappService.sendMessage(clientId, BOT_BACK_MESSAGE);
 
     // Log the bot message to conversation
     await conversationLogService.logSimpleMessage(
       clientId,
       'assistant',
-      botBackMessage,
+      BOT_BACK_MESSAGE,
       null,
       null
     );
@@ -279,6 +337,125 @@ async function closeIntervention(req, res) {
   }
 }
 
+/**
+ * POST /api/dashboard/transfer
+ * Hands an active intervention over to another agent of the roster
+ * Body: { clientId: "573001234567", agentId: "ana" }
+ */
+async function transferIntervention(req, res) {
+  try {
+    const { clientId, agentId } = req.body;
+
+    if (!clientId || !agentId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Se requieren los campos "clientId" y "agentId"'
+      });
+    }
+
+    const handoff = await getActiveHandoffByClient(clientId);
+    if (!handoff) {
+      return res.status(404).json({
+        success: false,
+        error: 'No existe una intervención activa para este cliente'
+      });
+    }
+
+    if (!await getAgentById(agentId)) {
+      return res.status(404).json({
+        success: false,
+        error: `No existe el agente "${agentId}"`
+      });
+    }
+
+    console.log(`🔀 Dashboard: Transferring ${clientId} to ${agentId}...`);
+    const transferred = await transferHandoff(handoff.id, agentId);
+
+    return res.status(200).json({
+      success: true,
+      message: `Chat transferido a ${transferred.agentName}`,
+      handoff: transferred,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Dashboard: Error transferring intervention:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Error al transferir la intervención',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * POST /api/dashboard/suggest-replies
+ * Drafts 2-3 replies for the agent intervening a chat (conversation + clinic document + appointments).
+ * Nothing is sent: the dashboard shows them as chips the agent can edit before sending
+ * Body: { clientId: "573001234567" }
+ */
+async function getReplySuggestions(req, res) {
+  try {
+    const { clientId } = req.body;
+
+    if (!clientId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Se requiere el campo "clientId"'
+      });
+    }
+
+    console.log(`✨ Dashboard: Suggesting replies for ${clientId}...`);
+    const suggestions = await replySuggestionService.suggestReplies(clientId);
+
+    return res.status(200).json({
+      success: true,
+      suggestions,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Dashboard: Error suggesting replies:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Error al sugerir respuestas',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/dashboard/agents
+ * Returns the agent roster with each agent's queue (active interventions) and availability
+ */
+async function getAgents(req, res) {
+  try {
+    const roster = await getAgentRoster();
+    const load = agentRoutingService.countByAgent(await getAllActiveHandoffs());
+
+    const agents = roster.map(agent => ({
+      id: agent.id,
+      name: agent.name,
+      email: agent.email,
+      skills: agent.skills,
+      working: agentRoutingService.isWorking(agent),
+      activeChats: load[agent.phone] || 0
+    }));
+
+    return res.status(200).json({
+      success: true,
+      agents,
+      routing: await agentRoutingService.getStrategy(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Dashboard: Error getting agents:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Error al obtener los agentes',
+      details: error.message
+    });
+  }
+}
+
 /**
  * GET /api/dashboard/health
  * Health check endpoint for dashboard services
@@ -445,10 +622,13 @@ async function sendMediaFromDashboard(req, res) {
         mediaUrl: storageUrl,
         mediaType: mediaType, // Log original type for display
         mimeType: finalMimeType,
-        caption: caption || `[${mediaType} enviado por agente]`
+        caption: caption || `[${mediaType} enviado por agente]`,
+        messageId: result?.messages?.[0]?.id || null
       }
     );
 
+    await markAgentReply(to);
+
     console.log(`✅ Dashboard: ${mediaType} procesado exitosamente`);
     console.log(`   Conversión intentada: ${conversionAttempted}`);
     console.log(`   Conversión exitosa: ${conversionSucceeded}`);
@@ -479,11 +659,12 @@ async function sendMediaFromDashboard(req, res) {
  * POST /api/dashboard/start-conversation
  * Sends doctor_message template to initiate conversation with a client
  * This is used when the 24h window is closed and agent needs to contact client
- * Body: { clientId: "573001234567", clientName: "Juan Pérez" }
+ * Body: { clientId: "573001234567", clientName: "Juan Pérez", agentEmail: "ana@clinica.com" }
+ * The roster agent with that dashboard email is told the patient's answer and gets the chat if they accept
  */
 async function startConversation(req, res) {
   try {
-    const { clientId, clientName } = req.body;
+    const { clientId, clientName, agentEmail = null } = req.body;
 
     if (!clientId) {
       return res.status(400).json({
@@ -512,12 +693,16 @@ async function startConversation(req, res) {
     await conversationLogService.logSimpleMessage(
       clientId,
       'agent',
-      `[Template enviado: El Dr. Camilo desea comunicarse contigo]`,
+      CONTACT_TEMPLATE_LOG,
       null,
-      clientName
+      clientName,
+      result.messageId
     );
 
-    console.log(`✅ Dashboard: Template enviado a ${clientId}`);
+    const agent = await getAgentByEmail(agentEmail);
+    await setContactRequest(clientId, agent, result.messageId);
+
+    console.log(`✅ Dashboard: Template enviado a ${clientId}${agent ? ` por ${agent.name}` : ''}`);
 
     return res.status(200).json({
       success: true,
@@ -535,6 +720,30 @@ async function startConversation(req, res) {
   }
 }
 
+/**
+ * GET /api/dashboard/webhook-metrics?days=7
+ * Mensajes recibidos y reintentos de Meta descartados por día
+ */
+async function getWebhookMetrics(req, res) {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 31);
+    const metrics = await idempotencyService.getMetrics(days);
+
+    return res.status(200).json({
+      success: true,
+      metrics,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Dashboard: Error getting webhook metrics:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Error al obtener métricas del webhook',
+      details: error.message
+    });
+  }
+}
+
 module.exports = {
   getActiveChatSessions,
   getSessionDetails,
@@ -542,6 +751,10 @@ module.exports = {
   sendMediaFromDashboard,
   startIntervention,
   closeIntervention,
+  transferIntervention,
+  getReplySuggestions,
+  getAgents,
   startConversation,
+  getWebhookMetrics,
   healthCheck
 };
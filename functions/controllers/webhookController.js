@@ -1,14 +1,23 @@
 // webhookController.js
 const { sendText } = require('../services/whatsappService');
 const { getOrCreateSession, addMessageToBuffer, setDocumentNumber, getDocumentNumber } = require('../services/sessionService');
-const { routeByIntent } = require('../services/routerService');
+const { routeByIntent, routeSlotSelection, routeBookingConfirmation } = require('../services/routerService');
+const slotMatcher = require('../services/slotMatcher');
+const bookingFlow = require('../services/bookingFlow');
 const logger = require('../utils/logger');
 const configService = require('../services/configService');
 const handoffService = require('../services/handoffService');
+const handoffBriefingService = require('../services/handoffBriefingService');
 const assistantRouter = require('../services/assistantRouter');
 const conversationLogService = require('../services/conversationLogService');
 const reminderService = require('../services/reminderService');
+const waitlistService = require('../services/waitlistService');
 const mediaService = require('../services/mediaService');
+const transcriptionService = require('../services/transcriptionService');
+const idempotencyService = require('../services/idempotencyService');
+const messageStatusService = require('../services/messageStatusService');
+const mediaAnalysisService = require('../services/mediaAnalysisService');
+const templateRegistry = require('../services/templateRegistry');
 
 const VERIFY_TOKEN = process.env.VERIFY_TOKEN;
 
@@ -36,21 +45,147 @@ exports.handleWebhook = async (req, res) => {
         res.sendStatus(200);
         logger('Evento recibido', req.body);
 
-        const body = req.body;
-        const entry = body?.entry?.[0];
-        const change = entry?.changes?.[0];
-        const value = change?.value;
-        const statuses = value?.statuses;
-        if (statuses) return;
+        // Un payload puede traer varias entradas, cambios y mensajes (Meta los agrupa en picos de tráfico)
+        const values = (req.body?.entry || [])
+            .flatMap(entry => entry?.changes || [])
+            .map(change => change?.value || {});
+        const statuses = values.flatMap(value => value.statuses || []);
+        const messages = values.flatMap(value => value.messages || []);
 
-        const message = value?.messages?.[0];
-        if (!message) {
-            console.log(`🔍 [DEBUG] No hay mensaje en el evento (probablemente status update)`);
+        // Estados de entrega de los mensajes que enviamos (sent, delivered, read, failed)
+        for (const status of statuses) {
+            await handleStatus(status);
+        }
+
+        if (messages.length === 0) {
+            if (statuses.length === 0) console.log(`🔍 [DEBUG] No hay mensaje en el evento`);
             return;
         }
 
+        for (const message of messages) {
+            // Meta reintenta las entregas: cada message.id se procesa una sola vez
+            const isNew = await idempotencyService.claimMessage(message.id, { from: message.from, type: message.type });
+            if (!isNew) continue;
+
+            await handleMessage(message);
+            await idempotencyService.markProcessed(message.id);
+        }
+    } catch (err) {
+        console.error('❌ Error en handleWebhook:', err?.response?.data || err.message);
+    } finally {
+        console.log(`${'='.repeat(60)}\n`);
+    }
+};
+
+/**
+ * Guarda un evento de estado de un mensaje saliente
+ * Si el que falló es un recordatorio de cita, el recordatorio queda en FAILED con el código de WhatsApp
+ * @param {Object} status - Elemento de value.statuses del webhook
+ */
+async function handleStatus(status) {
+    try {
+        const applied = await messageStatusService.applyStatus(status);
+        if (applied?.status === 'failed') {
+            await reminderService.markReminderDeliveryFailed(applied.messageId, applied.error);
+        }
+    } catch (err) {
+        console.error(`❌ Error procesando estado de ${status?.id}:`, err?.message || err);
+    }
+}
+
+/**
+ * Agente del roster que le envió al paciente la plantilla de contacto (doctor_message)
+ * @param {string} from - Teléfono del paciente
+ * @returns {Promise<Object|null>} null si no se sabe quién la envió o ya no está en el roster
+ */
+async function getContactAgent(from) {
+    const contactRequest = await handoffService.getContactRequest(from);
+    return configService.getAgentById(contactRequest?.agentId);
+}
+
+/**
+ * Ejecuta la acción de un botón de template según el registro
+ * @param {string} from - Teléfono del paciente
+ * @param {Object} resolved - Resultado de templateRegistry.resolveButton
+ * @param {string} buttonText - Texto visible del botón (se guarda en la conversación)
+ * @returns {Promise<boolean>} false si la acción no existe y el mensaje sigue el flujo normal
+ */
+async function handleTemplateButton(from, resolved, buttonText) {
+    const { action, button } = resolved;
+    const userButtonText = buttonText || button.texts?.[0];
+
+    switch (action) {
+        // Template doctor_message - Aceptar
+        case 'doctor.accept': {
+            console.log(`✅ Cliente ${from} aceptó comunicación con el doctor`);
+
+            // Guardar respuesta del usuario primero (el texto real del botón)
+            await conversationLogService.logSimpleMessage(from, 'user', userButtonText, null, null);
+
+            // Abrir handoff con el agente que envió la plantilla (o uno del roster si no se sabe quién)
+            const existingHandoff = await handoffService.getActiveHandoffByClient(from);
+
+            if (!existingHandoff) {
+                const contactAgent = await getContactAgent(from);
+                const handoff = await handoffService.createHandoff(from, contactAgent?.phone || null, 'Cliente');
+
+                const confirmMessage = '👤 Perfecto, nuestro equipo se comunicará contigo en breve.';
+                const messageId = await sendText(from, confirmMessage);
+
+                // Guardar mensaje del bot
+                await conversationLogService.logSimpleMessage(from, 'assistant', confirmMessage, null, null, messageId);
+
+                // Notificar al agente que el cliente respondió
+                if (handoff) {
+                    await sendText(handoff.agentPhoneNumber, `✅ ${from} está disponible para hablar. Revisa el dashboard para responder.`);
+                }
+            }
+            return true;
+        }
+
+        // Template doctor_message - Rechazar
+        case 'doctor.decline': {
+            console.log(`⏳ Cliente ${from} no está disponible ahora`);
+
+            // Guardar respuesta del usuario (el texto real del botón)
+            await conversationLogService.logSimpleMessage(from, 'user', userButtonText, null, null);
+
+            // Avisar al agente que envió la plantilla (o al primero del roster si no se sabe quién)
+            const contactAgent = await getContactAgent(from);
+            const agentPhoneNumber = contactAgent?.phone || await configService.getAgentPhoneNumber();
+            await sendText(agentPhoneNumber, `⏳ ${from} respondió "${userButtonText}". Intenta más tarde.`);
+            return true;
+        }
+
+        // Template recordatorio citas - Confirmar
+        case 'reminder.confirm':
+            console.log(`✅ Procesando confirmación de cita para ${from}`);
+            await reminderService.processConfirmation(from);
+            return true;
+
+        // Template recordatorio citas - Cancelar
+        case 'reminder.cancel':
+            console.log(`❌ Procesando cancelación de cita para ${from}`);
+            await reminderService.processCancellation(from);
+            return true;
+
+        default:
+            console.warn(`⚠️ Acción de botón desconocida en el registro: "${action}" (${resolved.template})`);
+            return false;
+    }
+}
+
+/**
+ * Procesa un mensaje entrante de WhatsApp
+ * @param {Object} message - Elemento de value.messages del webhook
+ */
+async function handleMessage(message) {
+    try {
         const from = message.from;
 
+        // El mensaje abre (o renueva) la ventana de 24h para responder con texto libre
+        await conversationLogService.recordInboundMessage(from);
+
         // DEBUG: Log message type
         console.log(`🔍 [DEBUG] Message type: "${message.type}"`);
         console.log(`🔍 [DEBUG] Message keys: ${Object.keys(message).join(', ')}`);
@@ -60,64 +195,20 @@ exports.handleWebhook = async (req, res) => {
 
         // 🔔 MANEJO DE RESPUESTAS DE BOTONES DE TEMPLATES
         // Los botones de templates vienen como type="button" con button.payload
-        // ⚠️ IMPORTANTE: El orden de detección importa. Los más específicos primero.
+        // El registro de templates (templateRegistry) dice qué acción corresponde a cada botón
         if (message.type === 'button' && message.button?.payload) {
-            const buttonPayload = message.button.payload.toLowerCase().trim();
+            const buttonPayload = message.button.payload;
             console.log(`🔘 Respuesta de botón de template: "${buttonPayload}" de ${from}`);
 
-            // 1. Template doctor_message - Aceptar (contiene "disponible")
-            if (buttonPayload.includes('disponible')) {
-                console.log(`✅ Cliente ${from} aceptó comunicación con el doctor`);
-
-                // Guardar respuesta del usuario primero (el texto real del botón)
-                const userButtonText = message.button?.text || 'Sí, disponible';
-                await conversationLogService.logSimpleMessage(from, 'user', userButtonText, null, null);
-
-                // Abrir handoff automáticamente
-                const agentPhoneNumber = await configService.getAgentPhoneNumber();
-                const existingHandoff = await handoffService.getActiveHandoffByClient(from);
-
-                if (!existingHandoff) {
-                    await handoffService.createHandoff(from, agentPhoneNumber, 'Cliente');
-
-                    const confirmMessage = '👤 Perfecto, el Dr. Camilo se comunicará contigo en breve.';
-                    await sendText(from, confirmMessage);
-
-                    // Guardar mensaje del bot
-                    await conversationLogService.logSimpleMessage(from, 'assistant', confirmMessage, null, null);
-
-                    // Notificar al agente que el cliente respondió
-                    await sendText(agentPhoneNumber, `✅ ${from} está disponible para hablar. Revisa el dashboard para responder.`);
-                }
-
+            // Oferta de lista de espera enviada como template (fuera de la ventana de 24h)
+            if (waitlistService.isWaitlistButton(buttonPayload)) {
+                console.log(`📣 Respuesta a oferta de lista de espera de ${from}: ${buttonPayload}`);
+                await waitlistService.handleOfferReply(from, buttonPayload);
                 return;
             }
 
-            // 2. Template doctor_message - Rechazar (contiene "ahora no" o "no puedo")
-            if (buttonPayload.includes('ahora no') || buttonPayload.includes('no puedo')) {
-                console.log(`⏳ Cliente ${from} no está disponible ahora`);
-
-                // Guardar respuesta del usuario (el texto real del botón)
-                const userButtonText = message.button?.text || 'Ahora no puedo';
-                await conversationLogService.logSimpleMessage(from, 'user', userButtonText, null, null);
-
-                const agentPhoneNumber = await configService.getAgentPhoneNumber();
-                await sendText(agentPhoneNumber, `⏳ ${from} respondió "Ahora no puedo". Intenta más tarde.`);
-
-                return;
-            }
-
-            // 3. Template recordatorio citas - Confirmar (contiene "confirmo")
-            if (buttonPayload.includes('confirmo')) {
-                console.log(`✅ Procesando confirmación de cita para ${from}`);
-                await reminderService.processConfirmation(from);
-                return;
-            }
-
-            // 4. Template recordatorio citas - Cancelar (contiene "no podré" o "cancelar")
-            if (buttonPayload.includes('no podré') || buttonPayload.includes('no podre') || buttonPayload.includes('cancelar')) {
-                console.log(`❌ Procesando cancelación de cita para ${from}`);
-                await reminderService.processCancellation(from);
+            const resolved = await templateRegistry.resolveButton(buttonPayload, message.button.text);
+            if (resolved && await handleTemplateButton(from, resolved, message.button.text)) {
                 return;
             }
 
@@ -127,25 +218,37 @@ exports.handleWebhook = async (req, res) => {
 
         // También manejar botones interactivos (por si se usan en el futuro)
         if (message.type === 'interactive' && message.interactive?.type === 'button_reply') {
-            const buttonTitle = message.interactive.button_reply.title?.toLowerCase().trim();
+            const buttonTitle = message.interactive.button_reply.title;
+            const buttonId = message.interactive.button_reply.id;
             console.log(`🔘 Respuesta de botón interactivo: "${buttonTitle}" de ${from}`);
 
-            if (buttonTitle?.includes('confirmo')) {
-                console.log(`✅ Procesando confirmación de cita para ${from}`);
-                await reminderService.processConfirmation(from);
+            // Oferta de horario liberado (lista de espera)
+            if (waitlistService.isWaitlistButton(buttonId)) {
+                console.log(`📣 Respuesta a oferta de lista de espera de ${from}: ${buttonId}`);
+                await waitlistService.handleOfferReply(from, buttonId);
                 return;
             }
 
-            if (buttonTitle?.includes('no podré') || buttonTitle?.includes('cancelar')) {
-                console.log(`❌ Procesando cancelación de cita para ${from}`);
-                await reminderService.processCancellation(from);
+            const resolved = await templateRegistry.resolveButton(buttonId, buttonTitle);
+            if (resolved && await handleTemplateButton(from, resolved, buttonTitle)) {
                 return;
             }
         }
 
+        const isAgent = await configService.isAgentPhoneNumber(from);
+
+        // Texto que reemplaza al archivo en el flujo normal (transcripción o análisis)
+        let mediaText = null;
+
+        // 🎤 NOTAS DE VOZ: se transcriben y siguen el flujo como si el paciente las hubiera escrito
+        if (message.type === 'audio' && transcriptionService.isEnabled() && !isAgent) {
+            mediaText = await processVoiceNote(from, message.audio);
+            if (!mediaText) return;
+        }
+
         // 📎 MANEJO DE MULTIMEDIA (imágenes, videos, audios, documentos, stickers)
         const mediaTypes = ['image', 'video', 'audio', 'document', 'sticker'];
-        if (mediaTypes.includes(message.type)) {
+        if (mediaTypes.includes(message.type) && !mediaText) {
             console.log(`📎 [MEDIA] Mensaje de tipo ${message.type} recibido de ${from}`);
 
             try {
@@ -157,45 +260,36 @@ exports.handleWebhook = async (req, res) => {
                 console.log(`📎 [MEDIA] mediaId: ${mediaId}, mimeType: ${mimeType}, caption: ${caption || 'ninguno'}`);
 
                 // Procesar y subir a Firebase Storage
-                const storageUrl = await mediaService.processIncomingMedia(mediaId, from, message.type, mimeType);
+                const media = await mediaService.fetchAndStoreMedia(mediaId, from, message.type, mimeType);
+
+                // 🔍 Imágenes y PDFs de pacientes: se analizan para decidir si hace falta un agente
+                // (en relevo humano se analiza igual, para que el agente vea la descripción)
+                let analysis = null;
+                if (!isAgent && mediaAnalysisService.canAnalyze(message.type, media.mimeType, media.buffer.length)) {
+                    const result = await mediaAnalysisService.analyzeMedia({ buffer: media.buffer, mimeType: media.mimeType, caption }, from);
+                    const inHandoff = Boolean(await handoffService.getActiveHandoffByClient(from));
+                    analysis = result
+                        ? { ...result, decision: result.needsHuman || inHandoff ? 'agent' : 'bot' }
+                        : { decision: 'agent', reason: 'No se pudo analizar el archivo' };
+                }
 
                 // Guardar en conversación con estructura extendida
                 await conversationLogService.logMediaMessage(from, 'user', {
-                    mediaUrl: storageUrl,
+                    mediaUrl: media.storageUrl,
                     mediaType: message.type,
                     mimeType: mimeType,
-                    caption: caption
+                    caption: caption,
+                    ...(analysis && { analysis })
                 });
 
-                // Obtener número del agente para notificación
-                const agentPhoneNumber = await configService.getAgentPhoneNumber();
-
-                // Notificar al usuario y conectar con agente
-                const mediaAckMessage = 'He recibido tu archivo. Te conecto con un agente para ayudarte mejor.';
-                await sendText(from, mediaAckMessage);
-
-                // Guardar respuesta del bot
-                await conversationLogService.logSimpleMessage(from, 'assistant', mediaAckMessage, null, null);
-
-                // Verificar si ya tiene handoff activo
-                const existingHandoff = await handoffService.getActiveHandoffByClient(from);
-                if (!existingHandoff) {
-                    // Crear handoff
-                    await handoffService.createHandoff(from, agentPhoneNumber, 'Cliente');
+                if (analysis?.decision === 'bot') {
+                    // El asistente lo atiende con la descripción del archivo
+                    mediaText = analysis.assistantText;
+                } else {
+                    await handOffMedia(from, message.type, analysis?.description);
+                    console.log(`✅ [MEDIA] Procesamiento completo para ${from}`);
+                    return;
                 }
-
-                // Notificar al agente
-                const mediaTypeLabel = {
-                    'image': 'imagen',
-                    'video': 'video',
-                    'audio': 'audio',
-                    'document': 'documento',
-                    'sticker': 'sticker'
-                };
-                await sendText(agentPhoneNumber, `📎 ${from} envió un ${mediaTypeLabel[message.type] || 'archivo'}. Revisa el dashboard.`);
-
-                console.log(`✅ [MEDIA] Procesamiento completo para ${from}`);
-                return;
             } catch (mediaError) {
                 console.error(`❌ [MEDIA] Error procesando media:`, mediaError.message);
                 await sendText(from, 'Hubo un problema al recibir tu archivo. Por favor intenta de nuevo o escribe tu mensaje.');
@@ -203,14 +297,11 @@ exports.handleWebhook = async (req, res) => {
             }
         }
 
-        const userMessageContent = message.type === 'text' ? message.text.body : message.interactive?.list_reply?.title || message.interactive?.button_reply?.title;
+        const userMessageContent = mediaText || (message.type === 'text' ? message.text.body : message.interactive?.list_reply?.title || message.interactive?.button_reply?.title);
         if (!userMessageContent) return;
 
         console.log(`📥 De: ${from} | Mensaje: "${userMessageContent.substring(0, 50)}..."`);
 
-        // Verificar si es el agente
-        const isAgent = await configService.isAgentPhoneNumber(from);
-
         if (isAgent) {
             console.log(`👨‍⚕️ Mensaje del AGENTE`);
 
@@ -227,24 +318,23 @@ exports.handleWebhook = async (req, res) => {
 
             if (activeHandoff) {
                 console.log(`🔁 Reenviando a cliente ${activeHandoff.clientId}`);
-                await sendText(activeHandoff.clientId, userMessageContent);
-                await handoffService.updateHandoffTimestamp(activeHandoff.id);
+                const messageId = await sendText(activeHandoff.clientId, userMessageContent);
+                await handoffService.updateHandoffTimestamp(activeHandoff.id, 'agent');
 
                 await conversationLogService.logSimpleMessage(
                     activeHandoff.clientId,
                     'agent',
                     userMessageContent,
                     null,
-                    activeHandoff.clientName
+                    activeHandoff.clientName,
+                    messageId
                 );
                 return;
             }
 
             // PRIORIDAD 2: Asistente Personal
             console.log(`💼 Procesando como Asistente Personal`);
-            await addMessageToBuffer(from, userMessageContent, async (fullText) => {
-                await assistantRouter.handleAgentQuery(from, fullText);
-            });
+            await addMessageToBuffer(from, userMessageContent, (fullText) => processBufferedText(from, fullText));
             return;
         }
 
@@ -256,41 +346,167 @@ exports.handleWebhook = async (req, res) => {
 
         if (clientHandoff) {
             console.log(`👤 Cliente en intervención - guardando para dashboard`);
-            await handoffService.updateHandoffTimestamp(clientHandoff.id);
-            await conversationLogService.logSimpleMessage(
-                from,
-                'user',
-                userMessageContent,
-                null,
-                clientHandoff.clientName
-            );
+            await handoffService.updateHandoffTimestamp(clientHandoff.id, 'patient');
+            // El archivo ya quedó registrado junto con su transcripción o análisis
+            if (!mediaText) {
+                await conversationLogService.logSimpleMessage(
+                    from,
+                    'user',
+                    userMessageContent,
+                    null,
+                    clientHandoff.clientName
+                );
+            }
             return;
         }
 
-        // Flujo normal del bot
-        const session = await getOrCreateSession(from);
+        // Botones Sí/No del resumen de una cita por crear, mover o cancelar
+        const buttonReplyId = message.interactive?.button_reply?.id;
+        if (bookingFlow.isConfirmationButton(buttonReplyId)) {
+            const session = await getOrCreateSession(from);
+            session.data.documentNumber = await getDocumentNumber(from);
+            await routeBookingConfirmation({ from, buttonId: buttonReplyId, session });
+            return;
+        }
 
-        await addMessageToBuffer(from, userMessageContent, async (fullText) => {
+        // Horario elegido en la lista: se propone sin otra vuelta al modelo
+        const listReplyId = message.interactive?.list_reply?.id;
+        if (slotMatcher.parseSlotRowId(listReplyId)) {
             const session = await getOrCreateSession(from);
+            session.data.documentNumber = await getDocumentNumber(from);
+            await routeSlotSelection({ from, rowId: listReplyId, session });
+            return;
+        }
 
-            // Detectar documento (6-10 dígitos)
-            const docMatch = fullText.match(/\b\d{6,10}\b/);
-            if (docMatch) {
-                await setDocumentNumber(from, docMatch[0]);
-            }
+        // Flujo normal del bot
+        await addMessageToBuffer(from, userMessageContent, (fullText) => processBufferedText(from, fullText));
 
-            session.data.documentNumber = await getDocumentNumber(from);
+    } catch (err) {
+        console.error(`❌ Error procesando mensaje ${message.id}:`, err?.response?.data || err.message);
+    }
+}
+
+/**
+ * Procesa un lote de mensajes ya agrupado (ver messageBatchService)
+ * Lo llama la instancia que recibió el último fragmento o, si esa instancia se
+ * congeló, el barrido programado flushMessageBatches
+ * @param {string} from - Teléfono
+ * @param {string} fullText - Fragmentos del lote unidos
+ */
+async function processBufferedText(from, fullText) {
+    // Asistente Personal del agente
+    if (await configService.isAgentPhoneNumber(from)) {
+        await assistantRouter.handleAgentQuery(from, fullText);
+        return;
+    }
+
+    const session = await getOrCreateSession(from);
+
+    // Detectar documento (6-10 dígitos)
+    const docMatch = fullText.match(/\b\d{6,10}\b/);
+    if (docMatch) {
+        await setDocumentNumber(from, docMatch[0]);
+    }
+
+    session.data.documentNumber = await getDocumentNumber(from);
+
+    await routeByIntent({
+        from,
+        freeText: fullText,
+        session,
+    });
+}
+
+exports.processBufferedText = processBufferedText;
+
+/**
+ * Pasa un archivo del paciente a un agente: avisa al paciente, abre el relevo y le envía al agente
+ * el resumen de la conversación (o solo el aviso del archivo si ya lo estaba atendiendo)
+ * @param {string} from - Teléfono del paciente
+ * @param {string} mediaType - image | video | audio | document | sticker
+ * @param {string} description - Descripción del análisis (opcional)
+ */
+async function handOffMedia(from, mediaType, description = null) {
+    // Notificar al usuario y conectar con agente
+    const mediaAckMessage = 'He recibido tu archivo. Te conecto con un agente para ayudarte mejor.';
+    await sendText(from, mediaAckMessage);
+
+    // Guardar respuesta del bot
+    await conversationLogService.logSimpleMessage(from, 'assistant', mediaAckMessage, null, null);
+
+    // Crear handoff (si ya tiene uno activo se avisa al agente que lo atiende)
+    const existingHandoff = await handoffService.getActiveHandoffByClient(from);
+    const handoff = existingHandoff || await handoffService.createHandoff(from, null, 'Cliente');
+    if (!handoff) return;
+
+    // Notificar al agente
+    const mediaTypeLabel = {
+        'image': 'imagen',
+        'video': 'video',
+        'audio': 'audio',
+        'document': 'documento',
+        'sticker': 'sticker'
+    };
+    const label = mediaTypeLabel[mediaType] || 'archivo';
+
+    if (existingHandoff) {
+        const detail = description ? `\n🔍 ${description}` : '';
+        await sendText(handoff.agentPhoneNumber, `📎 ${from} envió un ${label}. Revisa el dashboard.${detail}`);
+        return;
+    }
 
-            await routeByIntent({
-                from,
-                freeText: fullText,
-                session,
-            });
+    // Relevo nuevo: el agente recibe el resumen de la conversación
+    await handoffBriefingService.briefHandoff(handoff, {
+        title: `📎 *El paciente envió un ${label}*`,
+        reason: description ? `Envió un ${label}: ${description}` : `Envió un ${label} para revisar`,
+        documentNumber: await getDocumentNumber(from)
+    });
+}
+
+/**
+ * Guarda la nota de voz de un paciente y la transcribe
+ * El audio queda en la conversación apenas se descarga y la transcripción se le agrega después.
+ * Si no se entendió, se le pide que la escriba; en relevo humano se le pasa al agente como cualquier archivo
+ * @param {string} from - Teléfono del paciente
+ * @param {Object} audio - message.audio de WhatsApp ({ id, mime_type })
+ * @returns {Promise<string|null>} Transcripción, o null si no hubo
+ */
+async function processVoiceNote(from, audio) {
+    console.log(`🎤 [MEDIA] Nota de voz recibida de ${from}`);
+
+    let media = null;
+    try {
+        media = await mediaService.fetchAndStoreMedia(audio.id, from, 'audio', audio.mime_type);
+        await conversationLogService.logMediaMessage(from, 'user', {
+            mediaUrl: media.storageUrl,
+            mediaType: 'audio',
+            mimeType: media.mimeType,
+            caption: null,
+            transcript: null
         });
 
-    } catch (err) {
-        console.error('❌ Error en handleWebhook:', err?.response?.data || err.message);
-    } finally {
-        console.log(`${'='.repeat(60)}\n`);
+        const { text } = await transcriptionService.transcribeAudio({
+            buffer: media.buffer,
+            mimeType: media.mimeType,
+            mediaId: audio.id
+        });
+        await conversationLogService.setMediaTranscript(from, media.storageUrl, text);
+
+        if (text) return text;
+    } catch (error) {
+        console.error(`❌ [MEDIA] Error procesando nota de voz:`, error.message);
     }
-};
+
+    // En relevo humano el agente escucha el audio en el dashboard
+    const clientHandoff = await handoffService.getActiveHandoffByClient(from);
+    if (clientHandoff && media) {
+        await handoffService.updateHandoffTimestamp(clientHandoff.id, 'patient');
+        await handOffMedia(from, 'audio');
+        return null;
+    }
+
+    const retryMessage = 'No pude escuchar bien tu nota de voz 🙉. ¿Me lo puedes escribir, por favor?';
+    await sendText(from, retryMessage);
+    await conversationLogService.logSimpleMessage(from, 'assistant', retryMessage, null, null);
+    return null;
+}
@@ -0,0 +1,536 @@
+// dev/fakeDentalink.js
+// Servidor Dentalink falso en memoria para desarrollo local y pruebas
+//
+// Uso:
+//   node dev/fakeDentalink.js
+//   DENTALINK_API_URL=http://127.0.0.1:4010/api/v1 firebase emulators:start
+//
+// O en proceso (tests / scripts):
+//   const { createFakeDentalink } = require('./dev/fakeDentalink');
+//   const fake = createFakeDentalink({ patients: [...] });
+//   const { url, close } = await fake.listen();
+//   process.env.DENTALINK_API_URL = url; // antes de requerir dentalinkService
+
+const express = require('express');
+const { isActiveState } = require('../services/appointmentStates');
+
+// Nombres de estado tal como los devuelve Dentalink (ids en appointmentStates.js)
+const STATE_NAMES = {
+  1: 'Anulado',
+  2: 'Atendido',
+  3: 'Confirmado por teléfono',
+  5: 'En sala de espera',
+  6: 'Atendiéndose',
+  7: 'No confirmado',
+  8: 'No asiste',
+  9: 'Anulado por el paciente',
+  10: 'Anulado por la clínica',
+  11: 'Confirmado por email',
+  12: 'Notificado via email',
+  13: 'Agenda Online',
+  14: 'Anulado vía email',
+  15: 'Contactado por chat de WhatsApp',
+  16: 'Anulado por WhatsApp',
+  17: 'Confirmado por Whatsapp',
+  18: 'Anulado vía agenda online',
+  19: 'Anulado por reagendamiento',
+  20: 'Confirmado'
+};
+
+const STATE_NEW = 7;          // No confirmado
+const STATE_RESCHEDULED = 19; // Anulado por reagendamiento
+
+// Horario de agenda por día de la semana (0 = domingo). null = sin agenda
+const DEFAULT_SCHEDULE = {
+  0: null,
+  1: ['07:00', '20:00'],
+  2: ['07:00', '20:00'],
+  3: ['07:00', '20:00'],
+  4: ['07:00', '20:00'],
+  5: ['07:00', '20:00'],
+  6: ['08:00', '12:00']
+};
+
+const DEFAULT_INTERVAL_MINUTES = 30;
+
+function toMinutes(time) {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+}
+
+function fromMinutes(total) {
+  const h = String(Math.floor(total / 60)).padStart(2, '0');
+  const m = String(total % 60).padStart(2, '0');
+  return `${h}:${m}`;
+}
+
+function addDays(dateStr, days) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d + days));
+  return date.toISOString().split('T')[0];
+}
+
+function dayOfWeek(dateStr) {
+  return new Date(`${dateStr}T12:00:00Z`).getUTCDay();
+}
+
+/**
+ * Evalúa un filtro "q" de Dentalink ({ campo: { operador: valor } })
+ * Operadores soportados: eq, neq, lt, lte, gt, gte, lk
+ * @param {Object} record - Registro a evaluar
+ * @param {Object} filter - Filtro ya parseado
+ * @returns {boolean}
+ */
+function matchesFilter(record, filter) {
+  if (!filter) return true;
+
+  return Object.entries(filter).every(([field, conditions]) => {
+    const value = record[field];
+    return Object.entries(conditions || {}).every(([op, expected]) => {
+      const a = value === undefined || value === null ? '' : String(value);
+      const b = String(expected);
+      const bothNumeric = a !== '' && !isNaN(a) && !isNaN(b);
+      const left = bothNumeric ? Number(a) : a;
+      const right = bothNumeric ? Number(b) : b;
+
+      switch (op) {
+        case 'eq': return left === right;
+        case 'neq': return left !== right;
+        case 'lt': return left < right;
+        case 'lte': return left <= right;
+        case 'gt': return left > right;
+        case 'gte': return left >= right;
+        case 'lk': return a.toLowerCase().includes(b.toLowerCase());
+        default: return false;
+      }
+    });
+  });
+}
+
+function parseQuery(req) {
+  if (!req.query.q) return null;
+  try {
+    return typeof req.query.q === 'string' ? JSON.parse(req.query.q) : req.query.q;
+  } catch (error) {
+    const err = new Error(`Parámetro q inválido: ${error.message}`);
+    err.status = 400;
+    throw err;
+  }
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Crea una instancia del Dentalink falso
+ * @param {Object} options
+ * @param {Array} options.patients - Pacientes iniciales (se completa id/habilitado)
+ * @param {Array} options.appointments - Citas iniciales (id_paciente, fecha, hora_inicio, duracion, id_estado...)
+ * @param {Array} options.dentists - [{ id, nombre }] (default: un dentista id 1)
+ * @param {Array} options.branches - [{ id, nombre }] (default: una sucursal id 1)
+ * @param {Array} options.chairs - Ids de sillones (default: [1])
+ * @param {Object} options.schedule - Horario por día de la semana (ver DEFAULT_SCHEDULE)
+ * @param {number} options.intervalMinutes - Intervalo de la agenda (default: 30)
+ * @param {Array} options.failures - Fallos simulados: [{ method, path, status, times, retryAfter }]
+ *   `path` es un prefijo ("/citas"); `times` cuántas peticiones fallan (default: todas)
+ * @returns {{app: Function, state: Object, reset: Function, listen: Function}}
+ */
+function createFakeDentalink(options = {}) {
+  const state = {
+    patients: [],
+    appointments: [],
+    dentists: [],
+    branches: [],
+    chairs: [],
+    schedule: DEFAULT_SCHEDULE,
+    intervalMinutes: DEFAULT_INTERVAL_MINUTES,
+    requests: [],
+    failures: [],
+    nextPatientId: 1,
+    nextAppointmentId: 1
+  };
+
+  function reset(seed = {}) {
+    state.dentists = seed.dentists || [{ id: 1, nombre: 'Camilo', apellidos: 'Dentista' }];
+    state.branches = seed.branches || [{ id: 1, nombre: 'Sede Principal' }];
+    state.chairs = (seed.chairs || [1]).map(Number);
+    state.schedule = seed.schedule || DEFAULT_SCHEDULE;
+    state.intervalMinutes = seed.intervalMinutes || DEFAULT_INTERVAL_MINUTES;
+    state.requests = [];
+    state.patients = [];
+    state.appointments = [];
+    state.nextPatientId = 1;
+    state.nextAppointmentId = 1;
+    state.failures = (seed.failures || []).map(f => ({ ...f, remaining: f.times ?? Infinity }));
+
+    (seed.patients || []).forEach(p => addPatient(p));
+    (seed.appointments || []).forEach(a => addAppointment(a));
+  }
+
+  function addPatient(data) {
+    const id = data.id || state.nextPatientId;
+    state.nextPatientId = Math.max(state.nextPatientId, id + 1);
+
+    const patient = {
+      habilitado: 1,
+      apellidos: '',
+      email: '',
+      celular: '',
+      telefono: '',
+      ...data,
+      id
+    };
+    state.patients.push(patient);
+    return patient;
+  }
+
+  function dentistName(id) {
+    const dentist = state.dentists.find(d => String(d.id) === String(id));
+    return dentist ? `${dentist.nombre} ${dentist.apellidos || ''}`.trim() : '';
+  }
+
+  function branchName(id) {
+    const branch = state.branches.find(b => String(b.id) === String(id));
+    return branch ? branch.nombre : '';
+  }
+
+  function addAppointment(data) {
+    const id = data.id || state.nextAppointmentId;
+    state.nextAppointmentId = Math.max(state.nextAppointmentId, id + 1);
+
+    const patient = state.patients.find(p => String(p.id) === String(data.id_paciente));
+    const duracion = parseInt(data.duracion, 10) || 60;
+    const hora_inicio = data.hora_inicio.substring(0, 5);
+    const id_estado = data.id_estado || STATE_NEW;
+    const id_dentista = parseInt(data.id_dentista || state.dentists[0].id, 10);
+    const id_sucursal = parseInt(data.id_sucursal || state.branches[0].id, 10);
+
+    const appointment = {
+      id,
+      id_paciente: parseInt(data.id_paciente, 10),
+      nombre_paciente: patient ? `${patient.nombre} ${patient.apellidos || ''}`.trim() : 'Sin nombre',
+      id_dentista,
+      nombre_dentista: dentistName(id_dentista),
+      id_sucursal,
+      nombre_sucursal: branchName(id_sucursal),
+      id_sillon: parseInt(data.id_sillon || state.chairs[0], 10),
+      fecha: data.fecha,
+      hora_inicio,
+      hora_fin: fromMinutes(toMinutes(hora_inicio) + duracion),
+      duracion,
+      id_estado,
+      estado_cita: STATE_NAMES[id_estado] || 'Desconocido',
+      comentarios: data.comentarios || data.comentario || '',
+      videoconsulta: data.videoconsulta || 0
+    };
+    state.appointments.push(appointment);
+    return appointment;
+  }
+
+  function setAppointmentState(appointment, id_estado) {
+    appointment.id_estado = id_estado;
+    appointment.estado_cita = STATE_NAMES[id_estado] || 'Desconocido';
+  }
+
+  // Devuelve la cita activa que se cruza con el rango dado (por dentista o por sillón)
+  function findConflict({ fecha, hora_inicio, duracion, id_dentista, id_sillon, excludeId = null }) {
+    const start = toMinutes(hora_inicio);
+    const end = start + duracion;
+
+    return state.appointments.find(a => {
+      if (a.id === excludeId || a.fecha !== fecha || !isActiveState(a.id_estado)) return false;
+      const sameResource = String(a.id_dentista) === String(id_dentista) ||
+        String(a.id_sillon) === String(id_sillon);
+      if (!sameResource) return false;
+      const aStart = toMinutes(a.hora_inicio);
+      const aEnd = aStart + a.duracion;
+      return start < aEnd && aStart < end;
+    }) || null;
+  }
+
+  // Verifica que el horario esté dentro de la agenda configurada
+  function isWithinSchedule(fecha, hora_inicio, duracion) {
+    const hours = state.schedule[dayOfWeek(fecha)];
+    if (!hours) return false;
+    const start = toMinutes(hora_inicio);
+    return start >= toMinutes(hours[0]) && start + duracion <= toMinutes(hours[1]);
+  }
+
+  function buildAgenda(id_dentista, fechaInicio, fechaFin) {
+    const fechas = {};
+
+    for (let fecha = fechaInicio; fecha <= fechaFin; fecha = addDays(fecha, 1)) {
+      const hours = state.schedule[dayOfWeek(fecha)];
+      const horas = {};
+
+      if (hours) {
+        for (let t = toMinutes(hours[0]); t < toMinutes(hours[1]); t += state.intervalMinutes) {
+          const hora = fromMinutes(t);
+          const sillones = {};
+          state.chairs.forEach(chairId => {
+            sillones[chairId] = !findConflict({
+              fecha,
+              hora_inicio: hora,
+              duracion: state.intervalMinutes,
+              id_dentista,
+              id_sillon: chairId
+            });
+          });
+          horas[hora] = { sillones };
+        }
+      }
+
+      fechas[fecha] = { horas };
+    }
+
+    return { fechas };
+  }
+
+  const app = express();
+  const router = express.Router();
+
+  app.use(express.json());
+
+  // Registro de todas las llamadas (útil para verificar escrituras en tests)
+  router.use((req, res, next) => {
+    state.requests.push({
+      method: req.method,
+      path: req.path,
+      query: req.query,
+      body: req.body && Object.keys(req.body).length > 0 ? req.body : null,
+      at: new Date().toISOString()
+    });
+    next();
+  });
+
+  // Fallos simulados (429, 503...) para probar reintentos y el circuit breaker
+  router.use((req, res, next) => {
+    const failure = state.failures.find(f =>
+      f.remaining > 0 &&
+      (!f.method || f.method.toUpperCase() === req.method) &&
+      req.path.startsWith(f.path || '/')
+    );
+    if (!failure) return next();
+
+    failure.remaining--;
+    if (failure.retryAfter !== undefined) res.set('Retry-After', String(failure.retryAfter));
+    const status = failure.status || 503;
+    res.status(status).json({ error: { code: status, message: 'Fallo simulado' } });
+  });
+
+  // ---------------- PACIENTES ----------------
+
+  router.get('/pacientes', (req, res) => {
+    const filter = parseQuery(req);
+    res.json({ data: state.patients.filter(p => matchesFilter(p, filter)) });
+  });
+
+  router.get('/pacientes/:id', (req, res) => {
+    const patient = state.patients.find(p => String(p.id) === req.params.id);
+    if (!patient) throw httpError(404, `Paciente ${req.params.id} no existe`);
+    res.json({ data: patient });
+  });
+
+  router.post('/pacientes', (req, res) => {
+    const { nombre, apellidos, rut } = req.body || {};
+    if (!nombre || !apellidos || !rut) {
+      throw httpError(400, 'Los campos nombre, apellidos y rut son obligatorios');
+    }
+    if (state.patients.some(p => String(p.rut) === String(rut))) {
+      throw httpError(400, `Ya existe un paciente con rut ${rut}`);
+    }
+    res.status(201).json({ data: addPatient({ ...req.body, id: undefined }) });
+  });
+
+  router.put('/pacientes/:id', (req, res) => {
+    const patient = state.patients.find(p => String(p.id) === req.params.id);
+    if (!patient) throw httpError(404, `Paciente ${req.params.id} no existe`);
+    Object.assign(patient, req.body, { id: patient.id });
+    res.json({ data: patient });
+  });
+
+  router.get('/pacientes/:id/citas', (req, res) => {
+    const patient = state.patients.find(p => String(p.id) === req.params.id);
+    if (!patient) throw httpError(404, `Paciente ${req.params.id} no existe`);
+    res.json({ data: state.appointments.filter(a => a.id_paciente === patient.id) });
+  });
+
+  // ---------------- CITAS ----------------
+
+  router.get('/citas', (req, res) => {
+    const filter = parseQuery(req);
+    res.json({ data: state.appointments.filter(a => matchesFilter(a, filter)) });
+  });
+
+  router.get('/citas/:id', (req, res) => {
+    const appointment = state.appointments.find(a => String(a.id) === req.params.id);
+    if (!appointment) throw httpError(404, `Cita ${req.params.id} no existe`);
+    res.json({ data: appointment });
+  });
+
+  router.post('/citas', (req, res) => {
+    const body = req.body || {};
+    const required = ['id_dentista', 'id_sucursal', 'id_paciente', 'fecha', 'hora_inicio'];
+    const missing = required.filter(field => body[field] === undefined || body[field] === null || body[field] === '');
+    if (missing.length > 0) {
+      throw httpError(400, `Faltan campos obligatorios: ${missing.join(', ')}`);
+    }
+    if (!state.patients.some(p => String(p.id) === String(body.id_paciente))) {
+      throw httpError(400, `Paciente ${body.id_paciente} no existe`);
+    }
+
+    const duracion = parseInt(body.duracion, 10) || 60;
+    const hora_inicio = body.hora_inicio.substring(0, 5);
+
+    if (!isWithinSchedule(body.fecha, hora_inicio, duracion)) {
+      throw httpError(400, 'El horario solicitado está fuera de la agenda del dentista');
+    }
+
+    const conflict = findConflict({
+      fecha: body.fecha,
+      hora_inicio,
+      duracion,
+      id_dentista: body.id_dentista,
+      id_sillon: body.id_sillon || state.chairs[0]
+    });
+    if (conflict) {
+      throw httpError(400, `El horario ya está ocupado por la cita ${conflict.id}`);
+    }
+
+    res.status(201).json({ data: addAppointment({ ...body, hora_inicio, duracion, id: undefined, id_estado: undefined }) });
+  });
+
+  router.post('/citas/changeDate', (req, res) => {
+    const body = req.body || {};
+    const original = state.appointments.find(a => String(a.id) === String(body.id_sesion));
+    if (!original) throw httpError(404, `Cita ${body.id_sesion} no existe`);
+    if (!isActiveState(original.id_estado)) {
+      throw httpError(400, `La cita ${original.id} está anulada`);
+    }
+
+    const duracion = parseInt(body.duracion, 10) || original.duracion;
+    const hora_inicio = (body.hora_inicio || original.hora_inicio).substring(0, 5);
+    const fecha = body.fecha || original.fecha;
+    const id_dentista = body.id_dentista || original.id_dentista;
+    const id_sillon = body.id_sillon || original.id_sillon;
+
+    if (!isWithinSchedule(fecha, hora_inicio, duracion)) {
+      throw httpError(400, 'El horario solicitado está fuera de la agenda del dentista');
+    }
+
+    const conflict = findConflict({ fecha, hora_inicio, duracion, id_dentista, id_sillon, excludeId: original.id });
+    if (conflict) {
+      throw httpError(400, `El horario ya está ocupado por la cita ${conflict.id}`);
+    }
+
+    // Dentalink anula la cita original y crea una nueva con otro id
+    setAppointmentState(original, STATE_RESCHEDULED);
+
+    const nueva = addAppointment({
+      id_paciente: original.id_paciente,
+      id_dentista,
+      id_sucursal: original.id_sucursal,
+      id_sillon,
+      fecha,
+      hora_inicio,
+      duracion,
+      comentarios: original.comentarios
+    });
+
+    res.json({ data: nueva });
+  });
+
+  router.put('/citas/:id', (req, res) => {
+    const appointment = state.appointments.find(a => String(a.id) === req.params.id);
+    if (!appointment) throw httpError(404, `Cita ${req.params.id} no existe`);
+
+    const { id_estado, comentarios } = req.body || {};
+    if (id_estado !== undefined) {
+      if (!STATE_NAMES[id_estado]) throw httpError(400, `Estado ${id_estado} inválido`);
+      setAppointmentState(appointment, parseInt(id_estado, 10));
+    }
+    if (comentarios !== undefined) {
+      appointment.comentarios = comentarios;
+    }
+
+    res.json({ data: appointment });
+  });
+
+  // ---------------- AGENDAS ----------------
+
+  router.get('/sucursales/:idSucursal/dentistas/:idDentista/agendas', (req, res) => {
+    const filter = parseQuery(req) || {};
+    const fechaInicio = filter.fecha_inicio?.eq;
+    const fechaFin = filter.fecha_fin?.eq || fechaInicio;
+
+    if (!fechaInicio) throw httpError(400, 'fecha_inicio es obligatoria');
+    if (!state.dentists.some(d => String(d.id) === req.params.idDentista)) {
+      throw httpError(404, `Dentista ${req.params.idDentista} no existe`);
+    }
+    if (!state.branches.some(b => String(b.id) === req.params.idSucursal)) {
+      throw httpError(404, `Sucursal ${req.params.idSucursal} no existe`);
+    }
+
+    res.json({ data: buildAgenda(req.params.idDentista, fechaInicio, fechaFin) });
+  });
+
+  app.use('/api/v1', router);
+
+  // Errores con el mismo formato que la API real
+  app.use((err, req, res, next) => {
+    const status = err.status || 500;
+    res.status(status).json({ error: { code: status, message: err.message } });
+  });
+
+  /**
+   * Levanta el servidor en un puerto (0 = aleatorio)
+   * @param {number} port
+   * @returns {Promise<{url: string, port: number, close: Function}>}
+   */
+  function listen(port = 0) {
+    return new Promise((resolve, reject) => {
+      const server = app.listen(port, '127.0.0.1', () => {
+        const actualPort = server.address().port;
+        resolve({
+          url: `http://127.0.0.1:${actualPort}/api/v1`,
+          port: actualPort,
+          close: () => new Promise(done => server.close(done))
+        });
+      });
+      server.on('error', reject);
+    });
+  }
+
+  reset(options);
+
+  return { app, state, reset, listen, addPatient, addAppointment };
+}
+
+module.exports = {
+  createFakeDentalink,
+  matchesFilter,
+  STATE_NAMES
+};
+
+// Ejecución directa: servidor con un paciente de ejemplo
+if (require.main === module) {
+  const port = parseInt(process.env.FAKE_DENTALINK_PORT, 10) || 4010;
+  const fake = createFakeDentalink({
+    patients: [{
+      nombre: 'Paciente',
+      apellidos: 'De Prueba',
+      rut: '1234567890',
+      celular: '3001234567',
+      email: 'paciente@example.com',
+      fecha_nacimiento: '1990-01-01'
+    }]
+  });
+
+  fake.listen(port).then(({ url }) => {
+    console.log(`🦷 Dentalink falso escuchando en ${url}`);
+    console.log(`   Exporta DENTALINK_API_URL=${url} antes de iniciar las functions`);
+  });
+}
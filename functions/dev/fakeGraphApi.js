@@ -0,0 +1,261 @@
+// dev/fakeGraphApi.js
+// Graph API (WhatsApp Cloud) falso para desarrollo local y pruebas
+//
+// Registra todos los /messages y /media salientes y sirve descargas de media
+// para los mediaId que se registren con addMedia().
+//
+// Uso:
+//   node dev/fakeGraphApi.js
+//   GRAPH_API_URL=http://127.0.0.1:4020 firebase emulators:start
+//
+// O en proceso:
+//   const { createFakeGraphApi } = require('./dev/fakeGraphApi');
+//   const graph = createFakeGraphApi();
+//   const { url } = await graph.listen();
+//   process.env.GRAPH_API_URL = url; // antes de requerir whatsappService
+
+const express = require('express');
+
+// PNG 1x1 y unos bytes OGG de ejemplo para los payloads de dev/webhooks
+const SAMPLE_PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==',
+  'base64'
+);
+const SAMPLE_OGG = Buffer.from('OggS\0\x02\0\0\0\0\0\0\0\0fake-voice-note', 'binary');
+
+/**
+ * Extrae el archivo y los campos de un body multipart/form-data
+ * @param {Buffer} raw - Body sin procesar
+ * @param {string} contentType - Header Content-Type con el boundary
+ * @returns {{fields: Object, file: {filename: string, contentType: string, buffer: Buffer}|null}}
+ */
+function parseMultipart(raw, contentType) {
+  const boundaryMatch = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  const result = { fields: {}, file: null };
+  if (!boundaryMatch || !raw) return result;
+
+  const boundary = `--${boundaryMatch[1] || boundaryMatch[2]}`;
+  const body = raw.toString('binary');
+
+  body.split(boundary).forEach(part => {
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd === -1) return;
+
+    const headers = part.substring(0, headerEnd);
+    const content = part.substring(headerEnd + 4).replace(/\r\n$/, '');
+    const name = /name="([^"]+)"/i.exec(headers)?.[1];
+    const filename = /filename="([^"]*)"/i.exec(headers)?.[1];
+
+    if (filename !== undefined) {
+      result.file = {
+        filename,
+        contentType: /content-type:\s*([^\r\n]+)/i.exec(headers)?.[1] || 'application/octet-stream',
+        buffer: Buffer.from(content, 'binary')
+      };
+    } else if (name) {
+      result.fields[name] = Buffer.from(content, 'binary').toString('utf8');
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Crea una instancia del Graph API falso
+ * @param {Object} options
+ * @param {boolean} options.sampleMedia - Registra la media de ejemplo usada en dev/webhooks (default: true)
+ * @param {Function} options.onMessage - Callback opcional por cada mensaje saliente registrado
+ * @returns {{app: Function, state: Object, reset: Function, listen: Function, addMedia: Function, failNext: Function, messagesTo: Function}}
+ */
+function createFakeGraphApi(options = {}) {
+  const state = {
+    baseUrl: null,
+    messages: [],
+    uploads: [],
+    media: new Map(),
+    failures: [],
+    nextId: 1
+  };
+
+  function nextId(prefix) {
+    return `${prefix}${String(state.nextId++).padStart(6, '0')}`;
+  }
+
+  /**
+   * Registra un archivo para que GET /{mediaId} y su descarga funcionen
+   * @param {string} mediaId
+   * @param {Buffer} buffer
+   * @param {string} mimeType
+   */
+  function addMedia(mediaId, buffer, mimeType) {
+    state.media.set(mediaId, { buffer, mimeType });
+  }
+
+  /**
+   * Hace que la próxima llamada a /messages falle con el error dado
+   * @param {Object} error - { status, code, message, type }
+   */
+  function failNext(error = {}) {
+    state.failures.push({
+      status: error.status || 400,
+      code: error.code || 131026,
+      message: error.message || 'Message Undeliverable.',
+      type: error.type || 'OAuthException'
+    });
+  }
+
+  function messagesTo(phone) {
+    return state.messages.filter(m => m.to === phone);
+  }
+
+  function reset() {
+    state.messages = [];
+    state.uploads = [];
+    state.media = new Map();
+    state.failures = [];
+    state.nextId = 1;
+
+    if (options.sampleMedia !== false) {
+      addMedia('media-image-1', SAMPLE_PNG, 'image/png');
+      addMedia('media-audio-1', SAMPLE_OGG, 'audio/ogg');
+      addMedia('media-document-1', Buffer.from('%PDF-1.4 fake'), 'application/pdf');
+    }
+  }
+
+  const app = express();
+
+  // Las descargas reales también exigen el token Bearer
+  function requireToken(req, res, next) {
+    if (!/^Bearer\s+\S+/.test(req.headers.authorization || '')) {
+      return res.status(401).json({
+        error: { message: 'Invalid OAuth access token.', type: 'OAuthException', code: 190 }
+      });
+    }
+    next();
+  }
+
+  app.post('/:version/:phoneNumberId/messages', requireToken, express.json(), (req, res) => {
+    const body = req.body || {};
+
+    if (state.failures.length > 0) {
+      const failure = state.failures.shift();
+      return res.status(failure.status).json({
+        error: { message: failure.message, type: failure.type, code: failure.code }
+      });
+    }
+
+    if (body.messaging_product !== 'whatsapp' || !body.to || !body.type) {
+      return res.status(400).json({
+        error: { message: '(#100) Invalid parameter', type: 'OAuthException', code: 100 }
+      });
+    }
+
+    const id = nextId('wamid.FAKE');
+    const record = {
+      id,
+      phoneNumberId: req.params.phoneNumberId,
+      to: body.to,
+      type: body.type,
+      text: body.text?.body || null,
+      template: body.template?.name || null,
+      payload: body,
+      at: new Date().toISOString()
+    };
+    state.messages.push(record);
+    if (options.onMessage) options.onMessage(record);
+
+    res.json({
+      messaging_product: 'whatsapp',
+      contacts: [{ input: body.to, wa_id: body.to }],
+      messages: [{ id, ...(body.type === 'template' && { message_status: 'accepted' }) }]
+    });
+  });
+
+  app.post('/:version/:phoneNumberId/media', requireToken,
+    express.raw({ type: 'multipart/form-data', limit: '100mb' }), (req, res) => {
+      const { fields, file } = parseMultipart(req.body, req.headers['content-type']);
+
+      if (!file) {
+        return res.status(400).json({
+          error: { message: '(#100) The parameter file is required.', type: 'OAuthException', code: 100 }
+        });
+      }
+
+      const id = nextId('fake-media-');
+      addMedia(id, file.buffer, fields.type || file.contentType);
+      state.uploads.push({
+        id,
+        filename: file.filename,
+        mimeType: fields.type || file.contentType,
+        size: file.buffer.length,
+        at: new Date().toISOString()
+      });
+
+      res.json({ id });
+    });
+
+  app.get('/media-download/:mediaId', requireToken, (req, res) => {
+    const media = state.media.get(req.params.mediaId);
+    if (!media) return res.sendStatus(404);
+    res.set('Content-Type', media.mimeType).send(media.buffer);
+  });
+
+  app.get('/:version/:mediaId', requireToken, (req, res) => {
+    const media = state.media.get(req.params.mediaId);
+    if (!media) {
+      return res.status(400).json({
+        error: { message: `Unsupported get request. Object with ID '${req.params.mediaId}' does not exist.`, code: 100 }
+      });
+    }
+
+    res.json({
+      messaging_product: 'whatsapp',
+      url: `${state.baseUrl}/media-download/${encodeURIComponent(req.params.mediaId)}`,
+      mime_type: media.mimeType,
+      file_size: media.buffer.length,
+      id: req.params.mediaId
+    });
+  });
+
+  /**
+   * Levanta el servidor en un puerto (0 = aleatorio)
+   * @param {number} port
+   * @returns {Promise<{url: string, port: number, close: Function}>}
+   */
+  function listen(port = 0) {
+    return new Promise((resolve, reject) => {
+      const server = app.listen(port, '127.0.0.1', () => {
+        const actualPort = server.address().port;
+        state.baseUrl = `http://127.0.0.1:${actualPort}`;
+        resolve({
+          url: state.baseUrl,
+          port: actualPort,
+          close: () => new Promise(done => server.close(done))
+        });
+      });
+      server.on('error', reject);
+    });
+  }
+
+  reset();
+
+  return { app, state, reset, listen, addMedia, failNext, messagesTo };
+}
+
+module.exports = {
+  createFakeGraphApi,
+  parseMultipart
+};
+
+// Ejecución directa: imprime cada mensaje saliente en consola
+if (require.main === module) {
+  const port = parseInt(process.env.FAKE_GRAPH_PORT, 10) || 4020;
+  const graph = createFakeGraphApi({
+    onMessage: (m) => console.log(`📤 → ${m.to} [${m.type}] ${m.text || m.template || ''}`)
+  });
+
+  graph.listen(port).then(({ url }) => {
+    console.log(`📱 Graph API falso escuchando en ${url}`);
+    console.log(`   Exporta GRAPH_API_URL=${url} antes de iniciar las functions`);
+  });
+}
@@ -0,0 +1,187 @@
+// dev/replayWebhooks.js
+// Reenvía payloads de webhook (dev/webhooks/*.json) firmados con APP_SECRET
+//
+// Uso contra un servidor (emulador o deploy):
+//   node dev/replayWebhooks.js dev/webhooks/text.json --url http://127.0.0.1:5001/<proyecto>/us-central1/api/webhook
+//
+// Uso en proceso (sin servidor HTTP, pasa por verifySignature + webhookController):
+//   node dev/replayWebhooks.js dev/webhooks/text.json dev/webhooks/status.json
+//
+// Opciones:
+//   --url <url>      Envía por HTTP en vez de llamar al controller en proceso
+//   --from <phone>   Reemplaza el remitente de los mensajes (y wa_id del contacto)
+//   --fresh-ids      Genera ids de mensaje nuevos (evita la deduplicación por wamid)
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Calcula el header X-Hub-Signature-256 para un body
+ * @param {string} rawBody - Body exacto que se enviará
+ * @param {string} secret - APP_SECRET de la app de Meta
+ * @returns {string} "sha256=<hex>"
+ */
+function signPayload(rawBody, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret || '').update(rawBody).digest('hex')}`;
+}
+
+/**
+ * Aplica --from y --fresh-ids sobre una copia del payload
+ * @param {Object} payload
+ * @param {Object} options - { from, freshIds }
+ * @returns {Object}
+ */
+function preparePayload(payload, options = {}) {
+  const copy = JSON.parse(JSON.stringify(payload));
+
+  (copy.entry || []).forEach(entry => {
+    (entry.changes || []).forEach(change => {
+      const value = change.value || {};
+
+      (value.messages || []).forEach(message => {
+        if (options.from) message.from = options.from;
+        if (options.freshIds) {
+          message.id = `wamid.REPLAY${Date.now()}${crypto.randomBytes(3).toString('hex')}`;
+        }
+        message.timestamp = String(Math.floor(Date.now() / 1000));
+      });
+
+      (value.contacts || []).forEach(contact => {
+        if (options.from) contact.wa_id = options.from;
+      });
+
+      (value.statuses || []).forEach(status => {
+        if (options.from) status.recipient_id = options.from;
+        status.timestamp = String(Math.floor(Date.now() / 1000));
+      });
+    });
+  });
+
+  return copy;
+}
+
+/**
+ * Respuesta mínima compatible con lo que usan verifySignature y webhookController
+ */
+function createFakeResponse() {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    sendStatus(code) {
+      res.statusCode = code;
+      return res;
+    },
+    send(body) {
+      res.body = body;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    }
+  };
+  return res;
+}
+
+/**
+ * Reenvía un payload de webhook firmado
+ * @param {Object} payload - Payload con formato de WhatsApp Cloud API
+ * @param {Object} options
+ * @param {string} options.secret - Secreto para firmar (default: process.env.APP_SECRET)
+ * @param {string} options.url - Si viene, se envía por HTTP; si no, se procesa en proceso
+ * @param {string} options.from - Reemplaza el remitente
+ * @param {boolean} options.freshIds - Genera ids de mensaje nuevos
+ * @returns {Promise<{status: number, body: any}>}
+ */
+async function replayWebhook(payload, options = {}) {
+  const secret = options.secret !== undefined ? options.secret : process.env.APP_SECRET;
+  const rawBody = JSON.stringify(preparePayload(payload, options));
+  const signature = signPayload(rawBody, secret);
+
+  if (options.url) {
+    const axios = require('axios');
+    const response = await axios.post(options.url, rawBody, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Hub-Signature-256': signature
+      },
+      validateStatus: () => true
+    });
+    return { status: response.status, body: response.data };
+  }
+
+  // En proceso: se requieren aquí para que los fakes y variables de entorno
+  // queden configurados antes de cargar los services
+  const verifyRequestSignature = require('../middleware/verifySignature');
+  const webhookController = require('../controllers/webhookController');
+
+  const req = {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-hub-signature-256': signature },
+    rawBody,
+    body: JSON.parse(rawBody),
+    query: {}
+  };
+  const res = createFakeResponse();
+
+  let passed = false;
+  verifyRequestSignature(req, res, () => {
+    passed = true;
+  });
+  if (!passed) return { status: res.statusCode, body: res.body };
+
+  await webhookController.handleWebhook(req, res);
+  return { status: res.statusCode, body: res.body };
+}
+
+/**
+ * Parsea los argumentos de la línea de comandos
+ * @param {string[]} argv
+ * @returns {{files: string[], url: string|null, from: string|null, freshIds: boolean}}
+ */
+function parseArgs(argv) {
+  const args = { files: [], url: null, from: null, freshIds: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--url') args.url = argv[++i];
+    else if (arg === '--from') args.from = argv[++i];
+    else if (arg === '--fresh-ids') args.freshIds = true;
+    else args.files.push(arg);
+  }
+
+  return args;
+}
+
+module.exports = {
+  signPayload,
+  preparePayload,
+  replayWebhook
+};
+
+if (require.main === module) {
+  require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+  const args = parseArgs(process.argv.slice(2));
+  if (args.files.length === 0) {
+    console.log('Uso: node dev/replayWebhooks.js <payload.json...> [--url <url>] [--from <phone>] [--fresh-ids]');
+    process.exit(1);
+  }
+
+  (async () => {
+    for (const file of args.files) {
+      const payload = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+      const result = await replayWebhook(payload, args);
+      console.log(`🔁 ${path.basename(file)} → ${result.status}`);
+    }
+    process.exit(0);
+  })().catch(error => {
+    console.error('❌ Error reenviando webhook:', error.message);
+    process.exit(1);
+  });
+}
@@ -455,9 +455,21 @@ app.post("/dashboard/intervene", authenticateDashboard, dashboardController.star
 // Cerrar intervención (handoff)
 app.post("/dashboard/close-intervention", authenticateDashboard, dashboardController.closeIntervention);
 
+// Transferir intervención a otro agente
+app.post("/dashboard/transfer", authenticateDashboard, dashboardController.transferIntervention);
+
+// Respuestas sugeridas para el agente que interviene
+app.post("/dashboard/suggest-replies", authenticateDashboard, dashboardController.getReplySuggestions);
+
+// Agentes del roster con sus chats activos
+app.get("/dashboard/agents", authenticateDashboard, dashboardController.getAgents);
+
 // Iniciar conversación con template (fuera de ventana 24h)
 app.post("/dashboard/start-conversation", authenticateDashboard, dashboardController.startConversation);
 
+// Métricas del webhook (reintentos de Meta descartados por message.id)
+app.get("/dashboard/webhook-metrics", authenticateDashboard, dashboardController.getWebhookMetrics);
+
 // Exportar la función HTTP de Firebase (Gen 2)
 // La URL será: https://<region>-<project-id>.cloudfunctions.net/api
 exports.api = onRequest({
@@ -478,11 +490,47 @@ exports.cleanupSessions = onSchedule("every 1 hours", async (event) => {
   return null;
 });
 
+// Procesa los lotes de mensajes que quedaron pendientes porque la instancia que
+// los recibió se congeló o se recicló antes de procesarlos
+exports.flushMessageBatches = onSchedule("every 1 minutes", async (event) => {
+  try {
+    const messageBatchService = require("./services/messageBatchService");
+    await messageBatchService.flushDueBatches(webhookController.processBufferedText);
+  } catch (error) {
+    console.error("❌ Error procesando lotes pendientes:", error);
+  }
+  return null;
+});
+
+// Reintenta los mensajes de texto que no se pudieron entregar por errores
+// transitorios del Graph API (ver services/outboundQueueService.js)
+exports.retryOutboundMessages = onSchedule("every 1 minutes", async (event) => {
+  try {
+    const outboundQueueService = require("./services/outboundQueueService");
+    await outboundQueueService.retryDueMessages();
+  } catch (error) {
+    console.error("❌ Error reintentando mensajes de salida:", error);
+  }
+  return null;
+});
+
+// Recuerda al agente, avisa al paciente, escala y devuelve al bot los relevos
+// sin respuesta según tenant_config.handoffSla (ver services/handoffSlaService.js)
+exports.monitorHandoffs = onSchedule("every 1 minutes", async (event) => {
+  try {
+    const handoffSlaService = require("./services/handoffSlaService");
+    await handoffSlaService.checkHandoffs();
+  } catch (error) {
+    console.error("❌ Error revisando el SLA de los relevos:", error);
+  }
+  return null;
+});
+
 // ========================================
 // 🔔 SISTEMA DE RECORDATORIOS DE CITAS
 // ========================================
 
-// Genera registros de recordatorio para las citas de mañana
+// Genera registros de recordatorio para las citas de mañana (o del próximo día hábil)
 // Se ejecuta a las 11:00 UTC = 6:00 AM Colombia
 exports.generateDailyReminders = onSchedule({
   schedule: "0 11 * * *",
@@ -0,0 +1,286 @@
+// services/agentCommandService.js
+// Comandos que el agente escribe por WhatsApp para atender varios chats a la vez
+//
+//   /chats                chats abiertos con su id corto (últimos dígitos del teléfono del paciente)
+//   /a <id>               cambia el chat activo: lo que escriba sin comando le llega a ese paciente
+//   /cerrar [id|todos]    cierra el chat (el activo si no se indica) sin avisarle al paciente
+//   /bot [id]             devuelve el paciente al bot y le avisa
+//   /nota <texto>         nota interna en el chat activo (solo la ven los agentes en el dashboard)
+//   /cita [documento]     citas de un paciente (sin documento: el del chat activo)
+//   /ayuda                esta lista
+//
+// El chat activo se guarda en agent_targets (ver handoffService.setAgentTarget), así que
+// sobrevive entre mensajes e instancias.
+
+const { sendText } = require('./whatsappService');
+const handoffService = require('./handoffService');
+const configService = require('./configService');
+const conversationLogService = require('./conversationLogService');
+const dentalinkService = require('./dentalinkService');
+const { getDocumentNumber } = require('./sessionService');
+const { formatShortDate } = require('../utils/dateHelper');
+
+const SHORT_ID_LENGTH = 4;
+
+const HELP_TEXT = '🧭 *Comandos:*\n\n' +
+  '/chats - Tus chats abiertos\n' +
+  '/a <id> - Cambiar de chat\n' +
+  '/cerrar [id] - Cerrar el chat (/cerrar todos para cerrarlos todos)\n' +
+  '/bot [id] - Devolver el paciente al bot\n' +
+  '/nota <texto> - Nota interna en el chat activo\n' +
+  '/cita [documento] - Citas del paciente\n\n' +
+  '_Lo que escribas sin comando le llega al chat activo._';
+
+/**
+ * @param {string} message - Texto del agente
+ * @returns {boolean} true si empieza con "/"
+ */
+function isCommand(message) {
+  return typeof message === 'string' && message.trim().startsWith('/');
+}
+
+// "/A  2233 " → { name: "a", arg: "2233" }
+function parseCommand(message) {
+  const [, name = '', arg = ''] = message.trim().match(/^\/(\S*)\s*([\s\S]*)$/) || [];
+  return { name: name.toLowerCase(), arg: arg.trim() };
+}
+
+/**
+ * Id corto de cada chat: los últimos dígitos del teléfono, más si dos pacientes coinciden
+ * @param {Array} handoffs - Handoffs activos del agente
+ * @returns {Object} { handoffId: "2233" }
+ */
+function buildShortIds(handoffs) {
+  return handoffs.reduce((ids, handoff) => {
+    let length = SHORT_ID_LENGTH;
+    while (length < handoff.clientId.length &&
+      handoffs.some(other => other.id !== handoff.id && other.clientId.endsWith(handoff.clientId.slice(-length)))) {
+      length++;
+    }
+    ids[handoff.id] = handoff.clientId.slice(-length);
+    return ids;
+  }, {});
+}
+
+/**
+ * Busca entre los chats del agente el que corresponde al id corto (o al teléfono completo)
+ * @param {Array} handoffs
+ * @param {string} ref - "2233", "#2233" o "573001112233"
+ * @returns {{handoff: Object|null, ambiguous: boolean}}
+ */
+function findByShortId(handoffs, ref) {
+  const digits = String(ref).replace(/\D/g, '');
+  if (!digits) return { handoff: null, ambiguous: false };
+
+  const matches = handoffs.filter(handoff => handoff.clientId.endsWith(digits));
+  return { handoff: matches.length === 1 ? matches[0] : null, ambiguous: matches.length > 1 };
+}
+
+// "hace 5 min" desde el último mensaje del chat
+function formatAge(timestamp) {
+  if (!timestamp?.toMillis) return '';
+  const minutes = Math.floor((Date.now() - timestamp.toMillis()) / 60000);
+  if (minutes < 1) return 'ahora';
+  if (minutes < 60) return `hace ${minutes} min`;
+  if (minutes < 24 * 60) return `hace ${Math.floor(minutes / 60)} h`;
+  return `hace ${Math.floor(minutes / (24 * 60))} d`;
+}
+
+function describeChat(handoff, shortIds) {
+  return `${handoff.clientName || 'Cliente'} (#${shortIds[handoff.id]})`;
+}
+
+/**
+ * Chat al que se refiere el comando: el del id indicado o el activo
+ * Si no lo encuentra, le responde al agente y devuelve null
+ */
+async function resolveChat(from, ref) {
+  const handoffs = await handoffService.getActiveHandoffsByAgent(from);
+  const shortIds = buildShortIds(handoffs);
+
+  if (handoffs.length === 0) {
+    await sendText(from, '📭 No tienes chats abiertos.');
+    return null;
+  }
+
+  if (!ref) {
+    const current = await handoffService.getActiveHandoffByAgent(from);
+    return { handoff: current, handoffs, shortIds };
+  }
+
+  const { handoff, ambiguous } = findByShortId(handoffs, ref);
+  if (!handoff) {
+    await sendText(from, ambiguous
+      ? `⚠️ Hay varios chats que terminan en ${ref}. Usa más dígitos del teléfono.`
+      : `⚠️ No tienes un chat abierto con el id ${ref}. Escribe /chats para ver tus chats.`);
+    return null;
+  }
+  return { handoff, handoffs, shortIds };
+}
+
+// Después de cerrar un chat: a cuál le llega ahora lo que escriba el agente
+async function describeNextChat(from) {
+  const next = await handoffService.getActiveHandoffByAgent(from);
+  if (!next) return '';
+  const shortIds = buildShortIds(await handoffService.getActiveHandoffsByAgent(from));
+  return `\n👉 Ahora estás en el chat de ${describeChat(next, shortIds)}.`;
+}
+
+// /chats
+async function listChats(from) {
+  const handoffs = await handoffService.getActiveHandoffsByAgent(from);
+  if (handoffs.length === 0) {
+    await sendText(from, '📭 No tienes chats abiertos.');
+    return;
+  }
+
+  const shortIds = buildShortIds(handoffs);
+  const current = await handoffService.getActiveHandoffByAgent(from);
+  const lines = handoffs.map(handoff => {
+    const marker = handoff.id === current?.id ? '👉' : '▫️';
+    const age = formatAge(handoff.lastMessage);
+    return `${marker} #${shortIds[handoff.id]} ${handoff.clientName || 'Cliente'} · ${handoff.clientId}${age ? ` · ${age}` : ''}`;
+  });
+
+  await sendText(from,
+    `💬 *Tus chats abiertos (${handoffs.length}):*\n\n${lines.join('\n')}\n\n` +
+    '_/a <id> para cambiar de chat. Lo que escribas sin comando le llega al marcado con 👉._'
+  );
+}
+
+// /a <id>
+async function switchChat(from, ref) {
+  if (!ref) {
+    await listChats(from);
+    return;
+  }
+
+  const chat = await resolveChat(from, ref);
+  if (!chat) return;
+
+  await handoffService.setAgentTarget(from, chat.handoff.id);
+  console.log(`👉 [COMANDOS] ${from} cambió al chat ${chat.handoff.clientId}`);
+  await sendText(from, `👉 Ahora estás en el chat de ${describeChat(chat.handoff, chat.shortIds)}. Lo que escribas le llegará a este paciente.`);
+}
+
+// /cerrar [id|todos]
+async function closeChat(from, ref) {
+  if (ref.toLowerCase() === 'todos') {
+    const closedCount = await handoffService.closeAllAgentHandoffs(from);
+    await handoffService.setAgentTarget(from, null);
+    await sendText(from, closedCount === 0 ? '⚠️ No tienes chats activos para cerrar.' : `✅ ${closedCount} chat${closedCount > 1 ? 's' : ''} cerrado${closedCount > 1 ? 's' : ''}.`);
+    return;
+  }
+
+  const chat = await resolveChat(from, ref);
+  if (!chat) return;
+
+  await handoffService.closeHandoff(chat.handoff.id);
+  await sendText(from, `✅ Chat de ${describeChat(chat.handoff, chat.shortIds)} cerrado. El cliente volverá a interactuar con el bot.${await describeNextChat(from)}`);
+}
+
+// /bot [id]
+async function returnToBot(from, ref) {
+  const chat = await resolveChat(from, ref);
+  if (!chat) return;
+
+  const { handoff } = chat;
+  await handoffService.closeHandoff(handoff.id);
+
+  const messageId = await sendText(handoff.clientId, handoffService.BOT_BACK_MESSAGE);
+  await conversationLogService.logSimpleMessage(handoff.clientId, 'assistant', handoffService.BOT_BACK_MESSAGE, null, null, messageId);
+
+  await sendText(from, `🤖 ${describeChat(handoff, chat.shortIds)} volvió con el bot.${await describeNextChat(from)}`);
+}
+
+// /nota <texto>
+async function addNote(from, text) {
+  if (!text) {
+    await sendText(from, '⚠️ Escribe la nota después del comando: /nota <texto>');
+    return;
+  }
+
+  const chat = await resolveChat(from, null);
+  if (!chat) return;
+
+  const agent = await configService.getAgentByPhone(from);
+  await conversationLogService.logSimpleMessage(chat.handoff.clientId, 'note', `${agent?.name || 'Agente'}: ${text}`, null, null);
+  console.log(`📝 [COMANDOS] Nota de ${from} en el chat ${chat.handoff.clientId}`);
+  await sendText(from, `📝 Nota guardada en el chat de ${describeChat(chat.handoff, chat.shortIds)}. El paciente no la ve.`);
+}
+
+// /cita [documento]
+async function showAppointments(from, documentArg) {
+  let documentNumber = documentArg.replace(/\D/g, '');
+
+  if (!documentNumber) {
+    const chat = await resolveChat(from, null);
+    if (!chat) return;
+    documentNumber = await getDocumentNumber(chat.handoff.clientId) ||
+      (await conversationLogService.getUserData(chat.handoff.clientId))?.userDocument;
+    if (!documentNumber) {
+      await sendText(from, `⚠️ No sé el documento de ${describeChat(chat.handoff, chat.shortIds)}. Usa /cita <documento>.`);
+      return;
+    }
+  }
+
+  try {
+    const patient = await dentalinkService.findPatientByDocument(documentNumber);
+    if (!patient) {
+      await sendText(from, `⚠️ No encontré un paciente con documento ${documentNumber}.`);
+      return;
+    }
+
+    const name = [patient.nombre, patient.apellidos].filter(Boolean).join(' ');
+    const appointments = await dentalinkService.getAppointmentsByPatient(patient.id);
+    if (!appointments || appointments.length === 0) {
+      await sendText(from, `📭 ${name} (${documentNumber}) no tiene citas próximas.`);
+      return;
+    }
+
+    const lines = appointments.map(apt => {
+      const dentist = apt.dentista ? ` con ${apt.dentista}` : '';
+      return `⏰ ${formatShortDate(apt.fecha)} ${apt.hora_inicio.substring(0, 5)}${dentist} (${apt.estado?.nombre || 'Sin estado'}) · id ${apt.id}`;
+    });
+    await sendText(from, `📅 *Citas de ${name} (${documentNumber}):*\n\n${lines.join('\n')}`);
+  } catch (error) {
+    console.error('❌ [COMANDOS] Error consultando citas:', error.message);
+    await sendText(from, '❌ Dentalink no responde en este momento. Intenta de nuevo en unos minutos.');
+  }
+}
+
+const COMMANDS = {
+  chats: (from) => listChats(from),
+  a: switchChat,
+  cerrar: closeChat,
+  bot: returnToBot,
+  nota: addNote,
+  cita: showAppointments,
+  ayuda: (from) => sendText(from, HELP_TEXT)
+};
+
+/**
+ * Ejecuta un comando del agente
+ * @param {string} from - Teléfono del agente
+ * @param {string} message - Texto que empieza con "/"
+ */
+async function handleCommand(from, message) {
+  const { name, arg } = parseCommand(message);
+  const command = COMMANDS[name];
+
+  if (!command) {
+    await sendText(from, `⚠️ No conozco el comando /${name}.\n\n${HELP_TEXT}`);
+    return;
+  }
+
+  console.log(`⚡ [COMANDOS] /${name}${arg ? ` ${arg.substring(0, 30)}` : ''} de ${from}`);
+  await command(from, arg);
+}
+
+module.exports = {
+  isCommand,
+  parseCommand,
+  buildShortIds,
+  findByShortId,
+  handleCommand
+};
@@ -0,0 +1,162 @@
+// services/agentRoutingService.js
+// Elige qué agente del roster atiende un relevo nuevo (ver handoffService.createHandoff)
+//
+// 1. Candidatos: agentes activos que están en su horario (workingHours, hora de Colombia)
+//    y tienen la habilidad pedida. Si nadie tiene la habilidad, se ignora; si nadie está
+//    en horario, se reparte entre todos para que el paciente no quede sin agente.
+// 2. Estrategia (tenant_config.agentRouting):
+//    - least_busy (default): el que tiene menos relevos activos; empate → round robin
+//    - round_robin: el que hace más tiempo no recibe un relevo
+//
+// La última asignación de cada agente se guarda en agent_routing/state:
+// { lastAssigned: { "<agentId>": "2030-01-14T13:00:00.000Z" } }
+
+const admin = require('firebase-admin');
+const configService = require('./configService');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+const STATE_COLLECTION = 'agent_routing';
+const STATE_DOC_ID = 'state';
+const STRATEGIES = ['least_busy', 'round_robin'];
+const TIME_ZONE = 'America/Bogota';
+
+// Día de la semana ("monday") y hora ("14:30") de una fecha en Colombia
+function getColombiaWeekdayAndTime(date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: TIME_ZONE,
+    weekday: 'long',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = (type) => parts.find(part => part.type === type).value;
+  return { weekday: get('weekday').toLowerCase(), time: `${get('hour')}:${get('minute')}` };
+}
+
+// "8:00" → "08:00" para poder comparar horas como texto
+function normalizeTime(time) {
+  const [hour, minute = '00'] = String(time).split(':');
+  return `${hour.padStart(2, '0')}:${minute.padStart(2, '0')}`;
+}
+
+/**
+ * ¿El agente está en su horario?
+ * @param {Object} agent - Agente del roster (configService.getAgentRoster)
+ * @param {Date} date - Momento a verificar (default: ahora)
+ * @returns {boolean} true si no tiene workingHours
+ */
+function isWorking(agent, date = new Date()) {
+  if (!agent.workingHours) return true;
+
+  const { weekday, time } = getColombiaWeekdayAndTime(date);
+  const hours = agent.workingHours[weekday];
+  if (!hours || !hours.open || !hours.close) return false;
+
+  return time >= normalizeTime(hours.open) && time < normalizeTime(hours.close);
+}
+
+/**
+ * Estrategia de reparto configurada
+ * @returns {Promise<string>} least_busy | round_robin
+ */
+async function getStrategy() {
+  const config = await configService.getTenantConfig();
+  return STRATEGIES.includes(config?.agentRouting) ? config.agentRouting : 'least_busy';
+}
+
+async function getLastAssigned() {
+  try {
+    const doc = await db.collection(STATE_COLLECTION).doc(STATE_DOC_ID).get();
+    return doc.exists ? doc.data().lastAssigned || {} : {};
+  } catch (error) {
+    console.error('⚠️ [ASIGNACIÓN] No se pudo leer la última asignación:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Filtra el roster: activos en horario y con la habilidad, con los respaldos descritos arriba
+ * @param {Array} roster
+ * @param {Object} options
+ * @param {string} options.skill - Habilidad requerida (opcional)
+ * @param {string[]} options.exclude - Ids de agentes que no pueden recibirlo (ej: el que transfiere)
+ * @returns {Array}
+ */
+function findCandidates(roster, { skill = null, exclude = [] } = {}) {
+  const available = roster.filter(agent => !exclude.includes(agent.id));
+  const working = available.filter(agent => isWorking(agent));
+  const pool = working.length > 0 ? working : available;
+
+  if (!skill) return pool;
+  const skilled = pool.filter(agent => agent.skills.includes(String(skill).toLowerCase()));
+  return skilled.length > 0 ? skilled : pool;
+}
+
+/**
+ * Elige el agente para un relevo
+ * @param {Object} options
+ * @param {string} options.skill - Habilidad requerida (opcional)
+ * @param {string[]} options.exclude - Ids de agentes descartados
+ * @param {Array} options.activeHandoffs - Relevos activos (handoffService.getAllActiveHandoffs) para least_busy
+ * @returns {Promise<Object|null>} Agente del roster, o null si no hay ninguno configurado
+ */
+async function pickAgent({ skill = null, exclude = [], activeHandoffs = [] } = {}) {
+  const roster = await configService.getAgentRoster();
+  const candidates = findCandidates(roster, { skill, exclude });
+  if (candidates.length === 0) return null;
+  if (candidates.length === 1) return candidates[0];
+
+  const strategy = await getStrategy();
+  const lastAssigned = await getLastAssigned();
+  const load = countByAgent(activeHandoffs);
+
+  const ranked = [...candidates].sort((a, b) => {
+    if (strategy === 'least_busy') {
+      const byLoad = (load[a.phone] || 0) - (load[b.phone] || 0);
+      if (byLoad !== 0) return byLoad;
+    }
+    // Nunca asignado primero; después el que hace más tiempo no recibe uno
+    return (lastAssigned[a.id] || '').localeCompare(lastAssigned[b.id] || '');
+  });
+
+  console.log(`🧑‍💼 [ASIGNACIÓN] ${strategy}${skill ? ` (${skill})` : ''}: ${ranked.map(a => `${a.name}=${load[a.phone] || 0}`).join(', ')} → ${ranked[0].name}`);
+  return ranked[0];
+}
+
+/**
+ * Registra que el agente recibió un relevo (para el round robin)
+ * @param {string} agentId
+ */
+async function recordAssignment(agentId) {
+  try {
+    await db.collection(STATE_COLLECTION).doc(STATE_DOC_ID).set({ lastAssigned: { [agentId]: new Date().toISOString() } }, { merge: true });
+  } catch (error) {
+    console.error('⚠️ [ASIGNACIÓN] No se pudo guardar la asignación:', error.message);
+  }
+}
+
+/**
+ * Relevos activos por número de agente
+ * @param {Array} activeHandoffs
+ * @returns {Object} { "573001234567": 2 }
+ */
+function countByAgent(activeHandoffs) {
+  return activeHandoffs.reduce((counts, handoff) => {
+    counts[handoff.agentPhoneNumber] = (counts[handoff.agentPhoneNumber] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+module.exports = {
+  STRATEGIES,
+  isWorking,
+  getStrategy,
+  findCandidates,
+  pickAgent,
+  recordAssignment,
+  countByAgent
+};
@@ -1,12 +1,25 @@
 // services/anthropicService.js
-const Anthropic = require('@anthropic-ai/sdk');
 const logger = require('../utils/logger');
 const { getCurrentColombiaDateTime } = require('../utils/dateHelper');
 const googleDocsService = require('./googleDocsService');
+const configService = require('./configService');
+const treatmentCatalog = require('./treatmentCatalog');
+const clinicCalendar = require('./clinicCalendar');
+const { createProviderFromEnv } = require('./modelProvider');
 
-const client = new Anthropic({
-  apiKey: process.env.CLAUDE_API_KEY,
-});
+let modelProvider = createProviderFromEnv();
+
+/**
+ * Reemplaza el proveedor de modelo (ej: createScriptedProvider en pruebas)
+ * @param {{createMessage: Function}} provider - null restaura el proveedor por entorno
+ */
+function setModelProvider(provider) {
+  modelProvider = provider || createProviderFromEnv();
+}
+
+function getModelProvider() {
+  return modelProvider;
+}
 
 /**
  * Limpia el historial de conversación para eliminar tool_use huérfanos
@@ -66,7 +79,13 @@ function cleanConversationHistory(history) {
   return cleaned;
 }
 
-async function handleConversation(freeText, conversationHistory) {
+/**
+ * @param {string} freeText - Mensaje (o resultado de tool) a enviar al modelo
+ * @param {Array} conversationHistory - Historial previo
+ * @param {Object} context - { conversationId } usado por el proveedor scripted,
+ *   { bookingStep } etapa del agendamiento (ver bookingFlow.describeStep)
+ */
+async function handleConversation(freeText, conversationHistory, context = {}) {
   try {
     const currentDateContext = getCurrentColombiaDateTime();
     const needsClinicInfo = requiresClinicInfo(freeText, conversationHistory);
@@ -76,13 +95,31 @@ async function handleConversation(freeText, conversationHistory) {
       clinicInfo = await googleDocsService.getDocumentContent();
     }
 
+    const roster = await configService.getDentistRoster();
+    const dentistsContext = roster.length > 1
+      ? `👩‍⚕️ DENTISTAS: ${roster.map(d => `${d.name} (dentistId ${d.id})`).join(', ')}. Si el paciente pide un dentista, pasa su dentistId a getAvailableTimeSlots, createAppointment y updateAppointment. Si no pide, no preguntes: se asigna el que esté libre.`
+      : '';
+
+    // Habilidades de los agentes: requestHumanAgent puede pedir un agente que sepa del tema
+    const agentSkills = [...new Set((await configService.getAgentRoster()).flatMap(agent => agent.skills))];
+
+    const treatments = await treatmentCatalog.getTreatments();
+    const horizonDays = await clinicCalendar.getBookingHorizonDays();
+    const treatmentsContext = `🦷 TRATAMIENTOS: ${treatments.map(t => `${t.name} (${t.id}, ${t.duration} min)`).join(', ')}. Si el paciente dice qué se va a hacer, pasa su id como treatment a getAvailableTimeSlots: la duración cambia los horarios disponibles.`;
+
     const SYSTEM_PROMPT = `
 Eres Paola. Ayudas a registrar, agendar y gestionar citas en Dentalink. Tono cálido.
 
 Fecha/hora: ${currentDateContext}. Úsala para interpretar "mañana" o "lunes".
 
+${context.bookingStep || ''}
+
 ${clinicInfo ? `📋 INFO CLÍNICA: ${clinicInfo}\n⚠️ Da solo lo solicitado, sin listas completas.` : ''}
 
+${dentistsContext}
+
+${treatmentsContext}
+
 REGLAS: Max 35 palabras. Lenguaje neutro. Sin términos médicos. Precios aproximados.
 
 🙏 GRACIAS/DESPEDIDAS: Si el usuario dice "gracias", "muchas gracias", "ok", "perfecto", "listo" después de completar una acción → responde cordialmente SIN usar tools. Ejemplo: "¡Con gusto! Que tengas excelente día 😊"
@@ -91,6 +128,8 @@ REGLAS: Max 35 palabras. Lenguaje neutro. Sin términos médicos. Precios aproxi
 
 ⚠️ DOCUMENTO CORRECTO: SIEMPRE usa el documentNumber del mensaje "[CONTEXTO INTERNO]". Si ves múltiples documentos en el historial, ignora los viejos y usa SOLO el del contexto interno más reciente.
 
+📎 ARCHIVOS: "📎 [El paciente envió ...]" describe una imagen o PDF del paciente. Si trae "Número de documento", úsalo con findPatientByDocument sin volver a pedirlo. No diagnostiques por fotos: ofrece cita de valoración.
+
 ⚠️ CRÍTICO: Historial tiene info DESACTUALIZADA. SIEMPRE consulta Dentalink con getAppointmentsByPatient antes de modificar/cancelar.
 
 FLUJO:
@@ -117,9 +156,11 @@ Ejemplo: Slot {"fecha_raw":"2026-01-20","hora":"08:00","fecha_legible":"Martes,
 ⚠️ NUNCA respondas antes de tener los slots. Siempre llama AMBOS tools primero.
 
 CANCELAR: cancelAppointment(id_cita)
-NUEVAS: createAppointment solo para citas nuevas
+LISTA DE ESPERA: Si no hay disponibilidad, ofrece anotarlo. Si acepta → joinWaitlist(dateFrom, dateTo) con las fechas que le sirven.
+NUEVAS: createAppointment solo para citas nuevas. Si el paciente ya tiene una cita activa, createAppointment la rechaza: ofrece modificarla, cancelarla o mantenerla.
+✅ CONFIRMACIÓN: createAppointment, updateAppointment y cancelAppointment NO escriben en Dentalink: le envían al paciente un resumen con botones "Sí, confirmar" / "No, dejarlo así" y el cambio se hace cuando confirma. Llama la herramienta en cuanto el paciente elija; no le pidas confirmación por texto antes.
 
-TOOLS: findPatientByDocument, getAvailableTimeSlots, createAppointment (solo nuevas), createPatient, getAppointmentsByPatient, updateAppointment, cancelAppointment, requestHumanAgent
+TOOLS: findPatientByDocument, getAvailableTimeSlots, createAppointment (solo nuevas), createPatient, getAppointmentsByPatient, updateAppointment, cancelAppointment, joinWaitlist, requestHumanAgent
 
 ⚠️ Si algo falla o no puedes resolver: requestHumanAgent
 
@@ -149,11 +190,13 @@ No saludo inicial. Despedida cálida.
       },
       {
         name: "getAvailableTimeSlots",
-        description: "Obtiene las citas disponibles en un día o rango de fechas específico. Puede usarse sin un parámetro de fecha para buscar los próximos 13 días.",
+        description: `Obtiene las citas disponibles en un día o rango de fechas específico. Puede usarse sin un parámetro de fecha para buscar los próximos ${horizonDays} días. Respeta horario, festivos y días bloqueados de la clínica.`,
         input_schema: {
           type: "object",
           properties: {
-            date: { type: "string", description: "La fecha específica para la búsqueda en formato YYYY-MM-DD. Si no se especifica, busca en los próximos 13 días." }
+            date: { type: "string", description: `La fecha específica para la búsqueda en formato YYYY-MM-DD. Si no se especifica, busca en los próximos ${horizonDays} días.` },
+            dentistId: { type: "integer", description: "Solo si el paciente pidió un dentista específico." },
+            treatment: { type: "string", enum: treatments.map(t => t.id), description: "Tratamiento de la cita, si el paciente lo indicó. Define la duración." }
           }
         }
       },
@@ -166,7 +209,9 @@ No saludo inicial. Despedida cálida.
             date: { type: "string", description: "La fecha EXACTA de la cita (YYYY-MM-DD). Usa 'fecha_raw' de los slots." },
             time: { type: "string", description: "La hora de la cita (HH:mm)." },
             documentNumber: { type: "string", description: "El número de documento del usuario." },
-            reason: { type: "string", description: "Motivo de la cita en MÁXIMO 5 palabras (opcional)." }
+            reason: { type: "string", description: "Motivo de la cita en MÁXIMO 5 palabras (opcional)." },
+            dentistId: { type: "integer", description: "Solo si el paciente pidió un dentista específico." },
+            treatment: { type: "string", enum: treatments.map(t => t.id), description: "El mismo treatment usado en getAvailableTimeSlots (opcional)." }
           },
           required: ["date", "time", "documentNumber"]
         }
@@ -213,7 +258,8 @@ No saludo inicial. Despedida cálida.
           properties: {
             id_sesion: { type: "integer", description: "ID de la cita a modificar" },
             date: { type: "string", description: "Nueva fecha (YYYY-MM-DD)" },
-            time: { type: "string", description: "Nueva hora (HH:mm)" }
+            time: { type: "string", description: "Nueva hora (HH:mm)" },
+            dentistId: { type: "integer", description: "Solo si el paciente pidió cambiar de dentista." }
           },
           required: ["id_sesion", "date", "time"]
         }
@@ -230,20 +276,36 @@ No saludo inicial. Despedida cálida.
           required: ["id_cita"]
         }
       },
+      {
+        name: "joinWaitlist",
+        description: "Anota al paciente en la lista de espera cuando no hay disponibilidad. Si se libera un horario en ese rango, se le ofrece por WhatsApp.",
+        input_schema: {
+          type: "object",
+          properties: {
+            documentNumber: { type: "string", description: "El número de documento del usuario." },
+            dateFrom: { type: "string", description: "Primera fecha que le sirve (YYYY-MM-DD)." },
+            dateTo: { type: "string", description: "Última fecha que le sirve (YYYY-MM-DD). Igual a dateFrom si es un solo día." }
+          },
+          required: ["documentNumber", "dateFrom"]
+        }
+      },
       {
         name: "requestHumanAgent",
         description: "Inicia relevo con agente humano cuando el usuario lo pide o el bot no puede resolver.",
         input_schema: {
           type: "object",
           properties: {
-            reason: { type: "string", description: "Razón del relevo" }
+            reason: { type: "string", description: "Razón del relevo" },
+            ...(agentSkills.length > 0 && {
+              skill: { type: "string", enum: agentSkills, description: "Tema del caso, para pasarlo a un agente que lo maneje (opcional)." }
+            })
           },
           required: ["reason"]
         }
       }
     ];
 
-    const response = await client.messages.create({
+    const response = await modelProvider.createMessage({
       model: "claude-sonnet-4-20250514",
       max_tokens: 1024,
       system: [
@@ -258,7 +320,7 @@ No saludo inicial. Despedida cálida.
         ...tool,
         ...(index === tools.length - 1 ? { cache_control: { type: "ephemeral" } } : {})
       }))
-    });
+    }, context);
 
     logger('Respuesta de Claude', response.content);
 
@@ -297,4 +359,4 @@ function requiresClinicInfo(userMessage, history) {
   return keywords.some(kw => recentMessages.includes(kw));
 }
 
-module.exports = { handleConversation };
+module.exports = { handleConversation, setModelProvider, getModelProvider };
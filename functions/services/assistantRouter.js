@@ -4,10 +4,11 @@
 const Anthropic = require('@anthropic-ai/sdk');
 const { sendText } = require('./whatsappService');
 const dentalinkService = require('./dentalinkService');
-const handoffService = require('./handoffService');
+const agentCommandService = require('./agentCommandService');
 const { getOrCreateSession, setSession } = require('./sessionService');
 const { getCurrentColombiaDateTime, getColombiaDateObject } = require('../utils/dateHelper');
 const googleDocsService = require('./googleDocsService');
+const configService = require('./configService');
 const chrono = require('chrono-node');
 
 const client = new Anthropic({
@@ -17,9 +18,9 @@ const client = new Anthropic({
 // Maneja consultas del agente
 async function handleAgentQuery(from, message) {
   try {
-    // Comandos especiales
-    if (message.trim().toLowerCase() === '/cerrar') {
-      return await handleCloseCommand(from);
+    // Comandos (/chats, /a, /cerrar, /bot, /nota, /cita)
+    if (agentCommandService.isCommand(message)) {
+      return await agentCommandService.handleCommand(from, message);
     }
 
     // Consultas sobre citas
@@ -36,24 +37,6 @@ async function handleAgentQuery(from, message) {
   }
 }
 
-// Comando /cerrar
-async function handleCloseCommand(from) {
-  try {
-    const closedCount = await handoffService.closeAllAgentHandoffs(from);
-
-    if (closedCount === 0) {
-      await sendText(from, '⚠️ No tienes chats activos para cerrar.');
-    } else if (closedCount === 1) {
-      await sendText(from, '✅ Chat cerrado. El cliente volverá a interactuar con el bot.');
-    } else {
-      await sendText(from, `✅ ${closedCount} chats cerrados.`);
-    }
-  } catch (error) {
-    console.error('❌ Error en handleCloseCommand:', error);
-    await sendText(from, '❌ Error cerrando los chats.');
-  }
-}
-
 function isAppointmentQuery(message) {
   const keywords = ['cita', 'citas', 'agenda', 'paciente', 'hoy', 'mañana', 'esta semana', 'próximo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado', 'semana'];
   return keywords.some(kw => message.toLowerCase().includes(kw));
@@ -165,6 +148,10 @@ async function handleAppointmentQuery(from, message) {
 function formatAppointmentsSimple(appointments, dateLabel, isRange = false) {
   let response = `📅 *Citas ${dateLabel}:*\n\n`;
 
+  // Con varios dentistas en el roster cada cita dice con quién es
+  const dentists = new Set(appointments.map(apt => apt.nombre_dentista).filter(Boolean));
+  const withDentist = (apt) => (dentists.size > 1 ? ` · ${apt.nombre_dentista}` : '');
+
   if (isRange) {
     // Agrupar por fecha
     const byDate = {};
@@ -178,7 +165,7 @@ function formatAppointmentsSimple(appointments, dateLabel, isRange = false) {
       byDate[date].forEach(apt => {
         const hora = apt.hora_inicio.substring(0, 5);
         const motivo = apt.comentarios ? ` - _${apt.comentarios}_` : '';
-        response += `⏰ ${hora} - ${apt.nombre_paciente} (${apt.estado})${motivo}\n`;
+        response += `⏰ ${hora} - ${apt.nombre_paciente} (${apt.estado})${withDentist(apt)}${motivo}\n`;
       });
       response += '\n';
     }
@@ -186,7 +173,7 @@ function formatAppointmentsSimple(appointments, dateLabel, isRange = false) {
     appointments.forEach(apt => {
       const hora = apt.hora_inicio.substring(0, 5);
       const motivo = apt.comentarios ? ` - _${apt.comentarios}_` : '';
-      response += `⏰ ${hora} - ${apt.nombre_paciente} (${apt.estado})${motivo}\n`;
+      response += `⏰ ${hora} - ${apt.nombre_paciente} (${apt.estado})${withDentist(apt)}${motivo}\n`;
     });
   }
 
@@ -200,7 +187,7 @@ async function formatAppointmentsWithAI(query, appointments) {
     const currentDateContext = getCurrentColombiaDateTime();
 
     const SYSTEM_PROMPT = `
-Eres una Secretaria Virtual profesional. Presenta información de citas al Dr. Camilo.
+Eres una Secretaria Virtual profesional. Presenta información de citas al equipo de la clínica dental.
 
 Fecha actual: ${currentDateContext}
 
@@ -252,11 +239,13 @@ async function handleGeneralQuery(from, message) {
 
     const currentDateContext = getCurrentColombiaDateTime();
     const clinicInfo = await googleDocsService.getDocumentContent();
+    const agent = await configService.getAgentByPhone(from);
+    const agentName = agent?.name || 'un miembro del equipo';
 
     const SYSTEM_PROMPT = `
-Eres una Secretaria Virtual eficiente y profesional. Asistes al Dr. Camilo en la gestión de su consultorio dental.
+Eres una Secretaria Virtual eficiente y profesional. Asistes al equipo de la clínica dental en la gestión del consultorio.
 
-IMPORTANTE: Estás hablando CON el Dr. Camilo (el odontólogo), NO con un paciente. Trátalo como tu jefe.
+IMPORTANTE: Estás hablando CON ${agentName}, del equipo de la clínica, NO con un paciente. Trátalo como tu jefe.
 
 Fecha y hora actual: ${currentDateContext}
 
@@ -264,9 +253,9 @@ ${clinicInfo ? `📋 INFORMACIÓN DE LA CLÍNICA (SOLO PARA REFERENCIA):
 ${clinicInfo}
 
 ⚠️ Cómo usar esta información:
-- Úsala como REFERENCIA para responder preguntas del doctor
+- Úsala como REFERENCIA para responder preguntas del equipo
 - NUNCA copies y pegues texto literal del documento
-- Da solo la información específica que el doctor pregunta
+- Da solo la información específica que te preguntan
 - Responde de forma natural y profesional
 - Sé concisa: respuestas directas, sin enumerar listas largas
 ` : ''}
@@ -277,15 +266,18 @@ Capacidades:
 - Mantener un tono profesional pero cercano
 - Ser concisa y directa en tus respuestas
 
-Comandos disponibles para el doctor:
+Comandos disponibles para el equipo:
 - "¿Cuántas citas tengo hoy?" - Consultar agenda
-- "/cerrar" - Cerrar chat activo con un cliente
+- "/chats" - Ver sus chats abiertos con pacientes; "/a <id>" para cambiar de chat
+- "/cerrar" o "/bot" - Cerrar el chat activo o devolver el paciente al bot
+- "/nota <texto>" - Nota interna; "/cita <documento>" - Citas de un paciente
+- "/ayuda" - Lista de comandos
 
 REGLAS:
 - Responde SOLO lo que te preguntan
 - Sé profesional pero concisa
 - NO des más información de la necesaria
-- NUNCA lo trates como paciente, él es el doctor
+- NUNCA lo trates como paciente, es del equipo de la clínica
 `;
 
     const messages = session.history.map(m => ({ role: m.role, content: m.content }));
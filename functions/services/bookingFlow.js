@@ -0,0 +1,315 @@
+// services/bookingFlow.js
+// Máquina de estados del agendamiento (session.step y session.booking)
+//
+// El modelo sigue conduciendo la conversación, pero la etapa queda registrada en la sesión
+// y las escrituras en Dentalink pasan por las guardas de este módulo:
+//
+//   init ──paciente identificado──▶ choose_action ──horarios ofrecidos──▶ choose_slot
+//        ──acción propuesta──▶ confirm ──el paciente confirma: cita creada, movida o cancelada──▶ done
+//
+// - init: todavía no se sabe quién es el paciente
+// - choose_action: paciente identificado; decide si agenda, reagenda, cancela o mantiene su cita
+// - choose_slot: se le ofrecieron horarios (session.availableSlots)
+// - confirm: se le envió el resumen de la acción con los botones Sí/No (booking.pending).
+//   Dentalink no se toca hasta que toque "Sí, confirmar"; si no responde, la acción vence
+// - done: la acción terminó; cualquier mensaje nuevo vuelve a empezar el flujo
+//
+// session.booking = {
+//   patientId,                 paciente identificado en Dentalink
+//   activeAppointmentIds: [],  citas que devolvió getAppointmentsByPatient (las únicas que se pueden mover)
+//   pending: {                 acción que espera la confirmación del paciente (etapa confirm)
+//     id,                      "update_41_2030-01-18_15:00": va en el id de los botones
+//     action,                  create | update | cancel
+//     date, time, appointmentId, documentNumber, reason, options,
+//     summary,                 texto que vio el paciente
+//     expiresAt                ISO; después de BOOKING_CONFIRMATION_TTL_MINUTES los botones ya no sirven
+//   }
+// }
+
+const readNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const CONFIRMATION_TTL_MINUTES = readNumber(process.env.BOOKING_CONFIRMATION_TTL_MINUTES, 15);
+const CONFIRM_PREFIX = 'booking_confirm:';
+const ABORT_PREFIX = 'booking_abort:';
+
+const STEPS = {
+  INIT: 'init',
+  CHOOSE_ACTION: 'choose_action',
+  CHOOSE_SLOT: 'choose_slot',
+  CONFIRM: 'confirm',
+  DONE: 'done'
+};
+
+const ANY = '*';
+
+// evento → { etapa actual: etapa siguiente }. Un evento que no aplica a la etapa actual no la cambia.
+const TRANSITIONS = {
+  patientIdentified: { [STEPS.INIT]: STEPS.CHOOSE_ACTION, [STEPS.DONE]: STEPS.CHOOSE_ACTION },
+  appointmentsLoaded: { [ANY]: STEPS.CHOOSE_ACTION },
+  slotsOffered: { [ANY]: STEPS.CHOOSE_SLOT },
+  actionProposed: { [ANY]: STEPS.CONFIRM },
+  actionAborted: { [STEPS.CONFIRM]: STEPS.CHOOSE_ACTION },
+  bookingFailed: { [STEPS.CONFIRM]: STEPS.CHOOSE_SLOT },
+  bookingCompleted: { [STEPS.CONFIRM]: STEPS.DONE },
+  appointmentCancelled: { [ANY]: STEPS.DONE }
+};
+
+// Texto para el modelo según la etapa (ver anthropicService.handleConversation)
+const STEP_HINTS = {
+  [STEPS.INIT]: 'Aún no sabes quién es el paciente: pide su número de documento antes de agendar o modificar.',
+  [STEPS.CHOOSE_ACTION]: 'Paciente identificado. Averigua si quiere agendar, reagendar, cancelar o mantener su cita.',
+  [STEPS.CHOOSE_SLOT]: 'Ya se le ofrecieron horarios: espera a que elija uno (o pida otra fecha).',
+  [STEPS.CONFIRM]: 'Se le envió el resumen de la acción con botones para confirmar; Dentalink no cambia hasta que toque "Sí, confirmar". Si escribe en vez de tocar un botón, pídele que use los botones, o vuelve a llamar la herramienta si quiere otra cosa.',
+  [STEPS.DONE]: 'La última acción terminó. Si pide algo nuevo, empieza de nuevo el flujo.'
+};
+
+function getStep(session) {
+  return session.step && STEP_HINTS[session.step] ? session.step : STEPS.INIT;
+}
+
+function getBooking(session) {
+  if (!session.booking) {
+    session.booking = { patientId: null, activeAppointmentIds: [], pending: null };
+  }
+  return session.booking;
+}
+
+/**
+ * Aplica un evento a la sesión (solo en memoria; se guarda con el siguiente setSession)
+ * @param {Object} session
+ * @param {string} event - Clave de TRANSITIONS
+ * @returns {string} Etapa resultante
+ */
+function transition(session, event) {
+  const current = getStep(session);
+  const rules = TRANSITIONS[event] || {};
+  const next = rules[current] || rules[ANY];
+
+  if (next && next !== current) {
+    console.log(`🧭 [FLUJO] ${current} → ${next} (${event})`);
+  }
+  session.step = next || current;
+  return session.step;
+}
+
+/**
+ * El paciente quedó identificado (findPatientByDocument, createPatient, memoria persistente)
+ * @param {Object} session
+ * @param {number|string} patientId - id de Dentalink (opcional)
+ */
+function patientIdentified(session, patientId = null) {
+  if (patientId) getBooking(session).patientId = patientId;
+  transition(session, 'patientIdentified');
+}
+
+/**
+ * Se consultaron las citas activas del paciente en Dentalink
+ * Solo estas citas (y la que resulte de moverlas) se pueden modificar después
+ * @param {Object} session
+ * @param {Array<number|string>} appointmentIds
+ * @param {number|string} patientId - id de Dentalink (opcional)
+ */
+function appointmentsLoaded(session, appointmentIds, patientId = null) {
+  const booking = getBooking(session);
+  booking.activeAppointmentIds = appointmentIds.map(String);
+  if (patientId) booking.patientId = patientId;
+  transition(session, 'appointmentsLoaded');
+}
+
+/**
+ * Se le ofrecieron horarios al paciente
+ * @param {Object} session
+ */
+function slotsOffered(session) {
+  transition(session, 'slotsOffered');
+}
+
+// Id estable de la acción: el mismo horario propuesto dos veces usa los mismos botones
+function buildPendingId({ action, appointmentId, date, time }) {
+  return [action, appointmentId, date, time].filter(Boolean).join('_');
+}
+
+/**
+ * Se propuso una escritura en Dentalink y se espera que el paciente la confirme
+ * Reemplaza a la acción pendiente anterior, si la había
+ * @param {Object} session
+ * @param {Object} action - { action: 'create' | 'update' | 'cancel', date, time, appointmentId, summary, ... }
+ * @returns {Object} La acción pendiente, con id y expiresAt
+ */
+function actionProposed(session, action) {
+  const pending = {
+    ...action,
+    id: buildPendingId(action),
+    expiresAt: new Date(Date.now() + CONFIRMATION_TTL_MINUTES * 60 * 1000).toISOString()
+  };
+  getBooking(session).pending = pending;
+  transition(session, 'actionProposed');
+  return pending;
+}
+
+/**
+ * El paciente no confirmó (botón "No" o la acción venció): no se escribe nada
+ * @param {Object} session
+ */
+function actionAborted(session) {
+  getBooking(session).pending = null;
+  transition(session, 'actionAborted');
+}
+
+/**
+ * Acción pendiente de la sesión (aunque ya haya vencido)
+ * @param {Object} session
+ * @returns {Object|null}
+ */
+function getPendingAction(session) {
+  return getBooking(session).pending || null;
+}
+
+/**
+ * @param {Object} pending - Acción pendiente
+ * @returns {boolean} true si ya pasó BOOKING_CONFIRMATION_TTL_MINUTES desde que se propuso
+ */
+function isExpired(pending) {
+  return !pending?.expiresAt || new Date(pending.expiresAt).getTime() <= Date.now();
+}
+
+/**
+ * Botones Sí/No que acompañan al resumen de la acción
+ * @param {Object} pending - Acción pendiente
+ * @returns {Array<{id: string, title: string}>}
+ */
+function confirmationButtons(pending) {
+  return [
+    { id: `${CONFIRM_PREFIX}${pending.id}`, title: 'Sí, confirmar' },
+    { id: `${ABORT_PREFIX}${pending.id}`, title: 'No, dejarlo así' }
+  ];
+}
+
+/**
+ * @param {string} buttonId - button_reply.id
+ * @returns {boolean}
+ */
+function isConfirmationButton(buttonId) {
+  return typeof buttonId === 'string' && (buttonId.startsWith(CONFIRM_PREFIX) || buttonId.startsWith(ABORT_PREFIX));
+}
+
+/**
+ * @param {string} buttonId - button_reply.id de confirmationButtons
+ * @returns {{confirmed: boolean, pendingId: string}|null}
+ */
+function parseConfirmationButton(buttonId) {
+  if (!isConfirmationButton(buttonId)) return null;
+  const confirmed = buttonId.startsWith(CONFIRM_PREFIX);
+  return {
+    confirmed,
+    pendingId: buttonId.substring((confirmed ? CONFIRM_PREFIX : ABORT_PREFIX).length)
+  };
+}
+
+/**
+ * Dentalink rechazó el horario confirmado (ocupado o error): se vuelve a elegir
+ * @param {Object} session
+ */
+function bookingFailed(session) {
+  getBooking(session).pending = null;
+  transition(session, 'bookingFailed');
+}
+
+/**
+ * La cita se creó o se movió
+ * @param {Object} session
+ * @param {number|string} appointmentId - Cita resultante
+ */
+function bookingCompleted(session, appointmentId) {
+  const booking = getBooking(session);
+  const { pending } = booking;
+
+  // Dentalink crea una cita nueva al mover: reemplaza a la original en las que se pueden modificar
+  if (pending?.action === 'update' && appointmentId) {
+    booking.activeAppointmentIds = booking.activeAppointmentIds
+      .filter(id => id !== String(pending.appointmentId))
+      .concat(String(appointmentId));
+  }
+  booking.pending = null;
+  transition(session, 'bookingCompleted');
+}
+
+/**
+ * La cita se canceló
+ * @param {Object} session
+ * @param {number|string} appointmentId
+ */
+function appointmentCancelled(session, appointmentId) {
+  const booking = getBooking(session);
+  booking.activeAppointmentIds = booking.activeAppointmentIds.filter(id => id !== String(appointmentId));
+  booking.pending = null;
+  transition(session, 'appointmentCancelled');
+}
+
+/**
+ * Guarda de updateAppointment y cancelAppointment: la cita debe haber salido de getAppointmentsByPatient
+ * @param {Object} session
+ * @param {number|string} appointmentId
+ * @returns {boolean}
+ */
+function canUpdateAppointment(session, appointmentId) {
+  if (!appointmentId) return false;
+  return getBooking(session).activeAppointmentIds.includes(String(appointmentId));
+}
+
+/**
+ * Guarda de createAppointment: no se crea otra cita si el paciente ya tiene una activa
+ * @param {Array} activeAppointments - Resultado de dentalinkService.getAppointmentsByPatient
+ * @returns {boolean}
+ */
+function canCreateAppointment(activeAppointments) {
+  return !activeAppointments || activeAppointments.length === 0;
+}
+
+/**
+ * Línea de contexto para el prompt con la etapa actual
+ * @param {Object} session
+ * @returns {string}
+ */
+function describeStep(session) {
+  const step = getStep(session);
+  const pending = step === STEPS.CONFIRM ? getPendingAction(session) : null;
+  const waiting = pending && !isExpired(pending) ? ` Acción pendiente: "${pending.summary}".` : '';
+  return `📍 ETAPA: ${step}. ${STEP_HINTS[step]}${waiting}`;
+}
+
+/**
+ * Campos de la sesión que hay que guardar con setSession
+ * @param {Object} session
+ * @returns {{step: string, booking: Object}}
+ */
+function toSession(session) {
+  return { step: getStep(session), booking: getBooking(session) };
+}
+
+module.exports = {
+  STEPS,
+  CONFIRMATION_TTL_MINUTES,
+  getStep,
+  transition,
+  patientIdentified,
+  appointmentsLoaded,
+  slotsOffered,
+  actionProposed,
+  actionAborted,
+  getPendingAction,
+  isExpired,
+  confirmationButtons,
+  isConfirmationButton,
+  parseConfirmationButton,
+  bookingFailed,
+  bookingCompleted,
+  appointmentCancelled,
+  canUpdateAppointment,
+  canCreateAppointment,
+  describeStep,
+  toSession
+};
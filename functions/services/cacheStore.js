@@ -0,0 +1,187 @@
+// services/cacheStore.js
+// Cache con backend intercambiable para las consultas a Dentalink.
+//   - memory: Map por instancia (desarrollo local, DENTALINK_CACHE_BACKEND=memory)
+//   - firestore: colección compartida por todas las instancias; sobrevive a los cold starts
+//
+// Cada namespace ("patients", "slots") tiene una versión. invalidate() la incrementa y
+// todo lo guardado con la versión anterior deja de servir, incluido lo que otra
+// instancia esté calculando en ese momento (se guarda con la versión leída al empezar).
+const crypto = require('crypto');
+
+const CACHE_COLLECTION = 'dentalink_cache';
+const VERSIONS_DOC_ID = '_versions';
+
+// Id de documento estable y sin "/" para cualquier clave
+function getEntryId(namespace, key) {
+  return crypto.createHash('sha1').update(`${namespace}:${key}`).digest('hex');
+}
+
+/**
+ * Backend en memoria (por instancia)
+ * @returns {Object} Backend con read/write/bumpVersion/clear
+ */
+function createMemoryBackend() {
+  const entries = new Map();
+  const versions = new Map();
+
+  return {
+    name: 'memory',
+
+    async read(namespace, key) {
+      return {
+        version: versions.get(namespace) || 0,
+        entry: entries.get(getEntryId(namespace, key)) || null
+      };
+    },
+
+    async write(namespace, key, entry) {
+      entries.set(getEntryId(namespace, key), { namespace, ...entry });
+    },
+
+    async bumpVersion(namespace) {
+      versions.set(namespace, (versions.get(namespace) || 0) + 1);
+      // Las entradas viejas ya no sirven: se liberan
+      for (const [id, entry] of entries) {
+        if (entry.namespace === namespace) entries.delete(id);
+      }
+    },
+
+    async clear() {
+      entries.clear();
+      versions.clear();
+    }
+  };
+}
+
+/**
+ * Backend en Firestore (compartido entre instancias)
+ * `expiresAt` permite configurar una política TTL de Firestore para borrar entradas vencidas
+ * @param {string} collectionName - Colección donde se guardan las entradas
+ * @returns {Object} Backend con read/write/bumpVersion/clear
+ */
+function createFirestoreBackend(collectionName = CACHE_COLLECTION) {
+  const admin = require('firebase-admin');
+  if (!admin.apps.length) {
+    admin.initializeApp();
+  }
+
+  const collection = admin.firestore().collection(collectionName);
+  const versionsRef = collection.doc(VERSIONS_DOC_ID);
+
+  return {
+    name: 'firestore',
+
+    async read(namespace, key) {
+      const [versions, entry] = await Promise.all([
+        versionsRef.get(),
+        collection.doc(getEntryId(namespace, key)).get()
+      ]);
+      return {
+        version: versions.exists ? (versions.data()[namespace] || 0) : 0,
+        entry: entry.exists ? entry.data() : null
+      };
+    },
+
+    async write(namespace, key, entry) {
+      await collection.doc(getEntryId(namespace, key)).set({
+        namespace,
+        key,
+        ...entry,
+        expiresAt: new Date(entry.expiresAtMs)
+      });
+    },
+
+    async bumpVersion(namespace) {
+      await versionsRef.set({
+        [namespace]: admin.firestore.FieldValue.increment(1)
+      }, { merge: true });
+    },
+
+    async clear() {
+      const snapshot = await collection.get();
+      if (snapshot.empty) return;
+      const batch = admin.firestore().batch();
+      snapshot.docs.forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+    }
+  };
+}
+
+/**
+ * Crea un cache sobre un backend. Si el backend falla, se consulta directo a la fuente
+ * (nunca se devuelve un error del cache al llamador)
+ * @param {Object} backend - createMemoryBackend() o createFirestoreBackend()
+ * @returns {{wrap: Function, invalidate: Function, clear: Function, backend: string}}
+ */
+function createCache(backend) {
+  /**
+   * Devuelve el valor cacheado o lo calcula con `loader` y lo guarda
+   * @param {string} namespace - Grupo de claves que se invalida junto ("slots")
+   * @param {string} key
+   * @param {Object} options
+   * @param {number} options.ttlMs - Vigencia de la entrada
+   * @param {Function} options.cacheIf - Decide si el valor se guarda (default: no null)
+   * @param {Function} loader - async () => valor (debe ser serializable a JSON)
+   * @returns {Promise<*>}
+   */
+  async function wrap(namespace, key, { ttlMs, cacheIf = value => value !== null && value !== undefined }, loader) {
+    let version = null;
+
+    try {
+      const { version: currentVersion, entry } = await backend.read(namespace, key);
+      version = currentVersion;
+      if (entry && entry.version === currentVersion && entry.expiresAtMs > Date.now()) {
+        return JSON.parse(entry.value);
+      }
+    } catch (error) {
+      console.error(`⚠️ [CACHE] Error leyendo ${namespace} (${backend.name}):`, error.message);
+    }
+
+    const value = await loader();
+
+    // Sin versión conocida no se guarda: podría quedar una entrada que no se invalida
+    if (version !== null && cacheIf(value)) {
+      try {
+        await backend.write(namespace, key, {
+          version,
+          value: JSON.stringify(value),
+          expiresAtMs: Date.now() + ttlMs
+        });
+      } catch (error) {
+        console.error(`⚠️ [CACHE] Error guardando ${namespace} (${backend.name}):`, error.message);
+      }
+    }
+
+    return value;
+  }
+
+  /**
+   * Invalida todas las entradas de los namespaces indicados
+   * @param {...string} namespaces
+   * @returns {Promise<void>}
+   */
+  async function invalidate(...namespaces) {
+    await Promise.all(namespaces.map(async namespace => {
+      try {
+        await backend.bumpVersion(namespace);
+        console.log(`🧹 [CACHE] ${namespace} invalidado`);
+      } catch (error) {
+        console.error(`❌ [CACHE] No se pudo invalidar ${namespace} (${backend.name}):`, error.message);
+      }
+    }));
+  }
+
+  return {
+    wrap,
+    invalidate,
+    clear: () => backend.clear(),
+    backend: backend.name
+  };
+}
+
+module.exports = {
+  CACHE_COLLECTION,
+  createCache,
+  createMemoryBackend,
+  createFirestoreBackend
+};
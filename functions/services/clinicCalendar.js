@@ -0,0 +1,117 @@
+// services/clinicCalendar.js
+// Responde si la clínica (o un dentista) atiende en una fecha y en qué horario.
+// Combina, en este orden: bloqueos (vacaciones), excepciones por día,
+// festivos de Colombia y horario semanal (ver configService.getScheduleConfig).
+const configService = require('./configService');
+const { getColombianHoliday } = require('../utils/colombianHolidays');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Día de la semana de una fecha YYYY-MM-DD, sin depender de la zona horaria
+function getWeekday(dateStr) {
+  return WEEKDAYS[new Date(`${dateStr}T00:00:00Z`).getUTCDay()];
+}
+
+function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+// "7:00" → "07:00" para poder comparar horas como texto
+function normalizeTime(time) {
+  if (!time) return null;
+  const [hour, minute = '00'] = String(time).split(':');
+  return `${hour.padStart(2, '0')}:${minute.padStart(2, '0')}`;
+}
+
+// Bloqueo que cubre la fecha: de toda la clínica o del dentista indicado
+function findBlackout(blackoutDates, dateStr, dentistId) {
+  return blackoutDates.find(blackout => {
+    const from = blackout.from || blackout.date;
+    const to = blackout.to || from;
+    if (!from || dateStr < from || dateStr > to) return false;
+    if (!blackout.dentistId) return true;
+    return dentistId !== null && parseInt(blackout.dentistId, 10) === parseInt(dentistId, 10);
+  }) || null;
+}
+
+/**
+ * Horario de atención de una fecha
+ * @param {string} dateStr - Fecha en formato YYYY-MM-DD
+ * @param {Object} options
+ * @param {number} options.dentistId - Aplica también los bloqueos de ese dentista
+ * @returns {Promise<{closed: boolean, open?: string, close?: string, reason?: string}>}
+ */
+async function getDaySchedule(dateStr, { dentistId = null } = {}) {
+  const schedule = await configService.getScheduleConfig();
+
+  const blackout = findBlackout(schedule.blackoutDates, dateStr, dentistId);
+  if (blackout) {
+    return { closed: true, reason: blackout.reason || 'Agenda bloqueada' };
+  }
+
+  const weekly = schedule.weeklyHours[getWeekday(dateStr)] || null;
+  const override = schedule.overrides[dateStr];
+  if (override) {
+    if (override.closed) {
+      return { closed: true, reason: override.reason || 'Clínica cerrada' };
+    }
+    const open = normalizeTime(override.open || weekly?.open);
+    const close = normalizeTime(override.close || weekly?.close);
+    if (open && close) return { closed: false, open, close };
+  }
+
+  if (schedule.observeHolidays) {
+    const holiday = getColombianHoliday(dateStr);
+    if (holiday) return { closed: true, reason: `Festivo: ${holiday}` };
+  }
+
+  if (!weekly || !weekly.open || !weekly.close) {
+    return { closed: true, reason: 'La clínica no atiende ese día' };
+  }
+
+  return { closed: false, open: normalizeTime(weekly.open), close: normalizeTime(weekly.close) };
+}
+
+/**
+ * Indica si hay atención en la fecha
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {Object} options - { dentistId }
+ * @returns {Promise<boolean>}
+ */
+async function isOpenDay(dateStr, options = {}) {
+  const day = await getDaySchedule(dateStr, options);
+  return !day.closed;
+}
+
+/**
+ * Próximo día con atención después de `dateStr` (sin incluirlo)
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {number} maxDays - Límite de búsqueda
+ * @returns {Promise<string|null>}
+ */
+async function getNextOpenDay(dateStr, maxDays = 31) {
+  for (let offset = 1; offset <= maxDays; offset++) {
+    const candidate = addDays(dateStr, offset);
+    if (await isOpenDay(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Días hacia adelante en que se pueden agendar citas
+ * @returns {Promise<number>}
+ */
+async function getBookingHorizonDays() {
+  const schedule = await configService.getScheduleConfig();
+  return schedule.bookingHorizonDays;
+}
+
+module.exports = {
+  getDaySchedule,
+  isOpenDay,
+  getNextOpenDay,
+  getBookingHorizonDays,
+  addDays
+};
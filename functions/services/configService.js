@@ -10,6 +10,34 @@ const db = admin.firestore();
 const CONFIG_COLLECTION = 'tenant_config';
 const CONFIG_DOC_ID = 'default'; // Usamos un documento por defecto
 
+// Horario por defecto de la clínica (null = cerrado)
+const DEFAULT_SCHEDULE = {
+  weeklyHours: {
+    monday: { open: '07:00', close: '20:00' },
+    tuesday: { open: '07:00', close: '20:00' },
+    wednesday: { open: '07:00', close: '20:00' },
+    thursday: { open: '07:00', close: '20:00' },
+    friday: { open: '07:00', close: '20:00' },
+    saturday: { open: '08:00', close: '12:00' },
+    sunday: null
+  },
+  observeHolidays: true,
+  blackoutDates: [],
+  overrides: {},
+  bookingHorizonDays: 14
+};
+
+// Tiempos por defecto del seguimiento de relevos (ver handoffSlaService). 0 = desactivado
+const DEFAULT_HANDOFF_SLA = {
+  enabled: true,
+  agentReminderMinutes: 10,
+  patientUpdateMinutes: 15,
+  escalateAfterMinutes: 30,
+  backupAgentId: null,
+  autoCloseMinutes: 240,
+  patientUpdateMessage: '🙌 Seguimos aquí. Un miembro del equipo revisa tu caso y te responderá en este chat lo antes posible.'
+};
+
 // Cache en memoria para evitar lecturas frecuentes a Firestore
 let cachedConfig = null;
 let lastFetch = 0;
@@ -18,8 +46,37 @@ const CACHE_TTL = 5 * 60 * 1000; // 5 minutos
 /**
  * Estructura del documento tenant_config:
  * {
- *   agentPhoneNumber: string (ej: "573001234567"),
+ *   agentPhoneNumber: string (ej: "573001234567"; agente único si no hay `agents`),
+ *   agentName: string (opcional, nombre del agente único),
+ *   agents: [{                                    (opcional, ver getAgentRoster)
+ *     id: string, name: string, phone: string,
+ *     email: string (usuario del dashboard, opcional),
+ *     skills: string[] (ej: ["ortodoncia", "pagos"], opcional),
+ *     workingHours: { monday: { open: "08:00", close: "17:00" }, ..., sunday: null } (opcional, sin horario = siempre),
+ *     active: boolean
+ *   }],
+ *   agentRouting: "least_busy" | "round_robin" (opcional, default least_busy; ver agentRoutingService),
+ *   handoffSla: {                                 (opcional, ver getHandoffSlaConfig y handoffSlaService)
+ *     enabled: boolean (default true),
+ *     agentReminderMinutes: number (recordar al agente, default 10),
+ *     patientUpdateMinutes: number (avisar al paciente que seguimos aquí, default 15),
+ *     escalateAfterMinutes: number (pasar el chat a otro agente, default 30),
+ *     backupAgentId: string (opcional, agente de respaldo; sin él se elige con agentRoutingService),
+ *     autoCloseMinutes: number (sin mensajes de nadie → vuelve al bot, default 240),
+ *     patientUpdateMessage: string (opcional)
+ *   },
  *   clinicName: string (opcional),
+ *   clinicId: number (opcional, id_sucursal en Dentalink; default DENTALINK_CLINIC_ID),
+ *   dentists: [{ id: number, name: string, chairs: number[] (opcional), active: boolean }] (opcional),
+ *   treatments: [{ id: string, name: string, duration: number, keywords: string[], active: boolean }] (opcional, ver treatmentCatalog),
+ *   defaultTreatment: string (opcional, id del tratamiento cuando no se reconoce el motivo),
+ *   schedule: {                                   (opcional, ver getScheduleConfig)
+ *     weeklyHours: { monday: { open: "07:00", close: "20:00" }, ..., sunday: null },
+ *     observeHolidays: boolean (festivos de Colombia, default true),
+ *     blackoutDates: [{ from: "YYYY-MM-DD", to: "YYYY-MM-DD" (opcional), dentistId: number (opcional), reason: string }],
+ *     overrides: { "YYYY-MM-DD": { open: "09:00", close: "13:00" } | { closed: true, reason: string } },
+ *     bookingHorizonDays: number (default 14)
+ *   },
  *   updated_at: Timestamp
  * }
  */
@@ -65,19 +122,173 @@ async function getTenantConfig(forceRefresh = false) {
 }
 
 /**
- * Obtiene solo el número de teléfono del agente
+ * Obtiene el número de teléfono del agente principal (el primero del roster)
+ * Para asignar un relevo usar handoffService.createHandoff, que reparte entre todos los agentes
  * @returns {Promise<string|null>}
  */
 async function getAgentPhoneNumber() {
   try {
-    const config = await getTenantConfig();
-    return config?.agentPhoneNumber || null;
+    const roster = await getAgentRoster();
+    return roster[0]?.phone || null;
   } catch (error) {
     console.error('❌ Error obteniendo número del agente:', error);
     return null;
   }
 }
 
+/**
+ * Obtiene los agentes humanos activos que atienden los relevos
+ * Si tenant_config no define `agents`, usa agentPhoneNumber (y agentName) como único agente
+ * @returns {Promise<Array<{id: string, name: string, phone: string, email: string|null, skills: string[], workingHours: Object|null}>>}
+ *   workingHours null = disponible a cualquier hora
+ */
+async function getAgentRoster() {
+  const config = await getTenantConfig();
+  const configured = (config?.agents || []).filter(a => a && a.phone && a.active !== false);
+
+  if (configured.length === 0) {
+    if (!config?.agentPhoneNumber) return [];
+    return [{
+      id: 'default',
+      name: config.agentName || 'Agente',
+      phone: String(config.agentPhoneNumber),
+      email: null,
+      skills: [],
+      workingHours: null
+    }];
+  }
+
+  return configured.map((a, index) => ({
+    id: String(a.id || `agent${index + 1}`),
+    name: a.name || `Agente ${index + 1}`,
+    phone: String(a.phone),
+    email: a.email ? String(a.email).toLowerCase() : null,
+    skills: Array.isArray(a.skills) ? a.skills.map(skill => String(skill).toLowerCase()) : [],
+    workingHours: a.workingHours || null
+  }));
+}
+
+/**
+ * Busca un agente del roster por id
+ * @param {string} agentId
+ * @returns {Promise<Object|null>}
+ */
+async function getAgentById(agentId) {
+  if (!agentId) return null;
+  const roster = await getAgentRoster();
+  return roster.find(a => a.id === String(agentId)) || null;
+}
+
+/**
+ * Busca un agente del roster por su número de WhatsApp
+ * @param {string} phoneNumber
+ * @returns {Promise<Object|null>}
+ */
+async function getAgentByPhone(phoneNumber) {
+  if (!phoneNumber) return null;
+  const roster = await getAgentRoster();
+  return roster.find(a => a.phone === String(phoneNumber)) || null;
+}
+
+/**
+ * Busca un agente del roster por el email con el que entra al dashboard
+ * @param {string} email
+ * @returns {Promise<Object|null>}
+ */
+async function getAgentByEmail(email) {
+  if (!email) return null;
+  const roster = await getAgentRoster();
+  return roster.find(a => a.email === String(email).toLowerCase()) || null;
+}
+
+/**
+ * Obtiene los dentistas activos de la clínica
+ * Si tenant_config no define `dentists`, usa DENTALINK_DENTIST_ID como único dentista
+ * (con el nombre de DENTALINK_DENTIST_NAME, o uno genérico)
+ * @returns {Promise<Array<{id: number, name: string, chairs: number[]|null}>>}
+ *   chairs null = puede atender en cualquier sillón
+ */
+async function getDentistRoster() {
+  const config = await getTenantConfig();
+  const configured = (config?.dentists || []).filter(d => d && d.id && d.active !== false);
+
+  if (configured.length === 0) {
+    return [{
+      id: parseInt(process.env.DENTALINK_DENTIST_ID, 10) || 1,
+      name: process.env.DENTALINK_DENTIST_NAME || 'nuestro odontólogo',
+      chairs: null
+    }];
+  }
+
+  return configured.map(d => ({
+    id: parseInt(d.id, 10),
+    name: d.name || `Dentista ${d.id}`,
+    chairs: Array.isArray(d.chairs) && d.chairs.length > 0 ? d.chairs.map(Number) : null
+  }));
+}
+
+/**
+ * Busca un dentista del roster por id
+ * @param {number|string} dentistId
+ * @returns {Promise<Object|null>}
+ */
+async function getDentistById(dentistId) {
+  if (dentistId === undefined || dentistId === null || dentistId === '') return null;
+  const roster = await getDentistRoster();
+  return roster.find(d => d.id === parseInt(dentistId, 10)) || null;
+}
+
+/**
+ * Obtiene el id de sucursal de Dentalink
+ * @returns {Promise<number>}
+ */
+async function getClinicId() {
+  const config = await getTenantConfig();
+  return parseInt(config?.clinicId, 10) || parseInt(process.env.DENTALINK_CLINIC_ID, 10) || 1;
+}
+
+/**
+ * Obtiene el horario de atención, completando con DEFAULT_SCHEDULE lo que no esté configurado
+ * weeklyHours se combina por día: basta con configurar los días que cambian
+ * @returns {Promise<Object>} { weeklyHours, observeHolidays, blackoutDates, overrides, bookingHorizonDays }
+ */
+async function getScheduleConfig() {
+  const config = await getTenantConfig();
+  const schedule = config?.schedule || {};
+
+  return {
+    weeklyHours: { ...DEFAULT_SCHEDULE.weeklyHours, ...(schedule.weeklyHours || {}) },
+    observeHolidays: schedule.observeHolidays !== false,
+    blackoutDates: Array.isArray(schedule.blackoutDates) ? schedule.blackoutDates : [],
+    overrides: schedule.overrides || {},
+    bookingHorizonDays: parseInt(schedule.bookingHorizonDays, 10) || DEFAULT_SCHEDULE.bookingHorizonDays
+  };
+}
+
+/**
+ * Tiempos del seguimiento de relevos, completando con DEFAULT_HANDOFF_SLA lo que no esté configurado
+ * Un tiempo en 0 desactiva ese paso
+ * @returns {Promise<Object>} { enabled, agentReminderMinutes, patientUpdateMinutes, escalateAfterMinutes, backupAgentId, autoCloseMinutes, patientUpdateMessage }
+ */
+async function getHandoffSlaConfig() {
+  const config = await getTenantConfig();
+  const sla = config?.handoffSla || {};
+  const minutes = (key) => {
+    const value = parseInt(sla[key], 10);
+    return Number.isFinite(value) && value >= 0 ? value : DEFAULT_HANDOFF_SLA[key];
+  };
+
+  return {
+    enabled: sla.enabled !== false,
+    agentReminderMinutes: minutes('agentReminderMinutes'),
+    patientUpdateMinutes: minutes('patientUpdateMinutes'),
+    escalateAfterMinutes: minutes('escalateAfterMinutes'),
+    backupAgentId: sla.backupAgentId || DEFAULT_HANDOFF_SLA.backupAgentId,
+    autoCloseMinutes: minutes('autoCloseMinutes'),
+    patientUpdateMessage: sla.patientUpdateMessage || DEFAULT_HANDOFF_SLA.patientUpdateMessage
+  };
+}
+
 /**
  * Actualiza la configuración del tenant
  * @param {Object} updates - Campos a actualizar
@@ -106,27 +317,23 @@ async function updateTenantConfig(updates) {
 }
 
 /**
- * Verifica si un número de teléfono es el del agente
+ * Verifica si un número de teléfono es de alguno de los agentes del roster
  * @param {string} phoneNumber - Número de teléfono a verificar
  * @returns {Promise<boolean>}
  */
 async function isAgentPhoneNumber(phoneNumber) {
   try {
-    const agentPhone = await getAgentPhoneNumber();
-
-    console.log('🔍 Verificando número de agente:');
-    console.log(`   - Número recibido: "${phoneNumber}" (tipo: ${typeof phoneNumber}, longitud: ${phoneNumber?.length})`);
-    console.log(`   - Número configurado: "${agentPhone}" (tipo: ${typeof agentPhone}, longitud: ${agentPhone?.length})`);
+    const roster = await getAgentRoster();
 
-    if (!agentPhone) {
-      console.log('⚠️ No hay agentPhoneNumber configurado en Firestore');
+    if (roster.length === 0) {
+      console.log('⚠️ No hay agentes configurados en Firestore (agents ni agentPhoneNumber)');
       return false;
     }
 
-    const isMatch = phoneNumber === agentPhone;
-    console.log(`   - ¿Son iguales? ${isMatch ? '✅ SÍ' : '❌ NO'}`);
+    const agent = roster.find(a => a.phone === phoneNumber);
+    console.log(`🔍 Verificando número de agente "${phoneNumber}": ${agent ? `✅ SÍ (${agent.name})` : '❌ NO'}`);
 
-    return isMatch;
+    return Boolean(agent);
   } catch (error) {
     console.error('❌ Error verificando si es número del agente:', error);
     return false;
@@ -180,6 +387,15 @@ function clearCache() {
 module.exports = {
   getTenantConfig,
   getAgentPhoneNumber,
+  getAgentRoster,
+  getAgentById,
+  getAgentByPhone,
+  getAgentByEmail,
+  getDentistRoster,
+  getDentistById,
+  getClinicId,
+  getScheduleConfig,
+  getHandoffSlaConfig,
   updateTenantConfig,
   isAgentPhoneNumber,
   initializeTenantConfig,
@@ -9,6 +9,8 @@ if (!admin.apps.length) {
 
 const db = admin.firestore();
 const COLLECTION_NAME = 'conversations';
+// Último mensaje recibido por número (ventana de 24h), incluidos los que aún no están en conversations
+const WINDOWS_COLLECTION = 'conversation_windows';
 
 // Extrae solo mensajes de texto visibles en WhatsApp
 function extractTextMessages(history) {
@@ -28,8 +30,26 @@ function extractTextMessages(history) {
   return messages;
 }
 
+// Campos de entrega de un mensaje saliente (messageId de WhatsApp y su estado).
+// El webhook de estados puede llegar antes de que se guarde el mensaje: se parte del estado ya recibido
+async function deliveryFields(messageId) {
+  if (!messageId) return {};
+  try {
+    const { getStatus } = require('./messageStatusService');
+    const delivery = await getStatus(messageId);
+    return {
+      messageId,
+      status: delivery?.status || 'sent',
+      ...(delivery?.error && { statusError: delivery.error })
+    };
+  } catch (error) {
+    return { messageId, status: 'sent' };
+  }
+}
+
 // Registra o actualiza conversación usando transacción atómica
-async function logConversation(userId, sessionHistory, userDocument = null, userName = null) {
+// assistantMessageId: messageId de WhatsApp de la última respuesta del bot (para los ticks del dashboard)
+async function logConversation(userId, sessionHistory, userDocument = null, userName = null, assistantMessageId = null) {
   try {
     console.log(`📥 [CONVLOG] logConversation para ${userId}`);
 
@@ -44,6 +64,7 @@ async function logConversation(userId, sessionHistory, userDocument = null, user
     console.log(`📥 [CONVLOG] Último mensaje: [${lastMsg.role}] ${lastMsg.text.substring(0, 50)}...`);
 
     const docRef = db.collection(COLLECTION_NAME).doc(userId);
+    const delivery = await deliveryFields(assistantMessageId);
 
     // Usar transacción para garantizar escritura atómica
     await db.runTransaction(async (transaction) => {
@@ -68,12 +89,21 @@ async function logConversation(userId, sessionHistory, userDocument = null, user
       }
 
       // Estrategia simple: siempre agregar los últimos 2 mensajes del historial actual
-      // (mensaje del usuario + respuesta del bot de esta interacción)
-      const lastTwo = newTextMessages.slice(-2);
+      // (mensaje del usuario + respuesta del bot de esta interacción).
+      // Una nota de voz o imagen ya quedó guardada con su transcripción o análisis: no se repite como texto
+      const recentTranscripts = existingMessages.slice(-5)
+        .map(m => m.transcript || m.analysis?.assistantText)
+        .filter(Boolean);
+      const lastTwo = newTextMessages.slice(-2)
+        .filter(m => !(m.role === 'user' && recentTranscripts.includes(m.text)));
 
       // Agregar timestamp a cada mensaje
       const now = new Date().toISOString();
-      const lastTwoWithTimestamp = lastTwo.map(m => ({ ...m, timestamp: now }));
+      const lastTwoWithTimestamp = lastTwo.map((m, i) => ({
+        ...m,
+        timestamp: now,
+        ...(m.role === 'assistant' && i === lastTwo.length - 1 && delivery)
+      }));
 
       console.log(`📥 [CONVLOG] Existentes: ${existingMessages.length}, Agregando: ${lastTwoWithTimestamp.length}`);
 
@@ -100,16 +130,18 @@ async function logConversation(userId, sessionHistory, userDocument = null, user
 }
 
 // Registra mensaje individual con transacción atómica
-async function logSimpleMessage(userId, role, text, userDocument = null, userName = null) {
+// messageId: message.id de WhatsApp si el mensaje se envió al paciente (para los ticks del dashboard)
+async function logSimpleMessage(userId, role, text, userDocument = null, userName = null, messageId = null) {
   try {
     const docRef = db.collection(COLLECTION_NAME).doc(userId);
     const messageTimestamp = new Date().toISOString();
+    const delivery = await deliveryFields(messageId);
 
     await db.runTransaction(async (transaction) => {
       const doc = await transaction.get(docRef);
 
       let conversationData;
-      const newMessage = { role, text, timestamp: messageTimestamp };
+      const newMessage = { role, text, timestamp: messageTimestamp, ...delivery };
 
       if (doc.exists) {
         const data = doc.data();
@@ -207,7 +239,7 @@ async function deleteConversation(userId) {
 // Registra mensaje de media con transacción atómica
 async function logMediaMessage(userId, role, mediaData, userDocument = null, userName = null) {
   try {
-    // mediaData: { mediaUrl, mediaType, mimeType, caption }
+    // mediaData: { mediaUrl, mediaType, mimeType, caption, transcript, analysis, messageId }
     const messageTimestamp = new Date().toISOString();
     const message = {
       role: role,
@@ -215,8 +247,17 @@ async function logMediaMessage(userId, role, mediaData, userDocument = null, use
       mediaUrl: mediaData.mediaUrl,
       mediaType: mediaData.mediaType,
       mimeType: mediaData.mimeType,
-      timestamp: messageTimestamp
+      timestamp: messageTimestamp,
+      ...(await deliveryFields(mediaData.messageId))
     };
+    // Transcripción de la nota de voz (la ve el agente en el dashboard); null mientras se transcribe o si falló
+    if (mediaData.transcript !== undefined) {
+      message.transcript = mediaData.transcript || null;
+    }
+    // Análisis de imagen/PDF: categoría, descripción y si se pasó a un agente (decision: bot | agent)
+    if (mediaData.analysis) {
+      message.analysis = mediaData.analysis;
+    }
 
     const docRef = db.collection(COLLECTION_NAME).doc(userId);
 
@@ -282,66 +323,119 @@ async function getConversation(userId) {
   }
 }
 
-// Verifica si la ventana de 24h de WhatsApp está abierta para un usuario
-async function isConversationWindowOpen(userId) {
+/**
+ * Actualiza el estado de entrega (sent, delivered, read, failed) del mensaje con ese messageId
+ * @param {string} userId - Teléfono del paciente
+ * @param {string} messageId - message.id de WhatsApp
+ * @param {string} status
+ * @param {Object|null} error - Error de WhatsApp si falló
+ * @returns {Promise<boolean>} true si el mensaje estaba en la conversación
+ */
+async function updateMessageStatus(userId, messageId, status, error = null) {
   try {
     const docRef = db.collection(COLLECTION_NAME).doc(userId);
-    const doc = await docRef.get();
 
-    if (!doc.exists) {
-      return { isOpen: false, reason: 'No hay historial de conversación' };
-    }
+    return await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+      if (!doc.exists) return false;
 
-    const data = doc.data();
-    const lastUserMessage = data.lastUserMessage;
+      const messages = doc.data().messages || [];
+      const index = messages.findIndex(m => m.messageId === messageId);
+      if (index === -1) return false;
 
-    if (!lastUserMessage) {
-      // Buscar en mensajes si no hay lastUserMessage guardado
-      const messages = data.messages || [];
-      const userMessages = messages.filter(m => m.role === 'user' && m.timestamp);
+      const updated = [...messages];
+      updated[index] = { ...messages[index], status, ...(error && { statusError: error }) };
+      transaction.update(docRef, { messages: updated });
+      return true;
+    });
+  } catch (err) {
+    console.error('❌ Error en updateMessageStatus:', err);
+    return false;
+  }
+}
 
-      if (userMessages.length === 0) {
-        return { isOpen: false, reason: 'El cliente no ha enviado mensajes' };
-      }
+/**
+ * Agrega la transcripción a una nota de voz que ya está en la conversación
+ * @param {string} userId - Teléfono del paciente
+ * @param {string} mediaUrl - URL del audio en Storage (identifica el mensaje)
+ * @param {string|null} transcript - null si no se pudo transcribir
+ * @returns {Promise<boolean>} true si el mensaje estaba en la conversación
+ */
+async function setMediaTranscript(userId, mediaUrl, transcript) {
+  try {
+    const docRef = db.collection(COLLECTION_NAME).doc(userId);
 
-      // Obtener el último mensaje del usuario
-      const lastMsg = userMessages[userMessages.length - 1];
-      const lastMsgTime = new Date(lastMsg.timestamp);
-      const now = new Date();
-      const hoursDiff = (now - lastMsgTime) / (1000 * 60 * 60);
-
-      if (hoursDiff > 24) {
-        return {
-          isOpen: false,
-          reason: `Han pasado ${Math.floor(hoursDiff)} horas desde el último mensaje del cliente`,
-          lastMessage: lastMsg.timestamp
-        };
-      }
+    return await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+      if (!doc.exists) return false;
 
-      return {
-        isOpen: true,
-        hoursRemaining: Math.floor(24 - hoursDiff),
-        lastMessage: lastMsg.timestamp
-      };
+      const messages = doc.data().messages || [];
+      const index = messages.findIndex(m => m.mediaUrl === mediaUrl);
+      if (index === -1) return false;
+
+      const updated = [...messages];
+      updated[index] = { ...messages[index], transcript: transcript || null };
+      transaction.update(docRef, { messages: updated });
+      return true;
+    });
+  } catch (err) {
+    console.error('❌ Error en setMediaTranscript:', err);
+    return false;
+  }
+}
+
+/**
+ * Guarda la hora del último mensaje recibido de un número (abre la ventana de 24h)
+ * Se llama al recibir el mensaje, antes de procesarlo, para que la respuesta ya encuentre la ventana abierta
+ * @param {string} userId - Teléfono
+ */
+async function recordInboundMessage(userId) {
+  try {
+    await db.collection(WINDOWS_COLLECTION).doc(userId).set({
+      lastInboundAt: new Date().toISOString()
+    }, { merge: true });
+  } catch (error) {
+    console.error('❌ Error en recordInboundMessage:', error);
+  }
+}
+
+// Verifica si la ventana de 24h de WhatsApp está abierta para un usuario
+async function isConversationWindowOpen(userId) {
+  try {
+    const [doc, windowDoc] = await Promise.all([
+      db.collection(COLLECTION_NAME).doc(userId).get(),
+      db.collection(WINDOWS_COLLECTION).doc(userId).get()
+    ]);
+
+    if (!doc.exists && !windowDoc.exists) {
+      return { isOpen: false, reason: 'No hay historial de conversación' };
+    }
+
+    // Último mensaje del usuario: el registrado al recibirlo, lastUserMessage o el último del historial
+    const data = doc.exists ? doc.data() : {};
+    const lastFromHistory = (data.messages || []).filter(m => m.role === 'user' && m.timestamp).pop()?.timestamp;
+    const candidates = [windowDoc.exists ? windowDoc.data().lastInboundAt : null, data.lastUserMessage, lastFromHistory]
+      .filter(Boolean);
+
+    if (candidates.length === 0) {
+      return { isOpen: false, reason: 'El cliente no ha enviado mensajes' };
     }
 
-    // Usar lastUserMessage guardado
-    const lastMsgTime = new Date(lastUserMessage);
-    const now = new Date();
-    const hoursDiff = (now - lastMsgTime) / (1000 * 60 * 60);
+    const lastMessage = candidates.reduce((latest, value) => (new Date(value) > new Date(latest) ? value : latest));
+    const hoursDiff = (new Date() - new Date(lastMessage)) / (1000 * 60 * 60);
 
     if (hoursDiff > 24) {
       return {
         isOpen: false,
         reason: `Han pasado ${Math.floor(hoursDiff)} horas desde el último mensaje del cliente`,
-        lastMessage: lastUserMessage
+        lastMessage
       };
     }
 
     return {
       isOpen: true,
       hoursRemaining: Math.floor(24 - hoursDiff),
-      lastMessage: lastUserMessage
+      lastMessage
     };
 
   } catch (error) {
@@ -354,9 +448,12 @@ module.exports = {
   logConversation,
   logSimpleMessage,
   logMediaMessage,
+  setMediaTranscript,
+  updateMessageStatus,
   getAllConversations,
   getUserData,
   deleteConversation,
   getConversation,
+  recordInboundMessage,
   isConversationWindowOpen,
 };
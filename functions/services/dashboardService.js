@@ -92,6 +92,8 @@ async function getActiveSessions() {
           status: status,
           hasActiveHandoff: hasActiveHandoff,
           handoffId: hasActiveHandoff ? activeHandoffs[sessionId].id : null,
+          agentId: hasActiveHandoff ? activeHandoffs[sessionId].agentId || null : null,
+          agentName: hasActiveHandoff ? activeHandoffs[sessionId].agentName || null : null,
           messageCount: sessionData.conversation_history?.length || 0,
           appointmentId: sessionData.id_sesion || null
         };
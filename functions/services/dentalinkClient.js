@@ -0,0 +1,262 @@
+// services/dentalinkClient.js
+// Cliente HTTP compartido para Dentalink: limita las peticiones simultáneas,
+// reintenta con backoff los 429/5xx y corta el tráfico (circuit breaker) cuando
+// la API no responde. Los fallos salen como errores tipados (DentalinkError).
+const axios = require('axios');
+require('dotenv').config();
+
+// DENTALINK_API_URL permite apuntar a un servidor local (ver dev/fakeDentalink.js)
+const API_BASE_URL = process.env.DENTALINK_API_URL || 'https://api.dentalink.healthatom.com/api/v1';
+const API_KEY = process.env.DENTALINK_API_KEY;
+
+const readNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const MAX_CONCURRENCY = readNumber(process.env.DENTALINK_MAX_CONCURRENCY, 4);
+const MAX_RETRIES = readNumber(process.env.DENTALINK_MAX_RETRIES, 3);
+const RETRY_BASE_DELAY_MS = readNumber(process.env.DENTALINK_RETRY_BASE_MS, 500);
+const MAX_RETRY_DELAY_MS = 8000;
+const BREAKER_THRESHOLD = readNumber(process.env.DENTALINK_BREAKER_THRESHOLD, 5);
+const BREAKER_COOLDOWN_MS = readNumber(process.env.DENTALINK_BREAKER_COOLDOWN_MS, 30000);
+
+// Errores de red que indican que la petición nunca llegó a Dentalink
+const CONNECTION_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+const http = axios.create({
+  baseURL: API_BASE_URL,
+  headers: {
+    'Content-Type': 'application/json',
+    'Authorization': `Token ${API_KEY}`
+  },
+  timeout: 15000,
+});
+
+/**
+ * Error base de Dentalink
+ * - status: código HTTP (null si no hubo respuesta)
+ * - code: NOT_FOUND | REJECTED | UNAVAILABLE
+ * - data: cuerpo de la respuesta de Dentalink (si lo hay)
+ */
+class DentalinkError extends Error {
+  constructor(message, { status = null, code = 'REJECTED', data = null, method = null, path = null } = {}) {
+    super(message);
+    this.name = 'DentalinkError';
+    this.status = status;
+    this.code = code;
+    this.data = data;
+    this.method = method;
+    this.path = path;
+  }
+}
+
+// 404: el recurso no existe (paciente, cita...)
+class DentalinkNotFoundError extends DentalinkError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'NOT_FOUND' });
+    this.name = 'DentalinkNotFoundError';
+  }
+}
+
+// La API no está disponible: reintentos agotados, timeout o circuito abierto
+class DentalinkUnavailableError extends DentalinkError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'UNAVAILABLE' });
+    this.name = 'DentalinkUnavailableError';
+    this.retryAfterMs = details.retryAfterMs || null;
+  }
+}
+
+const isUnavailableError = (error) => error instanceof DentalinkUnavailableError;
+
+// ---------------- LÍMITE DE CONCURRENCIA ----------------
+
+let active = 0;
+const waiting = [];
+
+function acquireSlot() {
+  if (active < MAX_CONCURRENCY) {
+    active++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => waiting.push(resolve));
+}
+
+function releaseSlot() {
+  const next = waiting.shift();
+  if (next) {
+    next();
+  } else {
+    active--;
+  }
+}
+
+// ---------------- CIRCUIT BREAKER ----------------
+// closed: todo pasa. open: se rechaza sin llamar a la API hasta que pase el cooldown.
+// half_open: pasa una sola petición de prueba; si responde se cierra, si falla se vuelve a abrir.
+
+const breaker = {
+  state: 'closed',
+  failures: 0,
+  openedAt: 0,
+  probing: false
+};
+
+function checkBreaker(method, path) {
+  if (breaker.state === 'open') {
+    const remaining = breaker.openedAt + BREAKER_COOLDOWN_MS - Date.now();
+    if (remaining > 0) {
+      throw new DentalinkUnavailableError('Dentalink no disponible (circuito abierto)', {
+        method, path, retryAfterMs: remaining
+      });
+    }
+    breaker.state = 'half_open';
+  }
+
+  if (breaker.state === 'half_open') {
+    if (breaker.probing) {
+      throw new DentalinkUnavailableError('Dentalink no disponible (verificando recuperación)', { method, path });
+    }
+    breaker.probing = true;
+  }
+}
+
+function recordSuccess() {
+  if (breaker.state !== 'closed') {
+    console.log('✅ [DENTALINK] API recuperada, circuito cerrado');
+  }
+  breaker.state = 'closed';
+  breaker.failures = 0;
+  breaker.probing = false;
+}
+
+function recordFailure() {
+  breaker.failures++;
+  breaker.probing = false;
+
+  if (breaker.state === 'half_open' || breaker.failures >= BREAKER_THRESHOLD) {
+    if (breaker.state !== 'open') {
+      console.error(`🔌 [DENTALINK] Circuito abierto tras ${breaker.failures} fallos; se reintenta en ${BREAKER_COOLDOWN_MS / 1000}s`);
+    }
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+  }
+}
+
+/**
+ * Estado actual del circuit breaker (para diagnóstico)
+ * @returns {{state: string, failures: number}}
+ */
+function getCircuitState() {
+  return { state: breaker.state, failures: breaker.failures };
+}
+
+// Vuelve al estado inicial (tests y scripts locales)
+function reset() {
+  breaker.state = 'closed';
+  breaker.failures = 0;
+  breaker.openedAt = 0;
+  breaker.probing = false;
+}
+
+// ---------------- REINTENTOS ----------------
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 429 y 5xx son transitorios; sin respuesta = timeout o error de red
+function isTransient(error) {
+  const status = error.response?.status;
+  if (!status) return true;
+  return status === 429 || status >= 500;
+}
+
+// Un POST solo se repite si Dentalink seguro no lo procesó (429 o sin conexión),
+// para no duplicar citas o pacientes
+function canRetry(method, error) {
+  if (method !== 'post') return isTransient(error);
+  return error.response?.status === 429 || CONNECTION_ERRORS.includes(error.code);
+}
+
+// Backoff exponencial con jitter; respeta Retry-After si Dentalink lo envía
+function getRetryDelay(attempt, error) {
+  const retryAfter = parseFloat(error.response?.headers?.['retry-after']);
+  if (!Number.isNaN(retryAfter)) {
+    return Math.min(retryAfter * 1000, MAX_RETRY_DELAY_MS);
+  }
+  const exponential = RETRY_BASE_DELAY_MS * 2 ** attempt;
+  return Math.min(exponential / 2 + Math.random() * exponential / 2, MAX_RETRY_DELAY_MS);
+}
+
+function toDentalinkError(error, method, path) {
+  const status = error.response?.status || null;
+  const data = error.response?.data || null;
+  const apiMessage = data?.error?.message || data?.error || data?.message;
+  const details = { status, data, method: method.toUpperCase(), path };
+
+  if (isTransient(error)) {
+    const reason = status ? `HTTP ${status}` : (error.code || error.message);
+    return new DentalinkUnavailableError(`Dentalink no disponible (${reason})`, details);
+  }
+  if (status === 404) {
+    return new DentalinkNotFoundError(typeof apiMessage === 'string' ? apiMessage : 'Recurso no encontrado en Dentalink', details);
+  }
+  return new DentalinkError(typeof apiMessage === 'string' ? apiMessage : `Dentalink rechazó la petición (HTTP ${status})`, details);
+}
+
+/**
+ * Ejecuta una petición a Dentalink con límite de concurrencia, reintentos y circuit breaker
+ * @param {string} method - get | post | put | delete
+ * @param {string} path - Ruta relativa a la URL base (ej: "/citas/")
+ * @param {Object} options - { params, data }
+ * @returns {Promise<Object>} Respuesta de axios
+ * @throws {DentalinkNotFoundError} 404
+ * @throws {DentalinkUnavailableError} 429/5xx/timeout tras los reintentos, o circuito abierto
+ * @throws {DentalinkError} Otros rechazos de la API (400, 401, 409...)
+ */
+async function request(method, path, { params, data } = {}) {
+  method = method.toLowerCase();
+  checkBreaker(method.toUpperCase(), path);
+
+  await acquireSlot();
+  try {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await http.request({ method, url: path, params, data });
+        recordSuccess();
+        return response;
+      } catch (error) {
+        if (!isTransient(error)) {
+          // La API respondió (404, 400...): está arriba aunque rechace la petición
+          recordSuccess();
+          throw toDentalinkError(error, method, path);
+        }
+
+        recordFailure();
+        if (attempt >= MAX_RETRIES || !canRetry(method, error) || breaker.state === 'open') {
+          throw toDentalinkError(error, method, path);
+        }
+
+        const delay = getRetryDelay(attempt, error);
+        console.warn(`🔁 [DENTALINK] ${method.toUpperCase()} ${path} falló (${error.response?.status || error.code || error.message}); reintento ${attempt + 1}/${MAX_RETRIES} en ${Math.round(delay)}ms`);
+        await sleep(delay);
+      }
+    }
+  } finally {
+    releaseSlot();
+  }
+}
+
+module.exports = {
+  get: (path, config = {}) => request('get', path, config),
+  post: (path, data, config = {}) => request('post', path, { ...config, data }),
+  put: (path, data, config = {}) => request('put', path, { ...config, data }),
+  delete: (path, config = {}) => request('delete', path, config),
+  request,
+  getCircuitState,
+  reset,
+  isUnavailableError,
+  DentalinkError,
+  DentalinkNotFoundError,
+  DentalinkUnavailableError
+};
@@ -1,45 +1,34 @@
 // services/dentalinkService.js
-const axios = require('axios');
-require('dotenv').config();
+// Las funciones devuelven null/[] cuando el recurso no existe y lanzan
+// DentalinkUnavailableError cuando la API no responde (ver dentalinkClient.js)
 const { getAppointmentCategory, isActiveState } = require("./appointmentStates");
-
-const API_BASE_URL = 'https://api.dentalink.healthatom.com/api/v1';
-const API_KEY = process.env.DENTALINK_API_KEY;
-
-const api = axios.create({
-    baseURL: API_BASE_URL,
-    headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Token ${API_KEY}`
-    },
-    timeout: 15000,
-});
-
-// Cache en memoria para reducir llamadas a Dentalink
-const cache = new Map();
+const configService = require("./configService");
+const treatmentCatalog = require("./treatmentCatalog");
+const clinicCalendar = require("./clinicCalendar");
+// Reintentos, límite de concurrencia y circuit breaker
+const api = require("./dentalinkClient");
+const cacheStore = require("./cacheStore");
+const { isUnavailableError, DentalinkNotFoundError } = api;
+
+// Cache compartido entre instancias (Firestore) para reducir llamadas a Dentalink.
+// DENTALINK_CACHE_BACKEND=memory lo deja en memoria por instancia (ver cacheStore.js)
+const cache = cacheStore.createCache(
+    process.env.DENTALINK_CACHE_BACKEND === 'memory'
+        ? cacheStore.createMemoryBackend()
+        : cacheStore.createFirestoreBackend()
+);
 const CACHE_TTL_MS = 5 * 60 * 1000;
 const CACHE_SLOTS_TTL_MS = 2 * 60 * 1000;
 
-function getCacheKey(funcName, ...args) {
-  return `${funcName}:${JSON.stringify(args)}`;
-}
-
-function getFromCache(key) {
-  const cached = cache.get(key);
-  if (!cached) return null;
-  if (Date.now() - cached.timestamp > CACHE_TTL_MS) {
-    cache.delete(key);
-    return null;
-  }
-  return cached.data;
+function getCacheKey(...args) {
+  return JSON.stringify(args);
 }
 
-function setCache(key, data, ttl = CACHE_TTL_MS) {
-  cache.set(key, { data, timestamp: Date.now(), ttl });
-}
+// Vacía el cache (pacientes y slots)
+exports.clearCache = () => cache.clear();
 
 const logApiError = (error, operationName) => {
-    const errorData = error?.response?.data || error.message;
+    const errorData = error?.data || error.message;
     console.error(`❌ Error en ${operationName}:`, JSON.stringify(errorData));
 };
 
@@ -56,7 +45,8 @@ const formatTime = (date) => {
     return `${hh}:${mm}`;
 };
 
-const validateDate = (specificDate, today) => {
+// horizonDays: días hacia adelante que se pueden agendar (schedule.bookingHorizonDays)
+const validateDate = (specificDate, today, horizonDays = 14) => {
     const todayMidnight = new Date(today);
     todayMidnight.setHours(0, 0, 0, 0);
 
@@ -67,14 +57,14 @@ const validateDate = (specificDate, today) => {
         return "Lo siento, no puedo agendar citas en el pasado. Por favor, elige una fecha futura.";
     }
 
-    const fourteenDaysFromNow = new Date(todayMidnight);
-    fourteenDaysFromNow.setDate(todayMidnight.getDate() + 14);
+    const horizonLimit = new Date(todayMidnight);
+    horizonLimit.setDate(todayMidnight.getDate() + horizonDays);
 
-    if (specificDateMidnight >= fourteenDaysFromNow) {
+    if (specificDateMidnight >= horizonLimit) {
         // Retornar objeto especial para indicar que se necesita handoff
         return {
             needsHandoff: true,
-            message: "Para agendar citas con más de 14 días de anticipación, te conectaré con un agente humano que podrá ayudarte mejor."
+            message: `Para agendar citas con más de ${horizonDays} días de anticipación, te conectaré con un agente humano que podrá ayudarte mejor.`
         };
     }
 
@@ -83,10 +73,12 @@ const validateDate = (specificDate, today) => {
 
 // Busca paciente por documento (RUT)
 exports.findPatientByDocument = async (documentNumber) => {
-    const cacheKey = getCacheKey('findPatient', documentNumber);
-    const cached = getFromCache(cacheKey);
-    if (cached !== null) return cached;
+    return cache.wrap('patients', getCacheKey(documentNumber), { ttlMs: CACHE_TTL_MS }, () =>
+        fetchPatientByDocument(documentNumber)
+    );
+};
 
+const fetchPatientByDocument = async (documentNumber) => {
     try {
         const searchParams = { rut: { eq: documentNumber } };
         const response = await api.get(`/pacientes`, {
@@ -97,10 +89,10 @@ exports.findPatientByDocument = async (documentNumber) => {
           ? response.data.data[0]
           : null;
 
-        setCache(cacheKey, result);
         return result;
     } catch (error) {
         logApiError(error, "buscando paciente por documento");
+        if (isUnavailableError(error)) throw error;
         return null;
     }
 };
@@ -124,10 +116,11 @@ exports.findPatientByPhone = async (phoneNumber) => {
         }
         return null;
     } catch (error) {
-        if (error.response && error.response.status === 404) {
+        if (error instanceof DentalinkNotFoundError) {
             return null;
         }
         logApiError(error, "buscando paciente por teléfono");
+        if (isUnavailableError(error)) throw error;
         return null;
     }
 };
@@ -139,6 +132,7 @@ exports.getPatientById = async (patientId) => {
         return response.data.data; // El paciente está en response.data.data
     } catch (error) {
         logApiError(error, "obteniendo paciente por ID");
+        if (isUnavailableError(error)) throw error;
         return null;
     }
 };
@@ -147,10 +141,12 @@ exports.getPatientById = async (patientId) => {
 exports.createPatient = async (patientData) => {
     try {
         const response = await api.post(`/pacientes`, patientData);
+        await cache.invalidate('patients');
         console.log("✅ Paciente creado:", response.data.data?.nombre || 'N/A');
         return response.data;
     } catch (error) {
         logApiError(error, "creando paciente");
+        if (isUnavailableError(error)) throw error;
         return null;
     }
 };
@@ -160,203 +156,284 @@ exports.updatePatient = async (patientId, patientData) => {
     try {
         const url = `/pacientes/${patientId}`;
         const response = await api.put(url, patientData);
+        await cache.invalidate('patients');
         const updatedPatientData = response.data.data || response.data;
         return updatedPatientData;
     } catch (error) {
         logApiError(error, "actualizar paciente");
+        if (isUnavailableError(error)) throw error;
         return null;
     }
 };
 
-// Obtiene slots de 1 hora disponibles
-exports.getAvailableTimeSlots = async ({ date: specificDateStr, currentDate: currentDateStr }) => {
-    const cacheKey = getCacheKey('slots', specificDateStr, currentDateStr);
-    const cached = cache.get(cacheKey);
-    if (cached && (Date.now() - cached.timestamp < CACHE_SLOTS_TTL_MS)) {
-        return cached.data;
-    }
+// Citas activas de un dentista entre dos fechas (incluidas), en una sola consulta a /citas
+const getActiveAppointmentsInRange = async (startDate, endDate, id_dentista, id_sucursal) => {
+    const queryParams = {
+        fecha: { gte: startDate, lte: endDate },
+        id_dentista: { eq: id_dentista },
+        id_sucursal: { eq: id_sucursal }
+    };
+    const response = await api.get(`/citas/?q=${JSON.stringify(queryParams)}`);
+    const citas = response.data?.data || response.data || [];
+    return citas.filter(cita => isActiveState(cita.id_estado));
+};
 
-    try {
-        const today = new Date(currentDateStr);
-        let specificDateObj = null;
+// Slots de 30 minutos libres por sillón para un dentista en un rango de fechas
+const getFreeChairSlots = async (dentist, id_sucursal, startDate, endDate, today) => {
+    const currentTime = formatTime(new Date());
+    const id_dentista = dentist.id;
 
-        if (specificDateStr) {
-            specificDateObj = new Date(specificDateStr);
-            const dateValidationResult = validateDate(specificDateObj, today);
-            if (dateValidationResult) {
-                return dateValidationResult;
-            }
-        }
+    // Obtener slots ocupados del dentista para filtrarlos (una sola consulta para todo el rango).
+    // Si falla no se ofrece nada: mostrar como libres slots ocupados llevaría a agendar encima
+    const bookedSlots = new Set();
+    const citas = await getActiveAppointmentsInRange(startDate, endDate, id_dentista, id_sucursal);
 
-        let startDate = specificDateStr || formatDate(today);
-        let endDate = specificDateStr;
+    citas.forEach(cita => {
+        // Marcar todos los slots que cubre la cita según su duración
+        const startTime = new Date(`${cita.fecha}T${cita.hora_inicio}`);
+        const duracion = parseInt(cita.duracion, 10) || 60;
 
-        if (!specificDateStr) {
-            const futureDate = new Date(today);
-            futureDate.setDate(today.getDate() + 13);
-            endDate = formatDate(futureDate);
+        for (let offset = 0; offset < duracion; offset += treatmentCatalog.SLOT_MINUTES) {
+            const slotTime = new Date(startTime.getTime() + offset * 60000);
+            bookedSlots.add(`${cita.fecha}-${formatTime(slotTime)}`);
         }
+    });
+
+    const params = {
+        fecha_inicio: { eq: startDate },
+        fecha_fin: { eq: endDate },
+        mostrar_detalles: { eq: '1' }
+    };
 
-        const currentTime = formatTime(new Date());
-        const id_dentista = process.env.DENTALINK_DENTIST_ID;
-        const id_sucursal = process.env.DENTALINK_CLINIC_ID;
+    const url = `/sucursales/${id_sucursal}/dentistas/${id_dentista}/agendas?q=${JSON.stringify(params)}`;
+    const response = await api.get(url);
 
-        // Obtener slots ocupados para filtrarlos
-        const bookedSlots = new Set();
+    const freeSlots = [];
+    const agendas = response.data.data.fechas || {};
 
-        try {
-            const start = new Date(startDate);
-            const end = new Date(endDate || startDate);
+    for (const date in agendas) {
+        const dailySchedule = agendas[date].horas || {};
 
-            for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-                const dateStr = formatDate(d);
-                const queryParams = {
-                    fecha: { eq: dateStr },
-                    id_dentista: { eq: id_dentista },
-                    id_sucursal: { eq: id_sucursal }
-                };
-                const citasResponse = await api.get(`/citas/?q=${JSON.stringify(queryParams)}`);
-                const citas = citasResponse.data?.data || [];
+        // Horario de atención del día (festivos, bloqueos del dentista, excepciones)
+        const businessHours = await clinicCalendar.getDaySchedule(date, { dentistId: id_dentista });
+        if (businessHours.closed) continue;
+
+        for (const time in dailySchedule) {
+            const chairAvailability = dailySchedule[time].sillones || {};
+
+            for (const chairId in chairAvailability) {
+                if (chairAvailability[chairId] !== true) continue;
+
+                // Solo los sillones asignados al dentista (null = cualquiera)
+                if (dentist.chairs && !dentist.chairs.includes(parseInt(chairId))) continue;
+
+                // Filtrar por horarios de negocio
+                if (time < businessHours.open || time >= businessHours.close) {
+                    continue;
+                }
 
-                citas.forEach(cita => {
-                    if (isActiveState(cita.id_estado)) {
-                        bookedSlots.add(`${cita.fecha}-${cita.hora_inicio}`);
+                // Filtrar slots en el pasado
+                const isToday = date === formatDate(today);
+                if (isToday && time < currentTime) {
+                    continue;
+                }
 
-                        const startTime = new Date(`${cita.fecha}T${cita.hora_inicio}`);
-                        const thirtyMinBefore = new Date(startTime.getTime() - 30 * 60000);
-                        const timeThirtyBefore = formatTime(thirtyMinBefore);
+                // Filtrar slots ocupados
+                const slotKey = `${date}-${time}`;
+                if (bookedSlots.has(slotKey)) {
+                    continue;
+                }
 
-                        if (formatDate(thirtyMinBefore) === cita.fecha) {
-                            bookedSlots.add(`${cita.fecha}-${timeThirtyBefore}`);
-                        }
-                    }
+                freeSlots.push({
+                    fecha: date,
+                    hora: time,
+                    id_agenda: chairId,
                 });
             }
-        } catch (error) {
-            console.error('⚠️ Error consultando citas agendadas:', error.message);
         }
+    }
 
-        const params = {
-            fecha_inicio: { eq: startDate },
-            fecha_fin: { eq: endDate || startDate },
-            mostrar_detalles: { eq: '1' }
-        };
+    return freeSlots;
+};
 
-        const url = `/sucursales/${id_sucursal}/dentistas/${id_dentista}/agendas?q=${JSON.stringify(params)}`;
-        const response = await api.get(url);
-
-        const allAvailableSlots = [];
-        const agendas = response.data.data.fechas || {};
-        const SILLON_ID_TO_FILTER = '1';
-
-        for (const date in agendas) {
-            const dailySchedule = agendas[date].horas || {};
-            const dayOfWeek = new Date(date).getDay();
-
-            const isWeekday = dayOfWeek >= 1 && dayOfWeek <= 5;
-            const isSaturday = dayOfWeek === 6;
-            const isSunday = dayOfWeek === 0;
-
-            const weekdayStart = 7 * 60;
-            const weekdayEnd = 20 * 60;
-            const saturdayStart = 8 * 60;
-            const saturdayEnd = 12 * 60;
-
-            for (const time in dailySchedule) {
-                const chairAvailability = dailySchedule[time].sillones || {};
-
-                for (const chairId in chairAvailability) {
-                    if (chairAvailability[chairId] === true && chairId === SILLON_ID_TO_FILTER) {
-
-                        const [hour, minute] = time.split(':').map(Number);
-                        const timeInMinutes = hour * 60 + minute;
-
-                        // Filtrar por horarios de negocio
-                        if (isSunday ||
-                            (isWeekday && (timeInMinutes < weekdayStart || timeInMinutes >= weekdayEnd)) ||
-                            (isSaturday && (timeInMinutes < saturdayStart || timeInMinutes >= saturdayEnd))
-                        ) {
-                            continue;
-                        }
-
-                        // Filtrar slots en el pasado
-                        const isToday = date === formatDate(today);
-                        if (isToday && time < currentTime) {
-                            continue;
-                        }
-
-                        // Filtrar slots ocupados
-                        const slotKey = `${date}-${time}`;
-                        if (bookedSlots.has(slotKey)) {
-                            continue;
-                        }
-
-                        allAvailableSlots.push({
-                            fecha: date,
-                            hora: time,
-                            id_agenda: chairId,
-                        });
-                    }
-                }
-            }
+// Agrupa slots de 30 minutos consecutivos del mismo sillón en bloques de `durationMinutes`
+// Cada racha continua se corta en bloques sin solapamiento desde su primer slot
+const groupIntoBlocks = (slots, durationMinutes = 60) => {
+    const INTERVAL_MINUTES = treatmentCatalog.SLOT_MINUTES;
+    const slotsPerBlock = Math.max(1, Math.ceil(durationMinutes / INTERVAL_MINUTES));
+    const blocks = [];
+
+    const sortedSlots = [...slots].sort((a, b) => {
+        if (a.id_agenda !== b.id_agenda) return a.id_agenda - b.id_agenda;
+        return `${a.fecha}T${a.hora}`.localeCompare(`${b.fecha}T${b.hora}`);
+    });
+
+    let run = [];
+    const flushRun = () => {
+        for (let i = 0; i + slotsPerBlock <= run.length; i += slotsPerBlock) {
+            const first = run[i];
+            const last = run[i + slotsPerBlock - 1];
+            const endTime = new Date(new Date(`${last.fecha}T${last.hora}`).getTime() + INTERVAL_MINUTES * 60000);
+
+            blocks.push({
+                fecha: first.fecha,
+                hora_inicio: first.hora,
+                hora_fin: formatTime(endTime),
+                chairs: [parseInt(first.id_agenda)]
+            });
         }
+        run = [];
+    };
 
-        // Agrupar en bloques de 1 hora
-        const INTERVAL_MINUTES = 30;
-        const blocksOfOneHour = [];
+    for (const slot of sortedSlots) {
+        const previous = run[run.length - 1];
+        const isContiguous = previous &&
+            previous.id_agenda === slot.id_agenda &&
+            previous.fecha === slot.fecha &&
+            (new Date(`${slot.fecha}T${slot.hora}`) - new Date(`${previous.fecha}T${previous.hora}`)) / 60000 === INTERVAL_MINUTES;
 
-        const sortedSlots = allAvailableSlots.sort((a, b) => {
-            const dateA = new Date(`${a.fecha}T${a.hora}`);
-            const dateB = new Date(`${b.fecha}T${b.hora}`);
-            if (dateA - dateB !== 0) return dateA - dateB;
-            return a.id_agenda - b.id_agenda;
-        });
+        if (!isContiguous) flushRun();
+        run.push(slot);
+    }
+    flushRun();
 
-        const usedSlots = new Set();
+    return blocks.sort((a, b) => {
+        const byTime = `${a.fecha}T${a.hora_inicio}`.localeCompare(`${b.fecha}T${b.hora_inicio}`);
+        return byTime !== 0 ? byTime : a.chairs[0] - b.chairs[0];
+    });
+};
 
-        for (let i = 0; i < sortedSlots.length; i++) {
-            const currentSlot = sortedSlots[i];
-            const slotKey = `${currentSlot.fecha}-${currentSlot.hora}-${currentSlot.id_agenda}`;
+// Dentistas a consultar: solo el pedido, o todo el roster
+const getCandidateDentists = async (dentistId = null) => {
+    const roster = await configService.getDentistRoster();
+    if (!dentistId) return roster;
+    return roster.filter(d => d.id === parseInt(dentistId));
+};
 
-            if (usedSlots.has(slotKey)) continue;
+// Obtiene bloques libres de `duration` minutos, agregados entre los dentistas del roster
+// Cada bloque trae `dentists` con los dentistas (y sillones) libres a esa hora
+// Solo se cachean los bloques (no los mensajes de fecha inválida o día cerrado); se invalidan
+// al agendar, reagendar o cancelar para que un horario recién tomado no se vuelva a ofrecer
+exports.getAvailableTimeSlots = async (params) => {
+    const { date, currentDate, dentistId = null, duration = 60 } = params;
+    return cache.wrap('slots', getCacheKey(date, currentDate, dentistId, duration), {
+        ttlMs: CACHE_SLOTS_TTL_MS,
+        cacheIf: Array.isArray
+    }, () => loadAvailableTimeSlots(params));
+};
 
-            for (let j = i + 1; j < sortedSlots.length; j++) {
-                const nextSlot = sortedSlots[j];
-                const nextSlotKey = `${nextSlot.fecha}-${nextSlot.hora}-${nextSlot.id_agenda}`;
+const loadAvailableTimeSlots = async ({ date: specificDateStr, currentDate: currentDateStr, dentistId = null, duration = 60 }) => {
+    try {
+        const today = new Date(currentDateStr);
+        const horizonDays = await clinicCalendar.getBookingHorizonDays();
+        let specificDateObj = null;
 
-                if (usedSlots.has(nextSlotKey)) continue;
+        if (specificDateStr) {
+            specificDateObj = new Date(specificDateStr);
+            const dateValidationResult = validateDate(specificDateObj, today, horizonDays);
+            if (dateValidationResult) {
+                return dateValidationResult;
+            }
+        }
 
-                const timeDiff = (new Date(`${nextSlot.fecha}T${nextSlot.hora}`) - new Date(`${currentSlot.fecha}T${currentSlot.hora}`)) / (1000 * 60);
+        let startDate = specificDateStr || formatDate(today);
+        let endDate = specificDateStr;
 
-                if (timeDiff === INTERVAL_MINUTES && nextSlot.id_agenda === currentSlot.id_agenda && nextSlot.fecha === currentSlot.fecha) {
-                    const endTime = new Date(new Date(`${nextSlot.fecha}T${nextSlot.hora}`).getTime() + INTERVAL_MINUTES * 60000);
+        if (!specificDateStr) {
+            const futureDate = new Date(today);
+            futureDate.setDate(today.getDate() + horizonDays - 1);
+            endDate = formatDate(futureDate);
+        }
 
-                    blocksOfOneHour.push({
-                        fecha: currentSlot.fecha,
-                        hora_inicio: currentSlot.hora,
-                        hora_fin: formatTime(endTime),
-                        chairs: [parseInt(currentSlot.id_agenda)]
-                    });
+        const id_sucursal = await configService.getClinicId();
+        const dentists = await getCandidateDentists(dentistId);
 
-                    usedSlots.add(slotKey);
-                    usedSlots.add(nextSlotKey);
-                    break;
-                }
+        // Día sin atención: se informa el motivo en vez de "sin disponibilidad"
+        if (specificDateStr) {
+            const closedDays = await Promise.all(
+                dentists.map(dentist => clinicCalendar.getDaySchedule(specificDateStr, { dentistId: dentist.id }))
+            );
+            if (closedDays.length > 0 && closedDays.every(day => day.closed)) {
+                return {
+                    success: false,
+                    closed: true,
+                    message: `No hay atención el ${specificDateStr} (${closedDays[0].reason}). Ofrece otra fecha.`
+                };
             }
         }
+        const blocksByTime = new Map();
+
+        // Los dentistas se consultan en paralelo; dentalinkClient limita la concurrencia
+        const slotsByDentist = await Promise.all(
+            dentists.map(dentist => getFreeChairSlots(dentist, id_sucursal, startDate, endDate, today))
+        );
+
+        dentists.forEach((dentist, index) => {
+            groupIntoBlocks(slotsByDentist[index], duration).forEach(block => {
+                const key = `${block.fecha}-${block.hora_inicio}`;
+                if (!blocksByTime.has(key)) {
+                    blocksByTime.set(key, { ...block, chairs: [], dentists: [] });
+                }
 
-        console.log(`✅ ${blocksOfOneHour.length} bloques de 1 hora disponibles`);
-        setCache(cacheKey, blocksOfOneHour, CACHE_SLOTS_TTL_MS);
-        return blocksOfOneHour;
+                const merged = blocksByTime.get(key);
+                let option = merged.dentists.find(d => d.id === dentist.id);
+                if (!option) {
+                    option = { id: dentist.id, name: dentist.name, chairs: [] };
+                    merged.dentists.push(option);
+                }
+                option.chairs.push(...block.chairs);
+                if (merged.dentists[0] === option) merged.chairs.push(...block.chairs);
+            });
+        });
+
+        const blocks = [...blocksByTime.values()].sort((a, b) =>
+            `${a.fecha}T${a.hora_inicio}`.localeCompare(`${b.fecha}T${b.hora_inicio}`)
+        );
+
+        console.log(`✅ ${blocks.length} bloques de ${duration} min disponibles (${dentists.length} dentista(s))`);
+        return blocks;
 
     } catch (error) {
         logApiError(error, "obteniendo disponibilidad");
+        if (isUnavailableError(error)) throw error;
         return { success: false, message: "Hubo un error al consultar la disponibilidad de la agenda." };
     }
 };
 
-// Agenda cita para paciente existente
-exports.createAppointment = async (date, time, documentNumber, reason = null) => {
+// Busca un dentista y un sillón realmente libres para una fecha/hora (sin cache)
+// options.dentistId restringe al dentista elegido por el paciente
+// options.preferredDentistId se intenta primero, pero permite asignar otro
+// options.duration son los minutos continuos que debe quedar libre el sillón
+exports.findAvailableResources = async (date, time, { dentistId = null, preferredDentistId = null, duration = 60 } = {}) => {
+    const id_sucursal = await configService.getClinicId();
+    let dentists = await getCandidateDentists(dentistId);
+
+    if (preferredDentistId) {
+        const preferredId = parseInt(preferredDentistId);
+        dentists = [
+            ...dentists.filter(d => d.id === preferredId),
+            ...dentists.filter(d => d.id !== preferredId)
+        ];
+    }
+
+    const today = new Date(new Date().toISOString().split("T")[0]);
+
+    for (const dentist of dentists) {
+        const freeSlots = await getFreeChairSlots(dentist, id_sucursal, date, date, today);
+        const block = groupIntoBlocks(freeSlots.filter(s => s.hora >= time), duration)
+            .find(b => b.hora_inicio === time);
+
+        if (block) {
+            return { dentist, chairId: block.chairs[0], id_sucursal };
+        }
+    }
+
+    return null;
+};
+
+// Agenda cita para paciente existente en un dentista/sillón libre
+// La duración sale del tratamiento: options.treatmentId si viene, si no se deduce del motivo
+exports.createAppointment = async (date, time, documentNumber, reason = null, options = {}) => {
     try {
         const patient = await exports.findPatientByDocument(documentNumber);
 
@@ -365,34 +442,38 @@ exports.createAppointment = async (date, time, documentNumber, reason = null) =>
         }
 
         const id_paciente = patient.id;
-        const id_dentista = parseInt(process.env.DENTALINK_DENTIST_ID);
-        const id_sucursal = parseInt(process.env.DENTALINK_CLINIC_ID);
+        const hora_inicio = /^\d{2}:\d{2}$/.test(time) ? time : time.substring(0, 5);
 
-        if (isNaN(id_dentista) || isNaN(id_sucursal)) {
-            throw new Error("IDs de Dentista o Sucursal inválidas en .env");
+        const treatment = await treatmentCatalog.resolveTreatment(options.treatmentId, reason);
+        const resources = await exports.findAvailableResources(date, hora_inicio, {
+            ...options,
+            duration: treatment.duration
+        });
+        if (!resources) {
+            return { success: false, message: "El horario ya no está disponible. Consulta otros horarios." };
         }
 
-        const hora_inicio = /^\d{2}:\d{2}$/.test(time) ? time : time.substring(0, 5);
-
         const payload = {
-            id_dentista,
-            id_sucursal,
-            id_sillon: 1,
+            id_dentista: resources.dentist.id,
+            id_sucursal: resources.id_sucursal,
+            id_sillon: resources.chairId,
             id_paciente: parseInt(id_paciente),
             fecha: date,
             hora_inicio,
-            duracion: 60,
+            duracion: treatment.duration,
             comentario: reason?.trim() || '',
             videoconsulta: 0
         };
 
-        console.log(`➡️ Agendando cita: ${date} ${hora_inicio} para paciente ID ${id_paciente}`);
+        console.log(`➡️ Agendando cita: ${date} ${hora_inicio} (${treatment.name}, ${treatment.duration} min) para paciente ID ${id_paciente} con ${resources.dentist.name} (sillón ${resources.chairId})`);
         const response = await api.post('/citas/', payload);
+        await cache.invalidate('slots');
         console.log("✅ Cita agendada:", response.data?.id || 'OK');
-        return { success: true, data: response.data };
+        return { success: true, data: response.data, dentist: resources.dentist, treatment };
 
     } catch (error) {
         logApiError(error, "agendando cita");
+        if (isUnavailableError(error)) throw error;
         return {
             success: false,
             message: "Error al agendar la cita. Es posible que el horario ya no esté disponible."
@@ -422,12 +503,14 @@ exports.getAppointmentsByPatient = async (id_paciente) => {
         fecha: cita.fecha,
         hora_inicio: cita.hora_inicio,
         hora_fin: cita.hora_fin,
+        duracion: cita.duracion,
         estado: {
           id: cita.id_estado,
           nombre: cita.estado_cita,
           categoria: getAppointmentCategory(cita.id_estado)
         },
         dentista: cita.nombre_dentista,
+        id_dentista: cita.id_dentista,
         sucursal: cita.nombre_sucursal,
         comentarios: cita.comentarios
       }));
@@ -435,12 +518,13 @@ exports.getAppointmentsByPatient = async (id_paciente) => {
     return citasFiltradas;
   } catch (error) {
     logApiError(error, "obteniendo citas del paciente");
+    if (isUnavailableError(error)) throw error;
     return null;
   }
 };
 
-// Modificar cita (cambia fecha/hora)
-exports.updateAppointment = async (id_sesion, fecha, horaInicio, duracion = 60, idDentista = 1, idSillon = 1, comentario = null) => {
+// Modificar cita (cambia fecha/hora); dentista y sillón son los que quedaron libres (routerService.findResourcesForMove)
+exports.updateAppointment = async (id_sesion, fecha, horaInicio, duracion = 60, idDentista, idSillon, comentario = null) => {
   try {
     const payload = {
       id_sesion,
@@ -455,6 +539,7 @@ exports.updateAppointment = async (id_sesion, fecha, horaInicio, duracion = 60,
     };
 
     const response = await api.post('/citas/changeDate', payload);
+    await cache.invalidate('slots');
     const nuevaCita = response.data.data;
 
     console.log(`✅ Cita modificada: ${nuevaCita.fecha} ${nuevaCita.hora_inicio}`);
@@ -471,7 +556,7 @@ exports.updateAppointment = async (id_sesion, fecha, horaInicio, duracion = 60,
 
     return { ...response.data, data: nuevaCita };
   } catch (error) {
-    console.error("❌ Error al actualizar cita:", error.response?.data || error.message);
+    console.error("❌ Error al actualizar cita:", error.data || error.message);
     throw error;
   }
 }
@@ -484,11 +569,12 @@ exports.cancelAppointment = async(id_cita, comentarios = "Cita anulada por el pa
             comentarios,
             flag_notificar_anulacion: 1
         });
+        await cache.invalidate('slots');
 
         console.log(`✅ Cita ${id_cita} cancelada`);
         return response.data;
     } catch (error) {
-        console.error("❌ Error cancelando cita:", error.response?.data || error.message);
+        console.error("❌ Error cancelando cita:", error.data || error.message);
         throw error;
     }
 }
@@ -502,7 +588,7 @@ exports.confirmAppointment = async (appointmentId) => {
         console.log(`✅ Cita ${appointmentId} confirmada`);
         return response.data;
     } catch (error) {
-        console.error("❌ Error confirmando cita:", error.response?.data || error.message);
+        console.error("❌ Error confirmando cita:", error.data || error.message);
         throw error;
     }
 }
@@ -512,25 +598,27 @@ exports.getDailyAppointments = async () => {
     return exports.getAppointmentsByDate(null);
 }
 
-// Obtiene citas para una fecha específica (o hoy si no se especifica)
+// Citas activas de todos los dentistas del roster en un rango de fechas
+const getClinicAppointmentsInRange = async (startDate, endDate) => {
+    const id_sucursal = await configService.getClinicId();
+    const dentists = await getCandidateDentists();
+    const citas = [];
+
+    for (const dentist of dentists) {
+        const citasDentista = await getActiveAppointmentsInRange(startDate, endDate, dentist.id, id_sucursal);
+        citas.push(...citasDentista.map(cita => ({ ...cita, nombre_dentista: cita.nombre_dentista || dentist.name })));
+    }
+    return citas;
+};
+
+// Obtiene citas para una fecha específica (o hoy si no se especifica), de todos los dentistas
 exports.getAppointmentsByDate = async (dateStr = null) => {
     try {
         const { getColombiaDateObject } = require('../utils/dateHelper');
         const colombiaToday = getColombiaDateObject();
         const formattedDate = dateStr || formatDate(colombiaToday);
 
-        const id_dentista = process.env.DENTALINK_DENTIST_ID || 1;
-        const id_sucursal = process.env.DENTALINK_CLINIC_ID || 1;
-
-        const queryParams = {
-            fecha: { eq: formattedDate },
-            id_dentista: { eq: id_dentista },
-            id_sucursal: { eq: id_sucursal }
-        };
-
-        const response = await api.get(`/citas/?q=${JSON.stringify(queryParams)}`);
-        const citas = response.data.data || response.data || [];
-        const citasActivas = citas.filter(cita => isActiveState(cita.id_estado));
+        const citasActivas = await getClinicAppointmentsInRange(formattedDate, formattedDate);
 
         // Ordenar por hora
         citasActivas.sort((a, b) => a.hora_inicio.localeCompare(b.hora_inicio));
@@ -547,17 +635,19 @@ exports.getAppointmentsByDate = async (dateStr = null) => {
             estado: cita.estado_cita || cita.estado || 'Desconocido',
             id_estado: cita.id_estado,
             comentarios: cita.comentarios || '',
+            id_dentista: cita.id_dentista,
             nombre_dentista: cita.nombre_dentista || '',
             nombre_sucursal: cita.nombre_sucursal || ''
         }));
 
     } catch (error) {
         logApiError(error, "obteniendo citas por fecha");
+        if (isUnavailableError(error)) throw error;
         return [];
     }
 }
 
-// Obtiene citas para un rango de fechas
+// Obtiene citas para un rango de fechas, de todos los dentistas
 exports.getAppointmentsByDateRange = async (startDateStr, endDateStr) => {
     try {
         const { getColombiaDateObject } = require('../utils/dateHelper');
@@ -565,40 +655,19 @@ exports.getAppointmentsByDateRange = async (startDateStr, endDateStr) => {
         const startDate = startDateStr || formatDate(colombiaToday);
         const endDate = endDateStr || startDate;
 
-        const id_dentista = process.env.DENTALINK_DENTIST_ID || 1;
-        const id_sucursal = process.env.DENTALINK_CLINIC_ID || 1;
-
-        const allAppointments = [];
-        const start = new Date(startDate);
-        const end = new Date(endDate);
-
-        for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-            const dateStr = formatDate(d);
-            const queryParams = {
-                fecha: { eq: dateStr },
-                id_dentista: { eq: id_dentista },
-                id_sucursal: { eq: id_sucursal }
-            };
-
-            const response = await api.get(`/citas/?q=${JSON.stringify(queryParams)}`);
-            const citas = response.data.data || response.data || [];
-            const citasActivas = citas.filter(cita => isActiveState(cita.id_estado));
-
-            citasActivas.forEach(cita => {
-                allAppointments.push({
-                    id: cita.id,
-                    nombre_paciente: cita.nombre_paciente || 'Sin nombre',
-                    fecha: cita.fecha,
-                    hora_inicio: cita.hora_inicio,
-                    hora_fin: cita.hora_fin,
-                    estado: cita.estado_cita || cita.estado || 'Desconocido',
-                    id_estado: cita.id_estado,
-                    comentarios: cita.comentarios || '',
-                    nombre_dentista: cita.nombre_dentista || '',
-                    nombre_sucursal: cita.nombre_sucursal || ''
-                });
-            });
-        }
+        const citasActivas = await getClinicAppointmentsInRange(startDate, endDate);
+        const allAppointments = citasActivas.map(cita => ({
+            id: cita.id,
+            nombre_paciente: cita.nombre_paciente || 'Sin nombre',
+            fecha: cita.fecha,
+            hora_inicio: cita.hora_inicio,
+            hora_fin: cita.hora_fin,
+            estado: cita.estado_cita || cita.estado || 'Desconocido',
+            id_estado: cita.id_estado,
+            comentarios: cita.comentarios || '',
+            nombre_dentista: cita.nombre_dentista || '',
+            nombre_sucursal: cita.nombre_sucursal || ''
+        }));
 
         // Ordenar por fecha y hora
         allAppointments.sort((a, b) => {
@@ -612,6 +681,7 @@ exports.getAppointmentsByDateRange = async (startDateStr, endDateStr) => {
 
     } catch (error) {
         logApiError(error, "obteniendo citas por rango");
+        if (isUnavailableError(error)) throw error;
         return [];
     }
 }
@@ -0,0 +1,261 @@
+// services/handoffBriefingService.js
+// Resumen para el agente cuando un paciente pasa a atención humana
+//
+// Los datos (nombre, documento, próximas citas) salen de la sesión y de Dentalink; Claude
+// resume la conversación: qué necesita el paciente, qué intentó el bot y qué quedó pendiente.
+// La respuesta se pide como tool_use forzado (reportHandoffBriefing), igual que mediaAnalysisService,
+// y si el modelo falla se arma un resumen sin IA con el motivo y el último mensaje del paciente.
+//
+// El resumen se guarda en el handoff (campo `briefing`) para mostrarlo fijado en el dashboard
+// y se le envía al agente por WhatsApp (ver briefHandoff).
+
+const { sendText } = require('./whatsappService');
+const { getModelProvider } = require('./anthropicService');
+const handoffService = require('./handoffService');
+const conversationLogService = require('./conversationLogService');
+const dentalinkService = require('./dentalinkService');
+const sessionService = require('./sessionService');
+const { formatShortDate } = require('../utils/dateHelper');
+
+const DASHBOARD_URL = 'https://whatsapp-starter-4de11.web.app/';
+const TRANSCRIPT_MESSAGES = 20;
+const MAX_TEXT_LENGTH = 300;
+
+const ROLE_LABELS = { user: 'Paciente', assistant: 'Bot', agent: 'Agente' };
+
+const BRIEFING_TOOL = {
+  name: 'reportHandoffBriefing',
+  description: 'Reporta el resumen de la conversación para el agente que la va a atender.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      summary: { type: 'string', description: 'Qué necesita el paciente, en 1 o 2 frases' },
+      attempts: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Lo que el bot ya intentó y cómo terminó (máx. 4, frases cortas)'
+      },
+      openQuestion: { type: 'string', description: 'La pregunta o necesidad que el agente debe resolver' }
+    },
+    required: ['summary', 'attempts', 'openQuestion']
+  }
+};
+
+const SYSTEM_PROMPT = `
+Preparas un resumen para la persona de una clínica dental en Colombia que va a tomar una conversación de WhatsApp que venía atendiendo el asistente virtual.
+Responde SIEMPRE con la herramienta reportHandoffBriefing, en español y sin saludos.
+
+- summary: qué necesita el paciente.
+- attempts: lo que el bot ya hizo (consultas de citas, horarios ofrecidos, documentos pedidos...) y su resultado. Lista vacía si no intentó nada.
+- openQuestion: lo que falta resolver, en una frase que el agente pueda responder.
+
+Usa solo lo que está en la conversación; no inventes datos.
+`.trim();
+
+const truncate = (text, max = MAX_TEXT_LENGTH) => (text.length > max ? `${text.substring(0, max)}…` : text);
+
+// Texto de un mensaje del registro; los archivos van con la transcripción o la descripción del análisis
+function describeMessage(message) {
+  if (!message.mediaType) return message.text;
+  const detail = message.transcript || message.analysis?.description;
+  const caption = message.text && message.text !== `[${message.mediaType}]` ? ` ${message.text}` : '';
+  return `[${message.mediaType}${detail ? `: ${detail}` : ''}]${caption}`;
+}
+
+// Herramientas que llamó el bot en la sesión (sin el propio requestHumanAgent), con su resultado resumido
+function describeToolCalls(history) {
+  const calls = [];
+  (history || []).forEach(item => {
+    if (!Array.isArray(item.content)) return;
+    item.content.forEach(block => {
+      if (block.type === 'tool_use' && block.name !== 'requestHumanAgent') {
+        calls.push({ name: block.name, input: block.input || {}, result: null });
+      } else if (block.type === 'tool_result' && calls.length > 0 && !calls[calls.length - 1].result) {
+        const content = typeof block.content === 'string' ? block.content : JSON.stringify(block.content);
+        calls[calls.length - 1].result = truncate(content, 200);
+      }
+    });
+  });
+  return calls;
+}
+
+/**
+ * Datos del paciente para el resumen: nombre, documento, próximas citas, conversación y herramientas usadas
+ * @param {string} clientId
+ * @param {Object} options
+ * @param {string} options.clientName
+ * @param {string} options.documentNumber
+ * @param {Array} options.history - Historial de la sesión (default: el guardado)
+ * @returns {Promise<Object>}
+ */
+async function gatherContext(clientId, { clientName = null, documentNumber = null, history = null } = {}) {
+  const session = await sessionService.getOrCreateSession(clientId);
+  const conversation = await conversationLogService.getConversation(clientId);
+  const documentNumberFound = documentNumber || session?.document_number || session?.data?.documentNumber ||
+    conversation?.userDocument || null;
+
+  let patient = null;
+  let appointments = [];
+  if (documentNumberFound) {
+    try {
+      patient = await dentalinkService.findPatientByDocument(documentNumberFound);
+      appointments = patient ? await dentalinkService.getAppointmentsByPatient(patient.id) || [] : [];
+    } catch (error) {
+      console.error('⚠️ [RESUMEN] Dentalink no respondió:', error.message);
+    }
+  }
+
+  const messages = (conversation?.messages || [])
+    .filter(m => ROLE_LABELS[m.role] && m.text)
+    .map(m => ({ role: m.role, text: describeMessage(m) }));
+
+  // El turno en curso todavía no está en el registro de la conversación
+  const currentText = [...(history || [])].reverse().find(item => item.role === 'user' && typeof item.content === 'string')?.content;
+  const lastLogged = messages.filter(m => m.role === 'user').pop();
+  if (currentText && currentText !== lastLogged?.text) {
+    messages.push({ role: 'user', text: currentText });
+  }
+
+  return {
+    patientName: patient ? [patient.nombre, patient.apellidos].filter(Boolean).join(' ') : conversation?.userName || clientName,
+    documentNumber: documentNumberFound,
+    appointments: appointments.map(apt => ({
+      id: apt.id,
+      date: apt.fecha,
+      time: apt.hora_inicio.substring(0, 5),
+      dentist: apt.dentista || null,
+      status: apt.estado?.nombre || null
+    })),
+    messages: messages.slice(-TRANSCRIPT_MESSAGES),
+    toolCalls: describeToolCalls(history || session?.conversation_history || session?.history)
+  };
+}
+
+function buildPrompt(context, reason) {
+  const transcript = context.messages.map(m => `${ROLE_LABELS[m.role]}: ${truncate(m.text)}`).join('\n');
+  const tools = context.toolCalls.map(call => `- ${call.name} ${JSON.stringify(call.input)}${call.result ? ` → ${call.result}` : ''}`).join('\n');
+
+  return [
+    `Motivo del relevo: ${reason}`,
+    `Conversación:\n${transcript || '(sin mensajes)'}`,
+    `Herramientas que usó el bot:\n${tools || '(ninguna)'}`
+  ].join('\n\n');
+}
+
+// Resumen sin IA: el motivo y lo último que escribió el paciente
+function fallbackSummary(context, reason) {
+  const lastPatientMessage = context.messages.filter(m => m.role === 'user').pop();
+  return {
+    summary: reason,
+    attempts: [...new Set(context.toolCalls.map(call => call.name))],
+    openQuestion: lastPatientMessage ? truncate(lastPatientMessage.text, 200) : reason
+  };
+}
+
+/**
+ * Arma el resumen del relevo. Nunca lanza: si el modelo falla usa fallbackSummary
+ * @param {string} clientId - Teléfono del paciente
+ * @param {Object} options
+ * @param {string} options.reason - Motivo del relevo
+ * @param {string} options.clientName
+ * @param {string} options.documentNumber
+ * @param {Array} options.history - Historial de la sesión en curso
+ * @returns {Promise<Object>} { phone, patientName, documentNumber, appointments, reason, summary, attempts, openQuestion, source, createdAt }
+ */
+async function buildBriefing(clientId, { reason, clientName = null, documentNumber = null, history = null } = {}) {
+  const context = await gatherContext(clientId, { clientName, documentNumber, history });
+  let result = null;
+
+  try {
+    const response = await getModelProvider().createMessage({
+      model: 'claude-sonnet-4-20250514',
+      max_tokens: 512,
+      system: [{ type: 'text', text: SYSTEM_PROMPT }],
+      messages: [{ role: 'user', content: buildPrompt(context, reason) }],
+      tools: [BRIEFING_TOOL],
+      tool_choice: { type: 'tool', name: BRIEFING_TOOL.name }
+    }, { conversationId: clientId });
+
+    const input = response.content.find(block => block.type === 'tool_use' && block.name === BRIEFING_TOOL.name)?.input;
+    if (input?.summary) {
+      result = {
+        summary: String(input.summary).trim(),
+        attempts: (Array.isArray(input.attempts) ? input.attempts : []).map(String).filter(Boolean).slice(0, 4),
+        openQuestion: String(input.openQuestion || '').trim() || reason
+      };
+    } else {
+      console.warn('⚠️ [RESUMEN] El modelo no devolvió el resumen');
+    }
+  } catch (error) {
+    console.error('❌ [RESUMEN] Error generando resumen:', error?.response?.data || error.message);
+  }
+
+  return {
+    phone: clientId,
+    patientName: context.patientName,
+    documentNumber: context.documentNumber,
+    appointments: context.appointments,
+    reason,
+    ...(result || fallbackSummary(context, reason)),
+    source: result ? 'ai' : 'fallback',
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Texto de WhatsApp para el agente
+ * @param {Object} briefing - buildBriefing()
+ * @param {string} title - Encabezado (ej: "🔔 *Solicitud de Atención Humana*")
+ * @returns {string}
+ */
+function formatBriefing(briefing, title) {
+  const lines = [
+    title,
+    '',
+    `👤 *Paciente:* ${briefing.patientName || 'Cliente'}${briefing.documentNumber ? ` · CC ${briefing.documentNumber}` : ''}`,
+    `📱 *Teléfono:* ${briefing.phone}`,
+    `💬 *Razón:* ${briefing.reason}`,
+    '',
+    `📝 *Resumen:* ${briefing.summary}`
+  ];
+
+  if (briefing.attempts.length > 0) {
+    lines.push(`🤖 *El bot intentó:*\n${briefing.attempts.map(attempt => `• ${attempt}`).join('\n')}`);
+  }
+  lines.push(`❓ *Pendiente:* ${briefing.openQuestion}`);
+
+  if (briefing.appointments.length > 0) {
+    lines.push('', '📅 *Próximas citas:*', ...briefing.appointments.map(apt =>
+      `⏰ ${formatShortDate(apt.date)} ${apt.time}${apt.dentist ? ` con ${apt.dentist}` : ''}${apt.status ? ` (${apt.status})` : ''}`));
+  }
+
+  lines.push(
+    '',
+    `🖥️ *Abrir Dashboard:*\n${DASHBOARD_URL}?client=${briefing.phone}`,
+    '',
+    '_Presiona "Intervenir" en el dashboard para tomar control de la conversación._'
+  );
+  return lines.join('\n');
+}
+
+/**
+ * Arma el resumen de un relevo, lo guarda en el handoff y se lo envía al agente
+ * @param {Object} handoff - handoffService.createHandoff()
+ * @param {Object} options - Los de buildBriefing, más `title` para el mensaje
+ * @returns {Promise<Object>} El resumen
+ */
+async function briefHandoff(handoff, { title = '🔔 *Solicitud de Atención Humana*', ...options } = {}) {
+  const briefing = await buildBriefing(handoff.clientId, { clientName: handoff.clientName, ...options });
+  await handoffService.setBriefing(handoff.id, briefing);
+  await sendText(handoff.agentPhoneNumber, formatBriefing(briefing, title));
+  console.log(`📝 [RESUMEN] Resumen (${briefing.source}) enviado a ${handoff.agentName || handoff.agentPhoneNumber} para ${handoff.clientId}`);
+  return briefing;
+}
+
+module.exports = {
+  ROLE_LABELS,
+  gatherContext,
+  buildBriefing,
+  formatBriefing,
+  briefHandoff
+};
@@ -1,6 +1,16 @@
 // services/handoffService.js
+// Relevos (handoffs) a agentes humanos. Cada relevo activo pertenece a un agente del roster
+// (configService.getAgentRoster); agentRoutingService decide a quién se asigna uno nuevo.
+// El chat al que le escribe cada agente por WhatsApp se guarda en agent_targets/{teléfono}
+// (ver agentCommandService: /a <id>).
+// waitingSince marca desde cuándo el paciente espera respuesta del agente y `sla` los avisos
+// que ya se enviaron en esa espera (ver handoffSlaService).
+// Cuando un agente envía la plantilla de contacto (doctor_message) desde el dashboard se guarda
+// en contact_requests/{teléfono del paciente}, para avisarle a él la respuesta y darle el chat.
 const admin = require('firebase-admin');
 const { sendText } = require('./whatsappService');
+const configService = require('./configService');
+const agentRoutingService = require('./agentRoutingService');
 
 if (!admin.apps.length) {
   admin.initializeApp();
@@ -8,26 +18,60 @@ if (!admin.apps.length) {
 
 const db = admin.firestore();
 const HANDOFFS_COLLECTION = 'open-handoffs';
+const TARGETS_COLLECTION = 'agent_targets';
+const CONTACT_REQUESTS_COLLECTION = 'contact_requests';
 
-// Crea un handoff entre cliente y agente
-async function createHandoff(clientId, agentPhoneNumber, clientName = null) {
+// Aviso al paciente cuando el agente lo devuelve al bot
+const BOT_BACK_MESSAGE = '🤖 Paola ha vuelto a atenderte. ¿En qué más puedo ayudarte?';
+
+// Orden de actividad: Timestamp de Firestore (o nada, si todavía no se escribió)
+const toMillis = (timestamp) => timestamp?.toMillis ? timestamp.toMillis() : 0;
+
+/**
+ * Crea un handoff entre cliente y agente
+ * Si no se indica el agente, se asigna uno del roster según agentRoutingService
+ * @param {string} clientId - Teléfono del paciente
+ * @param {string|null} agentPhoneNumber - Agente que lo toma (null = asignación automática)
+ * @param {string} clientName
+ * @param {Object} options
+ * @param {string} options.skill - Habilidad que necesita el caso (ej: "ortodoncia"), para la asignación automática
+ * @returns {Promise<Object|null>} El handoff (o el que ya estaba activo), null si no hay agentes configurados
+ */
+async function createHandoff(clientId, agentPhoneNumber = null, clientName = null, { skill = null } = {}) {
   try {
     const existingHandoff = await getActiveHandoffByClient(clientId);
     if (existingHandoff) {
       return existingHandoff;
     }
 
+    const agent = agentPhoneNumber
+      ? await configService.getAgentByPhone(agentPhoneNumber) || { id: null, name: null, phone: agentPhoneNumber }
+      : await agentRoutingService.pickAgent({ skill, activeHandoffs: await getAllActiveHandoffs() });
+
+    if (!agent) {
+      console.error(`❌ No hay agentes configurados para el relevo de ${clientId}`);
+      return null;
+    }
+
     const handoffData = {
       clientId,
-      agentPhoneNumber,
+      agentPhoneNumber: agent.phone,
+      agentId: agent.id,
+      agentName: agent.name,
+      skill: skill || null,
       clientName: clientName || 'Cliente',
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      assignedAt: admin.firestore.FieldValue.serverTimestamp(),
       lastMessage: admin.firestore.FieldValue.serverTimestamp(),
+      waitingSince: admin.firestore.FieldValue.serverTimestamp(),
+      sla: {},
+      transfers: [],
       status: 'active'
     };
 
     const docRef = await db.collection(HANDOFFS_COLLECTION).add(handoffData);
-    console.log(`✅ Handoff creado: ${docRef.id}`);
+    if (agent.id) await agentRoutingService.recordAssignment(agent.id);
+    console.log(`✅ Handoff creado: ${docRef.id} → ${agent.name || agent.phone}`);
 
     return { id: docRef.id, ...handoffData };
   } catch (error) {
@@ -36,6 +80,59 @@ async function createHandoff(clientId, agentPhoneNumber, clientName = null) {
   }
 }
 
+/**
+ * Pasa un handoff activo a otro agente del roster y les avisa a ambos por WhatsApp
+ * @param {string} handoffId
+ * @param {string} toAgentId - Id del agente que lo recibe
+ * @param {Object} options
+ * @param {string} options.reason - Motivo que se les muestra a los agentes (ej: escalamiento por SLA)
+ * @returns {Promise<Object>} El handoff actualizado
+ * @throws {Error} Si el handoff no está activo o el agente no existe
+ */
+async function transferHandoff(handoffId, toAgentId, { reason = null } = {}) {
+  const docRef = db.collection(HANDOFFS_COLLECTION).doc(handoffId);
+  const doc = await docRef.get();
+  if (!doc.exists || doc.data().status !== 'active') {
+    throw new Error('El relevo no existe o ya está cerrado');
+  }
+
+  const handoff = { id: doc.id, ...doc.data() };
+  const agent = await configService.getAgentById(toAgentId);
+  if (!agent) {
+    throw new Error(`No existe el agente "${toAgentId}"`);
+  }
+  if (agent.phone === handoff.agentPhoneNumber) {
+    return handoff;
+  }
+
+  const transfer = {
+    fromAgentId: handoff.agentId || null,
+    toAgentId: agent.id,
+    at: new Date().toISOString(),
+    ...(reason && { reason })
+  };
+  const updates = {
+    agentPhoneNumber: agent.phone,
+    agentId: agent.id,
+    agentName: agent.name,
+    assignedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+  await docRef.update({ ...updates, transfers: admin.firestore.FieldValue.arrayUnion(transfer) });
+  await agentRoutingService.recordAssignment(agent.id);
+  console.log(`🔀 Handoff ${handoffId} transferido: ${handoff.agentName || handoff.agentPhoneNumber} → ${agent.name}`);
+
+  const client = `${handoff.clientName || 'Cliente'} (${handoff.clientId})`;
+  const because = reason ? ` (${reason})` : '';
+  await sendText(agent.phone, reason
+    ? `🚨 Te pasamos el chat de ${client}${because}. Revisa el dashboard para responder.`
+    : `🔀 ${handoff.agentName || 'Otro agente'} te transfirió el chat de ${client}. Revisa el dashboard para responder.`);
+  if (handoff.agentPhoneNumber) {
+    await sendText(handoff.agentPhoneNumber, `↪️ El chat de ${client} ahora lo atiende ${agent.name}${because}.`);
+  }
+
+  return { ...handoff, ...updates, transfers: [...(handoff.transfers || []), transfer] };
+}
+
 // Obtiene handoff activo por cliente
 async function getActiveHandoffByClient(clientId) {
   try {
@@ -55,30 +152,117 @@ async function getActiveHandoffByClient(clientId) {
   }
 }
 
-// Obtiene handoff activo por agente
-async function getActiveHandoffByAgent(agentPhoneNumber) {
+/**
+ * Handoffs activos de un agente, del más reciente al más antiguo (por último mensaje)
+ * @param {string} agentPhoneNumber
+ * @returns {Promise<Array>}
+ */
+async function getActiveHandoffsByAgent(agentPhoneNumber) {
   try {
     const snapshot = await db.collection(HANDOFFS_COLLECTION)
       .where('agentPhoneNumber', '==', agentPhoneNumber)
       .where('status', '==', 'active')
       .get();
 
-    if (snapshot.empty) return null;
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => toMillis(b.lastMessage) - toMillis(a.lastMessage));
+  } catch (error) {
+    console.error('❌ Error obteniendo handoffs por agente:', error);
+    return [];
+  }
+}
 
-    const doc = snapshot.docs[0];
-    return { id: doc.id, ...doc.data() };
+/**
+ * Handoff al que va lo que el agente escribe por WhatsApp: el que eligió con /a,
+ * o el de actividad más reciente si no eligió ninguno (o ese ya se cerró o se transfirió)
+ * @param {string} agentPhoneNumber
+ * @returns {Promise<Object|null>}
+ */
+async function getActiveHandoffByAgent(agentPhoneNumber) {
+  const handoffs = await getActiveHandoffsByAgent(agentPhoneNumber);
+  const targetId = await getAgentTarget(agentPhoneNumber);
+  return handoffs.find(handoff => handoff.id === targetId) || handoffs[0] || null;
+}
+
+/**
+ * Guarda el chat activo del agente (lo que escriba sin comando le llega a ese paciente)
+ * @param {string} agentPhoneNumber
+ * @param {string|null} handoffId - null lo olvida
+ */
+async function setAgentTarget(agentPhoneNumber, handoffId) {
+  try {
+    await db.collection(TARGETS_COLLECTION).doc(agentPhoneNumber).set({
+      handoffId: handoffId || null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  } catch (error) {
+    console.error('❌ Error guardando el chat activo del agente:', error);
+  }
+}
+
+/**
+ * @param {string} agentPhoneNumber
+ * @returns {Promise<string|null>} Id del handoff que eligió el agente
+ */
+async function getAgentTarget(agentPhoneNumber) {
+  try {
+    const doc = await db.collection(TARGETS_COLLECTION).doc(agentPhoneNumber).get();
+    return doc.exists ? doc.data().handoffId || null : null;
+  } catch (error) {
+    console.error('❌ Error obteniendo el chat activo del agente:', error);
+    return null;
+  }
+}
+
+/**
+ * Guarda qué agente le envió al paciente la plantilla de contacto (doctor_message)
+ * @param {string} clientId - Teléfono del paciente
+ * @param {Object|null} agent - Agente del roster (configService.getAgentByEmail); null lo olvida
+ * @param {string|null} messageId - wamid de la plantilla
+ */
+async function setContactRequest(clientId, agent, messageId = null) {
+  try {
+    await db.collection(CONTACT_REQUESTS_COLLECTION).doc(clientId).set({
+      agentId: agent?.id || null,
+      agentPhone: agent?.phone || null,
+      agentName: agent?.name || null,
+      messageId: messageId || null,
+      sentAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  } catch (error) {
+    console.error('❌ Error guardando la solicitud de contacto:', error);
+  }
+}
+
+/**
+ * @param {string} clientId - Teléfono del paciente
+ * @returns {Promise<Object|null>} { agentId, agentPhone, agentName, messageId, sentAt } de la última plantilla de contacto
+ */
+async function getContactRequest(clientId) {
+  try {
+    const doc = await db.collection(CONTACT_REQUESTS_COLLECTION).doc(clientId).get();
+    return doc.exists ? doc.data() : null;
   } catch (error) {
-    console.error('❌ Error obteniendo handoff por agente:', error);
+    console.error('❌ Error obteniendo la solicitud de contacto:', error);
     return null;
   }
 }
 
-// Cierra un handoff
-async function closeHandoff(handoffId) {
+/**
+ * Cierra un handoff
+ * @param {string} handoffId
+ * @param {Object} options
+ * @param {string} options.reason - Por qué se cerró (ej: "inactivity"), opcional
+ * @param {string} options.summary - Resumen del relevo, opcional
+ */
+async function closeHandoff(handoffId, { reason = null, summary = null } = {}) {
   try {
     await db.collection(HANDOFFS_COLLECTION).doc(handoffId).update({
       status: 'closed',
-      closedAt: admin.firestore.FieldValue.serverTimestamp()
+      closedAt: admin.firestore.FieldValue.serverTimestamp(),
+      ...(reason && { closeReason: reason }),
+      ...(summary && { summary })
     });
     console.log(`✅ Handoff ${handoffId} cerrado`);
   } catch (error) {
@@ -114,17 +298,63 @@ async function closeAllAgentHandoffs(agentPhoneNumber) {
   }
 }
 
-// Actualiza timestamp de actividad
-async function updateHandoffTimestamp(handoffId) {
+/**
+ * Actualiza el timestamp de actividad
+ * Con `from` lleva además la espera del paciente: su mensaje la inicia (si no había una)
+ * y la respuesta del agente la termina y reinicia los avisos del SLA
+ * @param {string} handoffId
+ * @param {string|null} from - 'patient' | 'agent' | null (solo actividad)
+ */
+async function updateHandoffTimestamp(handoffId, from = null) {
   try {
-    await db.collection(HANDOFFS_COLLECTION).doc(handoffId).update({
-      lastMessage: admin.firestore.FieldValue.serverTimestamp()
-    });
+    const docRef = db.collection(HANDOFFS_COLLECTION).doc(handoffId);
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const updates = { lastMessage: now };
+
+    if (from === 'patient') {
+      const doc = await docRef.get();
+      updates.lastPatientMessageAt = now;
+      if (!doc.exists || !doc.data().waitingSince) {
+        updates.waitingSince = now;
+      }
+    } else if (from === 'agent') {
+      updates.lastAgentMessageAt = now;
+      updates.waitingSince = null;
+      updates.sla = {};
+    }
+
+    await docRef.update(updates);
   } catch (error) {
     console.error('❌ Error actualizando timestamp:', error);
   }
 }
 
+/**
+ * Guarda el resumen del relevo para el agente (ver handoffBriefingService)
+ * @param {string} handoffId
+ * @param {Object} briefing
+ */
+async function setBriefing(handoffId, briefing) {
+  try {
+    await db.collection(HANDOFFS_COLLECTION).doc(handoffId).update({ briefing });
+  } catch (error) {
+    console.error('❌ Error guardando el resumen del handoff:', error);
+  }
+}
+
+/**
+ * Guarda los avisos del SLA que ya se enviaron en la espera actual
+ * @param {string} handoffId
+ * @param {Object} sla - { remindedAt, patientNotifiedAt, escalatedAt } (ISO)
+ */
+async function updateSla(handoffId, sla) {
+  try {
+    await db.collection(HANDOFFS_COLLECTION).doc(handoffId).update({ sla });
+  } catch (error) {
+    console.error('❌ Error guardando el SLA del handoff:', error);
+  }
+}
+
 // Obtiene todos los handoffs activos
 async function getAllActiveHandoffs() {
   try {
@@ -141,11 +371,20 @@ async function getAllActiveHandoffs() {
 }
 
 module.exports = {
+  BOT_BACK_MESSAGE,
   createHandoff,
+  transferHandoff,
   getActiveHandoffByClient,
+  getActiveHandoffsByAgent,
   getActiveHandoffByAgent,
+  setAgentTarget,
+  getAgentTarget,
+  setContactRequest,
+  getContactRequest,
   closeHandoff,
   closeAllAgentHandoffs,
   updateHandoffTimestamp,
+  setBriefing,
+  updateSla,
   getAllActiveHandoffs
 };
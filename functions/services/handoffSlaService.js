@@ -0,0 +1,203 @@
+// services/handoffSlaService.js
+// Seguimiento de los relevos activos (lo ejecuta monitorHandoffs cada minuto)
+//
+// Mientras el paciente espera respuesta del agente (waitingSince, ver handoffService.updateHandoffTimestamp):
+//   agentReminderMinutes  → recordatorio al agente por WhatsApp
+//   patientUpdateMinutes  → "seguimos aquí" al paciente
+//   escalateAfterMinutes  → el chat pasa al agente de respaldo (o al que elija agentRoutingService)
+// Cada aviso se envía una vez por espera; la respuesta del agente los reinicia.
+//
+// Sin mensajes de nadie durante autoCloseMinutes → el relevo se cierra, el paciente vuelve al bot
+// y el resumen queda como nota en el chat y le llega al agente.
+//
+// Los tiempos se configuran por tenant en tenant_config.handoffSla (ver configService.getHandoffSlaConfig).
+
+const { sendText } = require('./whatsappService');
+const handoffService = require('./handoffService');
+const configService = require('./configService');
+const agentRoutingService = require('./agentRoutingService');
+const conversationLogService = require('./conversationLogService');
+const { buildShortIds } = require('./agentCommandService');
+
+const AUTO_CLOSE_MESSAGE = '🤖 Como no hubo más mensajes, cerramos la conversación con el equipo. Paola vuelve a atenderte: escríbeme si necesitas algo más.';
+
+const toMillis = (timestamp) => timestamp?.toMillis ? timestamp.toMillis() : 0;
+
+function minutesSince(timestamp, now) {
+  const millis = toMillis(timestamp);
+  return millis ? Math.round((now - millis) / 60000) : 0;
+}
+
+// 45 → "45 min", 240 → "4 h", 310 → "5 h 10 min"
+function formatMinutes(minutes) {
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest ? `${hours} h ${rest} min` : `${hours} h`;
+}
+
+function describeClient(handoff) {
+  return `${handoff.clientName || 'Cliente'} (${handoff.clientId})`;
+}
+
+// Recordatorio al agente con el id corto para responder con /a
+async function remindAgent(handoff, waited) {
+  const shortIds = buildShortIds(await handoffService.getActiveHandoffsByAgent(handoff.agentPhoneNumber));
+  const shortId = shortIds[handoff.id] || handoff.clientId.slice(-4);
+  await sendText(handoff.agentPhoneNumber,
+    `⏰ ${describeClient(handoff)} lleva ${formatMinutes(waited)} esperando tu respuesta. Escribe /a ${shortId} para responderle.`);
+  console.log(`⏰ [SLA] Recordatorio a ${handoff.agentName || handoff.agentPhoneNumber} por ${handoff.clientId}`);
+}
+
+async function updatePatient(handoff, message) {
+  const messageId = await sendText(handoff.clientId, message);
+  if (messageId) {
+    await conversationLogService.logSimpleMessage(handoff.clientId, 'assistant', message, null, null, messageId);
+  }
+  console.log(`🙌 [SLA] "Seguimos aquí" a ${handoff.clientId}${messageId ? '' : ' (no se pudo enviar)'}`);
+}
+
+/**
+ * Pasa el chat al agente de respaldo o, si no hay uno configurado, al que elija agentRoutingService
+ * @returns {Promise<boolean>} false si no hay otro agente disponible
+ */
+async function escalate(handoff, config, waited) {
+  const backup = config.backupAgentId ? await configService.getAgentById(config.backupAgentId) : null;
+  const target = backup && backup.phone !== handoff.agentPhoneNumber
+    ? backup
+    : await agentRoutingService.pickAgent({
+      skill: handoff.skill,
+      exclude: [handoff.agentId].filter(Boolean),
+      activeHandoffs: await handoffService.getAllActiveHandoffs()
+    });
+
+  if (!target || target.phone === handoff.agentPhoneNumber) {
+    console.log(`⚠️ [SLA] No hay otro agente para escalar el chat de ${handoff.clientId}`);
+    return false;
+  }
+
+  await handoffService.transferHandoff(handoff.id, target.id, { reason: `${formatMinutes(waited)} sin respuesta` });
+  console.log(`🚨 [SLA] Chat de ${handoff.clientId} escalado a ${target.name}`);
+  return true;
+}
+
+/**
+ * Resumen del relevo para el cierre por inactividad
+ * @param {Object} handoff
+ * @param {number} idle - Minutos sin mensajes
+ * @param {number} now - Milisegundos
+ * @returns {Promise<string>}
+ */
+async function buildClosingSummary(handoff, idle, now) {
+  const since = toMillis(handoff.createdAt);
+  const conversation = await conversationLogService.getConversation(handoff.clientId);
+  const messages = (conversation?.messages || []).filter(m => !since || new Date(m.timestamp).getTime() >= since);
+  const fromPatient = messages.filter(m => m.role === 'user');
+  const fromAgent = messages.filter(m => m.role === 'agent');
+  const lastPatientText = fromPatient[fromPatient.length - 1]?.text;
+  const transfers = (handoff.transfers || []).length;
+
+  return [
+    `Relevo cerrado por inactividad (${formatMinutes(idle)} sin mensajes).`,
+    `Duración: ${formatMinutes(minutesSince(handoff.createdAt, now))} · Agente: ${handoff.agentName || handoff.agentPhoneNumber}${transfers ? ` · Transferencias: ${transfers}` : ''}`,
+    `Mensajes: ${fromPatient.length} del paciente, ${fromAgent.length} del agente`,
+    ...(lastPatientText ? [`Último del paciente: "${lastPatientText.substring(0, 120)}"`] : []),
+    ...(handoff.waitingSince ? ['⚠️ El paciente quedó esperando respuesta.'] : [])
+  ].join('\n');
+}
+
+// Devuelve el paciente al bot con el resumen como nota y se lo envía al agente
+async function autoClose(handoff, idle, now) {
+  const summary = await buildClosingSummary(handoff, idle, now);
+  await handoffService.closeHandoff(handoff.id, { reason: 'inactivity', summary });
+
+  const messageId = await sendText(handoff.clientId, AUTO_CLOSE_MESSAGE);
+  if (messageId) {
+    await conversationLogService.logSimpleMessage(handoff.clientId, 'assistant', AUTO_CLOSE_MESSAGE, null, null, messageId);
+  }
+  await conversationLogService.logSimpleMessage(handoff.clientId, 'note', summary, null, null);
+
+  if (handoff.agentPhoneNumber) {
+    await sendText(handoff.agentPhoneNumber, `🔚 El chat de ${describeClient(handoff)} volvió al bot.\n\n${summary}`);
+  }
+  console.log(`🔚 [SLA] Chat de ${handoff.clientId} cerrado por inactividad (${idle} min)`);
+}
+
+/**
+ * Aplica el SLA a un relevo activo
+ * @param {Object} handoff
+ * @param {Object} config - configService.getHandoffSlaConfig()
+ * @param {number} now - Milisegundos
+ * @returns {Promise<string[]>} Pasos ejecutados: reminded, patientNotified, escalated, closed
+ */
+async function checkHandoff(handoff, config, now) {
+  const idle = minutesSince(handoff.lastMessage || handoff.createdAt, now);
+  if (config.autoCloseMinutes && idle >= config.autoCloseMinutes) {
+    await autoClose(handoff, idle, now);
+    return ['closed'];
+  }
+
+  if (!handoff.waitingSince) return [];
+
+  const waited = minutesSince(handoff.waitingSince, now);
+  const sla = handoff.sla || {};
+  const at = new Date(now).toISOString();
+  const done = [];
+  const updates = {};
+
+  // Si toca escalar, el recordatorio ya no es para este agente
+  if (config.escalateAfterMinutes && waited >= config.escalateAfterMinutes && !sla.escalatedAt) {
+    if (await escalate(handoff, config, waited)) done.push('escalated');
+    updates.escalatedAt = at;
+    updates.remindedAt = sla.remindedAt || at;
+  } else if (config.agentReminderMinutes && waited >= config.agentReminderMinutes && !sla.remindedAt) {
+    await remindAgent(handoff, waited);
+    done.push('reminded');
+    updates.remindedAt = at;
+  }
+
+  if (config.patientUpdateMinutes && waited >= config.patientUpdateMinutes && !sla.patientNotifiedAt) {
+    await updatePatient(handoff, config.patientUpdateMessage);
+    done.push('patientNotified');
+    updates.patientNotifiedAt = at;
+  }
+
+  if (Object.keys(updates).length > 0) {
+    await handoffService.updateSla(handoff.id, { ...sla, ...updates });
+  }
+  return done;
+}
+
+/**
+ * Revisa todos los relevos activos
+ * @param {Date} now
+ * @returns {Promise<Object>} { checked, reminded, patientNotified, escalated, closed }
+ */
+async function checkHandoffs(now = new Date()) {
+  const result = { checked: 0, reminded: 0, patientNotified: 0, escalated: 0, closed: 0 };
+  const config = await configService.getHandoffSlaConfig();
+  if (!config.enabled) return result;
+
+  const handoffs = await handoffService.getAllActiveHandoffs();
+  for (const handoff of handoffs) {
+    result.checked++;
+    try {
+      const done = await checkHandoff(handoff, config, now.getTime());
+      done.forEach(step => { result[step]++; });
+    } catch (error) {
+      console.error(`❌ [SLA] Error revisando el relevo ${handoff.id}:`, error.message);
+    }
+  }
+
+  if (handoffs.length > 0) {
+    console.log(`🕒 [SLA] ${result.checked} relevos: ${result.reminded} recordatorios, ${result.patientNotified} avisos al paciente, ${result.escalated} escalados, ${result.closed} cerrados`);
+  }
+  return result;
+}
+
+module.exports = {
+  AUTO_CLOSE_MESSAGE,
+  checkHandoff,
+  checkHandoffs,
+  buildClosingSummary
+};
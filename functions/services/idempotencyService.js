@@ -0,0 +1,155 @@
+// services/idempotencyService.js
+// Registro de mensajes de WhatsApp ya procesados (colección processed_messages)
+//
+// Meta reintenta las entregas del webhook, así que el mismo message.id puede llegar
+// varias veces (incluso a instancias distintas). Cada mensaje se reclama en una
+// transacción antes de procesarlo:
+//
+// - processing: una instancia lo está procesando (lease de PROCESSING_LEASE_MS).
+//   Si la instancia muere, el lease vence y un reintento de Meta lo vuelve a procesar.
+// - done: ya se procesó; los reintentos se descartan hasta que vence el registro.
+//
+// Los registros tienen `expiresAt` (WEBHOOK_DEDUP_TTL_HOURS, default 7 días, lo que
+// Meta sigue reintentando) para configurar una política TTL de Firestore.
+// Los duplicados descartados se cuentan por día en webhook_metrics/{YYYY-MM-DD}.
+
+const admin = require('firebase-admin');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+const COLLECTION_NAME = 'processed_messages';
+const METRICS_COLLECTION = 'webhook_metrics';
+
+const readNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const TTL_MS = readNumber(process.env.WEBHOOK_DEDUP_TTL_HOURS, 7 * 24) * 60 * 60 * 1000;
+const PROCESSING_LEASE_MS = 5 * 60 * 1000;
+
+// Fecha YYYY-MM-DD en Colombia para agrupar las métricas
+function getMetricsDay(date = new Date()) {
+  return date.toLocaleDateString('en-CA', { timeZone: 'America/Bogota' });
+}
+
+/**
+ * Suma contadores a las métricas del día. Nunca lanza.
+ * @param {Object} counters - { received: 1, duplicatesDropped: 1, ... }
+ */
+async function incrementMetrics(counters) {
+  try {
+    const increments = Object.fromEntries(
+      Object.entries(counters).map(([name, value]) => [name, admin.firestore.FieldValue.increment(value)])
+    );
+    await db.collection(METRICS_COLLECTION).doc(getMetricsDay()).set({
+      ...increments,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+  } catch (error) {
+    console.error('⚠️ [IDEMPOTENCIA] Error guardando métricas:', error.message);
+  }
+}
+
+/**
+ * Reclama un mensaje para procesarlo. Solo una llamada por message.id recibe true.
+ * Si Firestore falla se procesa igual (mejor un posible duplicado que perder el mensaje).
+ * @param {string} messageId - message.id de WhatsApp (wamid...)
+ * @param {Object} details - { from, type } para diagnóstico
+ * @returns {Promise<boolean>} true si hay que procesarlo, false si es un duplicado
+ */
+async function claimMessage(messageId, details = {}) {
+  if (!messageId) return true;
+
+  const docRef = db.collection(COLLECTION_NAME).doc(messageId);
+
+  try {
+    const claimed = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+      const now = Date.now();
+
+      if (doc.exists) {
+        const record = doc.data();
+        const expired = record.expiresAtMs <= now;
+        const abandoned = record.status === 'processing' && record.leaseUntilMs <= now;
+        if (!expired && !abandoned) {
+          transaction.update(docRef, {
+            duplicates: admin.firestore.FieldValue.increment(1),
+            lastDuplicateAt: new Date(now).toISOString()
+          });
+          return false;
+        }
+        if (abandoned) {
+          console.warn(`⚠️ [IDEMPOTENCIA] ${messageId} quedó a medias en otra instancia; se reprocesa`);
+        }
+      }
+
+      transaction.set(docRef, {
+        from: details.from || null,
+        type: details.type || null,
+        status: 'processing',
+        receivedAt: new Date(now).toISOString(),
+        leaseUntilMs: now + PROCESSING_LEASE_MS,
+        expiresAtMs: now + TTL_MS,
+        expiresAt: new Date(now + TTL_MS),
+        duplicates: 0
+      });
+      return true;
+    });
+
+    if (claimed) {
+      await incrementMetrics({ received: 1 });
+    } else {
+      console.log(`🔁 [IDEMPOTENCIA] Duplicado descartado: ${messageId}`);
+      await incrementMetrics({ duplicatesDropped: 1 });
+    }
+    return claimed;
+  } catch (error) {
+    console.error(`❌ [IDEMPOTENCIA] No se pudo registrar ${messageId}; se procesa igual:`, error.message);
+    return true;
+  }
+}
+
+/**
+ * Marca un mensaje como procesado (los reintentos se descartan hasta que venza)
+ * @param {string} messageId
+ */
+async function markProcessed(messageId) {
+  if (!messageId) return;
+
+  try {
+    await db.collection(COLLECTION_NAME).doc(messageId).update({
+      status: 'done',
+      processedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`⚠️ [IDEMPOTENCIA] No se pudo marcar ${messageId} como procesado:`, error.message);
+  }
+}
+
+/**
+ * Métricas de los últimos días (más reciente primero)
+ * @param {number} days
+ * @returns {Promise<Array<{day: string, received: number, duplicatesDropped: number}>>}
+ */
+async function getMetrics(days = 7) {
+  const dayIds = Array.from({ length: days }, (_, i) => getMetricsDay(new Date(Date.now() - i * 24 * 60 * 60 * 1000)));
+  const docs = await Promise.all(dayIds.map(day => db.collection(METRICS_COLLECTION).doc(day).get()));
+
+  return docs.map((doc, i) => ({
+    day: dayIds[i],
+    received: doc.exists ? doc.data().received || 0 : 0,
+    duplicatesDropped: doc.exists ? doc.data().duplicatesDropped || 0 : 0
+  }));
+}
+
+module.exports = {
+  COLLECTION_NAME,
+  METRICS_COLLECTION,
+  claimMessage,
+  markProcessed,
+  getMetrics
+};
@@ -0,0 +1,159 @@
+// services/mediaAnalysisService.js
+// Análisis de imágenes y PDFs que envían los pacientes
+//
+// Claude clasifica el archivo (cédula, foto dental, informe, comprobante...), extrae el
+// número de documento si es un documento de identidad y decide si hace falta un agente.
+// La respuesta se pide como tool_use forzado (reportMediaAnalysis) para que siempre
+// llegue estructurada. Usa el mismo proveedor de modelo que anthropicService, así que
+// en pruebas se responde con el proveedor scripted.
+//
+// MEDIA_ANALYSIS_ENABLED=false vuelve al comportamiento anterior (todo archivo va a un agente).
+
+const { getModelProvider } = require('./anthropicService');
+
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const PDF_MIME_TYPE = 'application/pdf';
+
+// Límites de la API de Anthropic para contenido en base64
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_PDF_BYTES = 20 * 1024 * 1024;
+
+const CATEGORIES = ['documento_identidad', 'foto_dental', 'informe_clinico', 'comprobante_pago', 'otro'];
+
+const CATEGORY_LABELS = {
+  documento_identidad: 'una foto de su documento de identidad',
+  foto_dental: 'una foto dental',
+  informe_clinico: 'un informe clínico',
+  comprobante_pago: 'un comprobante de pago',
+  otro: 'un archivo'
+};
+
+const ANALYSIS_TOOL = {
+  name: 'reportMediaAnalysis',
+  description: 'Reporta el análisis del archivo que envió el paciente.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      category: { type: 'string', enum: CATEGORIES },
+      description: { type: 'string', description: 'Descripción breve (máx. 2 frases) de lo que se ve, en español' },
+      documentNumber: { type: 'string', description: 'Número del documento de identidad, solo dígitos. Omitir si no aplica o no se lee' },
+      needsHuman: { type: 'boolean', description: 'true si el archivo debe revisarlo una persona de la clínica' },
+      reason: { type: 'string', description: 'Por qué necesita (o no) a una persona' }
+    },
+    required: ['category', 'description', 'needsHuman', 'reason']
+  }
+};
+
+const SYSTEM_PROMPT = `
+Analizas archivos que los pacientes envían por WhatsApp a una clínica dental en Colombia.
+Responde SIEMPRE con la herramienta reportMediaAnalysis.
+
+- documento_identidad: cédula, tarjeta de identidad o pasaporte. Copia el número en documentNumber (solo dígitos). needsHuman=false.
+- foto_dental: foto de dientes o de la boca. Describe lo que se ve sin diagnosticar. needsHuman=true solo si hay señales de urgencia (sangrado abundante, inflamación de la cara, diente caído por un golpe); si no, el asistente puede ofrecer una cita de valoración.
+- informe_clinico: radiografías, informes u órdenes médicas. needsHuman=true: debe revisarlo el doctor.
+- comprobante_pago: needsHuman=true: el pago lo verifica una persona.
+- otro: cualquier otra cosa. needsHuman=true solo si el paciente pide algo que el asistente no puede resolver.
+
+No inventes datos que no se lean con claridad.
+`.trim();
+
+/**
+ * Indica si un archivo se puede analizar
+ * @param {string} mediaType - image | document | ...
+ * @param {string} mimeType
+ * @param {number} size - Tamaño en bytes
+ * @returns {boolean}
+ */
+function canAnalyze(mediaType, mimeType, size) {
+  if (process.env.MEDIA_ANALYSIS_ENABLED === 'false') return false;
+
+  const baseMime = (mimeType || '').split(';')[0].trim();
+  if (mediaType === 'image') return IMAGE_MIME_TYPES.includes(baseMime) && size <= MAX_IMAGE_BYTES;
+  if (mediaType === 'document') return baseMime === PDF_MIME_TYPE && size <= MAX_PDF_BYTES;
+  return false;
+}
+
+// Bloque de contenido de Anthropic para el archivo
+function toContentBlock(buffer, mimeType) {
+  const mediaType = mimeType.split(';')[0].trim();
+  return {
+    type: mediaType === PDF_MIME_TYPE ? 'document' : 'image',
+    source: { type: 'base64', media_type: mediaType, data: buffer.toString('base64') }
+  };
+}
+
+/**
+ * Texto que recibe el asistente en lugar del archivo
+ * @param {Object} analysis
+ * @param {string|null} caption - Texto que el paciente envió con el archivo
+ * @returns {string}
+ */
+function describeForAssistant(analysis, caption) {
+  const parts = [`📎 [El paciente envió ${CATEGORY_LABELS[analysis.category]}: ${analysis.description.replace(/\.$/, '')}`];
+  if (analysis.documentNumber) {
+    parts.push(`Número de documento: ${analysis.documentNumber}`);
+  }
+  const summary = `${parts.join('. ')}]`;
+  return caption ? `${caption}\n${summary}` : summary;
+}
+
+/**
+ * Analiza una imagen o PDF del paciente. Nunca lanza: si falla devuelve null
+ * y el archivo se pasa a un agente como antes.
+ * @param {Object} media
+ * @param {Buffer} media.buffer
+ * @param {string} media.mimeType
+ * @param {string|null} media.caption
+ * @param {string} from - Teléfono del paciente (conversationId del proveedor)
+ * @returns {Promise<{category: string, description: string, documentNumber: string|null, needsHuman: boolean, reason: string, assistantText: string}|null>}
+ */
+async function analyzeMedia({ buffer, mimeType, caption }, from) {
+  try {
+    console.log(`🔍 [MEDIA] Analizando ${mimeType} de ${from}...`);
+
+    const response = await getModelProvider().createMessage({
+      model: 'claude-sonnet-4-20250514',
+      max_tokens: 512,
+      system: [{ type: 'text', text: SYSTEM_PROMPT }],
+      messages: [{
+        role: 'user',
+        content: [
+          toContentBlock(buffer, mimeType),
+          { type: 'text', text: caption ? `Mensaje del paciente: "${caption}"` : 'El paciente no escribió ningún mensaje.' }
+        ]
+      }],
+      tools: [ANALYSIS_TOOL],
+      tool_choice: { type: 'tool', name: ANALYSIS_TOOL.name }
+    }, { conversationId: from });
+
+    const toolUse = response.content.find(block => block.type === 'tool_use' && block.name === ANALYSIS_TOOL.name);
+    if (!toolUse) {
+      console.warn('⚠️ [MEDIA] El modelo no devolvió el análisis');
+      return null;
+    }
+
+    const input = toolUse.input || {};
+    const documentNumber = String(input.documentNumber || '').replace(/\D/g, '');
+    const analysis = {
+      category: CATEGORIES.includes(input.category) ? input.category : 'otro',
+      description: String(input.description || '').trim(),
+      documentNumber: /^\d{6,10}$/.test(documentNumber) ? documentNumber : null,
+      needsHuman: input.needsHuman !== false,
+      reason: String(input.reason || '').trim()
+    };
+    analysis.assistantText = describeForAssistant(analysis, caption);
+
+    console.log(`✅ [MEDIA] ${analysis.category}${analysis.documentNumber ? ` (doc ${analysis.documentNumber})` : ''} → ${analysis.needsHuman ? 'agente' : 'bot'}: ${analysis.reason}`);
+    return analysis;
+  } catch (error) {
+    console.error('❌ [MEDIA] Error analizando archivo:', error?.response?.data || error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  CATEGORIES,
+  CATEGORY_LABELS,
+  canAnalyze,
+  analyzeMedia
+};
@@ -13,6 +13,7 @@ const bucket = admin.storage().bucket();
 
 const WABA_TOKEN = process.env.WHATSAPP_TOKEN;
 const GRAPH_API_VERSION = process.env.GRAPH_API_VERSION || 'v21.0';
+const GRAPH_API_URL = process.env.GRAPH_API_URL || 'https://graph.facebook.com';
 
 // Mapeo de MIME types a extensiones
 const MIME_TO_EXTENSION = {
@@ -45,7 +46,7 @@ async function getMediaUrl(mediaId) {
     console.log(`📥 [MEDIA] Obteniendo URL para mediaId: ${mediaId}`);
 
     const response = await axios.get(
-      `https://graph.facebook.com/${GRAPH_API_VERSION}/${mediaId}`,
+      `${GRAPH_API_URL}/${GRAPH_API_VERSION}/${mediaId}`,
       {
         headers: {
           Authorization: `Bearer ${WABA_TOKEN}`,
@@ -101,7 +102,8 @@ async function downloadMedia(url) {
  */
 async function uploadToStorage(buffer, userId, mediaId, mimeType, mediaType) {
   try {
-    const extension = MIME_TO_EXTENSION[mimeType] || 'bin';
+    // Las notas de voz llegan como "audio/ogg; codecs=opus"
+    const extension = MIME_TO_EXTENSION[(mimeType || '').split(';')[0].trim()] || 'bin';
     const timestamp = Date.now();
     const filename = `${timestamp}_${mediaId}.${extension}`;
     const filePath = `media/${userId}/${filename}`;
@@ -137,14 +139,15 @@ async function uploadToStorage(buffer, userId, mediaId, mimeType, mediaType) {
 }
 
 /**
- * Procesa un media entrante: descarga de WhatsApp y sube a Firebase Storage
+ * Descarga un media entrante de WhatsApp, lo sube a Firebase Storage y devuelve
+ * también el contenido (para transcribir notas de voz sin descargarlas dos veces)
  * @param {string} mediaId - ID del media de WhatsApp
  * @param {string} userId - ID del usuario (teléfono)
  * @param {string} mediaType - Tipo de media (image, video, audio, document, sticker)
  * @param {string} mimeType - Tipo MIME (opcional, se obtiene de WhatsApp si no se provee)
- * @returns {Promise<string>} URL pública en Firebase Storage
+ * @returns {Promise<{storageUrl: string, buffer: Buffer, mimeType: string}>}
  */
-async function processIncomingMedia(mediaId, userId, mediaType, mimeType = null) {
+async function fetchAndStoreMedia(mediaId, userId, mediaType, mimeType = null) {
   try {
     console.log(`📎 [MEDIA] Procesando ${mediaType} de ${userId}`);
 
@@ -159,13 +162,26 @@ async function processIncomingMedia(mediaId, userId, mediaType, mimeType = null)
     const storageUrl = await uploadToStorage(buffer, userId, mediaId, finalMimeType, mediaType);
 
     console.log(`✅ [MEDIA] Procesamiento completo: ${mediaType} → ${storageUrl.substring(0, 60)}...`);
-    return storageUrl;
+    return { storageUrl, buffer, mimeType: finalMimeType };
   } catch (error) {
     console.error(`❌ [MEDIA] Error procesando media:`, error.message);
     throw error;
   }
 }
 
+/**
+ * Procesa un media entrante: descarga de WhatsApp y sube a Firebase Storage
+ * @param {string} mediaId - ID del media de WhatsApp
+ * @param {string} userId - ID del usuario (teléfono)
+ * @param {string} mediaType - Tipo de media (image, video, audio, document, sticker)
+ * @param {string} mimeType - Tipo MIME (opcional, se obtiene de WhatsApp si no se provee)
+ * @returns {Promise<string>} URL pública en Firebase Storage
+ */
+async function processIncomingMedia(mediaId, userId, mediaType, mimeType = null) {
+  const { storageUrl } = await fetchAndStoreMedia(mediaId, userId, mediaType, mimeType);
+  return storageUrl;
+}
+
 /**
  * Elimina archivos de media más antiguos que X días
  * @param {number} daysOld - Días de antigüedad (default: 60)
@@ -265,6 +281,7 @@ module.exports = {
   getMediaUrl,
   downloadMedia,
   uploadToStorage,
+  fetchAndStoreMedia,
   processIncomingMedia,
   cleanupOldMedia,
   getMediaStats,
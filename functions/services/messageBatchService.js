@@ -0,0 +1,256 @@
+// services/messageBatchService.js
+// Lotes de mensajes por paciente guardados en Firestore (colección message_batches)
+//
+// Los pacientes escriben en fragmentos ("hola" / "quiero una cita" / "para mañana") y
+// cada fragmento puede llegar a una instancia distinta de Cloud Functions, o a una
+// instancia que se congela apenas responde 200 al webhook. Por eso el lote vive en
+// Firestore y no en memoria:
+//
+// - Cada fragmento se agrega en una transacción y mueve flushAtMs (ahora + espera, o
+//   ahora si termina en . ! ?).
+// - Cuando vence, una instancia toma el lote con un lease (lease.untilMs) y lo procesa.
+//   Otra instancia no puede tomarlo mientras el lease esté vigente.
+// - Al terminar se borran solo los fragmentos que se procesaron; los que llegaron
+//   mientras tanto quedan para el siguiente lote.
+// - Si la instancia muere a mitad, el lease vence y el barrido programado
+//   (flushDueBatches) retoma el lote.
+
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const os = require('os');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+const COLLECTION_NAME = 'message_batches';
+
+const readNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Tiempo máximo que una instancia puede tener un lote tomado antes de que otra lo retome
+const LEASE_MS = readNumber(process.env.MESSAGE_BATCH_LEASE_MS, 2 * 60 * 1000);
+// El barrido deja este margen para que la instancia que recibió el mensaje lo procese primero
+const SWEEP_GRACE_MS = 15 * 1000;
+
+const INSTANCE_ID = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+let leaseCounter = 0;
+
+// Timers locales (uno por teléfono) y flushes en curso, para whenIdle
+const timers = new Map();
+const inFlight = new Set();
+
+/**
+ * Agrega un fragmento al lote del teléfono
+ * @param {string} from - Teléfono
+ * @param {string} text - Texto del fragmento
+ * @param {number} delayMs - Espera antes de procesar (0 = procesar ya)
+ * @returns {Promise<number>} flushAtMs del lote
+ */
+async function appendMessage(from, text, delayMs) {
+  const docRef = db.collection(COLLECTION_NAME).doc(from);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    const now = Date.now();
+    const batch = doc.exists ? doc.data() : { phone: from, messages: [], lease: null };
+    const flushAtMs = now + delayMs;
+
+    transaction.set(docRef, {
+      ...batch,
+      messages: [...(batch.messages || []), { id: crypto.randomUUID(), text, receivedAtMs: now }],
+      flushAtMs,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return flushAtMs;
+  });
+}
+
+/**
+ * Toma el lote si ya venció y nadie más lo tiene
+ * @param {string} from - Teléfono
+ * @param {string} owner - Identificador de quien lo toma
+ * @returns {Promise<{messages: Array, ids: string[]}|null>} null si no hay nada que procesar
+ */
+async function claimBatch(from, owner) {
+  const docRef = db.collection(COLLECTION_NAME).doc(from);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    if (!doc.exists) return null;
+
+    const batch = doc.data();
+    const now = Date.now();
+    if (!batch.messages?.length || batch.flushAtMs > now) return null;
+    if (batch.lease && batch.lease.untilMs > now) return null;
+
+    if (batch.lease) {
+      console.warn(`⚠️ [LOTES] Lease vencido de ${batch.lease.owner} para ${from}; se retoma el lote`);
+    }
+
+    const ids = batch.messages.map(message => message.id);
+    transaction.update(docRef, { lease: { owner, untilMs: now + LEASE_MS, ids } });
+    return { messages: batch.messages, ids };
+  });
+}
+
+/**
+ * Quita del lote los fragmentos procesados y libera el lease
+ * @param {string} from - Teléfono
+ * @param {string} owner - Quien tomó el lote
+ * @param {string[]} ids - Fragmentos procesados
+ * @returns {Promise<number|null>} flushAtMs si quedaron fragmentos nuevos, null si no
+ */
+async function completeBatch(from, owner, ids) {
+  const docRef = db.collection(COLLECTION_NAME).doc(from);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    if (!doc.exists) return null;
+
+    const batch = doc.data();
+    if (batch.lease?.owner !== owner) {
+      // Otra instancia retomó el lote porque el lease venció: ella lo termina
+      console.warn(`⚠️ [LOTES] ${owner} perdió el lease de ${from}`);
+      return null;
+    }
+
+    const remaining = (batch.messages || []).filter(message => !ids.includes(message.id));
+    if (remaining.length === 0) {
+      transaction.delete(docRef);
+      return null;
+    }
+
+    transaction.update(docRef, { messages: remaining, lease: null });
+    return batch.flushAtMs;
+  });
+}
+
+/**
+ * Procesa el lote de un teléfono si ya venció. Solo una instancia lo procesa.
+ * @param {string} from - Teléfono
+ * @param {Function} processText - async (fullText) => void
+ * @returns {Promise<boolean>} true si esta instancia procesó el lote
+ */
+async function flushBatch(from, processText) {
+  const owner = `${INSTANCE_ID}:${++leaseCounter}`;
+
+  let claim;
+  try {
+    claim = await claimBatch(from, owner);
+  } catch (error) {
+    // El barrido programado lo reintenta
+    console.error(`❌ [LOTES] No se pudo tomar el lote de ${from}:`, error.message);
+    return false;
+  }
+  if (!claim) return false;
+
+  const fullText = claim.messages.map(message => message.text).join(' ');
+  console.log(`📦 [LOTES] Procesando ${claim.messages.length} fragmento(s) de ${from}`);
+
+  try {
+    await processText(fullText);
+  } catch (error) {
+    // Igual que antes: un lote que falla no se reintenta (podría duplicar respuestas o citas)
+    console.error(`❌ [LOTES] Error procesando el lote de ${from}:`, error);
+  }
+
+  try {
+    const nextFlushAtMs = await completeBatch(from, owner, claim.ids);
+    // Llegaron fragmentos mientras se procesaba: se programan con su propio vencimiento
+    if (nextFlushAtMs !== null) {
+      scheduleFlush(from, nextFlushAtMs, processText);
+    }
+  } catch (error) {
+    console.error(`❌ [LOTES] No se pudo cerrar el lote de ${from}:`, error.message);
+  }
+  return true;
+}
+
+function track(promise) {
+  inFlight.add(promise);
+  promise.finally(() => inFlight.delete(promise));
+  return promise;
+}
+
+/**
+ * Programa en esta instancia el procesamiento del lote cuando venza
+ * Si la instancia se congela antes, lo procesa el barrido programado
+ * @param {string} from - Teléfono
+ * @param {number} flushAtMs - Vencimiento del lote
+ * @param {Function} processText - async (fullText) => void
+ */
+function scheduleFlush(from, flushAtMs, processText) {
+  clearTimeout(timers.get(from));
+  const timer = setTimeout(() => {
+    timers.delete(from);
+    track(flushBatch(from, processText));
+  }, Math.max(0, flushAtMs - Date.now()));
+  timers.set(from, timer);
+}
+
+/**
+ * Agrega un fragmento y, si no hay que esperar más, procesa el lote de inmediato
+ * @param {string} from - Teléfono
+ * @param {string} text - Texto del fragmento
+ * @param {number} delayMs - Espera antes de procesar (0 = procesar ya)
+ * @param {Function} processText - async (fullText) => void
+ */
+async function addToBatch(from, text, delayMs, processText) {
+  const flushAtMs = await appendMessage(from, text, delayMs);
+
+  if (delayMs === 0) {
+    clearTimeout(timers.get(from));
+    timers.delete(from);
+    await track(flushBatch(from, processText));
+    return;
+  }
+  scheduleFlush(from, flushAtMs, processText);
+}
+
+/**
+ * Procesa los lotes vencidos que ninguna instancia tomó (instancia congelada o reciclada)
+ * Lo ejecuta la función programada flushMessageBatches
+ * @param {Function} handler - async (from, fullText) => void
+ * @returns {Promise<number>} Lotes procesados
+ */
+async function flushDueBatches(handler) {
+  const snapshot = await db.collection(COLLECTION_NAME)
+    .where('flushAtMs', '<=', Date.now() - SWEEP_GRACE_MS)
+    .get();
+
+  let flushed = 0;
+  for (const doc of snapshot.docs) {
+    const from = doc.id;
+    if (await flushBatch(from, fullText => handler(from, fullText))) {
+      flushed++;
+    }
+  }
+
+  if (flushed > 0) {
+    console.log(`📦 [LOTES] Barrido: ${flushed} lote(s) pendiente(s) procesado(s)`);
+  }
+  return flushed;
+}
+
+/**
+ * Indica si esta instancia tiene lotes programados o en proceso
+ * @returns {boolean}
+ */
+function hasPendingWork() {
+  return timers.size > 0 || inFlight.size > 0;
+}
+
+module.exports = {
+  COLLECTION_NAME,
+  addToBatch,
+  appendMessage,
+  claimBatch,
+  completeBatch,
+  flushBatch,
+  flushDueBatches,
+  hasPendingWork
+};
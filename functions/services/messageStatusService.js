@@ -0,0 +1,133 @@
+// services/messageStatusService.js
+// Estado de entrega de los mensajes salientes (colección message_statuses)
+//
+// Cada envío que devuelve un message.id (sendText, envíos de media y listas, sendTemplate)
+// se registra en message_statuses/{messageId}. Meta avisa después
+// por el webhook (value.statuses) si el mensaje se entregó, se leyó o falló.
+//
+// Los eventos pueden llegar desordenados (read antes que delivered), así que el estado
+// solo avanza: sent → delivered → read. failed solo aplica si el mensaje no se había
+// entregado. El estado también se copia al mensaje en conversations/{teléfono}
+// (campo messageId) para que el dashboard muestre los ticks.
+
+const admin = require('firebase-admin');
+const conversationLogService = require('./conversationLogService');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+const COLLECTION_NAME = 'message_statuses';
+
+const STATUS_RANK = {
+  sent: 1,
+  delivered: 2,
+  read: 3
+};
+
+/**
+ * Registra un mensaje saliente recién aceptado por WhatsApp. Nunca lanza.
+ * @param {string} messageId - message.id que devolvió el Graph API
+ * @param {Object} details
+ * @param {string} details.to - Teléfono del destinatario
+ * @param {string} details.kind - text | media | list | nombre del template (appointment_reminder, doctor_message...)
+ */
+async function recordOutgoing(messageId, { to, kind }) {
+  if (!messageId) return;
+
+  try {
+    await db.collection(COLLECTION_NAME).doc(messageId).set({
+      to,
+      kind,
+      sentAt: new Date().toISOString(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+  } catch (error) {
+    console.error(`⚠️ [ESTADOS] No se pudo registrar ${messageId}:`, error.message);
+  }
+}
+
+// Error de WhatsApp del evento failed: { code, title, message, details }
+function extractError(status) {
+  const error = status.errors?.[0];
+  if (!error) return null;
+  return {
+    code: error.code ?? null,
+    title: error.title || null,
+    message: error.message || null,
+    details: error.error_data?.details || null
+  };
+}
+
+// ¿El nuevo estado reemplaza al actual?
+function isNewer(current, next) {
+  if (next === 'failed') return !current || current === 'sent';
+  if (!STATUS_RANK[next]) return false;
+  if (current === 'failed') return false;
+  return !current || STATUS_RANK[next] > STATUS_RANK[current];
+}
+
+/**
+ * Aplica un evento de estado del webhook (elemento de value.statuses)
+ * @param {Object} status - { id, status, timestamp, recipient_id, errors }
+ * @returns {Promise<{messageId: string, status: string, kind: string|null, error: Object|null}|null>}
+ *   null si el evento no cambió nada (repetido, desordenado o desconocido)
+ */
+async function applyStatus(status) {
+  if (!status?.id || !status.status) return null;
+
+  const docRef = db.collection(COLLECTION_NAME).doc(status.id);
+  const at = status.timestamp
+    ? new Date(parseInt(status.timestamp, 10) * 1000).toISOString()
+    : new Date().toISOString();
+  const error = status.status === 'failed' ? extractError(status) : null;
+
+  const applied = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    const record = doc.exists ? doc.data() : {};
+    if (!isNewer(record.status, status.status)) return null;
+
+    transaction.set(docRef, {
+      to: record.to || status.recipient_id || null,
+      kind: record.kind || null,
+      status: status.status,
+      [`${status.status}At`]: at,
+      ...(error && { error }),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    return { messageId: status.id, status: status.status, kind: record.kind || null, error };
+  });
+
+  if (!applied) {
+    console.log(`📝 [ESTADOS] ${status.id}: ${status.status} ignorado (ya estaba más avanzado)`);
+    return null;
+  }
+
+  const recipient = status.recipient_id;
+  if (recipient) {
+    await conversationLogService.updateMessageStatus(recipient, status.id, status.status, error);
+  }
+
+  const detail = error ? ` (${error.code}: ${error.title || error.message})` : '';
+  console.log(`${status.status === 'failed' ? '❌' : '✅'} [ESTADOS] ${status.id} → ${status.status}${detail}`);
+  return applied;
+}
+
+/**
+ * Estado actual de un mensaje saliente
+ * @param {string} messageId
+ * @returns {Promise<Object|null>}
+ */
+async function getStatus(messageId) {
+  const doc = await db.collection(COLLECTION_NAME).doc(messageId).get();
+  return doc.exists ? doc.data() : null;
+}
+
+module.exports = {
+  COLLECTION_NAME,
+  recordOutgoing,
+  applyStatus,
+  getStatus
+};
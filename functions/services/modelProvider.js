@@ -0,0 +1,165 @@
+// services/modelProvider.js
+// Proveedores de modelo para anthropicService
+//
+// Un proveedor expone createMessage(request, context) y devuelve una respuesta
+// con la forma de client.messages.create ({ content: [...] }).
+//
+// - anthropic: llama a la API real (default)
+// - scripted: devuelve respuestas pregrabadas por conversación, para pruebas
+//   deterministas del bucle de herramientas de routerService
+//
+// Selección por entorno:
+//   LLM_PROVIDER=scripted LLM_SCRIPT_FILE=./dev/scripts/agendar.json
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONVERSATION = '*';
+
+/**
+ * Proveedor que usa el SDK de Anthropic
+ * El cliente se crea en la primera llamada para no exigir CLAUDE_API_KEY en modo scripted
+ * @returns {{name: string, createMessage: Function}}
+ */
+function createAnthropicProvider() {
+  let client = null;
+
+  return {
+    name: 'anthropic',
+    async createMessage(request) {
+      if (!client) {
+        const Anthropic = require('@anthropic-ai/sdk');
+        client = new Anthropic({ apiKey: process.env.CLAUDE_API_KEY });
+      }
+      return client.messages.create(request);
+    }
+  };
+}
+
+/**
+ * Convierte un paso del script a la forma de respuesta de Anthropic
+ *
+ * Formatos aceptados:
+ *   "texto"                                   → bloque text
+ *   { text: "..." }                           → bloque text
+ *   { tool: "findPatientByDocument", input }  → bloque tool_use
+ *   { content: [...] }                        → se devuelve tal cual
+ *
+ * @param {string|Object} step
+ * @param {number} index - Posición del paso (para el id del tool_use)
+ * @returns {{content: Array, stop_reason: string}}
+ */
+function toAnthropicResponse(step, index) {
+  if (typeof step === 'string') {
+    return { content: [{ type: 'text', text: step }], stop_reason: 'end_turn' };
+  }
+  if (Array.isArray(step.content)) {
+    return { stop_reason: 'end_turn', ...step };
+  }
+  if (step.tool) {
+    return {
+      content: [{ type: 'tool_use', id: `toolu_scripted_${index}`, name: step.tool, input: step.input || {} }],
+      stop_reason: 'tool_use'
+    };
+  }
+  return { content: [{ type: 'text', text: step.text || '' }], stop_reason: 'end_turn' };
+}
+
+/**
+ * Proveedor con respuestas pregrabadas por conversación
+ *
+ * scripts = { "573001112233": [paso, paso, ...], "*": [...] }
+ * Cada llamada consume el siguiente paso de la conversación (o de "*" si no hay
+ * script propio). Un paso también puede ser una función (request, context) → paso.
+ *
+ * Todas las llamadas quedan en `calls` con el system prompt, los mensajes y los
+ * nombres de tools, para poder comparar contra transcripciones golden.
+ *
+ * @param {Object} scripts - Pasos por conversationId
+ * @param {Object} options
+ * @param {boolean} options.strict - Lanza error si un script se agota (default: true)
+ * @returns {{name: string, createMessage: Function, calls: Array, load: Function, remaining: Function, reset: Function}}
+ */
+function createScriptedProvider(scripts = {}, options = {}) {
+  const strict = options.strict !== false;
+  let queues = {};
+  const calls = [];
+
+  function load(newScripts) {
+    Object.entries(newScripts || {}).forEach(([conversationId, steps]) => {
+      queues[conversationId] = [...(queues[conversationId] || []), ...steps];
+    });
+  }
+
+  function reset(newScripts = {}) {
+    queues = {};
+    calls.length = 0;
+    load(newScripts);
+  }
+
+  /**
+   * Pasos pendientes por conversación (para verificar que el script se consumió completo)
+   * @returns {Object}
+   */
+  function remaining() {
+    return Object.fromEntries(
+      Object.entries(queues).filter(([, steps]) => steps.length > 0).map(([id, steps]) => [id, steps.length])
+    );
+  }
+
+  async function createMessage(request, context = {}) {
+    const conversationId = context.conversationId || DEFAULT_CONVERSATION;
+    const key = queues[conversationId]?.length ? conversationId : DEFAULT_CONVERSATION;
+    const queue = queues[key] || [];
+
+    const lastMessage = request.messages[request.messages.length - 1];
+    calls.push({
+      conversationId,
+      system: (request.system || []).map(block => block.text).join('\n'),
+      messages: request.messages,
+      lastUserMessage: typeof lastMessage?.content === 'string' ? lastMessage.content : lastMessage?.content,
+      tools: (request.tools || []).map(tool => tool.name),
+      at: new Date().toISOString()
+    });
+
+    if (queue.length === 0) {
+      if (strict) {
+        throw new Error(`Script agotado para la conversación ${conversationId} (llamada #${calls.length})`);
+      }
+      return { content: [], stop_reason: 'end_turn' };
+    }
+
+    let step = queue.shift();
+    if (typeof step === 'function') {
+      step = await step(request, context);
+    }
+    return toAnthropicResponse(step, calls.length);
+  }
+
+  reset(scripts);
+
+  return { name: 'scripted', createMessage, calls, load, remaining, reset };
+}
+
+/**
+ * Crea el proveedor indicado por LLM_PROVIDER
+ * @returns {{name: string, createMessage: Function}}
+ */
+function createProviderFromEnv() {
+  if (process.env.LLM_PROVIDER === 'scripted') {
+    const scriptFile = process.env.LLM_SCRIPT_FILE;
+    const scripts = scriptFile
+      ? JSON.parse(fs.readFileSync(path.resolve(scriptFile), 'utf8'))
+      : {};
+    console.log(`🧪 Usando proveedor de modelo scripted${scriptFile ? ` (${scriptFile})` : ''}`);
+    return createScriptedProvider(scripts, { strict: false });
+  }
+  return createAnthropicProvider();
+}
+
+module.exports = {
+  createAnthropicProvider,
+  createScriptedProvider,
+  createProviderFromEnv,
+  toAnthropicResponse
+};
@@ -0,0 +1,369 @@
+// services/outboundQueueService.js
+// Cola de salida para los mensajes libres (colección outbound_messages)
+//
+// Todo sendText, sendButtons y sendList pasa por aquí:
+//
+// - Ventana de 24h: WhatsApp solo acepta mensajes libres (texto o interactivos) si el
+//   paciente escribió en las últimas 24 horas (conversationLogService.isConversationWindowOpen).
+//   Fuera de la ventana el mensaje se convierte en un template aprobado (si quien envía
+//   indicó fallbackTemplate) o se rechaza con reason WINDOW_CLOSED, sin llamar al Graph API.
+//   El barrido vuelve a revisar la ventana antes de cada reintento.
+//   Los avisos al agente no se bloquean: si su ventana está cerrada Meta los rechaza
+//   y el fallo queda en message_statuses.
+// - Ritmo por destinatario: los mensajes a un mismo número salen en orden y separados
+//   por OUTBOUND_MIN_INTERVAL_MS (Meta limita los mensajes seguidos a un mismo usuario).
+// - Reintentos: los errores transitorios del Graph API (red, 429, 5xx, límites de
+//   Meta) se reintentan con backoff. Si siguen fallando el mensaje queda en `retrying`
+//   y la función programada retryOutboundMessages lo reintenta hasta MAX_ATTEMPTS.
+//
+// Cada mensaje queda guardado con su estado: sent | retrying | failed | rejected | converted.
+
+const axios = require('axios');
+const admin = require('firebase-admin');
+const conversationLogService = require('./conversationLogService');
+const messageStatusService = require('./messageStatusService');
+const whatsappTemplateService = require('./whatsappTemplateService');
+const { isAgentPhoneNumber } = require('./configService');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+const COLLECTION_NAME = 'outbound_messages';
+
+const WABA_TOKEN = process.env.WHATSAPP_TOKEN;
+const PHONE_NUMBER_ID = process.env.PHONE_NUMBER_ID;
+const GRAPH_API_VERSION = process.env.GRAPH_API_VERSION || 'v21.0';
+const GRAPH_API_URL = process.env.GRAPH_API_URL || 'https://graph.facebook.com';
+
+const readNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Intentos inmediatos (en la misma instancia) y totales (incluye el barrido programado)
+const IMMEDIATE_ATTEMPTS = 3;
+const MAX_ATTEMPTS = readNumber(process.env.OUTBOUND_MAX_ATTEMPTS, 6);
+const RETRY_BASE_DELAY_MS = readNumber(process.env.OUTBOUND_RETRY_BASE_MS, 1000);
+const MAX_RETRY_DELAY_MS = 8000;
+const MIN_INTERVAL_MS = readNumber(process.env.OUTBOUND_MIN_INTERVAL_MS, 1000);
+// Espera del barrido entre reintentos: 1, 2, 4... minutos
+const SWEEP_BASE_DELAY_MS = 60 * 1000;
+const LEASE_MS = 2 * 60 * 1000;
+
+// Códigos de Meta que indican un problema pasajero
+// 2: servicio no disponible, 130429: límite de throughput, 131000: error desconocido,
+// 131016: servicio sobrecargado, 131056: demasiados mensajes al mismo usuario
+const TRANSIENT_WHATSAPP_CODES = [2, 130429, 131000, 131016, 131056];
+
+const api = axios.create({
+  baseURL: `${GRAPH_API_URL}/${GRAPH_API_VERSION}/${PHONE_NUMBER_ID}`,
+  headers: {
+    Authorization: `Bearer ${WABA_TOKEN}`,
+    'Content-Type': 'application/json',
+  },
+  timeout: 30000,
+});
+
+// Templates a los que se puede convertir un texto fuera de la ventana: (to, params) => { success, messageId, error }
+const FALLBACK_TEMPLATES = {
+  doctor_message: (to, params) => whatsappTemplateService.sendDoctorMessage(to, params[0] || 'Estimado paciente'),
+  waitlist_offer: (to, params) => whatsappTemplateService.sendTemplate(to, 'waitlist_offer', params)
+};
+
+// Cadena de envíos por destinatario (orden y ritmo) y momento del último envío
+const recipientChains = new Map();
+const lastSentAt = new Map();
+const inFlight = new Set();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function isTransient(error) {
+  const status = error.response?.status;
+  if (!status) return true;
+  if (status === 429 || status >= 500) return true;
+  return TRANSIENT_WHATSAPP_CODES.includes(error.response?.data?.error?.code);
+}
+
+function describeError(error) {
+  const waError = error.response?.data?.error;
+  return {
+    status: error.response?.status || null,
+    code: waError?.code ?? error.code ?? null,
+    message: waError?.message || error.message
+  };
+}
+
+function getRetryDelay(attempt) {
+  const exponential = RETRY_BASE_DELAY_MS * 2 ** attempt;
+  return Math.min(exponential / 2 + Math.random() * exponential / 2, MAX_RETRY_DELAY_MS);
+}
+
+// Ejecuta task después de los envíos anteriores al mismo destinatario, respetando MIN_INTERVAL_MS
+function runInOrder(to, task) {
+  const previous = recipientChains.get(to) || Promise.resolve();
+  const next = previous.catch(() => {}).then(async () => {
+    const wait = Math.min(MIN_INTERVAL_MS, (lastSentAt.get(to) || 0) + MIN_INTERVAL_MS - Date.now());
+    if (wait > 0) await sleep(wait);
+    try {
+      return await task();
+    } finally {
+      lastSentAt.set(to, Date.now());
+    }
+  });
+
+  recipientChains.set(to, next);
+  inFlight.add(next);
+  next.finally(() => {
+    inFlight.delete(next);
+    if (recipientChains.get(to) === next) recipientChains.delete(to);
+  }).catch(() => {});
+  return next;
+}
+
+// Contenido del mensaje para el Graph API según su tipo (text | interactive)
+function buildMessage(record) {
+  if (record.type === 'interactive') {
+    return { type: 'interactive', interactive: record.interactive };
+  }
+  return { type: 'text', text: { body: record.body } };
+}
+
+// Tipo con el que se registra el estado de entrega (ver messageStatusService)
+function statusKind(record) {
+  if (record.type !== 'interactive') return 'text';
+  return record.interactive.type === 'button' ? 'buttons' : 'list';
+}
+
+/**
+ * Envía el mensaje al Graph API con reintentos inmediatos
+ * @returns {Promise<{messageId: string|null, attempts: number}|{error: Object, transient: boolean, attempts: number}>}
+ */
+async function postMessage(record, attemptsSoFar) {
+  const to = record.to;
+  const allowed = Math.min(IMMEDIATE_ATTEMPTS, MAX_ATTEMPTS - attemptsSoFar);
+  let lastError = null;
+
+  for (let attempt = 0; attempt < allowed; attempt++) {
+    if (attempt > 0) {
+      const delay = getRetryDelay(attempt - 1);
+      console.warn(`🔁 [SALIDA] Reintento ${attempt + 1}/${allowed} a ${to} en ${Math.round(delay)}ms (${lastError.code || lastError.status || lastError.message})`);
+      await sleep(delay);
+    }
+
+    try {
+      const response = await api.post('/messages', {
+        messaging_product: 'whatsapp',
+        to,
+        ...buildMessage(record)
+      });
+      return { messageId: response.data?.messages?.[0]?.id || null, attempts: attempt + 1 };
+    } catch (error) {
+      lastError = describeError(error);
+      if (!isTransient(error)) {
+        return { error: lastError, transient: false, attempts: attempt + 1 };
+      }
+    }
+  }
+
+  return { error: lastError, transient: true, attempts: allowed };
+}
+
+// Intenta entregar un mensaje guardado y actualiza su registro
+async function deliver(docRef, record) {
+  const result = await postMessage(record, record.attempts || 0);
+  const attempts = (record.attempts || 0) + result.attempts;
+
+  if (!result.error) {
+    await messageStatusService.recordOutgoing(result.messageId, { to: record.to, kind: statusKind(record) });
+    await docRef.update({
+      status: 'sent',
+      messageId: result.messageId,
+      attempts,
+      sentAt: new Date().toISOString(),
+      lease: null
+    });
+    console.log(`✅ ${record.type === 'interactive' ? 'Mensaje interactivo' : 'Texto'} enviado exitosamente a ${record.to}`);
+    return { status: 'sent', messageId: result.messageId, queueId: docRef.id };
+  }
+
+  const canRetryLater = result.transient && attempts < MAX_ATTEMPTS;
+  const nextAttemptAtMs = canRetryLater
+    ? Date.now() + SWEEP_BASE_DELAY_MS * 2 ** Math.max(0, attempts - IMMEDIATE_ATTEMPTS)
+    : null;
+
+  await docRef.update({
+    status: canRetryLater ? 'retrying' : 'failed',
+    attempts,
+    lastError: result.error,
+    nextAttemptAtMs,
+    lease: null
+  });
+
+  if (canRetryLater) {
+    console.warn(`⏳ [SALIDA] Mensaje a ${record.to} pendiente de reintento (${result.error.code || result.error.status || result.error.message})`);
+  } else {
+    console.error(`❌ Error enviando ${record.type === 'interactive' ? 'mensaje interactivo' : 'texto'} a ${record.to}: ${result.error.code || result.error.status} ${result.error.message}`);
+    if (result.error.code === 131026) {
+      console.error(`   ⚠️ El número ${record.to} NO está registrado como destinatario permitido en Meta`);
+    }
+  }
+  return { status: canRetryLater ? 'retrying' : 'failed', messageId: null, queueId: docRef.id, error: result.error };
+}
+
+// ¿Se puede enviar texto libre a este número? Los avisos a los agentes no se bloquean
+async function checkWindow(to) {
+  if (await isAgentPhoneNumber(to)) return { isOpen: true };
+  return conversationLogService.isConversationWindowOpen(to);
+}
+
+/**
+ * Fuera de la ventana de 24h: envía el template de respaldo del mensaje o lo rechaza.
+ * Guarda el registro completo con el resultado.
+ * @returns {Promise<Object>} Resultado como el de enqueueText: converted | failed | rejected
+ */
+async function resolveClosedWindow(docRef, record, windowStatus) {
+  const fallback = record.fallbackTemplate && FALLBACK_TEMPLATES[record.fallbackTemplate];
+
+  if (!fallback) {
+    console.warn(`🚫 [SALIDA] Ventana de 24h cerrada para ${record.to}; mensaje rechazado (${windowStatus.reason})`);
+    await docRef.set({ ...record, status: 'rejected', reason: 'WINDOW_CLOSED', windowReason: windowStatus.reason || null, lease: null });
+    return { status: 'rejected', messageId: null, queueId: docRef.id, reason: 'WINDOW_CLOSED', error: { message: windowStatus.reason } };
+  }
+
+  console.log(`📨 [SALIDA] Ventana de 24h cerrada para ${record.to}; se envía el template ${record.fallbackTemplate}`);
+  const result = await fallback(record.to, record.templateParams || []);
+  await docRef.set({
+    ...record,
+    status: result.success ? 'converted' : 'failed',
+    template: record.fallbackTemplate,
+    messageId: result.messageId || null,
+    lease: null,
+    ...(result.error && { lastError: { message: result.error } })
+  });
+  return result.success
+    ? { status: 'converted', messageId: result.messageId, queueId: docRef.id, template: record.fallbackTemplate }
+    : { status: 'failed', messageId: null, queueId: docRef.id, error: { message: result.error } };
+}
+
+// Guarda el mensaje y lo envía, o resuelve la ventana cerrada. Nunca lanza.
+async function enqueue(message, options) {
+  const docRef = db.collection(COLLECTION_NAME).doc();
+
+  try {
+    const windowStatus = await checkWindow(message.to);
+    const record = {
+      ...message,
+      kind: options.kind || null,
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      ...(options.fallbackTemplate && {
+        fallbackTemplate: options.fallbackTemplate,
+        templateParams: options.templateParams || []
+      })
+    };
+
+    if (!windowStatus.isOpen) {
+      return await runInOrder(message.to, () => resolveClosedWindow(docRef, record, windowStatus));
+    }
+
+    await docRef.set({ ...record, status: 'sending' });
+    return await runInOrder(message.to, () => deliver(docRef, record));
+  } catch (error) {
+    console.error(`❌ [SALIDA] Error encolando mensaje a ${message.to}:`, error.message);
+    return { status: 'failed', messageId: null, queueId: docRef.id, error: { message: error.message } };
+  }
+}
+
+/**
+ * Encola y envía un mensaje de texto. Nunca lanza.
+ * @param {string} to - Teléfono del destinatario
+ * @param {string} body - Texto
+ * @param {Object} options
+ * @param {string} options.kind - Origen del mensaje (bot, agent, notification...) para diagnóstico
+ * @param {string} options.fallbackTemplate - Template a enviar si la ventana de 24h está cerrada (ver FALLBACK_TEMPLATES)
+ * @param {Object|Array} options.templateParams - Parámetros del template (por nombre o en orden)
+ * @returns {Promise<{status: string, messageId: string|null, queueId: string, reason?: string, error?: Object, template?: string}>}
+ *   status: sent | retrying | failed | rejected (ventana cerrada) | converted (se envió el template)
+ */
+async function enqueueText(to, body, options = {}) {
+  return enqueue({ to, type: 'text', body }, options);
+}
+
+/**
+ * Encola y envía un mensaje interactivo (botones o lista). Nunca lanza.
+ * Mismas reglas que enqueueText: ventana de 24h, template de respaldo, ritmo y reintentos.
+ * @param {string} to - Teléfono del destinatario
+ * @param {Object} interactive - Objeto `interactive` del Graph API ({ type: 'button' | 'list', body, action, ... })
+ * @param {Object} options - Los de enqueueText
+ * @returns {Promise<Object>} Igual que enqueueText
+ */
+async function enqueueInteractive(to, interactive, options = {}) {
+  return enqueue({ to, type: 'interactive', interactive }, options);
+}
+
+// Toma un mensaje pendiente para reintentarlo (solo una instancia a la vez)
+async function claimRetry(docRef) {
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    if (!doc.exists) return null;
+
+    const record = doc.data();
+    const now = Date.now();
+    if (record.status !== 'retrying' || record.nextAttemptAtMs > now) return null;
+    if (record.lease && record.lease.untilMs > now) return null;
+
+    transaction.update(docRef, { lease: { untilMs: now + LEASE_MS } });
+    return record;
+  });
+}
+
+/**
+ * Reintenta los mensajes pendientes cuyo turno ya llegó
+ * Lo ejecuta la función programada retryOutboundMessages
+ * @returns {Promise<{sent: number, failed: number}>} sent incluye los convertidos en template;
+ *   failed, los rechazados porque la ventana se cerró
+ */
+async function retryDueMessages() {
+  const snapshot = await db.collection(COLLECTION_NAME)
+    .where('status', '==', 'retrying')
+    .get();
+
+  const stats = { sent: 0, failed: 0 };
+  for (const doc of snapshot.docs) {
+    if (doc.data().nextAttemptAtMs > Date.now()) continue;
+
+    const record = await claimRetry(doc.ref);
+    if (!record) continue;
+
+    // La ventana pudo cerrarse mientras el mensaje esperaba su turno
+    const windowStatus = await checkWindow(record.to);
+    const result = windowStatus.isOpen
+      ? await runInOrder(record.to, () => deliver(doc.ref, record))
+      : await runInOrder(record.to, () => resolveClosedWindow(doc.ref, record, windowStatus));
+    if (result.status === 'sent' || result.status === 'converted') stats.sent++;
+    if (result.status === 'failed' || result.status === 'rejected') stats.failed++;
+  }
+
+  if (stats.sent + stats.failed > 0) {
+    console.log(`📤 [SALIDA] Barrido: ${stats.sent} enviado(s), ${stats.failed} fallido(s)`);
+  }
+  return stats;
+}
+
+/**
+ * Indica si esta instancia tiene envíos en curso
+ * @returns {boolean}
+ */
+function hasPendingWork() {
+  return inFlight.size > 0;
+}
+
+module.exports = {
+  COLLECTION_NAME,
+  enqueueText,
+  enqueueInteractive,
+  retryDueMessages,
+  hasPendingWork
+};
@@ -7,6 +7,11 @@ const whatsappTemplateService = require('./whatsappTemplateService');
 const { getColombiaDateObject } = require('../utils/dateHelper');
 const { getOrCreateSession, setSession } = require('./sessionService');
 const { routeByIntent } = require('./routerService');
+const bookingFlow = require('./bookingFlow');
+const clinicCalendar = require('./clinicCalendar');
+const waitlistService = require('./waitlistService');
+const { sendText } = require('./whatsappService');
+const { isUnavailableError } = require('./dentalinkClient');
 
 // Inicializar Firebase Admin si no está inicializado
 if (!admin.apps.length) {
@@ -55,12 +60,11 @@ function formatTimeToReadable(timeStr) {
 }
 
 /**
- * Obtiene la fecha de mañana en formato YYYY-MM-DD (timezone Colombia)
+ * Obtiene la fecha de hoy en formato YYYY-MM-DD (timezone Colombia)
  * @returns {string}
  */
-function getTomorrowDate() {
+function getTodayDate() {
   const colombia = getColombiaDateObject();
-  colombia.setDate(colombia.getDate() + 1);
 
   const year = colombia.getFullYear();
   const month = String(colombia.getMonth() + 1).padStart(2, '0');
@@ -69,6 +73,26 @@ function getTomorrowDate() {
   return `${year}-${month}-${day}`;
 }
 
+/**
+ * Fechas cuyas citas se recuerdan hoy: desde mañana hasta el próximo día con atención.
+ * Así el sábado se recuerdan las citas del lunes, y antes de un festivo las del día siguiente.
+ * Si hoy la clínica no atiende no se genera nada (ya se cubrió el último día hábil).
+ * @param {string} todayDate - YYYY-MM-DD
+ * @returns {Promise<string[]>}
+ */
+async function getReminderDates(todayDate) {
+  if (!(await clinicCalendar.isOpenDay(todayDate))) return [];
+
+  const nextOpenDay = await clinicCalendar.getNextOpenDay(todayDate);
+  if (!nextOpenDay) return [clinicCalendar.addDays(todayDate, 1)];
+
+  const dates = [];
+  for (let date = clinicCalendar.addDays(todayDate, 1); date <= nextOpenDay; date = clinicCalendar.addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+}
+
 /**
  * Normaliza el número de teléfono agregando código de país si es necesario
  * @param {string} phone - Número de teléfono
@@ -146,8 +170,9 @@ async function cleanupOldReminders(daysOld = 7) {
 }
 
 /**
- * Genera registros de recordatorio para las citas de mañana
- * @returns {Promise<{created: number, skipped: number, errors: number, cleaned: number}>}
+ * Genera registros de recordatorio para las citas del próximo día con atención
+ * (mañana, o hasta el siguiente día hábil si hay domingo/festivo de por medio)
+ * @returns {Promise<{created: number, skipped: number, errors: number, cleaned: number, dates: string[]}>}
  */
 async function generateRemindersForTomorrow() {
   console.log('🔔 Iniciando generación de recordatorios...');
@@ -155,18 +180,22 @@ async function generateRemindersForTomorrow() {
   // Primero limpiar recordatorios antiguos (> 7 días)
   const cleaned = await cleanupOldReminders(7);
 
-  const tomorrowDate = getTomorrowDate();
-  console.log(`📅 Fecha de mañana (Colombia): ${tomorrowDate}`);
+  const todayDate = getTodayDate();
+  const reminderDates = await getReminderDates(todayDate);
+  console.log(`📅 Hoy (Colombia): ${todayDate}. Fechas a recordar: ${reminderDates.join(', ') || 'ninguna (día sin atención)'}`);
 
-  const stats = { created: 0, skipped: 0, errors: 0, cleaned: cleaned };
+  const stats = { created: 0, skipped: 0, errors: 0, cleaned: cleaned, dates: reminderDates };
 
   try {
-    // Obtener citas de mañana
-    const appointments = await dentalinkService.getAppointmentsByDate(tomorrowDate);
-    console.log(`📋 Encontradas ${appointments.length} citas para mañana`);
+    // Obtener citas de las fechas a recordar
+    const appointments = [];
+    for (const date of reminderDates) {
+      appointments.push(...await dentalinkService.getAppointmentsByDate(date));
+    }
+    console.log(`📋 Encontradas ${appointments.length} citas para recordar`);
 
     if (appointments.length === 0) {
-      console.log('ℹ️ No hay citas para mañana');
+      console.log('ℹ️ No hay citas para recordar');
       return stats;
     }
 
@@ -182,6 +211,14 @@ async function generateRemindersForTomorrow() {
 
     for (const appointment of pendingAppointments) {
       try {
+        // No pedir confirmación de citas en días bloqueados (vacaciones, cierre): las reagenda la clínica
+        const daySchedule = await clinicCalendar.getDaySchedule(appointment.fecha, { dentistId: appointment.id_dentista });
+        if (daySchedule.closed) {
+          console.log(`⚠️ Cita ${appointment.id} cae en día sin atención (${daySchedule.reason}), no se envía recordatorio`);
+          stats.skipped++;
+          continue;
+        }
+
         // Verificar si ya existe un recordatorio para esta cita
         const existingReminder = await db.collection(REMINDERS_COLLECTION)
           .where('appointmentId', '==', appointment.id)
@@ -217,6 +254,8 @@ async function generateRemindersForTomorrow() {
           patientName: appointment.nombre_paciente || patient.nombre || 'Paciente',
           appointmentDate: appointment.fecha,
           appointmentTime: appointment.hora_inicio,
+          appointmentDuration: appointment.duracion || 60,
+          dentistId: appointment.id_dentista || null,
           reminderStatus: REMINDER_STATUS.PENDING,
           sentAt: null,
           confirmedAt: null,
@@ -276,14 +315,81 @@ async function updateReminderStatus(reminderId, status, additionalData = {}) {
       ...additionalData
     };
 
-    await db.collection(REMINDERS_COLLECTION).doc(reminderId).update(updateData);
+    const reminderRef = db.collection(REMINDERS_COLLECTION).doc(reminderId);
+    await reminderRef.update(updateData);
     console.log(`📝 Recordatorio ${reminderId} actualizado a estado: ${status}`);
+
+    // Cita cancelada: el horario se ofrece a la lista de espera
+    if (status === REMINDER_STATUS.CANCELLED) {
+      const reminder = (await reminderRef.get()).data();
+      await waitlistService.offerFreedSlot({
+        fecha: reminder.appointmentDate,
+        hora_inicio: reminder.appointmentTime,
+        duracion: reminder.appointmentDuration,
+        id_dentista: reminder.dentistId
+      });
+    }
   } catch (error) {
     console.error(`❌ Error actualizando recordatorio ${reminderId}:`, error);
     throw error;
   }
 }
 
+/**
+ * Marca como cancelado el recordatorio activo de una cita (enviado o en proceso)
+ * @param {number} appointmentId - ID de la cita en Dentalink
+ * @returns {Promise<boolean>} true si había un recordatorio activo
+ */
+async function markReminderCancelled(appointmentId) {
+  try {
+    const snapshot = await db.collection(REMINDERS_COLLECTION)
+      .where('appointmentId', '==', appointmentId)
+      .get();
+
+    const active = snapshot.docs.find(doc =>
+      [REMINDER_STATUS.SENT, REMINDER_STATUS.PROCESSING].includes(doc.data().reminderStatus)
+    );
+    if (!active) return false;
+
+    await updateReminderStatus(active.id, REMINDER_STATUS.CANCELLED, {
+      cancelledAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return true;
+  } catch (error) {
+    console.error(`❌ Error marcando recordatorio de cita ${appointmentId} como cancelado:`, error);
+    return false;
+  }
+}
+
+/**
+ * Marca como fallido el recordatorio cuyo template WhatsApp no pudo entregar
+ * (evento failed del webhook de estados, p. ej. 131049 o 131026)
+ * @param {string} messageId - message.id que devolvió sendAppointmentReminder
+ * @param {Object|null} error - { code, title, message, details }
+ * @returns {Promise<boolean>} true si había un recordatorio enviado con ese messageId
+ */
+async function markReminderDeliveryFailed(messageId, error) {
+  try {
+    const snapshot = await db.collection(REMINDERS_COLLECTION)
+      .where('messageId', '==', messageId)
+      .get();
+
+    const sent = snapshot.docs.find(doc => doc.data().reminderStatus === REMINDER_STATUS.SENT);
+    if (!sent) return false;
+
+    await updateReminderStatus(sent.id, REMINDER_STATUS.FAILED, {
+      errorCode: error?.code ?? null,
+      errorMessage: error?.details || error?.message || error?.title || 'WhatsApp no pudo entregar el recordatorio',
+      failedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    console.log(`❌ Recordatorio ${sent.id} no entregado (código ${error?.code ?? 'desconocido'})`);
+    return true;
+  } catch (err) {
+    console.error(`❌ Error marcando recordatorio con mensaje ${messageId} como fallido:`, err);
+    return false;
+  }
+}
+
 /**
  * Envía todos los recordatorios pendientes
  * @returns {Promise<{sent: number, failed: number}>}
@@ -421,6 +527,10 @@ async function processConfirmation(patientPhone) {
 
   } catch (error) {
     console.error(`❌ Error procesando confirmación de ${patientPhone}:`, error);
+    // El recordatorio sigue en SENT: el paciente puede volver a presionar "Confirmar"
+    if (isUnavailableError(error)) {
+      await sendText(patientPhone, 'Lo siento, en este momento no pude confirmar tu cita porque la agenda no está disponible. 😔 Por favor intenta de nuevo en unos minutos.');
+    }
     return {
       success: false,
       message: error.message
@@ -468,13 +578,18 @@ async function processCancellation(patientPhone) {
     const session = await getOrCreateSession(patientPhone);
 
     // Guardar el ID de la cita en la sesión para que el bot pueda modificarla/cancelarla
+    // (el recordatorio se generó con las citas de Dentalink, así que la cita es válida para updateAppointment)
     session.id_sesion = reminder.appointmentId;
+    bookingFlow.appointmentsLoaded(session, [reminder.appointmentId]);
     session.data = session.data || {};
     session.data.pendingReminderAction = 'reschedule_or_cancel';
     session.data.reminderAppointmentId = reminder.appointmentId;
     session.data.reminderPatientName = reminder.patientName;
     session.data.reminderAppointmentDate = reminder.appointmentDate;
     session.data.reminderAppointmentTime = reminder.appointmentTime;
+    session.data.currentAppointmentId = reminder.appointmentId;
+    session.data.currentAppointmentDate = reminder.appointmentDate;
+    session.data.currentAppointmentTime = reminder.appointmentTime;
 
     await setSession(patientPhone, session);
 
@@ -542,6 +657,8 @@ module.exports = {
   generateRemindersForTomorrow,
   getPendingReminders,
   updateReminderStatus,
+  markReminderCancelled,
+  markReminderDeliveryFailed,
   sendPendingReminders,
   processConfirmation,
   processCancellation,
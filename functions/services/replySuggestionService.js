@@ -0,0 +1,103 @@
+// services/replySuggestionService.js
+// Respuestas sugeridas para el agente mientras interviene un chat desde el dashboard
+//
+// Claude propone 2 o 3 borradores a partir de la conversación, el documento de la clínica
+// (googleDocsService) y las citas del paciente en Dentalink (mismo contexto que el resumen
+// del relevo, ver handoffBriefingService.gatherContext). La respuesta se pide como tool_use
+// forzado (proposeReplies). Nada se envía: el agente elige un borrador, lo edita y lo manda.
+
+const { getModelProvider } = require('./anthropicService');
+const googleDocsService = require('./googleDocsService');
+const handoffService = require('./handoffService');
+const { ROLE_LABELS, gatherContext } = require('./handoffBriefingService');
+
+const MAX_SUGGESTIONS = 3;
+const MAX_CLINIC_INFO_LENGTH = 8000;
+
+const REPLIES_TOOL = {
+  name: 'proposeReplies',
+  description: 'Propone respuestas que el agente puede enviarle al paciente.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      replies: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Entre 2 y 3 respuestas distintas, listas para enviar por WhatsApp'
+      }
+    },
+    required: ['replies']
+  }
+};
+
+const SYSTEM_PROMPT = `
+Ayudas a una persona de una clínica dental en Colombia que está atendiendo a un paciente por WhatsApp.
+Propón respuestas para el ÚLTIMO mensaje del paciente. Responde SIEMPRE con la herramienta proposeReplies.
+
+- Entre 2 y 3 respuestas distintas entre sí (por ejemplo: resolver directamente, pedir un dato que falta, ofrecer una alternativa).
+- Cada una lista para enviar: español, tono cálido, tuteando, máximo 3 frases, sin firma.
+- Usa solo datos de la información de la clínica, de las citas del paciente o de la conversación. Si falta un dato (precio, horario, disponibilidad), la respuesta debe decir que se va a confirmar, no inventarlo.
+`.trim();
+
+function buildPrompt(context, clinicInfo, handoff) {
+  const transcript = context.messages.map(m => `${ROLE_LABELS[m.role]}: ${m.text}`).join('\n');
+  const appointments = context.appointments
+    .map(apt => `- ${apt.date} ${apt.time}${apt.dentist ? ` con ${apt.dentist}` : ''}${apt.status ? ` (${apt.status})` : ''}`)
+    .join('\n');
+  const pending = handoff?.briefing?.openQuestion;
+
+  return [
+    `Paciente: ${context.patientName || 'Cliente'}${context.documentNumber ? ` · CC ${context.documentNumber}` : ''}`,
+    `Citas del paciente:\n${appointments || '(ninguna encontrada)'}`,
+    ...(pending ? [`Pendiente según el resumen del relevo: ${pending}`] : []),
+    `Información de la clínica:\n${clinicInfo ? clinicInfo.substring(0, MAX_CLINIC_INFO_LENGTH) : '(no disponible)'}`,
+    `Conversación:\n${transcript || '(sin mensajes)'}`
+  ].join('\n\n');
+}
+
+/**
+ * Propone respuestas para el agente que atiende el chat
+ * @param {string} clientId - Teléfono del paciente
+ * @returns {Promise<string[]>} Entre 1 y 3 borradores (sin repetidos)
+ * @throws {Error} Si el modelo falla o no propone ninguna respuesta
+ */
+async function suggestReplies(clientId) {
+  const handoff = await handoffService.getActiveHandoffByClient(clientId);
+  const context = await gatherContext(clientId, {
+    clientName: handoff?.clientName,
+    documentNumber: handoff?.briefing?.documentNumber
+  });
+
+  let clinicInfo = '';
+  try {
+    clinicInfo = await googleDocsService.getDocumentContent();
+  } catch (error) {
+    console.error('⚠️ [SUGERENCIAS] No se pudo leer la información de la clínica:', error.message);
+  }
+
+  const response = await getModelProvider().createMessage({
+    model: 'claude-sonnet-4-20250514',
+    max_tokens: 1024,
+    system: [{ type: 'text', text: SYSTEM_PROMPT }],
+    messages: [{ role: 'user', content: buildPrompt(context, clinicInfo, handoff) }],
+    tools: [REPLIES_TOOL],
+    tool_choice: { type: 'tool', name: REPLIES_TOOL.name }
+  }, { conversationId: clientId });
+
+  const input = response.content.find(block => block.type === 'tool_use' && block.name === REPLIES_TOOL.name)?.input;
+  const replies = [...new Set((Array.isArray(input?.replies) ? input.replies : [])
+    .map(reply => String(reply).trim())
+    .filter(Boolean))]
+    .slice(0, MAX_SUGGESTIONS);
+
+  if (replies.length === 0) {
+    throw new Error('El modelo no propuso respuestas');
+  }
+
+  console.log(`✨ [SUGERENCIAS] ${replies.length} respuestas sugeridas para ${clientId}`);
+  return replies;
+}
+
+module.exports = {
+  suggestReplies
+};
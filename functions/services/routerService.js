@@ -1,13 +1,27 @@
 // services/routerService.js
 const { handleConversation } = require('./anthropicService');
-const { sendText } = require('./whatsappService');
+const { sendText, sendList, sendButtons } = require('./whatsappService');
 const { setSession } = require('./sessionService');
 const dentalinkService = require('./dentalinkService');
 const conversationLogService = require('./conversationLogService');
 const chrono = require('chrono-node');
 const handoffService = require('./handoffService');
+const handoffBriefingService = require('./handoffBriefingService');
 const configService = require('./configService');
 const slotMatcher = require('./slotMatcher');
+const treatmentCatalog = require('./treatmentCatalog');
+const clinicCalendar = require('./clinicCalendar');
+const waitlistService = require('./waitlistService');
+const bookingFlow = require('./bookingFlow');
+const { isUnavailableError } = require('./dentalinkClient');
+
+// Respuesta al paciente cuando Dentalink no responde (reintentos agotados o circuito abierto)
+const AGENDA_UNAVAILABLE_MESSAGE = 'Lo siento, en este momento no puedo consultar la agenda de la clínica. 😔 Por favor escríbenos de nuevo en unos minutos.';
+
+// Respuestas a los botones de confirmación (ver routeBookingConfirmation)
+const CONFIRMATION_EXPIRED_MESSAGE = 'Esa confirmación ya venció, así que no hice ningún cambio. ¿Quieres que lo revisemos de nuevo?';
+const SLOT_TAKEN_MESSAGE = 'Lo siento, ese horario se ocupó mientras confirmabas. 😔 ¿Quieres que te muestre otros horarios?';
+const UNKNOWN_APPOINTMENT_MESSAGE = 'No encontré esa cita entre las tuyas, así que no hice ningún cambio. ¿Me confirmas tu número de documento para revisarlas?';
 
 // Convierte fecha YYYY-MM-DD a formato legible (ej: "Lunes, 29 de septiembre")
 function formatDateToHumanReadable(dateString) {
@@ -78,40 +92,19 @@ function normalizeDateToYYYYMMDD(dateStr) {
     return `${year}-${month}-${day}`;
 }
 
-// Extrae el motivo de la cita del historial buscando keywords dentales
-function extractReasonFromHistory(history) {
-    if (!history || history.length === 0) return null;
-
-    const dentalKeywords = {
-        'Diseño de sonrisa': ['diseño de sonrisa', 'diseño sonrisa', 'blanqueamiento', 'carillas', 'estética dental', 'sonrisa'],
-        'Limpieza': ['limpieza', 'profilaxis', 'higiene dental', 'limpieza dental'],
-        'Ortodoncia': ['ortodoncia', 'brackets', 'braces', 'frenillos', 'alineadores', 'invisalign'],
-        'Dolor': ['dolor', 'dolor de muela', 'me duele', 'duele'],
-        'Emergencia': ['urgencia', 'emergencia', 'urgente', 'dolor fuerte'],
-        'Extracción': ['extracción', 'sacar muela', 'quitar muela', 'cordal', 'muela del juicio'],
-        'Caries': ['caries', 'calza', 'resina', 'empaste'],
-        'Endodoncia': ['endodoncia', 'conducto', 'tratamiento de conducto', 'matar nervio'],
-        'Prótesis': ['prótesis', 'corona', 'puente', 'implante'],
-        'Revisión': ['revisión', 'chequeo', 'control', 'valoración', 'consulta general'],
-        'Periodoncia': ['encías', 'sangrado', 'periodontitis', 'gingivitis']
-    };
+// Tratamiento (duración) con que se buscan slots: el pedido explícitamente, la duración
+// de la cita que se está modificando, o el que se mencione en el historial
+async function resolveSearchTreatment(session, requestedTreatment) {
+    const requested = await treatmentCatalog.matchTreatment(requestedTreatment);
+    if (requested) return requested;
 
-    const userMessages = history
-        .filter(msg => msg.role === 'user' && typeof msg.content === 'string')
-        .slice(-10)
-        .reverse();
-
-    for (const message of userMessages) {
-        const text = message.content.toLowerCase();
-        for (const [category, keywords] of Object.entries(dentalKeywords)) {
-            for (const keyword of keywords) {
-                if (text.includes(keyword)) {
-                    return category;
-                }
-            }
-        }
+    const currentDuration = session.data?.currentAppointmentDuration;
+    if (session.id_sesion && currentDuration) {
+        return { id: null, name: 'Cita actual', duration: treatmentCatalog.toSlotDuration(currentDuration) };
     }
-    return null;
+
+    return await treatmentCatalog.matchTreatmentInHistory(session.history)
+        || await treatmentCatalog.getDefaultTreatment();
 }
 
 function isValidDocumentNumber(documentNumber) {
@@ -154,6 +147,7 @@ function summarizeToolResult(toolName, toolResult) {
         case 'createAppointment':
         case 'updateAppointment':
         case 'cancelAppointment':
+        case 'joinWaitlist':
             return toolResult;
 
         default:
@@ -233,7 +227,604 @@ function injectUserContext(history, userName, userDocument) {
     return [...contextMessages, ...history];
 }
 
+/**
+ * Guarda en la sesión las citas activas del paciente: la próxima queda como id_sesion
+ * y todas quedan habilitadas para updateAppointment (ver bookingFlow)
+ * @param {string} from - Teléfono del paciente
+ * @param {Object} session
+ * @param {Array} citasActivas - Resultado de dentalinkService.getAppointmentsByPatient
+ * @param {number} patientId - id del paciente en Dentalink
+ * @returns {Promise<Object|null>} La próxima cita o null si no tiene
+ */
+async function rememberActiveAppointments(from, session, citasActivas, patientId) {
+    const citas = [...(citasActivas || [])].sort((a, b) => {
+        const fechaHoraA = new Date(`${a.fecha}T${a.hora_inicio}`);
+        const fechaHoraB = new Date(`${b.fecha}T${b.hora_inicio}`);
+        return fechaHoraA - fechaHoraB;
+    });
+
+    bookingFlow.appointmentsLoaded(session, citas.map(cita => cita.id), patientId);
+    if (citas.length === 0) return null;
+
+    const proxima = citas[0];
+
+    if (!session.data) session.data = {};
+    session.data.currentAppointmentId = proxima.id;
+    session.data.currentAppointmentDate = proxima.fecha;
+    session.data.currentAppointmentTime = proxima.hora_inicio;
+    session.data.currentAppointmentComment = proxima.comentarios || null;
+    session.data.currentAppointmentDentistId = proxima.id_dentista || null;
+    session.data.currentAppointmentDuration = parseInt(proxima.duracion, 10) || null;
+
+    session.id_sesion = proxima.id;
+    await setSession(from, {
+        ...session,
+        id_sesion: proxima.id,
+        data: session.data
+    });
+
+    return proxima;
+}
+
+/**
+ * Próxima cita activa del paciente en Dentalink (queda guardada en la sesión)
+ * Guarda de createAppointment: con una cita activa no se crea otra
+ * @param {string} from - Teléfono del paciente
+ * @param {Object} session
+ * @param {string} documentNumber
+ * @returns {Promise<Object|null>} La cita activa o null si no tiene
+ */
+async function findActiveAppointment(from, session, documentNumber) {
+    const patient = documentNumber ? await dentalinkService.findPatientByDocument(documentNumber) : null;
+    if (!patient?.id) return null;
+
+    const citasActivas = await dentalinkService.getAppointmentsByPatient(patient.id);
+    if (bookingFlow.canCreateAppointment(citasActivas)) return null;
+
+    const proxima = await rememberActiveAppointments(from, session, citasActivas, patient.id);
+    console.log(`🛑 [FLUJO] ${documentNumber} ya tiene la cita ${proxima.id}, no se crea otra`);
+    return proxima;
+}
+
+/**
+ * Crea una cita nueva si el paciente no tiene otra activa en Dentalink
+ * @param {string} from - Teléfono del paciente
+ * @param {Object} session
+ * @param {Object} appointment - { date, time, documentNumber, reason, options } (ver dentalinkService.createAppointment)
+ * @returns {Promise<Object>} Resultado de createAppointment, o
+ *   { success: false, reason: 'HAS_ACTIVE_APPOINTMENT', appointment } si ya tiene una cita activa
+ */
+async function createAppointmentGuarded(from, session, { date, time, documentNumber, reason = null, options = {} }) {
+    const activa = await findActiveAppointment(from, session, documentNumber);
+    if (activa) {
+        return { success: false, reason: 'HAS_ACTIVE_APPOINTMENT', appointment: activa };
+    }
+
+    const result = await dentalinkService.createAppointment(date, time, documentNumber, reason, options);
+    if (result.success) {
+        bookingFlow.bookingCompleted(session, result.data?.id || null);
+    } else {
+        bookingFlow.bookingFailed(session);
+    }
+    return result;
+}
+
+/**
+ * Revisa, sin escribir en Dentalink, que se pueda crear la cita: sin otra cita activa y con el horario libre
+ * @param {string} from - Teléfono del paciente
+ * @param {Object} session
+ * @param {Object} appointment - { date, time, documentNumber, reason, options } (ver dentalinkService.createAppointment)
+ * @returns {Promise<{action?: Object, reason?: string, appointment?: Object}>} action para proposeAction, o
+ *   reason: HAS_ACTIVE_APPOINTMENT (appointment = la cita activa) o SLOT_TAKEN
+ */
+async function prepareCreateAction(from, session, { date, time, documentNumber, reason = null, options = {} }) {
+    const activa = await findActiveAppointment(from, session, documentNumber);
+    if (activa) {
+        return { reason: 'HAS_ACTIVE_APPOINTMENT', appointment: activa };
+    }
+
+    const treatment = await treatmentCatalog.resolveTreatment(options.treatmentId, reason);
+    const resources = await dentalinkService.findAvailableResources(date, time, {
+        ...options,
+        duration: treatment.duration
+    });
+    if (!resources) {
+        return { reason: 'SLOT_TAKEN' };
+    }
+
+    return {
+        action: {
+            action: 'create',
+            date,
+            time,
+            documentNumber,
+            reason,
+            options,
+            dentistName: resources.dentist.name,
+            treatmentName: treatment.name
+        }
+    };
+}
+
+// Respuesta de la guarda para el modelo: la cita activa se modifica, no se duplica
+function activeAppointmentToolResult(appointment) {
+    return `❌ The patient already has an active appointment (id_sesion=${appointment.id}) on ${formatDateToHumanReadable(appointment.fecha)} (${appointment.fecha}) at ${appointment.hora_inicio}. Do NOT create another one: ask whether they want to change it (updateAppointment), cancel it or keep it.`;
+}
+
+// Respuesta para el modelo cuando la escritura queda esperando los botones del paciente
+function pendingActionToolResult(pending) {
+    return `⏳ Nothing was written to Dentalink yet. The patient received this summary with "Sí, confirmar" / "No, dejarlo así" buttons: "${pending.summary}". The change is applied only when they tap "Sí, confirmar".`;
+}
+
+/**
+ * Dentista y sillón libres para mover la cita actual a otra fecha y hora
+ * Mantiene el dentista actual si está libre; si no, cualquier dentista/sillón libre
+ * @param {Object} session
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @param {number} dentistId - Dentista pedido por el paciente (opcional)
+ * @returns {Promise<Object|null>} Resultado de dentalinkService.findAvailableResources
+ */
+async function findResourcesForMove(session, date, time, dentistId = null) {
+    return dentalinkService.findAvailableResources(date, time, {
+        dentistId,
+        preferredDentistId: session.data?.currentAppointmentDentistId || null,
+        duration: treatmentCatalog.toSlotDuration(session.data?.currentAppointmentDuration || 60)
+    });
+}
+
+/**
+ * Mueve una cita existente a otra fecha y hora (ver findResourcesForMove)
+ * @param {string} from - Teléfono del paciente
+ * @param {Object} session - Sesión (se actualiza con el nuevo id_sesion)
+ * @param {number} id_sesion - Cita a mover
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @param {number} dentistId - Dentista pedido por el paciente (opcional)
+ * @returns {Promise<{success: boolean, data?: Object, dentist?: Object, reason?: string}>}
+ *   reason: SLOT_TAKEN si no hay dentista/sillón libre, NO_DATA si Dentalink no devolvió la cita
+ */
+async function moveAppointment(from, session, id_sesion, date, time, dentistId = null) {
+    const currentComment = session.data?.currentAppointmentComment || null;
+    const duration = treatmentCatalog.toSlotDuration(session.data?.currentAppointmentDuration || 60);
+
+    const resources = await findResourcesForMove(session, date, time, dentistId);
+    if (!resources) {
+        bookingFlow.bookingFailed(session);
+        return { success: false, reason: 'SLOT_TAKEN' };
+    }
+
+    const result = await dentalinkService.updateAppointment(
+        id_sesion, date, time, duration, resources.dentist.id, resources.chairId, currentComment
+    );
+    if (!result?.data) {
+        console.error("❌ updateAppointment no retornó data:", result);
+        bookingFlow.bookingFailed(session);
+        return { success: false, reason: 'NO_DATA' };
+    }
+
+    const newAppointmentId = result.data.id;
+    session.id_sesion = newAppointmentId;
+    if (!session.data) session.data = {};
+    session.data.currentAppointmentId = newAppointmentId;
+    session.data.currentAppointmentDate = result.data.fecha || date;
+    session.data.currentAppointmentTime = result.data.hora_inicio || time;
+    session.data.currentAppointmentComment = result.data.comentarios || null;
+    session.data.currentAppointmentDentistId = resources.dentist.id;
+    bookingFlow.bookingCompleted(session, newAppointmentId);
+
+    await setSession(from, {
+        ...session,
+        id_sesion: newAppointmentId,
+        data: session.data
+    });
+
+    return { success: true, data: result.data, dentist: resources.dentist };
+}
+
+/**
+ * Cancela una cita en Dentalink y ofrece el horario liberado a la lista de espera
+ * @param {string} from - Teléfono del paciente
+ * @param {Object} session
+ * @param {number} id_cita
+ * @param {string} comentarios - Motivo (opcional)
+ * @returns {Promise<Object>} La cita cancelada (fecha, hora_inicio...)
+ */
+async function cancelAppointmentNow(from, session, id_cita, comentarios = null) {
+    const result = await dentalinkService.cancelAppointment(
+        id_cita,
+        comentarios || "Cita anulada por el paciente"
+    );
+
+    // Limpiar id_sesion para permitir nuevas citas con matching automático
+    session.id_sesion = null;
+    bookingFlow.appointmentCancelled(session, id_cita);
+    await setSession(from, {
+        ...session,
+        id_sesion: null
+    });
+
+    // El horario liberado se ofrece a la lista de espera
+    await waitlistService.offerFreedSlot(result.data);
+    // require diferido: reminderService depende de routerService
+    await require('./reminderService').markReminderCancelled(id_cita);
+
+    return result.data;
+}
+
+/**
+ * Resumen de una acción para que el paciente la confirme
+ * (ej: "Cancelar tu cita del Martes, 20 de enero a las 10:00")
+ * @param {Object} session
+ * @param {Object} action - Ver proposeAction
+ * @returns {string}
+ */
+function describeAction(session, { action, date, time, appointmentId, dentistName, treatmentName }) {
+    const data = session.data || {};
+    const current = data.currentAppointmentDate && String(data.currentAppointmentId) === String(appointmentId)
+        ? ` del ${formatDateToHumanReadable(data.currentAppointmentDate)} a las ${String(data.currentAppointmentTime).slice(0, 5)}`
+        : '';
+
+    if (action === 'cancel') {
+        return `Cancelar tu cita${current}`;
+    }
+
+    const slot = `el ${formatDateToHumanReadable(date)} a las ${time}${dentistName ? ` con ${dentistName}` : ''}`;
+    if (action === 'update') {
+        return `Mover tu cita${current} para ${slot}`;
+    }
+    return `Agendar tu cita${treatmentName ? ` de ${treatmentName}` : ''} ${slot}`;
+}
+
+/**
+ * Deja una escritura en Dentalink esperando la confirmación del paciente y le envía
+ * el resumen con los botones Sí/No (ver routeBookingConfirmation)
+ * @param {string} from - Teléfono del paciente
+ * @param {Object} session
+ * @param {Object} action - { action: 'create' | 'update' | 'cancel', date, time, appointmentId,
+ *   documentNumber, reason, options } más dentistName y treatmentName para el resumen
+ * @returns {Promise<{pending: Object, text: string, messageId: string|null}>}
+ */
+async function proposeAction(from, session, action) {
+    const pending = bookingFlow.actionProposed(session, {
+        action: action.action,
+        date: action.date || null,
+        time: action.time || null,
+        appointmentId: action.appointmentId || null,
+        documentNumber: action.documentNumber || null,
+        reason: action.reason || null,
+        options: action.options || {},
+        summary: describeAction(session, action)
+    });
+
+    const text = `📋 ${pending.summary}.\n\n¿Lo confirmas?`;
+    const messageId = await sendButtons(from, text, bookingFlow.confirmationButtons(pending));
+    console.log(`📋 [CONFIRMAR] ${from}: ${pending.summary} (${pending.id}, vence ${pending.expiresAt})`);
+
+    return { pending, text, messageId };
+}
+
+// Historial para conversationLogService: sin el contexto interno de la memoria persistente
+function historyForConversationLog(history) {
+    return history.filter(item => {
+        if (typeof item.content === 'string') {
+            return !item.content.includes('[CONTEXTO INTERNO') &&
+                   !item.content.includes('Reconozco a este paciente registrado');
+        }
+        return true;
+    });
+}
+
+/**
+ * Cierra el turno con el resumen ya enviado: el modelo vuelve a participar cuando
+ * el paciente escriba de nuevo
+ * @param {string} from - Teléfono del paciente
+ * @param {Object} session - Sesión con history cargado
+ * @param {Object} proposal - Resultado de proposeAction
+ */
+async function saveProposalTurn(from, session, { text, messageId }) {
+    session.history.push({ role: 'assistant', content: text });
+
+    await setSession(from, {
+        conversation_history: prepareHistoryForStorage(session.history).slice(-15),
+        data: session.data || {},
+        id_sesion: session.id_sesion || null,
+        document_number: session.data?.documentNumber || null,
+        ...bookingFlow.toSession(session)
+    });
+
+    try {
+        await conversationLogService.logConversation(from, historyForConversationLog(session.history), session.data?.documentNumber || null, session.data?.userName || null, messageId);
+    } catch (err) {
+        console.error('❌ Error en logConversation (confirmación):', err);
+    }
+}
+
+/**
+ * Propone el horario que eligió el paciente entre los ofrecidos, sin pasar por el modelo
+ * Si la sesión tiene una cita activa (reagendamiento) se propone moverla en lugar de crear otra
+ * @param {string} from - Teléfono del paciente
+ * @param {Object} session - Sesión con history cargado
+ * @param {Object} slot - {fecha: "2030-01-18", hora: "15:00"}
+ * @param {string} userText - Mensaje del paciente que se guarda en el historial
+ * @returns {Promise<boolean>} true si se le envió el resumen para confirmar
+ */
+async function proposeOfferedSlot(from, session, slot, userText) {
+    let action;
+
+    try {
+        if (session.id_sesion) {
+            if (!bookingFlow.canUpdateAppointment(session, session.id_sesion)) {
+                console.log(`🛑 [FLUJO] La cita ${session.id_sesion} no salió de getAppointmentsByPatient, no se mueve`);
+                return false;
+            }
+            const resources = await findResourcesForMove(session, slot.fecha, slot.hora);
+            if (!resources) {
+                console.log(`❌ No se puede mover la cita ${session.id_sesion} a ${slot.fecha} ${slot.hora}: SLOT_TAKEN`);
+                return false;
+            }
+            action = {
+                action: 'update',
+                date: slot.fecha,
+                time: slot.hora,
+                appointmentId: session.id_sesion,
+                dentistName: resources.dentist.name
+            };
+        } else {
+            // El motivo es el tratamiento mencionado en el historial (si lo hay)
+            const mentioned = await treatmentCatalog.matchTreatmentInHistory(session.history);
+            const prepared = await prepareCreateAction(from, session, {
+                date: slot.fecha,
+                time: slot.hora,
+                documentNumber: session.data?.documentNumber,
+                reason: mentioned?.name || null,
+                options: {
+                    dentistId: session.data?.preferredDentistId || null,
+                    treatmentId: session.data?.treatmentId || null
+                }
+            });
+
+            if (!prepared.action) {
+                console.log(`❌ No se puede agendar ${slot.fecha} ${slot.hora}: ${prepared.reason}`);
+                return false;
+            }
+            action = prepared.action;
+        }
+    } catch (error) {
+        if (isUnavailableError(error)) throw error;
+        console.error(`❌ Error revisando el horario elegido:`, error);
+        return false;
+    }
+
+    session.history.push({ role: 'user', content: userText });
+    const proposal = await proposeAction(from, session, action);
+    await saveProposalTurn(from, session, proposal);
+    return true;
+}
+
+/**
+ * Envía los horarios ofrecidos como lista de WhatsApp (una sección por día)
+ * @param {string} from - Teléfono del paciente
+ * @param {Array} slots - Slots guardados en sesión
+ */
+async function sendSlotList(from, slots) {
+    const sections = slotMatcher.buildSlotListSections(slots);
+    if (sections.length === 0) return;
+
+    await sendList(from, {
+        body: 'Toca "Ver horarios" y elige el que prefieras, o escríbeme el día y la hora.',
+        button: 'Ver horarios',
+        sections
+    });
+}
+
+/**
+ * Procesa un mensaje del paciente. Si Dentalink no está disponible, se le avisa
+ * al paciente en vez de dejar la conversación sin respuesta
+ */
 async function routeByIntent({ from, freeText, session }) {
+    try {
+        await runConversation({ from, freeText, session });
+    } catch (error) {
+        if (!isUnavailableError(error)) throw error;
+        console.error(`🔌 [ROUTER] Dentalink no disponible (${error.message}), se avisa al paciente`);
+        await replyAgendaUnavailable(from, session);
+    }
+}
+
+/**
+ * Procesa un horario elegido en la lista de WhatsApp (list_reply con id slot_YYYY-MM-DD_HH:MM)
+ * Si el horario sigue ofrecido se propone directamente para confirmar; si la lista es vieja, falta el documento
+ * o el horario ya se ocupó, la elección pasa al modelo como texto
+ * @param {Object} params
+ * @param {string} params.from - Teléfono del paciente
+ * @param {string} params.rowId - list_reply.id
+ * @param {Object} params.session - Sesión del paciente
+ */
+async function routeSlotSelection({ from, rowId, session }) {
+    const choice = slotMatcher.parseSlotRowId(rowId);
+    const freeText = `Elijo el ${formatDateToHumanReadable(choice.fecha)} a las ${choice.hora}`;
+
+    try {
+        const slot = slotMatcher.findOfferedSlot(choice, session.availableSlots);
+        const canBook = slot && (session.id_sesion || session.data?.documentNumber);
+
+        if (canBook) {
+            console.log(`\n${'~'.repeat(60)}`);
+            console.log(`📋 [SLOT] ${from} eligió ${choice.fecha} ${choice.hora} en la lista`);
+
+            session.history = [...(session.conversation_history || [])];
+            if (await proposeOfferedSlot(from, session, choice, freeText)) {
+                console.log(`${'~'.repeat(60)}\n`);
+                return;
+            }
+        } else {
+            console.log(`📋 [SLOT] ${choice.fecha} ${choice.hora} ya no está entre los horarios ofrecidos a ${from}, pasa al modelo`);
+        }
+
+        await runConversation({ from, freeText, session });
+    } catch (error) {
+        if (!isUnavailableError(error)) throw error;
+        console.error(`🔌 [ROUTER] Dentalink no disponible (${error.message}), se avisa al paciente`);
+        await replyAgendaUnavailable(from, session);
+    }
+}
+
+/**
+ * Escribe en Dentalink la acción que confirmó el paciente
+ * @param {string} from - Teléfono del paciente
+ * @param {Object} session
+ * @param {Object} pending - Acción pendiente (ver proposeAction)
+ * @returns {Promise<string>} Mensaje para el paciente
+ */
+async function executePendingAction(from, session, pending) {
+    const { date, time } = pending;
+
+    // Mover o cancelar: la cita tiene que seguir siendo una de las que devolvió getAppointmentsByPatient
+    if ((pending.action === 'update' || pending.action === 'cancel') && !bookingFlow.canUpdateAppointment(session, pending.appointmentId)) {
+        console.log(`🛑 [FLUJO] ${pending.action} de la cita ${pending.appointmentId}, que no devolvió getAppointmentsByPatient`);
+        bookingFlow.actionAborted(session);
+        return UNKNOWN_APPOINTMENT_MESSAGE;
+    }
+
+    if (pending.action === 'cancel') {
+        const cita = await cancelAppointmentNow(from, session, pending.appointmentId, pending.reason);
+        return `Listo, tu cita del ${formatDateToHumanReadable(cita.fecha)} a las ${cita.hora_inicio} quedó cancelada. ¿Te ayudo con algo más?`;
+    }
+
+    if (pending.action === 'update') {
+        const moved = await moveAppointment(from, session, pending.appointmentId, date, time, pending.options?.dentistId || null);
+        if (!moved.success) {
+            console.log(`❌ No se pudo mover la cita ${pending.appointmentId} a ${date} ${time}: ${moved.reason}`);
+            return SLOT_TAKEN_MESSAGE;
+        }
+        session.availableSlots = null;
+        return `¡Listo! Tu cita quedó para el ${formatDateToHumanReadable(moved.data.fecha)} a las ${moved.data.hora_inicio} con ${moved.dentist.name}. 😊`;
+    }
+
+    const result = await createAppointmentGuarded(from, session, {
+        date,
+        time,
+        documentNumber: pending.documentNumber,
+        reason: pending.reason,
+        options: pending.options
+    });
+
+    if (result.reason === 'HAS_ACTIVE_APPOINTMENT') {
+        bookingFlow.actionAborted(session);
+        return `Ya tienes una cita el ${formatDateToHumanReadable(result.appointment.fecha)} a las ${result.appointment.hora_inicio}, así que no agendé otra. ¿Quieres cambiarla, cancelarla o mantenerla?`;
+    }
+    if (!result.success) {
+        console.log(`❌ No se pudo agendar ${date} ${time}: ${result.message}`);
+        return SLOT_TAKEN_MESSAGE;
+    }
+
+    if (result.data && result.data.id) {
+        session.id_sesion = result.data.id;
+    }
+    session.availableSlots = null;
+    return `¡Perfecto! Tu cita está confirmada para el ${formatDateToHumanReadable(date)} a las ${time} con ${result.dentist.name}. Te esperamos en la clínica. 😊`;
+}
+
+/**
+ * Procesa los botones Sí/No del resumen de una acción pendiente (ver proposeAction)
+ * "Sí, confirmar" escribe en Dentalink; "No", un botón vencido o el de un resumen
+ * anterior no cambian nada
+ * @param {Object} params
+ * @param {string} params.from - Teléfono del paciente
+ * @param {string} params.buttonId - button_reply.id (booking_confirm:<id> o booking_abort:<id>)
+ * @param {Object} params.session - Sesión del paciente
+ */
+async function routeBookingConfirmation({ from, buttonId, session }) {
+    const { confirmed, pendingId } = bookingFlow.parseConfirmationButton(buttonId);
+    const pending = bookingFlow.getPendingAction(session);
+    session.history = [...(session.conversation_history || [])];
+
+    console.log(`\n${'~'.repeat(60)}`);
+    console.log(`📋 [CONFIRMAR] ${from} respondió ${confirmed ? 'Sí' : 'No'} a ${pendingId}`);
+
+    let mensaje;
+    try {
+        if (!pending || pending.id !== pendingId) {
+            console.log(`⌛ [CONFIRMAR] ${pendingId} ya no es la acción pendiente (${pending?.id || 'ninguna'})`);
+            mensaje = CONFIRMATION_EXPIRED_MESSAGE;
+        } else if (bookingFlow.isExpired(pending)) {
+            console.log(`⌛ [CONFIRMAR] ${pendingId} venció el ${pending.expiresAt}`);
+            bookingFlow.actionAborted(session);
+            mensaje = CONFIRMATION_EXPIRED_MESSAGE;
+        } else if (!confirmed) {
+            bookingFlow.actionAborted(session);
+            mensaje = 'Listo, no hice ningún cambio. ¿Te ayudo con algo más?';
+        } else {
+            mensaje = await executePendingAction(from, session, pending);
+        }
+    } catch (error) {
+        if (isUnavailableError(error)) {
+            // La acción sigue pendiente: el paciente puede volver a confirmar mientras no venza
+            console.error(`🔌 [ROUTER] Dentalink no disponible (${error.message}), se avisa al paciente`);
+            await replyAgendaUnavailable(from, session);
+            return;
+        }
+        console.error(`❌ Error ejecutando la acción ${pendingId}:`, error);
+        bookingFlow.bookingFailed(session);
+        mensaje = 'Tuve un problema registrando el cambio en la agenda. 😔 ¿Lo intentamos de nuevo?';
+    }
+
+    session.history.push({ role: 'user', content: confirmed ? 'Sí, confirmar' : 'No, dejarlo así' });
+    session.history.push({ role: 'assistant', content: mensaje });
+
+    const messageId = await sendText(from, mensaje);
+    await setSession(from, {
+        conversation_history: prepareHistoryForStorage(session.history).slice(-15),
+        data: session.data || {},
+        id_sesion: session.id_sesion || null,
+        availableSlots: session.availableSlots || null,
+        document_number: session.data?.documentNumber || null,
+        ...bookingFlow.toSession(session)
+    });
+
+    try {
+        await conversationLogService.logConversation(from, historyForConversationLog(session.history), session.data?.documentNumber || null, session.data?.userName || null, messageId);
+    } catch (err) {
+        console.error('❌ Error en logConversation (confirmación):', err);
+    }
+    console.log(`${'~'.repeat(60)}\n`);
+}
+
+async function replyAgendaUnavailable(from, session) {
+    const history = session.history || [];
+
+    // Cerrar el tool_use pendiente: el historial no puede quedar con una llamada sin resultado
+    const last = history[history.length - 1];
+    if (last?.role === 'assistant' && Array.isArray(last.content) && last.content[0]?.type === 'tool_use') {
+        history.push({
+            role: 'user',
+            content: [{
+                type: 'tool_result',
+                tool_use_id: last.content[0].id,
+                content: '⚠️ Dentalink no disponible. No se pudo completar la acción.'
+            }]
+        });
+    }
+    history.push({ role: 'assistant', content: AGENDA_UNAVAILABLE_MESSAGE });
+
+    const messageId = await sendText(from, AGENDA_UNAVAILABLE_MESSAGE);
+    await setSession(from, {
+        conversation_history: prepareHistoryForStorage(history).slice(-15),
+        data: session.data || {},
+        id_sesion: session.id_sesion || null,
+        document_number: session.data?.documentNumber || null
+    });
+
+    try {
+        await conversationLogService.logConversation(from, prepareHistoryForStorage(history), session.data?.documentNumber || null, session.data?.userName || null, messageId);
+    } catch (err) {
+        console.error('❌ Error logging conversation:', err);
+    }
+    console.log(`${'~'.repeat(60)}\n`);
+}
+
+async function runConversation({ from, freeText, session }) {
     console.log(`\n${'~'.repeat(60)}`);
     console.log(`📩 [ROUTER] Mensaje: "${freeText}"`);
 
@@ -255,54 +846,10 @@ async function routeByIntent({ from, freeText, session }) {
         if (matchedSlot) {
             console.log(`✅ [MATCHING] Match encontrado: ${matchedSlot.fecha} ${matchedSlot.hora}`);
 
-            try {
-                const reason = extractReasonFromHistory(session.history);
-                const result = await dentalinkService.createAppointment(
-                    matchedSlot.fecha,
-                    matchedSlot.hora,
-                    documentNumber,
-                    reason
-                );
-
-                if (result.success) {
-                    const fechaLegible = formatDateToHumanReadable(matchedSlot.fecha);
-                    const mensaje = `¡Perfecto! Tu cita está confirmada para el ${fechaLegible} a las ${matchedSlot.hora} con el Dr. Camilo. Te esperamos en la clínica. 😊`;
-
-                    if (result.data && result.data.id) {
-                        session.id_sesion = result.data.id;
-                    }
-
-                    session.history.push({ role: 'user', content: freeText });
-                    session.history.push({ role: 'assistant', content: mensaje });
-
-                    await sendText(from, mensaje);
-
-                    delete session.availableSlots;
-                    const historyForFirestore = prepareHistoryForStorage(session.history).slice(-15);
-                    await setSession(from, {
-                        ...session,
-                        conversation_history: historyForFirestore,
-                        id_sesion: session.id_sesion
-                    });
-
-                    let userName = session.data?.userName || null;
-                    console.log(`📝 [MATCHING] Guardando historial con ${session.history.length} items`);
-                    console.log(`📝 [MATCHING] Último msg: ${session.history[session.history.length-1]?.content?.substring(0,50)}...`);
-                    try {
-                        await conversationLogService.logConversation(from, session.history, documentNumber, userName);
-                        console.log(`✅ [MATCHING] logConversation completado`);
-                    } catch (err) {
-                        console.error('❌ Error en logConversation (matching):', err);
-                    }
-
-                    console.log(`✅ Cita creada mediante matching automático`);
-                    console.log(`${'~'.repeat(60)}\n`);
-                    return;
-                } else {
-                    console.log(`❌ Error en matching automático: ${result.message}`);
-                }
-            } catch (error) {
-                console.error(`❌ Error en matching automático:`, error);
+            if (await proposeOfferedSlot(from, session, matchedSlot, freeText)) {
+                console.log(`✅ Horario propuesto mediante matching automático`);
+                console.log(`${'~'.repeat(60)}\n`);
+                return;
             }
         }
     }
@@ -319,6 +866,7 @@ async function routeByIntent({ from, freeText, session }) {
                 session.data.userName = userData.userName;
                 documentNumber = userData.userDocument;
                 userName = userData.userName;
+                bookingFlow.patientIdentified(session);
 
                 session.history.push({
                     role: 'user',
@@ -348,7 +896,10 @@ async function routeByIntent({ from, freeText, session }) {
     // Inyectar contexto de usuario conocido y truncar historial
     const historyWithContext = injectUserContext(session.history, userName, documentNumber);
     const truncatedHistory = truncateHistory(historyWithContext, 20);
-    let aiResponse = await handleConversation(freeText, truncatedHistory);
+    let aiResponse = await handleConversation(freeText, truncatedHistory, { conversationId: from, bookingStep: bookingFlow.describeStep(session) });
+
+    // Horarios que se envían como lista después de la respuesta
+    let slotListToSend = null;
 
     // Bucle de herramientas
     let toolCallCount = 0;
@@ -376,6 +927,8 @@ async function routeByIntent({ from, freeText, session }) {
         });
 
         let toolResult;
+        // Escritura propuesta al paciente (create/update/cancel): espera sus botones
+        let proposal = null;
 
         // findPatientByDocument
         if (name === 'findPatientByDocument') {
@@ -386,6 +939,7 @@ async function routeByIntent({ from, freeText, session }) {
             } else {
                 const patient = await dentalinkService.findPatientByDocument(documentNumber);
                 if (patient) {
+                    bookingFlow.patientIdentified(session, patient.id);
                     toolResult = `Patient with ID ${patient.id} and name ${patient.nombre} exists.`;
                     if (patient.nombre) {
                         session.data.userName = patient.nombre;
@@ -411,6 +965,7 @@ async function routeByIntent({ from, freeText, session }) {
 
             const newPatient = await dentalinkService.createPatient(patientData);
             if (newPatient) {
+                bookingFlow.patientIdentified(session, newPatient.data.id);
                 toolResult = `Patient ${newPatient.data.nombre} has been successfully created. Now, the AI should continue the scheduling process.`;
 
                 if (newPatient.data.nombre) {
@@ -429,23 +984,38 @@ async function routeByIntent({ from, freeText, session }) {
 
         // getAvailableTimeSlots
         } else if (name === 'getAvailableTimeSlots') {
+            // Si el paciente eligió dentista, se respeta también al agendar
+            const requestedDentist = await configService.getDentistById(parameters.dentistId);
+            if (!session.data) session.data = {};
+            if (requestedDentist) {
+                session.data.preferredDentistId = requestedDentist.id;
+            }
+
+            // La duración del tratamiento define el largo de los bloques a buscar
+            const treatment = await resolveSearchTreatment(session, parameters.treatment);
+            session.data.treatmentId = treatment.id;
+
             const availableSlots = await dentalinkService.getAvailableTimeSlots({
                 date: parameters.date,
                 currentDate: new Date().toISOString().split('T')[0],
-                freeText: parameters.freeText
+                freeText: parameters.freeText,
+                dentistId: requestedDentist?.id || null,
+                duration: treatment.duration
             });
 
-            // Verificar si se necesita handoff (fecha > 14 días)
+            // Verificar si se necesita handoff (fecha fuera del horizonte de agendamiento)
             if (availableSlots && availableSlots.needsHandoff) {
-                console.log(`🤝 Fecha solicitada > 14 días, iniciando handoff para ${from}`);
+                const horizonDays = await clinicCalendar.getBookingHorizonDays();
+                console.log(`🤝 Fecha solicitada > ${horizonDays} días, iniciando handoff para ${from}`);
 
                 // Obtener nombre del cliente
                 const clientName = session.data?.userName || 'Cliente';
-                const agentPhoneNumber = await configService.getAgentPhoneNumber();
 
-                if (agentPhoneNumber) {
-                    // Crear handoff
-                    await handoffService.createHandoff(from, agentPhoneNumber, clientName);
+                // Crear handoff (se asigna a un agente del roster)
+                const handoff = await handoffService.createHandoff(from, null, clientName);
+
+                if (handoff) {
+                    const agentPhoneNumber = handoff.agentPhoneNumber;
 
                     // Enviar mensaje al cliente
                     await sendText(from, availableSlots.message);
@@ -453,7 +1023,7 @@ async function routeByIntent({ from, freeText, session }) {
                     // Notificar al agente
                     const dashboardUrl = `https://whatsapp-starter-4de11.web.app/?client=${from}`;
                     await sendText(agentPhoneNumber,
-                        `🗓️ ${clientName} (${from}) quiere agendar una cita para más de 14 días.\n\n` +
+                        `🗓️ ${clientName} (${from}) quiere agendar una cita para más de ${horizonDays} días.\n\n` +
                         `📱 Dashboard: ${dashboardUrl}`
                     );
 
@@ -469,15 +1039,18 @@ async function routeByIntent({ from, freeText, session }) {
                         availableSlots: null,
                         history: []
                     });
-                    console.log(`🧹 Contexto de sesión limpiado para ${from} (handoff > 14 días)`);
+                    console.log(`🧹 Contexto de sesión limpiado para ${from} (handoff > ${horizonDays} días)`);
 
                     return; // Terminar el flujo aquí
                 } else {
                     toolResult = "Lo siento, en este momento no puedo conectarte con un agente. Por favor intenta más tarde.";
                 }
             } else if (!availableSlots || (Array.isArray(availableSlots) && availableSlots.length === 0)) {
-                toolResult = `No hay disponibilidad para la fecha ${parameters.date}.`;
-            } else if (Array.isArray(availableSlots)) {
+                toolResult = `No hay disponibilidad para la fecha ${parameters.date}. Ofrece anotar al paciente en la lista de espera (joinWaitlist) para esa fecha o un rango de fechas: si se libera un horario le escribimos.`;
+            } else if (!Array.isArray(availableSlots)) {
+                // Fecha pasada, día sin atención o error de Dentalink
+                toolResult = availableSlots.message || String(availableSlots);
+            } else {
                 const parsedDate = chrono.parseDate(parameters.freeText || '');
                 if (parsedDate) {
                     const requestedDate = parsedDate.toISOString().split('T')[0];
@@ -488,35 +1061,45 @@ async function routeByIntent({ from, freeText, session }) {
                     );
 
                     if (match) {
-                        const appointmentResult = await dentalinkService.createAppointment(
-                            requestedDate,
-                            requestedTime,
-                            documentNumber
-                        );
+                        const prepared = await prepareCreateAction(from, session, {
+                            date: requestedDate,
+                            time: requestedTime,
+                            documentNumber,
+                            options: { dentistId: requestedDentist?.id || null, treatmentId: treatment.id }
+                        });
 
-                        if (appointmentResult.success) {
-                            toolResult = `✅ Cita agendada para el ${requestedDate} a las ${requestedTime}.`;
+                        if (prepared.action) {
+                            proposal = await proposeAction(from, session, prepared.action);
+                            toolResult = pendingActionToolResult(proposal.pending);
+                        } else if (prepared.reason === 'HAS_ACTIVE_APPOINTMENT') {
+                            toolResult = activeAppointmentToolResult(prepared.appointment);
                         } else {
-                            toolResult = `❌ No se pudo agendar la cita: ${appointmentResult.message}`;
+                            toolResult = `😔 No hay disponibilidad a las ${requestedTime} el ${requestedDate}.`;
                         }
                     } else {
                         toolResult = `😔 No hay disponibilidad a las ${requestedTime} el ${requestedDate}.`;
                     }
                 } else {
+                    // Con varios dentistas, indicar quién atiende cada horario
+                    const roster = await configService.getDentistRoster();
                     const formattedSlots = availableSlots.map(slot => ({
                         fecha_legible: formatDateToHumanReadable(slot.fecha),
                         hora: slot.hora_inicio,
                         fecha_raw: slot.fecha,
+                        ...(roster.length > 1 && { dentistas: slot.dentists.map(d => d.name) })
                     }));
 
                     await setSession(from, { ...session, availableSlots: formattedSlots });
                     session.availableSlots = formattedSlots;
+                    slotListToSend = formattedSlots;
+                    bookingFlow.slotsOffered(session);
 
-                    toolResult = `Slots disponibles:\n${JSON.stringify(formattedSlots)}\n\n⚠️ INSTRUCCIONES CRÍTICAS:
+                    toolResult = `Slots disponibles para ${treatment.name} (${treatment.duration} min):\n${JSON.stringify(formattedSlots)}\n\n⚠️ INSTRUCCIONES CRÍTICAS:
 1. MUESTRA AL USUARIO usando EXACTAMENTE el texto de "fecha_legible" (ej: "Lunes, 20 de enero" → muestra "Lunes 20")
 2. NUNCA calcules el día del mes tú mismo - usa el número que aparece en fecha_legible
 3. Para agendar, usa el "fecha_raw" correspondiente al slot elegido
-4. Ejemplo: fecha_legible="Martes, 20 de enero" → muestra "Martes 20" al usuario, NO "Martes 21"`;
+4. Ejemplo: fecha_legible="Martes, 20 de enero" → muestra "Martes 20" al usuario, NO "Martes 21"
+5. Después de tu mensaje el paciente recibe estos horarios como lista de WhatsApp para elegir con un toque: no los enumeres todos, menciona algunos y dile que puede elegir en la lista o escribir el día y la hora`;
                 }
             }
 
@@ -529,26 +1112,9 @@ async function routeByIntent({ from, freeText, session }) {
                 toolResult = `❌ No se encontró el paciente con documento ${documentNumber}.`;
             } else {
                 const citasActivas = await dentalinkService.getAppointmentsByPatient(patient.id);
+                const proxima = await rememberActiveAppointments(from, session, citasActivas, patient.id);
 
-                if (citasActivas && citasActivas.length > 0) {
-                    citasActivas.sort((a, b) => {
-                        const fechaHoraA = new Date(`${a.fecha}T${a.hora_inicio}`);
-                        const fechaHoraB = new Date(`${b.fecha}T${b.hora_inicio}`);
-                        return fechaHoraA - fechaHoraB;
-                    });
-
-                    const proxima = citasActivas[0];
-
-                    if (!session.data) session.data = {};
-                    session.data.currentAppointmentComment = proxima.comentarios || null;
-
-                    await setSession(from, {
-                        ...session,
-                        id_sesion: proxima.id,
-                        data: session.data
-                    });
-                    session.id_sesion = proxima.id;
-
+                if (proxima) {
                     const fechaLegible = formatDateToHumanReadable(proxima.fecha);
                     toolResult = `📅 Patient has an active appointment:
 - Appointment ID: ${proxima.id}
@@ -582,25 +1148,26 @@ IMPORTANT:
                 const today = new Date();
                 today.setHours(0, 0, 0, 0);
 
-                const fourteenDaysFromNow = new Date(today);
-                fourteenDaysFromNow.setDate(today.getDate() + 14);
+                const horizonDays = await clinicCalendar.getBookingHorizonDays();
+                const horizonLimit = new Date(today);
+                horizonLimit.setDate(today.getDate() + horizonDays);
 
-                // Si el usuario pidió una fecha > 14 días, activar handoff
-                if (userRequestedDate >= fourteenDaysFromNow) {
-                    console.log(`🤝 Usuario pidió fecha ${userDateStr} (> 14 días), activando handoff para ${from}`);
+                // Si el usuario pidió una fecha fuera del horizonte, activar handoff
+                if (userRequestedDate >= horizonLimit) {
+                    console.log(`🤝 Usuario pidió fecha ${userDateStr} (> ${horizonDays} días), activando handoff para ${from}`);
 
                     const clientName = session.data?.userName || 'Cliente';
-                    const agentPhoneNumber = await configService.getAgentPhoneNumber();
+                    const handoff = await handoffService.createHandoff(from, null, clientName);
 
-                    if (agentPhoneNumber) {
-                        await handoffService.createHandoff(from, agentPhoneNumber, clientName);
+                    if (handoff) {
+                        const agentPhoneNumber = handoff.agentPhoneNumber;
 
-                        const handoffMessage = "Para agendar citas con más de 14 días de anticipación, te conectaré con un agente humano que podrá ayudarte mejor.";
+                        const handoffMessage = `Para agendar citas con más de ${horizonDays} días de anticipación, te conectaré con un agente humano que podrá ayudarte mejor.`;
                         await sendText(from, handoffMessage);
 
                         const dashboardUrl = `https://whatsapp-starter-4de11.web.app/?client=${from}`;
                         await sendText(agentPhoneNumber,
-                            `🗓️ ${clientName} (${from}) quiere agendar una cita para ${userDateStr} (más de 14 días).\n\n` +
+                            `🗓️ ${clientName} (${from}) quiere agendar una cita para ${userDateStr} (más de ${horizonDays} días).\n\n` +
                             `📱 Dashboard: ${dashboardUrl}`
                         );
 
@@ -614,7 +1181,7 @@ IMPORTANT:
                             availableSlots: null,
                             history: []
                         });
-                        console.log(`🧹 Contexto de sesión limpiado para ${from} (handoff > 14 días)`);
+                        console.log(`🧹 Contexto de sesión limpiado para ${from} (handoff > ${horizonDays} días)`);
 
                         return;
                     }
@@ -640,13 +1207,25 @@ IMPORTANT:
             if (!patient || !patient.id) {
                 toolResult = `❌ No se encontró el paciente con documento ${documentNumber}. Primero debes registrarlo.`;
             } else {
-                const appointmentResult = await dentalinkService.createAppointment(date, time, documentNumber, reason || null);
+                const prepared = await prepareCreateAction(from, session, {
+                    date,
+                    time,
+                    documentNumber,
+                    reason: reason || null,
+                    options: {
+                        dentistId: parameters.dentistId || session.data?.preferredDentistId || null,
+                        treatmentId: parameters.treatment || session.data?.treatmentId || null
+                    }
+                });
 
-                if (appointmentResult.success) {
-                    const fechaLegible = formatDateToHumanReadable(date);
-                    toolResult = `✅ Cita agendada para el ${fechaLegible} a las ${time} con el Dr. Camilo.`;
+                if (prepared.action) {
+                    proposal = await proposeAction(from, session, prepared.action);
+                    toolResult = pendingActionToolResult(proposal.pending);
+                } else if (prepared.reason === 'HAS_ACTIVE_APPOINTMENT') {
+                    slotListToSend = null;
+                    toolResult = activeAppointmentToolResult(prepared.appointment);
                 } else {
-                    toolResult = `❌ No se pudo agendar la cita: ${appointmentResult.message}`;
+                    toolResult = `❌ No se pudo agendar la cita: ${date} a las ${time} ya no está disponible. Consulta otros horarios con getAvailableTimeSlots(date="${date}").`;
                 }
             }
 
@@ -671,36 +1250,24 @@ IMPORTANT:
             if (!id_sesion || !date || !time) {
                 console.error("❌ Faltan parámetros:", { id_sesion, date, time });
                 toolResult = `❌ Missing required parameters to update appointment. Need id_sesion (${id_sesion}), date (${date}), and time (${time}). You must call getAppointmentsByPatient first to get the correct appointment ID.`;
+            } else if (!bookingFlow.canUpdateAppointment(session, id_sesion)) {
+                console.log(`🛑 [FLUJO] updateAppointment con la cita ${id_sesion}, que no devolvió getAppointmentsByPatient`);
+                toolResult = `❌ Appointment ${id_sesion} was not returned by getAppointmentsByPatient in this conversation. Call getAppointmentsByPatient first and use the appointment ID it returns.`;
             } else {
-                try {
-                    let currentComment = session.data?.currentAppointmentComment || null;
-
-                    const result = await dentalinkService.updateAppointment(
-                        id_sesion, date, time, 60, 1, 1, currentComment
-                    );
-
-                    if (result?.data) {
-                        const newAppointmentId = result.data.id;
-
-                        session.id_sesion = newAppointmentId;
-                        if (!session.data) session.data = {};
-                        session.data.currentAppointmentComment = result.data.comentarios || null;
-
-                        await setSession(from, {
-                            ...session,
-                            id_sesion: newAppointmentId,
-                            data: session.data
-                        });
-
-                        const fechaLegible = formatDateToHumanReadable(result.data.fecha);
-                        toolResult = `✅ Appointment successfully updated to ${fechaLegible} at ${result.data.hora_inicio} with Dr. ${result.data.nombre_dentista}.`;
-                    } else {
-                        console.error("❌ updateAppointment no retornó data:", result);
-                        toolResult = `❌ Could not update the appointment. No data returned from Dentalink.`;
-                    }
-                } catch (error) {
-                    console.error("❌ Error en updateAppointment:", error);
-                    toolResult = `❌ Error updating appointment: ${error.response?.data?.error || error.message}`;
+                const resources = await findResourcesForMove(session, date, time, parameters.dentistId || null);
+
+                if (resources) {
+                    proposal = await proposeAction(from, session, {
+                        action: 'update',
+                        date,
+                        time,
+                        appointmentId: id_sesion,
+                        options: { dentistId: parameters.dentistId || null },
+                        dentistName: resources.dentist.name
+                    });
+                    toolResult = pendingActionToolResult(proposal.pending);
+                } else {
+                    toolResult = `❌ ${date} at ${time} is not available. Call getAvailableTimeSlots(date="${date}") and offer other times.`;
                 }
             }
 
@@ -712,49 +1279,67 @@ IMPORTANT:
             if (!id_cita) {
                 console.error("❌ No hay id_cita:", { session_id_sesion: session.id_sesion });
                 toolResult = "❌ No active appointment found to cancel. You must call getAppointmentsByPatient first to get the correct appointment ID.";
+            } else if (!bookingFlow.canUpdateAppointment(session, id_cita)) {
+                console.log(`🛑 [FLUJO] cancelAppointment con la cita ${id_cita}, que no devolvió getAppointmentsByPatient`);
+                toolResult = `❌ Appointment ${id_cita} was not returned by getAppointmentsByPatient in this conversation. Call getAppointmentsByPatient first and use the appointment ID it returns.`;
             } else {
-                try {
-                    const result = await dentalinkService.cancelAppointment(
-                        id_cita,
-                        comentarios || "Cita anulada por el paciente"
-                    );
+                proposal = await proposeAction(from, session, {
+                    action: 'cancel',
+                    appointmentId: id_cita,
+                    reason: comentarios || null
+                });
+                toolResult = pendingActionToolResult(proposal.pending);
+            }
 
-                    // Limpiar id_sesion para permitir nuevas citas con matching automático
-                    session.id_sesion = null;
-                    await setSession(from, {
-                        ...session,
-                        id_sesion: null
-                    });
+        // joinWaitlist
+        } else if (name === 'joinWaitlist') {
+            const waitlistDocument = parameters.documentNumber || documentNumber;
+            const patient = waitlistDocument ? await dentalinkService.findPatientByDocument(waitlistDocument) : null;
 
-                    toolResult = `✅ Appointment on ${result.data.fecha} at ${result.data.hora_inicio} has been successfully cancelled.`;
-                } catch (error) {
-                    console.error("❌ Error en cancelAppointment:", error);
-                    toolResult = `❌ Could not cancel appointment: ${error.response?.data?.error || error.message}`;
-                }
+            if (!patient || !patient.id) {
+                toolResult = `❌ No se encontró el paciente con documento ${waitlistDocument}. Pide su número de documento primero.`;
+            } else {
+                // Se espera un hueco del largo del tratamiento buscado
+                const treatment = await treatmentCatalog.resolveTreatment(session.data?.treatmentId);
+                const result = await waitlistService.joinWaitlist({
+                    phone: from,
+                    documentNumber: waitlistDocument,
+                    patientName: patient.nombre,
+                    dateFrom: parameters.dateFrom,
+                    dateTo: parameters.dateTo,
+                    treatmentId: treatment.id,
+                    duration: treatment.duration,
+                    dentistId: session.data?.preferredDentistId || null
+                });
+
+                toolResult = result.success
+                    ? `✅ Paciente anotado en la lista de espera del ${result.entry.dateFrom} al ${result.entry.dateTo}. Dile que si se libera un horario le escribiremos por WhatsApp para que lo confirme.`
+                    : `❌ No se pudo anotar en la lista de espera: ${result.message}`;
             }
 
         // requestHumanAgent
         } else if (name === 'requestHumanAgent') {
-            const { reason } = parameters;
-            console.log(`🤝 requestHumanAgent - Razón: ${reason}`);
+            const { reason, skill = null } = parameters;
+            console.log(`🤝 requestHumanAgent - Razón: ${reason}${skill ? ` (${skill})` : ''}`);
 
             try {
-                const agentPhoneNumber = await configService.getAgentPhoneNumber();
+                let clientName = 'Cliente';
+                if (documentNumber) {
+                    try {
+                        const patient = await dentalinkService.findPatientByDocument(documentNumber);
+                        if (patient && patient.nombre) {
+                            clientName = patient.nombre;
+                        }
+                    } catch (error) {}
+                }
+
+                // Se asigna a un agente del roster (ver agentRoutingService)
+                const handoff = await handoffService.createHandoff(from, null, clientName, { skill });
 
-                if (!agentPhoneNumber) {
-                    console.error("❌ No hay agentPhoneNumber configurado");
+                if (!handoff) {
+                    console.error("❌ No hay agentes configurados");
                     toolResult = "❌ Sistema de relevo no disponible. No hay agente configurado.";
                 } else {
-                    let clientName = 'Cliente';
-                    if (documentNumber) {
-                        try {
-                            const patient = await dentalinkService.findPatientByDocument(documentNumber);
-                            if (patient && patient.nombre) {
-                                clientName = patient.nombre;
-                            }
-                        } catch (error) {}
-                    }
-
                     session.data.pendingIntervention = true;
                     session.data.interventionReason = reason;
                     await setSession(from, {
@@ -762,14 +1347,10 @@ IMPORTANT:
                         conversation_history: prepareHistoryForStorage(session.history)
                     });
 
-                    const handoff = await handoffService.createHandoff(from, agentPhoneNumber, clientName);
+                    // Resumen para el agente: datos del paciente, citas, lo que intentó el bot y lo pendiente
+                    await handoffBriefingService.briefHandoff(handoff, { reason, documentNumber, history: session.history });
 
-                    const dashboardUrl = `https://whatsapp-starter-4de11.web.app/?client=${from}`;
-                    const notificationMessage = `🔔 *Solicitud de Atención Humana*\n\n👤 *Cliente:* ${clientName}\n📱 *Teléfono:* ${from}\n💬 *Razón:* ${reason}\n\n🖥️ *Abrir Dashboard:*\n${dashboardUrl}\n\n_Presiona "Intervenir" en el dashboard para tomar control de la conversación._`;
-
-                    await sendText(agentPhoneNumber, notificationMessage);
-
-                    console.log(`✅ Notificación enviada al agente ${agentPhoneNumber}`);
+                    console.log(`✅ Notificación enviada al agente ${handoff.agentName || handoff.agentPhoneNumber}`);
                     toolResult = `✅ Human agent notified successfully. Reason: ${reason}. Tell the user that their request has been forwarded to a human agent who will respond through this same chat shortly.`;
                 }
             } catch (error) {
@@ -793,35 +1374,43 @@ IMPORTANT:
             conversation_history: historyForStorage,
             data: session.data || {},
             id_sesion: session.id_sesion || null,
-            document_number: documentNumber || null
+            document_number: documentNumber || null,
+            ...bookingFlow.toSession(session)
         });
 
+        // El turno termina con el resumen y los botones: Dentalink se escribe cuando el paciente confirma
+        if (proposal) {
+            await saveProposalTurn(from, session, proposal);
+            console.log(`${'~'.repeat(60)}\n`);
+            return;
+        }
+
         const historyWithContextLoop = injectUserContext(session.history, userName, documentNumber);
         const truncatedHistoryLoop = truncateHistory(historyWithContextLoop, 20);
-        aiResponse = await handleConversation(toolResult, truncatedHistoryLoop);
+        aiResponse = await handleConversation(toolResult, truncatedHistoryLoop, { conversationId: from, bookingStep: bookingFlow.describeStep(session) });
     }
 
     // Respuesta final de texto
     if (aiResponse.type === 'text') {
-        await sendText(from, aiResponse.text);
+        const messageId = await sendText(from, aiResponse.text);
         session.history.push({ role: 'assistant', content: aiResponse.text });
 
+        // Los horarios ofrecidos también llegan como lista para elegir con un toque
+        if (slotListToSend) {
+            await sendSlotList(from, slotListToSend);
+        }
+
         historyForStorage = prepareHistoryForStorage(session.history);
         const historyForFirestore = historyForStorage.slice(-15);
 
-        const historyForConversationLog = session.history.filter(item => {
-            if (typeof item.content === 'string') {
-                return !item.content.includes('[CONTEXTO INTERNO') &&
-                       !item.content.includes('Reconozco a este paciente registrado');
-            }
-            return true;
-        });
+        const historyForLog = historyForConversationLog(session.history);
 
         await setSession(from, {
             conversation_history: historyForFirestore,
             data: session.data || {},
             id_sesion: session.id_sesion || null,
-            document_number: documentNumber || null
+            document_number: documentNumber || null,
+            ...bookingFlow.toSession(session)
         });
 
         // Obtener datos del paciente para log
@@ -853,14 +1442,14 @@ IMPORTANT:
         // Log conversación (await para garantizar escritura antes de terminar)
         try {
             // DEBUG: Ver qué mensajes se envían a logConversation
-            const textMessages = historyForConversationLog.filter(item =>
+            const textMessages = historyForLog.filter(item =>
                 typeof item.content === 'string' &&
                 (item.role === 'user' || item.role === 'assistant')
             );
             console.log(`📝 [LOG] Enviando ${textMessages.length} mensajes a logConversation`);
             console.log(`📝 [LOG] Último mensaje: ${textMessages[textMessages.length - 1]?.content?.substring(0, 50)}...`);
 
-            await conversationLogService.logConversation(from, historyForConversationLog, userDocument, userName);
+            await conversationLogService.logConversation(from, historyForLog, userDocument, userName, messageId);
             console.log(`✅ [LOG] logConversation completado`);
         } catch (err) {
             console.error('❌ Error logging conversation:', err);
@@ -870,4 +1459,4 @@ IMPORTANT:
     console.log(`${'~'.repeat(60)}\n`);
 }
 
-module.exports = { routeByIntent };
+module.exports = { routeByIntent, routeSlotSelection, routeBookingConfirmation, createAppointmentGuarded };
@@ -10,12 +10,15 @@ try {
   useMemory = true;
 }
 
+const messageBatchService = require('./messageBatchService');
+
 const memoryStore = new Map();
 const TTL_MS = 30 * 60 * 1000;
-const MESSAGE_BATCH_TIMEOUT = 10000;
+// MESSAGE_BATCH_TIMEOUT_MS permite acortar la espera en pruebas (default: 10s)
+const MESSAGE_BATCH_TIMEOUT = process.env.MESSAGE_BATCH_TIMEOUT_MS !== undefined
+  ? parseInt(process.env.MESSAGE_BATCH_TIMEOUT_MS, 10)
+  : 10000;
 
-const activeTimeouts = new Map();
-const processingFlags = new Map();
 const writeQueues = new Map();
 
 // === FUNCIONES EN MEMORIA (FALLBACK) ===
@@ -102,11 +105,6 @@ async function setSession(key, partial) {
 }
 
 async function clearSession(key) {
-  if (activeTimeouts.has(key)) {
-    clearTimeout(activeTimeouts.get(key));
-    activeTimeouts.delete(key);
-  }
-
   if (useMemory) {
     return clearSessionMemory(key);
   }
@@ -139,74 +137,40 @@ function hasEndPunctuation(text) {
   return /[.!?]$/.test(trimmed);
 }
 
-async function processMessageBuffer(from, callback) {
-  if (processingFlags.get(from)) {
-    return;
-  }
-
-  try {
-    processingFlags.set(from, true);
-
-    if (activeTimeouts.has(from)) {
-      clearTimeout(activeTimeouts.get(from));
-      activeTimeouts.delete(from);
-    }
-
-    const updatedSession = await getOrCreateSession(from);
-
-    if (!updatedSession.messages || updatedSession.messages.length === 0) {
-      processingFlags.delete(from);
-      return;
-    }
-
-    const fullText = updatedSession.messages.join(' ');
-    await setSession(from, { messages: [] });
-    await callback(fullText);
-
-  } catch (error) {
-    console.error('❌ Error en processMessageBuffer:', error);
-  } finally {
-    processingFlags.delete(from);
-  }
-}
-
+/**
+ * Agrega un fragmento al lote del usuario (ver messageBatchService)
+ * El lote se procesa con `callback(fullText)` cuando pasan MESSAGE_BATCH_TIMEOUT ms sin
+ * fragmentos nuevos, o de inmediato si el fragmento termina en . ! ?
+ * @param {string} from - Teléfono
+ * @param {string} messageText - Fragmento recibido
+ * @param {Function} callback - async (fullText) => void
+ */
 async function addMessageToBuffer(from, messageText, callback) {
+  const delayMs = hasEndPunctuation(messageText) ? 0 : MESSAGE_BATCH_TIMEOUT;
+
   return queueOperation(from, async () => {
     try {
-      const session = await getOrCreateSession(from);
-
-      if (activeTimeouts.has(from)) {
-        clearTimeout(activeTimeouts.get(from));
-        activeTimeouts.delete(from);
-      }
-
-      if (!Array.isArray(session.messages)) {
-        session.messages = [];
-      }
-
-      session.messages.push(messageText);
-      await setSession(from, { messages: session.messages });
-
-      // Procesar inmediatamente si tiene puntuación final
-      if (hasEndPunctuation(messageText)) {
-        await processMessageBuffer(from, callback);
-        return;
-      }
-
-      // Timeout de 10 segundos
-      const timeoutId = setTimeout(async () => {
-        await processMessageBuffer(from, callback);
-      }, MESSAGE_BATCH_TIMEOUT);
-
-      activeTimeouts.set(from, timeoutId);
-
+      await messageBatchService.addToBatch(from, messageText, delayMs, callback);
     } catch (error) {
-      console.error(`❌ Error en addMessageToBuffer:`, error);
-      throw error;
+      // Sin Firestore no hay lote compartido: se responde el fragmento solo
+      console.error(`❌ Error en addMessageToBuffer, procesando sin agrupar:`, error);
+      await callback(messageText);
     }
   });
 }
 
+/**
+ * Espera a que no queden lotes de mensajes pendientes ni en proceso
+ * Útil en pruebas para saber cuándo terminó de responder el bot
+ * @param {number} pollMs - Intervalo de verificación
+ */
+async function whenIdle(pollMs = 10) {
+  while (messageBatchService.hasPendingWork()) {
+    await new Promise(resolve => setTimeout(resolve, pollMs));
+  }
+  await Promise.all([...writeQueues.values()].map(queue => queue.catch(() => {})));
+}
+
 async function setDocumentNumber(key, documentNumber) {
   try {
     const session = await getOrCreateSession(key);
@@ -234,5 +198,6 @@ module.exports = {
   clearSession,
   addMessageToBuffer,
   setDocumentNumber,
-  getDocumentNumber
+  getDocumentNumber,
+  whenIdle
 };
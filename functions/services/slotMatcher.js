@@ -1,5 +1,14 @@
 // services/slotMatcher.js
-// Matching automático de slots cuando el usuario responde con día/hora
+// Matching automático de slots cuando el usuario responde con día/hora,
+// y lista interactiva de WhatsApp para elegir el horario con un toque
+
+// Límites de WhatsApp para mensajes de lista
+const MAX_LIST_ROWS = 10;
+const MAX_SECTION_TITLE = 24;
+const MAX_ROW_DESCRIPTION = 72;
+
+// id de cada fila: slot_2030-01-18_15:00
+const SLOT_ROW_PATTERN = /^slot_(\d{4}-\d{2}-\d{2})_(\d{2}:\d{2})$/;
 
 /**
  * Intenta extraer hora y día de la semana de un mensaje del usuario
@@ -224,8 +233,93 @@ function correctDateFromSlots(date, time, availableSlots, userMessage = '') {
     return firstFecha;
 }
 
+/**
+ * Título de sección para un día: "Martes, 20 de enero" → "Martes 20 de enero"
+ * Si no cabe en 24 caracteres se abrevia el mes ("Miércoles 30 de sep")
+ */
+function sectionTitle(slot) {
+    const fecha = slot.fecha_raw || slot.fecha;
+    let title = (slot.fecha_legible || fecha).replace(',', '');
+    if (title.length > MAX_SECTION_TITLE) {
+        title = title.replace(/ de ([a-záéíóú]+)$/i, (match, month) => ` de ${month.slice(0, 3)}`);
+    }
+    return title.slice(0, MAX_SECTION_TITLE);
+}
+
+/**
+ * Arma las secciones de la lista de WhatsApp con los slots ofrecidos, una sección por día
+ * Si hay más de 10 slots se reparten entre los días (el resto se puede pedir escribiendo)
+ * @param {Array} availableSlots - Slots guardados en sesión [{fecha_legible, hora, fecha_raw, dentistas?}]
+ * @returns {Array} [{ title: "Viernes 18 de enero", rows: [{ id: "slot_2030-01-18_15:00", title: "15:00" }] }]
+ */
+function buildSlotListSections(availableSlots) {
+    if (!availableSlots || availableSlots.length === 0) {
+        return [];
+    }
+
+    // Agrupar por día conservando el orden
+    const days = new Map();
+    for (const slot of availableSlots) {
+        const fecha = slot.fecha_raw || slot.fecha;
+        if (!days.has(fecha)) days.set(fecha, []);
+        days.get(fecha).push(slot);
+    }
+
+    // Repartir las 10 filas por turnos entre los días
+    const picked = new Map([...days.keys()].map(fecha => [fecha, []]));
+    let total = 0;
+    for (let index = 0; total < MAX_LIST_ROWS; index++) {
+        let added = false;
+        for (const [fecha, slots] of days) {
+            if (index < slots.length && total < MAX_LIST_ROWS) {
+                picked.get(fecha).push(slots[index]);
+                total++;
+                added = true;
+            }
+        }
+        if (!added) break;
+    }
+
+    return [...picked.entries()]
+        .filter(([, slots]) => slots.length > 0)
+        .map(([fecha, slots]) => ({
+            title: sectionTitle(slots[0]),
+            rows: slots.map(slot => ({
+                id: `slot_${fecha}_${slot.hora}`,
+                title: slot.hora,
+                ...(slot.dentistas?.length && {
+                    description: `Con ${slot.dentistas.join(', ')}`.slice(0, MAX_ROW_DESCRIPTION)
+                })
+            }))
+        }));
+}
+
+/**
+ * Lee el id de una fila de la lista de horarios
+ * @param {string} rowId - list_reply.id (ej: "slot_2030-01-18_15:00")
+ * @returns {Object|null} - {fecha: "2030-01-18", hora: "15:00"} o null si no es una fila de horario
+ */
+function parseSlotRowId(rowId) {
+    const match = SLOT_ROW_PATTERN.exec(rowId || '');
+    return match ? { fecha: match[1], hora: match[2] } : null;
+}
+
+/**
+ * Busca entre los slots ofrecidos el que eligió el paciente en la lista
+ * @param {Object} choice - {fecha, hora} (ver parseSlotRowId)
+ * @param {Array} availableSlots - Slots guardados en sesión
+ * @returns {Object|null} - El slot de la sesión o null si ya no está ofrecido
+ */
+function findOfferedSlot(choice, availableSlots) {
+    if (!choice || !availableSlots) return null;
+    return availableSlots.find(slot => (slot.fecha_raw || slot.fecha) === choice.fecha && slot.hora === choice.hora) || null;
+}
+
 module.exports = {
     matchSlot,
     extractTimeAndDay,
-    correctDateFromSlots
+    correctDateFromSlots,
+    buildSlotListSections,
+    parseSlotRowId,
+    findOfferedSlot
 };
@@ -0,0 +1,275 @@
+// services/templateRegistry.js
+// Registro de templates de WhatsApp (colección whatsapp_templates)
+//
+// Cada template aprobado en Meta se describe una vez: idiomas, parámetros del header,
+// del body y de los botones, y qué hace cada botón cuando el paciente lo presiona.
+// whatsappTemplateService.sendTemplate arma el mensaje a partir de esta descripción y
+// el webhook enruta las respuestas de botones con resolveButton.
+//
+// Los templates de DEFAULT_TEMPLATES funcionan sin configurar nada. Un documento en
+// whatsapp_templates/{name} agrega un template nuevo o reemplaza los campos del default:
+//
+// {
+//   name: "appointment_reminder",
+//   language: "es",                       idioma por defecto
+//   languages: ["es", "en"],              idiomas aprobados en Meta con el mismo nombre
+//   header: ["clinicName"],               parámetros de texto del header (opcional)
+//   body: ["patientName", "appointmentDate", "appointmentTime"],
+//   buttons: [                            en el mismo orden que en Meta (index 0, 1...)
+//     {
+//       id: "reminder_confirm",           payload que se envía con el botón quick_reply
+//       type: "quick_reply",              quick_reply | url
+//       param: "appointmentId",           solo url: parámetro que completa la URL
+//       payloadParam: "offerId",          solo quick_reply: el payload es "<id>:<valor del parámetro>"
+//       action: "reminder.confirm",       qué hace el webhook (ver webhookController)
+//       texts: ["Sí, confirmo"],          texto del botón en cada idioma
+//       keywords: ["confirmo"]            respaldo para payloads viejos con otro texto
+//     }
+//   ],
+//   active: true
+// }
+
+const admin = require('firebase-admin');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+const COLLECTION_NAME = 'whatsapp_templates';
+const CACHE_TTL = 5 * 60 * 1000;
+
+const DEFAULT_TEMPLATES = {
+  appointment_reminder: {
+    name: 'appointment_reminder',
+    language: 'es',
+    languages: ['es'],
+    body: ['patientName', 'appointmentDate', 'appointmentTime'],
+    buttons: [
+      {
+        id: 'reminder_confirm',
+        type: 'quick_reply',
+        action: 'reminder.confirm',
+        texts: ['Sí, confirmo'],
+        keywords: ['confirmo']
+      },
+      {
+        id: 'reminder_cancel',
+        type: 'quick_reply',
+        action: 'reminder.cancel',
+        texts: ['No podré asistir'],
+        keywords: ['no podré', 'no podre', 'cancelar']
+      }
+    ],
+    active: true
+  },
+  doctor_message: {
+    name: 'doctor_message',
+    language: 'es',
+    languages: ['es'],
+    body: ['patientName'],
+    buttons: [
+      {
+        id: 'doctor_available',
+        type: 'quick_reply',
+        action: 'doctor.accept',
+        texts: ['Sí, estoy disponible'],
+        keywords: ['disponible']
+      },
+      {
+        id: 'doctor_not_now',
+        type: 'quick_reply',
+        action: 'doctor.decline',
+        texts: ['Ahora no puedo'],
+        keywords: ['ahora no', 'no puedo']
+      }
+    ],
+    active: true
+  },
+  // Oferta de lista de espera fuera de la ventana de 24h; el webhook reconoce los payloads
+  // waitlist_accept:<offerId> / waitlist_decline:<offerId> igual que los botones interactivos
+  waitlist_offer: {
+    name: 'waitlist_offer',
+    language: 'es',
+    languages: ['es'],
+    body: ['patientName', 'slotDate', 'slotTime'],
+    buttons: [
+      {
+        id: 'waitlist_accept',
+        type: 'quick_reply',
+        payloadParam: 'offerId',
+        texts: ['Sí, lo quiero']
+      },
+      {
+        id: 'waitlist_decline',
+        type: 'quick_reply',
+        payloadParam: 'offerId',
+        texts: ['No, gracias']
+      }
+    ],
+    active: true
+  }
+};
+
+let cachedTemplates = null;
+let lastFetch = 0;
+
+const normalize = (value) => String(value || '').toLowerCase().trim();
+
+/**
+ * Templates activos: los defaults combinados con los de Firestore
+ * @param {boolean} forceRefresh - Ignorar el cache
+ * @returns {Promise<Object>} Templates por nombre
+ */
+async function getTemplates(forceRefresh = false) {
+  const now = Date.now();
+  if (!forceRefresh && cachedTemplates && now - lastFetch < CACHE_TTL) {
+    return cachedTemplates;
+  }
+
+  const templates = JSON.parse(JSON.stringify(DEFAULT_TEMPLATES));
+  try {
+    const snapshot = await db.collection(COLLECTION_NAME).get();
+    snapshot.forEach(doc => {
+      const data = doc.data();
+      const name = data.name || doc.id;
+      templates[name] = { ...(templates[name] || {}), ...data, name };
+    });
+  } catch (error) {
+    console.error('⚠️ [TEMPLATES] No se pudo leer el registro; se usan los templates por defecto:', error.message);
+    if (cachedTemplates) return cachedTemplates;
+  }
+
+  Object.keys(templates).forEach(name => {
+    if (templates[name].active === false) delete templates[name];
+  });
+
+  cachedTemplates = templates;
+  lastFetch = now;
+  return templates;
+}
+
+/**
+ * Busca un template por nombre
+ * @param {string} name
+ * @returns {Promise<Object|null>}
+ */
+async function getTemplate(name) {
+  const templates = await getTemplates();
+  return templates[name] || null;
+}
+
+/**
+ * Idioma con el que se envía un template
+ * @param {Object} template
+ * @param {string} requested - Código pedido (ej: "en"); si no está aprobado se usa el por defecto
+ * @returns {string}
+ */
+function resolveLanguage(template, requested) {
+  const languages = template.languages || [template.language || 'es'];
+  if (requested && languages.includes(requested)) return requested;
+  return template.language || languages[0];
+}
+
+// Valor de un parámetro: params puede ser un objeto por nombre o un arreglo en orden
+function readParam(params, name, position) {
+  const value = Array.isArray(params) ? params[position] : params?.[name];
+  if (value === undefined || value === null || value === '') {
+    throw new Error(`Falta el parámetro "${name}"`);
+  }
+  return String(value);
+}
+
+/**
+ * Arma los components del mensaje (header, body y botones) con los parámetros
+ * @param {Object} template - Entrada del registro
+ * @param {Object|Array} params - { patientName: "Laura", ... } o ["Laura", ...] (orden: header, body, botones)
+ * @returns {Array} components para el Graph API
+ * @throws {Error} Si falta un parámetro
+ */
+function buildComponents(template, params = {}) {
+  const components = [];
+  let position = 0;
+
+  if (template.header?.length) {
+    components.push({
+      type: 'header',
+      parameters: template.header.map(name => ({ type: 'text', text: readParam(params, name, position++) }))
+    });
+  }
+
+  if (template.body?.length) {
+    components.push({
+      type: 'body',
+      parameters: template.body.map(name => ({ type: 'text', text: readParam(params, name, position++) }))
+    });
+  }
+
+  (template.buttons || []).forEach((button, index) => {
+    if (button.type === 'url' && button.param) {
+      components.push({
+        type: 'button',
+        sub_type: 'url',
+        index: String(index),
+        parameters: [{ type: 'text', text: readParam(params, button.param, position++) }]
+      });
+    } else if ((button.type || 'quick_reply') === 'quick_reply' && button.id) {
+      const payload = button.payloadParam
+        ? `${button.id}:${readParam(params, button.payloadParam, position++)}`
+        : button.id;
+      components.push({
+        type: 'button',
+        sub_type: 'quick_reply',
+        index: String(index),
+        parameters: [{ type: 'payload', payload }]
+      });
+    }
+  });
+
+  return components;
+}
+
+/**
+ * Identifica el botón de template que presionó el paciente
+ * Primero por payload exacto (id del botón o su texto en cualquier idioma), después por palabras clave
+ * @param {string} payload - button.payload (o el id del botón interactivo)
+ * @param {string} text - Texto visible del botón
+ * @returns {Promise<{template: string, button: Object, action: string}|null>}
+ */
+async function resolveButton(payload, text = null) {
+  const templates = Object.values(await getTemplates());
+  const candidates = [normalize(payload), normalize(text)].filter(Boolean);
+  if (candidates.length === 0) return null;
+
+  const buttons = templates.flatMap(template =>
+    (template.buttons || []).filter(button => button.action).map(button => ({ template: template.name, button }))
+  );
+
+  const exact = buttons.find(({ button }) =>
+    [button.id, ...(button.texts || [])].map(normalize).some(value => candidates.includes(value))
+  );
+  const match = exact || buttons.find(({ button }) =>
+    (button.keywords || []).some(keyword => candidates.some(candidate => candidate.includes(normalize(keyword))))
+  );
+
+  return match ? { template: match.template, button: match.button, action: match.button.action } : null;
+}
+
+/**
+ * Invalida el cache del registro (después de editar whatsapp_templates)
+ */
+function clearCache() {
+  cachedTemplates = null;
+  lastFetch = 0;
+}
+
+module.exports = {
+  COLLECTION_NAME,
+  DEFAULT_TEMPLATES,
+  getTemplates,
+  getTemplate,
+  resolveLanguage,
+  buildComponents,
+  resolveButton,
+  clearCache
+};
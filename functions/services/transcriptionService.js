@@ -0,0 +1,246 @@
+// services/transcriptionService.js
+// Transcripción de notas de voz con backend intercambiable
+//
+// Un proveedor expone transcribe({ buffer, mimeType, language, mediaId }) y
+// devuelve el texto ('' si no se entendió nada).
+//
+// - openai: API de Whisper (audio convertido a mp3 con utils/audioConverter)
+// - local: whisper.cpp instalado en la máquina, sin salir a internet
+//   (audio convertido a WAV 16 kHz mono, que es lo que espera el binario)
+// - scripted: transcripciones pregrabadas por mediaId, para pruebas
+// - none: deshabilitado; las notas de voz se pasan a un agente como cualquier archivo
+//
+// Selección por entorno:
+//   TRANSCRIPTION_PROVIDER=openai OPENAI_API_KEY=...
+//   TRANSCRIPTION_PROVIDER=local WHISPER_MODEL_PATH=./models/ggml-small.bin
+// Sin TRANSCRIPTION_PROVIDER se usa openai si hay OPENAI_API_KEY, si no none.
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { convertToMp3, convertToWav } = require('../utils/audioConverter');
+
+const DEFAULT_LANGUAGE = process.env.TRANSCRIPTION_LANGUAGE || 'es';
+const OPENAI_TRANSCRIPTION_URL = process.env.TRANSCRIPTION_API_URL || 'https://api.openai.com/v1/audio/transcriptions';
+const LOCAL_TIMEOUT_MS = 120000;
+
+// "audio/ogg; codecs=opus" → "ogg"
+function getAudioExtension(mimeType) {
+  const subtype = (mimeType || '').split(';')[0].split('/')[1] || 'ogg';
+  return { mpeg: 'mp3', mp4: 'm4a', 'x-m4a': 'm4a' }[subtype] || subtype;
+}
+
+/**
+ * Proveedor que usa la API de Whisper de OpenAI
+ * @returns {{name: string, transcribe: Function}}
+ */
+function createOpenAIProvider() {
+  return {
+    name: 'openai',
+    async transcribe({ buffer, mimeType, language }) {
+      if (!process.env.OPENAI_API_KEY) {
+        throw new Error('OPENAI_API_KEY no configurada');
+      }
+
+      const mp3 = await convertToMp3(buffer, getAudioExtension(mimeType));
+      const form = new FormData();
+      form.append('file', new Blob([mp3], { type: 'audio/mpeg' }), 'nota-de-voz.mp3');
+      form.append('model', process.env.TRANSCRIPTION_MODEL || 'whisper-1');
+      form.append('language', language);
+      form.append('response_format', 'text');
+
+      const response = await axios.post(OPENAI_TRANSCRIPTION_URL, form, {
+        headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` },
+        responseType: 'text',
+        timeout: 60000
+      });
+      return String(response.data || '');
+    }
+  };
+}
+
+/**
+ * Proveedor local con whisper.cpp (https://github.com/ggerganov/whisper.cpp)
+ * WHISPER_CPP_BIN: ruta del binario (default: whisper-cli en el PATH)
+ * WHISPER_MODEL_PATH: modelo ggml (obligatorio)
+ * @returns {{name: string, transcribe: Function}}
+ */
+function createLocalProvider() {
+  const binary = process.env.WHISPER_CPP_BIN || 'whisper-cli';
+  const modelPath = process.env.WHISPER_MODEL_PATH;
+
+  return {
+    name: 'local',
+    async transcribe({ buffer, language }) {
+      if (!modelPath) {
+        throw new Error('WHISPER_MODEL_PATH no configurada');
+      }
+
+      const wav = await convertToWav(buffer);
+      const inputPath = path.join(os.tmpdir(), `voice_${Date.now()}_${Math.random().toString(36).slice(2)}.wav`);
+      fs.writeFileSync(inputPath, wav);
+
+      try {
+        return await new Promise((resolve, reject) => {
+          // -nt: sin marcas de tiempo, -np: solo el texto en stdout
+          const whisper = spawn(binary, ['-m', modelPath, '-f', inputPath, '-l', language, '-nt', '-np']);
+          let stdout = '';
+          let stderr = '';
+
+          const timer = setTimeout(() => {
+            whisper.kill();
+            reject(new Error(`whisper.cpp no respondió en ${LOCAL_TIMEOUT_MS / 1000}s`));
+          }, LOCAL_TIMEOUT_MS);
+
+          whisper.stdout.on('data', (data) => { stdout += data.toString(); });
+          whisper.stderr.on('data', (data) => { stderr += data.toString(); });
+
+          whisper.on('close', (code) => {
+            clearTimeout(timer);
+            if (code === 0) {
+              resolve(stdout);
+            } else {
+              reject(new Error(`whisper.cpp falló con código ${code}: ${stderr.substring(0, 200)}`));
+            }
+          });
+
+          whisper.on('error', (err) => {
+            clearTimeout(timer);
+            reject(new Error(`Error ejecutando whisper.cpp: ${err.message}`));
+          });
+        });
+      } finally {
+        try { fs.unlinkSync(inputPath); } catch (e) {}
+      }
+    }
+  };
+}
+
+/**
+ * Proveedor con transcripciones pregrabadas
+ *
+ * transcripts = { "media-audio-1": "Hola, quiero una cita" }
+ * Un mediaId sin transcripción devuelve '' (nota de voz que no se entendió).
+ * Un valor Error se lanza tal cual (backend caído).
+ *
+ * @param {Object} transcripts - Texto por mediaId
+ * @returns {{name: string, transcribe: Function, calls: Array, load: Function, reset: Function}}
+ */
+function createScriptedTranscriber(transcripts = {}) {
+  let byMediaId = {};
+  const calls = [];
+
+  function load(newTranscripts) {
+    Object.assign(byMediaId, newTranscripts || {});
+  }
+
+  function reset(newTranscripts = {}) {
+    byMediaId = {};
+    calls.length = 0;
+    load(newTranscripts);
+  }
+
+  async function transcribe({ buffer, mimeType, language, mediaId }) {
+    calls.push({ mediaId, mimeType, language, bytes: buffer?.length || 0 });
+    const transcript = byMediaId[mediaId];
+    if (transcript instanceof Error) throw transcript;
+    return transcript || '';
+  }
+
+  reset(transcripts);
+
+  return { name: 'scripted', transcribe, calls, load, reset };
+}
+
+/**
+ * Crea el proveedor indicado por TRANSCRIPTION_PROVIDER
+ * @returns {{name: string, transcribe: Function}|null} null si la transcripción está deshabilitada
+ */
+function createTranscriberFromEnv() {
+  const name = process.env.TRANSCRIPTION_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'none');
+
+  switch (name) {
+    case 'openai':
+      return createOpenAIProvider();
+    case 'local':
+      return createLocalProvider();
+    case 'scripted':
+      return createScriptedTranscriber();
+    case 'none':
+      return null;
+    default:
+      console.warn(`⚠️ [TRANSCRIPCIÓN] Proveedor desconocido "${name}"; transcripción deshabilitada`);
+      return null;
+  }
+}
+
+let transcriber;
+
+/**
+ * Reemplaza el proveedor de transcripción (tests, desarrollo local)
+ * @param {{name: string, transcribe: Function}|null} provider
+ */
+function setTranscriptionProvider(provider) {
+  transcriber = provider;
+}
+
+function getTranscriptionProvider() {
+  if (transcriber === undefined) {
+    transcriber = createTranscriberFromEnv();
+  }
+  return transcriber;
+}
+
+/**
+ * Indica si hay un proveedor configurado
+ * @returns {boolean}
+ */
+function isEnabled() {
+  return Boolean(getTranscriptionProvider());
+}
+
+// Whisper escribe los números de documento con separador de miles ("1.098.765.432");
+// se quitan los puntos para que se detecten igual que si el paciente los hubiera escrito
+function normalizeTranscript(text) {
+  return text
+    .replace(/\s+/g, ' ')
+    .replace(/\b\d{1,3}(?:\.\d{3})+\b/g, match => match.replace(/\./g, ''))
+    .trim();
+}
+
+/**
+ * Transcribe una nota de voz. Nunca lanza: si falla devuelve texto vacío
+ * @param {Object} audio
+ * @param {Buffer} audio.buffer - Audio tal como llegó de WhatsApp
+ * @param {string} audio.mimeType - "audio/ogg; codecs=opus"
+ * @param {string} audio.mediaId - ID del media de WhatsApp
+ * @returns {Promise<{text: string, provider: string|null}>}
+ */
+async function transcribeAudio({ buffer, mimeType, mediaId }) {
+  const provider = getTranscriptionProvider();
+  if (!provider) return { text: '', provider: null };
+
+  try {
+    console.log(`🎤 [TRANSCRIPCIÓN] Transcribiendo ${mediaId} con ${provider.name}...`);
+    const raw = await provider.transcribe({ buffer, mimeType, mediaId, language: DEFAULT_LANGUAGE });
+    const text = normalizeTranscript(raw || '');
+    console.log(`✅ [TRANSCRIPCIÓN] "${text.substring(0, 80)}"`);
+    return { text, provider: provider.name };
+  } catch (error) {
+    console.error(`❌ [TRANSCRIPCIÓN] Error con ${provider.name}:`, error?.response?.data || error.message);
+    return { text: '', provider: provider.name };
+  }
+}
+
+module.exports = {
+  createOpenAIProvider,
+  createLocalProvider,
+  createScriptedTranscriber,
+  createTranscriberFromEnv,
+  setTranscriptionProvider,
+  getTranscriptionProvider,
+  isEnabled,
+  transcribeAudio
+};
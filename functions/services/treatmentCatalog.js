@@ -0,0 +1,140 @@
+// services/treatmentCatalog.js
+// Catálogo de tratamientos con su duración en agenda.
+// La duración define cuántos slots consecutivos de 30 min se buscan y el
+// `duracion` con que se crea la cita en Dentalink.
+const configService = require('./configService');
+
+const SLOT_MINUTES = 30;
+
+/**
+ * Catálogo por defecto. Se puede reemplazar con `treatments` en tenant_config:
+ * [{ id: string, name: string, duration: number (min), keywords: string[], active: boolean }]
+ * El orden importa: se usa el primer tratamiento cuyo keyword aparezca en el texto,
+ * por eso los más específicos ("control de ortodoncia") van antes que los generales.
+ */
+const DEFAULT_TREATMENTS = [
+  { id: 'urgencia', name: 'Urgencia', duration: 30, keywords: ['urgencia', 'emergencia', 'urgente', 'dolor', 'me duele', 'duele'] },
+  { id: 'ortodoncia_control', name: 'Control de ortodoncia', duration: 30, keywords: ['control de ortodoncia', 'control ortodoncia', 'control de brackets', 'ajuste de brackets', 'cambio de ligas'] },
+  { id: 'blanqueamiento', name: 'Blanqueamiento', duration: 90, keywords: ['blanqueamiento', 'aclarar dientes', 'aclarar los dientes'] },
+  { id: 'diseno_sonrisa', name: 'Diseño de sonrisa', duration: 60, keywords: ['diseño de sonrisa', 'diseño sonrisa', 'carillas', 'estética dental', 'sonrisa'] },
+  { id: 'limpieza', name: 'Limpieza', duration: 60, keywords: ['limpieza', 'profilaxis', 'higiene dental'] },
+  { id: 'ortodoncia', name: 'Ortodoncia', duration: 60, keywords: ['ortodoncia', 'brackets', 'braces', 'frenillos', 'alineadores', 'invisalign'] },
+  { id: 'endodoncia', name: 'Endodoncia', duration: 90, keywords: ['endodoncia', 'conducto', 'matar nervio'] },
+  { id: 'extraccion', name: 'Extracción', duration: 60, keywords: ['extracción', 'sacar muela', 'quitar muela', 'cordal', 'muela del juicio'] },
+  { id: 'resina', name: 'Resina', duration: 60, keywords: ['caries', 'calza', 'resina', 'empaste'] },
+  { id: 'protesis', name: 'Prótesis', duration: 60, keywords: ['prótesis', 'corona', 'puente', 'implante'] },
+  { id: 'periodoncia', name: 'Periodoncia', duration: 60, keywords: ['encías', 'sangrado', 'periodontitis', 'gingivitis'] },
+  { id: 'valoracion', name: 'Valoración', duration: 30, keywords: ['valoración', 'revisión', 'chequeo', 'control', 'consulta general'] }
+];
+
+// Cuando el motivo no coincide con ningún tratamiento (o no hay motivo)
+const DEFAULT_TREATMENT = { id: 'consulta', name: 'Consulta', duration: 60, keywords: [] };
+
+// Minúsculas y sin tildes para comparar "extraccion" con "extracción"
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+}
+
+// Redondea hacia arriba al múltiplo de SLOT_MINUTES (mínimo un slot)
+function toSlotDuration(minutes) {
+  const value = parseInt(minutes, 10);
+  if (!value || value < SLOT_MINUTES) return SLOT_MINUTES;
+  return Math.ceil(value / SLOT_MINUTES) * SLOT_MINUTES;
+}
+
+/**
+ * Obtiene los tratamientos activos (tenant_config o catálogo por defecto)
+ * @returns {Promise<Array<{id: string, name: string, duration: number, keywords: string[]}>>}
+ */
+async function getTreatments() {
+  const config = await configService.getTenantConfig();
+  const configured = (config?.treatments || []).filter(t => t && t.id && t.active !== false);
+  const source = configured.length > 0 ? configured : DEFAULT_TREATMENTS;
+
+  return source.map(t => ({
+    id: String(t.id),
+    name: t.name || String(t.id),
+    duration: toSlotDuration(t.duration),
+    keywords: Array.isArray(t.keywords) ? t.keywords : []
+  }));
+}
+
+/**
+ * Tratamiento usado cuando no se reconoce el motivo
+ * tenant_config.defaultTreatment puede apuntar a un id del catálogo
+ * @returns {Promise<Object>}
+ */
+async function getDefaultTreatment() {
+  const config = await configService.getTenantConfig();
+  if (config?.defaultTreatment) {
+    const treatments = await getTreatments();
+    const configured = treatments.find(t => t.id === config.defaultTreatment);
+    if (configured) return configured;
+  }
+  return { ...DEFAULT_TREATMENT };
+}
+
+/**
+ * Busca un tratamiento por id, nombre o keywords dentro de un texto libre
+ * @param {string} text - Id ("limpieza"), nombre o motivo ("me quiero hacer una limpieza")
+ * @returns {Promise<Object|null>}
+ */
+async function matchTreatment(text) {
+  const normalized = normalize(text);
+  if (!normalized) return null;
+
+  const treatments = await getTreatments();
+
+  const exact = treatments.find(t => normalize(t.id) === normalized || normalize(t.name) === normalized);
+  if (exact) return exact;
+
+  return treatments.find(t =>
+    [t.name, ...t.keywords].some(keyword => normalized.includes(normalize(keyword)))
+  ) || null;
+}
+
+/**
+ * Busca el tratamiento en los últimos mensajes del usuario (más reciente primero)
+ * @param {Array} history - Historial de la conversación
+ * @returns {Promise<Object|null>}
+ */
+async function matchTreatmentInHistory(history) {
+  const userMessages = (history || [])
+    .filter(msg => msg.role === 'user' && typeof msg.content === 'string')
+    .slice(-10)
+    .reverse();
+
+  for (const message of userMessages) {
+    const treatment = await matchTreatment(message.content);
+    if (treatment) return treatment;
+  }
+  return null;
+}
+
+/**
+ * Resuelve el tratamiento de una cita: el primer candidato reconocido o el default
+ * @param {...string} candidates - Ids o textos en orden de prioridad
+ * @returns {Promise<Object>}
+ */
+async function resolveTreatment(...candidates) {
+  for (const candidate of candidates) {
+    const treatment = await matchTreatment(candidate);
+    if (treatment) return treatment;
+  }
+  return getDefaultTreatment();
+}
+
+module.exports = {
+  SLOT_MINUTES,
+  DEFAULT_TREATMENTS,
+  getTreatments,
+  getDefaultTreatment,
+  matchTreatment,
+  matchTreatmentInHistory,
+  resolveTreatment,
+  toSlotDuration
+};
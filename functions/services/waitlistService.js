@@ -0,0 +1,445 @@
+// services/waitlistService.js
+// Lista de espera: pacientes sin horario disponible se anotan para un rango de
+// fechas y, cuando se libera una cita que les sirve, reciben una oferta por
+// WhatsApp con botones. El primero que acepta se queda con el horario.
+//
+// Quien escribió hace más de 24h recibe la oferta como template (waitlist_offer, ver
+// templateRegistry) con los mismos botones. Si el envío falla, el paciente no cuenta
+// como ofertado y la oferta pasa al siguiente en espera.
+const admin = require('firebase-admin');
+const bookingFlow = require('./bookingFlow');
+const { isUnavailableError } = require('./dentalinkClient');
+const conversationLogService = require('./conversationLogService');
+const { sendText, sendButtons } = require('./whatsappService');
+const { getOrCreateSession, setSession } = require('./sessionService');
+const { getColombiaDateObject } = require('../utils/dateHelper');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+const WAITLIST_COLLECTION = 'waitlist';
+const OFFERS_COLLECTION = 'waitlist_offers';
+
+// Pacientes que reciben a la vez la oferta de un mismo horario
+const OFFER_BATCH_SIZE = 3;
+// Template para ofrecer el horario fuera de la ventana de 24h
+const OFFER_TEMPLATE = 'waitlist_offer';
+
+const ENTRY_STATUS = {
+  WAITING: 'waiting',
+  BOOKED: 'booked',
+  EXPIRED: 'expired'
+};
+
+const OFFER_STATUS = {
+  OPEN: 'open',
+  CLAIMED: 'claimed',      // Un paciente aceptó y se está agendando
+  BOOKED: 'booked',
+  UNAVAILABLE: 'unavailable', // Dentalink ya no lo tenía libre al agendar
+  DECLINED: 'declined'     // Todos rechazaron y no hay más pacientes en espera
+};
+
+// Ids de los botones: waitlist_accept:<offerId> / waitlist_decline:<offerId>
+const ACCEPT_PREFIX = 'waitlist_accept:';
+const DECLINE_PREFIX = 'waitlist_decline:';
+
+const isValidDate = (dateStr) => /^\d{4}-\d{2}-\d{2}$/.test(dateStr || '');
+
+// Fecha/hora actual de Colombia como "YYYY-MM-DDTHH:mm" para comparar con slots
+function getNowString() {
+  const now = getColombiaDateObject();
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}T${pad(now.getHours())}:${pad(now.getMinutes())}`;
+}
+
+function formatDateToSpanish(dateStr) {
+  const date = new Date(dateStr + 'T12:00:00');
+  return date.toLocaleDateString('es-CO', { weekday: 'long', day: 'numeric', month: 'long' });
+}
+
+// Un horario liberado tiene una sola oferta a la vez (id determinístico)
+function getOfferId(fecha, hora, dentistId) {
+  return `${fecha}_${hora.replace(':', '')}_${dentistId || 0}`;
+}
+
+/**
+ * Anota (o actualiza) al paciente en la lista de espera
+ * Un paciente tiene una sola entrada en espera: anotarse de nuevo cambia el rango
+ * @param {Object} entry
+ * @param {string} entry.phone - WhatsApp del paciente
+ * @param {string} entry.documentNumber
+ * @param {string} entry.patientName
+ * @param {string} entry.dateFrom - YYYY-MM-DD
+ * @param {string} entry.dateTo - YYYY-MM-DD (default: dateFrom)
+ * @param {string} entry.treatmentId - Tratamiento (define la duración mínima del hueco)
+ * @param {number} entry.duration - Minutos
+ * @param {number} entry.dentistId - Solo si el paciente pidió un dentista
+ * @returns {Promise<{success: boolean, message?: string, entry?: Object}>}
+ */
+async function joinWaitlist({ phone, documentNumber, patientName = null, dateFrom, dateTo = null, treatmentId = null, duration = 60, dentistId = null }) {
+  const to = dateTo || dateFrom;
+
+  if (!isValidDate(dateFrom) || !isValidDate(to) || to < dateFrom) {
+    return { success: false, message: 'Rango de fechas inválido. Usa YYYY-MM-DD y dateFrom <= dateTo.' };
+  }
+  if (to < getNowString().split('T')[0]) {
+    return { success: false, message: 'El rango de fechas ya pasó.' };
+  }
+
+  try {
+    const entryData = {
+      phone,
+      documentNumber,
+      patientName: patientName || 'Paciente',
+      dateFrom,
+      dateTo: to,
+      treatmentId,
+      duration: parseInt(duration, 10) || 60,
+      dentistId: dentistId ? parseInt(dentistId, 10) : null,
+      status: ENTRY_STATUS.WAITING,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    const existing = await db.collection(WAITLIST_COLLECTION)
+      .where('phone', '==', phone)
+      .where('status', '==', ENTRY_STATUS.WAITING)
+      .limit(1)
+      .get();
+
+    if (!existing.empty) {
+      const ref = existing.docs[0].ref;
+      await ref.update(entryData);
+      console.log(`🔁 Lista de espera actualizada para ${phone}: ${dateFrom} → ${to}`);
+      return { success: true, entry: { id: ref.id, ...existing.docs[0].data(), ...entryData } };
+    }
+
+    const ref = await db.collection(WAITLIST_COLLECTION).add({
+      ...entryData,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    console.log(`📝 ${phone} anotado en lista de espera: ${dateFrom} → ${to}`);
+    return { success: true, entry: { id: ref.id, ...entryData } };
+  } catch (error) {
+    console.error('❌ Error anotando en lista de espera:', error);
+    return { success: false, message: 'No se pudo registrar en la lista de espera.' };
+  }
+}
+
+// Entradas en espera a las que les sirve el horario (más antiguas primero)
+async function findCandidates({ fecha, duracion, dentistId }, excludeEntryIds = []) {
+  const snapshot = await db.collection(WAITLIST_COLLECTION)
+    .where('status', '==', ENTRY_STATUS.WAITING)
+    .get();
+
+  const today = getNowString().split('T')[0];
+  const candidates = [];
+
+  for (const doc of snapshot.docs) {
+    const entry = { id: doc.id, ...doc.data() };
+
+    // Rango vencido: se marca para no volver a revisarlo
+    if (entry.dateTo < today) {
+      await doc.ref.update({ status: ENTRY_STATUS.EXPIRED });
+      continue;
+    }
+
+    if (excludeEntryIds.includes(entry.id)) continue;
+    if (fecha < entry.dateFrom || fecha > entry.dateTo) continue;
+    if ((entry.duration || 60) > duracion) continue;
+    if (entry.dentistId && dentistId && entry.dentistId !== parseInt(dentistId, 10)) continue;
+
+    candidates.push(entry);
+  }
+
+  const createdAt = (entry) => entry.createdAt?.toMillis?.() || 0;
+  return candidates.sort((a, b) => createdAt(a) - createdAt(b));
+}
+
+/**
+ * Ofrece un horario liberado a los primeros pacientes en espera
+ * Se llama al cancelar una cita; si ya hay una oferta abierta para ese horario no hace nada
+ * @param {Object} slot - Cita liberada (formato Dentalink)
+ * @param {string} slot.fecha - YYYY-MM-DD
+ * @param {string} slot.hora_inicio - HH:mm
+ * @param {number} slot.duracion - Minutos
+ * @param {number} slot.id_dentista
+ * @param {Object} options
+ * @param {string[]} options.excludeEntryIds - Entradas a las que ya se ofreció
+ * @returns {Promise<{offerId: string, candidates: number}|null>}
+ */
+async function offerFreedSlot(slot, { excludeEntryIds = [] } = {}) {
+  try {
+    const fecha = slot?.fecha;
+    const hora = (slot?.hora_inicio || '').substring(0, 5);
+    if (!isValidDate(fecha) || !/^\d{2}:\d{2}$/.test(hora)) return null;
+
+    if (`${fecha}T${hora}` <= getNowString()) {
+      console.log(`⏭️ Horario liberado ${fecha} ${hora} ya pasó, no se ofrece`);
+      return null;
+    }
+
+    const dentistId = slot.id_dentista ? parseInt(slot.id_dentista, 10) : null;
+    const duracion = parseInt(slot.duracion, 10) || 60;
+    const offerId = getOfferId(fecha, hora, dentistId);
+    const offerRef = db.collection(OFFERS_COLLECTION).doc(offerId);
+
+    const existing = await offerRef.get();
+    if (existing.exists && existing.data().status === OFFER_STATUS.OPEN && excludeEntryIds.length === 0) {
+      console.log(`⏭️ Ya hay una oferta abierta para ${fecha} ${hora}`);
+      return null;
+    }
+
+    const waiting = await findCandidates({ fecha, duracion, dentistId }, excludeEntryIds);
+
+    if (waiting.length === 0) {
+      if (existing.exists && excludeEntryIds.length > 0) {
+        await offerRef.update({ status: OFFER_STATUS.DECLINED });
+      }
+      console.log(`ℹ️ Nadie en lista de espera para ${fecha} ${hora}`);
+      return null;
+    }
+
+    await offerRef.set({
+      fecha,
+      hora,
+      duracion,
+      dentistId,
+      status: OFFER_STATUS.OPEN,
+      candidates: [],
+      offeredEntryIds: excludeEntryIds,
+      declinedBy: [],
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    // Se ofrece en orden hasta completar el lote; quien no recibe la oferta se salta
+    const fechaLegible = formatDateToSpanish(fecha);
+    const candidates = [];
+    for (const candidate of waiting) {
+      if (candidates.length >= OFFER_BATCH_SIZE) break;
+
+      // Queda como candidato antes del envío para que pueda aceptar apenas le llegue
+      const offered = { entryId: candidate.id, phone: candidate.phone };
+      await offerRef.update({
+        candidates: admin.firestore.FieldValue.arrayUnion(offered),
+        offeredEntryIds: admin.firestore.FieldValue.arrayUnion(candidate.id)
+      });
+
+      const body = `¡Hola ${candidate.patientName}! Se liberó un horario el ${fechaLegible} a las ${hora}. ¿Lo quieres? Se lo damos a quien confirme primero.`;
+      const messageId = await sendButtons(candidate.phone, body, [
+        { id: `${ACCEPT_PREFIX}${offerId}`, title: 'Sí, lo quiero' },
+        { id: `${DECLINE_PREFIX}${offerId}`, title: 'No, gracias' }
+      ], {
+        fallbackTemplate: OFFER_TEMPLATE,
+        templateParams: { patientName: candidate.patientName, slotDate: fechaLegible, slotTime: hora, offerId }
+      });
+
+      if (!messageId) {
+        console.warn(`⚠️ No se pudo ofrecer ${fecha} ${hora} a ${candidate.phone}; se pasa al siguiente en espera`);
+        await offerRef.update({
+          candidates: admin.firestore.FieldValue.arrayRemove(offered),
+          offeredEntryIds: admin.firestore.FieldValue.arrayRemove(candidate.id)
+        });
+        continue;
+      }
+
+      candidates.push(candidate);
+      await conversationLogService.logSimpleMessage(candidate.phone, 'assistant', body, candidate.documentNumber, candidate.patientName, messageId);
+    }
+
+    if (candidates.length === 0) {
+      await offerRef.update({ status: OFFER_STATUS.DECLINED });
+      console.log(`⚠️ No se pudo ofrecer ${fecha} ${hora} a nadie en lista de espera`);
+      return null;
+    }
+
+    console.log(`📣 Horario ${fecha} ${hora} ofrecido a ${candidates.length} paciente(s) en espera`);
+    return { offerId, candidates: candidates.length };
+  } catch (error) {
+    console.error('❌ Error ofreciendo horario liberado:', error);
+    return null;
+  }
+}
+
+// Reserva la oferta para el paciente (solo uno puede ganarla)
+async function claimOffer(offerId, phone) {
+  const offerRef = db.collection(OFFERS_COLLECTION).doc(offerId);
+
+  return db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(offerRef);
+    if (!snapshot.exists) return { status: 'missing' };
+
+    const offer = snapshot.data();
+    const candidate = (offer.candidates || []).find(c => c.phone === phone);
+    if (!candidate) return { status: 'not_candidate' };
+    if (offer.status !== OFFER_STATUS.OPEN) return { status: offer.status };
+
+    transaction.update(offerRef, {
+      status: OFFER_STATUS.CLAIMED,
+      claimedBy: phone,
+      claimedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return { status: OFFER_STATUS.CLAIMED, offer, candidate };
+  });
+}
+
+async function reply(phone, text, entry = null) {
+  await sendText(phone, text);
+  await conversationLogService.logSimpleMessage(phone, 'assistant', text, entry?.documentNumber || null, entry?.patientName || null);
+}
+
+/**
+ * El paciente aceptó la oferta: se agenda si nadie la tomó antes
+ * @param {string} phone
+ * @param {string} offerId
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+async function acceptOffer(phone, offerId) {
+  const claim = await claimOffer(offerId, phone);
+
+  if (claim.status !== OFFER_STATUS.CLAIMED) {
+    console.log(`⚠️ Oferta ${offerId} no disponible para ${phone} (${claim.status})`);
+    const message = 'Lo siento, ese horario ya fue tomado por otro paciente. Sigues en la lista de espera y te avisaremos si se libera otro. 🙏';
+    await reply(phone, message);
+    return { success: false, message };
+  }
+
+  const { offer, candidate } = claim;
+  const offerRef = db.collection(OFFERS_COLLECTION).doc(offerId);
+  const entryRef = db.collection(WAITLIST_COLLECTION).doc(candidate.entryId);
+  const entrySnapshot = await entryRef.get();
+  const entry = entrySnapshot.exists ? entrySnapshot.data() : null;
+
+  // Ya agendó por otro medio: la oferta vuelve a quedar abierta para los demás
+  if (!entry || entry.status !== ENTRY_STATUS.WAITING) {
+    await offerRef.update({ status: OFFER_STATUS.OPEN, claimedBy: null });
+    const message = 'Ya no estás en la lista de espera, así que no agendamos este horario. Escríbenos si necesitas otra cita. 😊';
+    await reply(phone, message, entry);
+    return { success: false, message };
+  }
+
+  // Misma guarda que el bot: con otra cita activa no se crea una segunda
+  // (require diferido: routerService también usa este servicio)
+  const session = await getOrCreateSession(phone);
+  let result;
+  try {
+    result = await require('./routerService').createAppointmentGuarded(phone, session, {
+      date: offer.fecha,
+      time: offer.hora,
+      documentNumber: entry.documentNumber,
+      reason: 'Lista de espera',
+      options: { dentistId: offer.dentistId, treatmentId: entry.treatmentId }
+    });
+  } catch (error) {
+    if (!isUnavailableError(error)) throw error;
+    // Dentalink no responde: se libera el reclamo para que pueda volver a intentarlo
+    await offerRef.update({ status: OFFER_STATUS.OPEN, claimedBy: null });
+    const message = 'Lo siento, en este momento no puedo agendar porque la agenda no está disponible. 😔 Intenta de nuevo en unos minutos con el botón "Sí, lo quiero".';
+    await reply(phone, message, entry);
+    return { success: false, message };
+  }
+
+  // Ya agendó con el bot: sale de la lista y el horario sigue disponible para los demás
+  if (result.reason === 'HAS_ACTIVE_APPOINTMENT') {
+    await offerRef.update({ status: OFFER_STATUS.OPEN, claimedBy: null });
+    await entryRef.update({ status: ENTRY_STATUS.BOOKED, appointmentId: result.appointment.id });
+    const message = `Ya tienes una cita el ${formatDateToSpanish(result.appointment.fecha)} a las ${result.appointment.hora_inicio.substring(0, 5)}, así que no agendamos este horario. Si quieres cambiarla por este, escríbenos. 😊`;
+    await reply(phone, message, entry);
+    return { success: false, message };
+  }
+
+  if (!result.success) {
+    await offerRef.update({ status: OFFER_STATUS.UNAVAILABLE, error: result.message });
+    const message = 'Lo siento, ese horario ya no está disponible. Sigues en la lista de espera y te avisaremos si se libera otro. 🙏';
+    await reply(phone, message, entry);
+    return { success: false, message };
+  }
+
+  // Dentalink responde { data: cita }
+  const appointment = result.data?.data || result.data || {};
+  const appointmentId = appointment.id || null;
+  await offerRef.update({ status: OFFER_STATUS.BOOKED, appointmentId });
+  await entryRef.update({
+    status: ENTRY_STATUS.BOOKED,
+    appointmentId,
+    bookedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  // La cita queda en la sesión para que el paciente pueda reagendarla o cancelarla después
+  session.id_sesion = appointmentId;
+  bookingFlow.appointmentsLoaded(session, [appointmentId]);
+  await setSession(phone, session);
+
+  const message = `¡Listo! Tu cita quedó agendada para el ${formatDateToSpanish(offer.fecha)} a las ${offer.hora} con ${result.dentist.name}. Te esperamos. 😊`;
+  await reply(phone, message, entry);
+  console.log(`✅ Oferta ${offerId} agendada para ${phone} (cita ${appointmentId})`);
+  return { success: true, message };
+}
+
+/**
+ * El paciente rechazó la oferta: sigue en espera. Si todos rechazan, se ofrece a los siguientes
+ * @param {string} phone
+ * @param {string} offerId
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+async function declineOffer(phone, offerId) {
+  const offerRef = db.collection(OFFERS_COLLECTION).doc(offerId);
+  const snapshot = await offerRef.get();
+  const message = 'Entendido, sigues en la lista de espera. Te avisaremos si se libera otro horario. 😊';
+
+  if (snapshot.exists && snapshot.data().status === OFFER_STATUS.OPEN) {
+    const offer = snapshot.data();
+    const declinedBy = [...new Set([...(offer.declinedBy || []), phone])];
+    await offerRef.update({ declinedBy });
+
+    const everyoneDeclined = (offer.candidates || []).every(c => declinedBy.includes(c.phone));
+    if (everyoneDeclined) {
+      await offerFreedSlot(
+        { fecha: offer.fecha, hora_inicio: offer.hora, duracion: offer.duracion, id_dentista: offer.dentistId },
+        { excludeEntryIds: offer.offeredEntryIds || [] }
+      );
+    }
+  }
+
+  await reply(phone, message);
+  return { success: true, message };
+}
+
+/**
+ * Indica si el id de un botón interactivo pertenece a una oferta de lista de espera
+ * @param {string} buttonId
+ * @returns {boolean}
+ */
+function isWaitlistButton(buttonId) {
+  return typeof buttonId === 'string' && (buttonId.startsWith(ACCEPT_PREFIX) || buttonId.startsWith(DECLINE_PREFIX));
+}
+
+/**
+ * Procesa la respuesta a los botones de una oferta
+ * @param {string} phone
+ * @param {string} buttonId
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+async function handleOfferReply(phone, buttonId) {
+  try {
+    if (buttonId.startsWith(ACCEPT_PREFIX)) {
+      return await acceptOffer(phone, buttonId.substring(ACCEPT_PREFIX.length));
+    }
+    return await declineOffer(phone, buttonId.substring(DECLINE_PREFIX.length));
+  } catch (error) {
+    console.error(`❌ Error procesando respuesta de lista de espera de ${phone}:`, error);
+    return { success: false, message: error.message };
+  }
+}
+
+module.exports = {
+  ENTRY_STATUS,
+  OFFER_STATUS,
+  joinWaitlist,
+  offerFreedSlot,
+  acceptOffer,
+  declineOffer,
+  isWaitlistButton,
+  handleOfferReply
+};
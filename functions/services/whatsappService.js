@@ -1,12 +1,16 @@
 // services/whatsappService.js
 const axios = require('axios');
 const FormData = require('form-data');
+const messageStatusService = require('./messageStatusService');
+const outboundQueueService = require('./outboundQueueService');
 const WABA_TOKEN = process.env.WHATSAPP_TOKEN;
 const PHONE_NUMBER_ID = process.env.PHONE_NUMBER_ID;
 const GRAPH_API_VERSION = process.env.GRAPH_API_VERSION || 'v21.0';
+// GRAPH_API_URL permite apuntar a un Graph API local (ver dev/fakeGraphApi.js)
+const GRAPH_API_URL = process.env.GRAPH_API_URL || 'https://graph.facebook.com';
 
 const api = axios.create({
-  baseURL: `https://graph.facebook.com/${GRAPH_API_VERSION}/${PHONE_NUMBER_ID}`,
+  baseURL: `${GRAPH_API_URL}/${GRAPH_API_VERSION}/${PHONE_NUMBER_ID}`,
   headers: {
     Authorization: `Bearer ${WABA_TOKEN}`,
     'Content-Type': 'application/json',
@@ -16,110 +20,114 @@ const api = axios.create({
 
 // API instance for media uploads (different content type)
 const mediaApi = axios.create({
-  baseURL: `https://graph.facebook.com/${GRAPH_API_VERSION}/${PHONE_NUMBER_ID}`,
+  baseURL: `${GRAPH_API_URL}/${GRAPH_API_VERSION}/${PHONE_NUMBER_ID}`,
   headers: {
     Authorization: `Bearer ${WABA_TOKEN}`,
   },
   timeout: 60000, // 60 segundos para uploads de media
 });
 
+/**
+ * Envía un mensaje de texto a través de la cola de salida (ver outboundQueueService):
+ * reintentos, ritmo por destinatario y ventana de 24h
+ * @param {string} to - Teléfono del destinatario
+ * @param {string} body - Texto
+ * @returns {Promise<string|null>} message.id de WhatsApp (para seguir su entrega), null si no se envió
+ */
 const sendText = async (to, body) => {
-  try {
-    console.log(`📱 Enviando mensaje de WhatsApp a: ${to}`);
-    console.log(`   Usando PHONE_NUMBER_ID: ${PHONE_NUMBER_ID}`);
-    console.log(`   Graph API version: ${GRAPH_API_VERSION}`);
-
-    const response = await api.post('/messages', {
-      messaging_product: 'whatsapp',
-      to,
-      type: 'text',
-      text: { body },
-    });
-
-    console.log(`✅ Texto enviado exitosamente a ${to}`);
-    console.log(`   Response:`, JSON.stringify(response.data));
-  } catch (error) {
-    console.error(`❌ Error enviando texto a ${to}`);
-    console.error(`   Error completo:`, error);
-    console.error(`   Response data:`, error?.response?.data);
-    console.error(`   Status:`, error?.response?.status);
-    console.error(`   Message:`, error.message);
-
-    // Errores específicos de WhatsApp
-    if (error?.response?.data?.error) {
-      const waError = error.response.data.error;
-      console.error(`   WhatsApp Error Code:`, waError.code);
-      console.error(`   WhatsApp Error Message:`, waError.message);
-      console.error(`   WhatsApp Error Type:`, waError.type);
-
-      // Error 131026 = destinatario no registrado
-      if (waError.code === 131026) {
-        console.error(`   ⚠️ El número ${to} NO está registrado como destinatario permitido en Meta`);
-      }
-    }
-  }
+  console.log(`📱 Enviando mensaje de WhatsApp a: ${to}`);
+  const result = await outboundQueueService.enqueueText(to, body);
+  return result.messageId;
 };
 
-const sendButtons = async (to, body, buttons) => {
-  try {
-    const payload = {
-      messaging_product: 'whatsapp',
-      to,
-      type: 'interactive',
-      interactive: {
-        type: 'button',
-        body: { text: body },
-        action: {
-          buttons: buttons.map(btn => ({
-            type: 'reply',
-            reply: {
-              id: btn.id,
-              title: btn.title
-            }
-          }))
+/**
+ * Envía un mensaje con botones de respuesta (máximo 3) por la cola de salida:
+ * fuera de la ventana de 24h se envía options.fallbackTemplate o se rechaza
+ * @param {string} to - Teléfono del destinatario
+ * @param {string} body - Texto del mensaje
+ * @param {Array} buttons - [{ id, title }]
+ * @param {Object} options - fallbackTemplate y templateParams (ver outboundQueueService.enqueueText)
+ * @returns {Promise<string|null>} message.id de WhatsApp, null si no se envió
+ */
+const sendButtons = async (to, body, buttons, options = {}) => {
+  const result = await outboundQueueService.enqueueInteractive(to, {
+    type: 'button',
+    body: { text: body },
+    action: {
+      buttons: buttons.map(btn => ({
+        type: 'reply',
+        reply: {
+          id: btn.id,
+          title: btn.title
         }
-      }
-    };
-    await api.post('/messages', payload);
+      }))
+    }
+  }, { kind: 'buttons', ...options });
+
+  if (result.messageId) {
     console.log(`➡️ Botones enviados a ${to}: ${body}`);
-  } catch (error) {
-    console.error("❌ Error enviando botones:", error?.response?.data || error.message);
+  } else {
+    console.error(`❌ Error enviando botones a ${to}: ${result.reason || result.error?.message || result.status}`);
   }
+  return result.messageId;
 };
 
 const sendMenuList = async (to) => {
-  const payload = {
-    messaging_product: 'whatsapp',
-    to,
-    type: 'interactive',
-    interactive: {
-      type: 'list',
-      header: { type: 'text', text: 'AsistenteSmile' },
-      body: { text: 'Estoy aquí para ayudarte. ¿Qué te interesa hoy?' },
-      footer: { text: 'Elige una opción 👇' },
-      action: {
-        button: 'Ver opciones',
-        sections: [{
-          title: 'Servicios y gestión',
-          rows: [
-            { id: 'info_diseno', title: '🦷 Diseño de sonrisa' },
-            { id: 'info_ortodoncia_invisible', title: '📱 Ortodoncia invisible' },
-            { id: 'info_blanqueamiento', title: '⭐ Blanqueamiento' },
-            { id: 'info_carillas', title: '💎 Carillas dentales' },
-            { id: 'info_precios', title: '💰 Precios' },
-            { id: 'agendar_valoracion', title: '📅 Agendar valoración' },
-            { id: 'otra_consulta', title: '❓ Otra consulta' },
-          ],
-        }],
-      },
+  const result = await outboundQueueService.enqueueInteractive(to, {
+    type: 'list',
+    header: { type: 'text', text: 'AsistenteSmile' },
+    body: { text: 'Estoy aquí para ayudarte. ¿Qué te interesa hoy?' },
+    footer: { text: 'Elige una opción 👇' },
+    action: {
+      button: 'Ver opciones',
+      sections: [{
+        title: 'Servicios y gestión',
+        rows: [
+          { id: 'info_diseno', title: '🦷 Diseño de sonrisa' },
+          { id: 'info_ortodoncia_invisible', title: '📱 Ortodoncia invisible' },
+          { id: 'info_blanqueamiento', title: '⭐ Blanqueamiento' },
+          { id: 'info_carillas', title: '💎 Carillas dentales' },
+          { id: 'info_precios', title: '💰 Precios' },
+          { id: 'agendar_valoracion', title: '📅 Agendar valoración' },
+          { id: 'otra_consulta', title: '❓ Otra consulta' },
+        ],
+      }],
     },
-  };
-  try {
-    await api.post('/messages', payload);
+  }, { kind: 'menu' });
+
+  if (result.messageId) {
     console.log(`➡️ Menú enviado a ${to}`);
-  } catch (error) {
-    console.error("❌ Error enviando menú:", error?.response?.data || error.message);
+  } else {
+    console.error(`❌ Error enviando menú a ${to}: ${result.reason || result.error?.message || result.status}`);
+  }
+};
+
+/**
+ * Envía un mensaje de lista interactiva (máximo 10 filas entre todas las secciones) por la cola de salida
+ * @param {string} to - Teléfono del destinatario
+ * @param {Object} list
+ * @param {string} list.body - Texto del mensaje
+ * @param {string} list.button - Texto del botón que abre la lista (máx. 20 caracteres)
+ * @param {Array} list.sections - [{ title, rows: [{ id, title, description }] }]
+ * @param {string} list.header - Encabezado (opcional)
+ * @param {string} list.footer - Pie (opcional)
+ * @returns {Promise<string|null>} message.id de WhatsApp, null si no se envió
+ */
+const sendList = async (to, { body, button, sections, header = null, footer = null }) => {
+  const result = await outboundQueueService.enqueueInteractive(to, {
+    type: 'list',
+    ...(header && { header: { type: 'text', text: header } }),
+    body: { text: body },
+    ...(footer && { footer: { text: footer } }),
+    action: { button, sections }
+  }, { kind: 'list' });
+
+  if (result.messageId) {
+    console.log(`➡️ Lista enviada a ${to}: ${sections.reduce((total, section) => total + section.rows.length, 0)} opciones`);
+  } else {
+    console.error(`❌ Error enviando lista a ${to}: ${result.reason || result.error?.message || result.status}`);
   }
+  return result.messageId;
 };
 
 // sendMessage is an alias for sendText (for compatibility with dashboard)
@@ -181,6 +189,7 @@ const sendImage = async (to, mediaId, caption = null) => {
 
     const response = await api.post('/messages', payload);
     console.log(`✅ Imagen enviada a ${to}`);
+    await messageStatusService.recordOutgoing(response.data?.messages?.[0]?.id, { to, kind: 'media' });
     return response.data;
   } catch (error) {
     console.error('❌ Error enviando imagen:', error?.response?.data || error.message);
@@ -210,6 +219,7 @@ const sendVideo = async (to, mediaId, caption = null) => {
 
     const response = await api.post('/messages', payload);
     console.log(`✅ Video enviado a ${to}`);
+    await messageStatusService.recordOutgoing(response.data?.messages?.[0]?.id, { to, kind: 'media' });
     return response.data;
   } catch (error) {
     console.error('❌ Error enviando video:', error?.response?.data || error.message);
@@ -237,6 +247,7 @@ const sendAudio = async (to, mediaId) => {
 
     const response = await api.post('/messages', payload);
     console.log(`✅ Audio enviado a ${to}`);
+    await messageStatusService.recordOutgoing(response.data?.messages?.[0]?.id, { to, kind: 'media' });
     return response.data;
   } catch (error) {
     console.error('❌ Error enviando audio:', error?.response?.data || error.message);
@@ -268,6 +279,7 @@ const sendDocument = async (to, mediaId, filename, caption = null) => {
 
     const response = await api.post('/messages', payload);
     console.log(`✅ Documento enviado a ${to}`);
+    await messageStatusService.recordOutgoing(response.data?.messages?.[0]?.id, { to, kind: 'media' });
     return response.data;
   } catch (error) {
     console.error('❌ Error enviando documento:', error?.response?.data || error.message);
@@ -280,6 +292,7 @@ module.exports = {
   sendMessage,
   sendButtons,
   sendMenuList,
+  sendList,
   uploadMedia,
   sendImage,
   sendVideo,
@@ -2,13 +2,16 @@
 // Servicio para enviar templates de WhatsApp (mensajes fuera de ventana 24h)
 
 const axios = require('axios');
+const messageStatusService = require('./messageStatusService');
+const templateRegistry = require('./templateRegistry');
 
 const WABA_TOKEN = process.env.WHATSAPP_TOKEN;
 const PHONE_NUMBER_ID = process.env.PHONE_NUMBER_ID;
 const GRAPH_API_VERSION = process.env.GRAPH_API_VERSION || 'v21.0';
+const GRAPH_API_URL = process.env.GRAPH_API_URL || 'https://graph.facebook.com';
 
 const api = axios.create({
-  baseURL: `https://graph.facebook.com/${GRAPH_API_VERSION}/${PHONE_NUMBER_ID}`,
+  baseURL: `${GRAPH_API_URL}/${GRAPH_API_VERSION}/${PHONE_NUMBER_ID}`,
   headers: {
     Authorization: `Bearer ${WABA_TOKEN}`,
     'Content-Type': 'application/json',
@@ -17,41 +20,40 @@ const api = axios.create({
 });
 
 /**
- * Envía un template de recordatorio de cita
- * @param {string} patientPhone - Número del paciente (ej: "573001234567")
- * @param {string} patientName - Nombre del paciente
- * @param {string} appointmentDate - Fecha formateada (ej: "martes 21 de enero")
- * @param {string} appointmentTime - Hora formateada (ej: "10:00 AM")
+ * Envía cualquier template del registro (services/templateRegistry.js)
+ * @param {string} to - Número del destinatario (ej: "573001234567")
+ * @param {string} name - Nombre del template (ej: "appointment_reminder")
+ * @param {Object|Array} params - Parámetros por nombre ({ patientName: "Laura" }) o en orden (["Laura"])
+ * @param {Object} options
+ * @param {string} options.language - Código de idioma; si el template no lo tiene aprobado se usa el por defecto
  * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
  */
-async function sendAppointmentReminder(patientPhone, patientName, appointmentDate, appointmentTime) {
+async function sendTemplate(to, name, params = {}, { language } = {}) {
   try {
-    console.log(`📤 Enviando recordatorio de cita a ${patientPhone}`);
+    const template = await templateRegistry.getTemplate(name);
+    if (!template) {
+      throw new Error(`Template "${name}" no está en el registro`);
+    }
+
+    const languageCode = templateRegistry.resolveLanguage(template, language);
+    console.log(`📤 Enviando template ${name} (${languageCode}) a ${to}`);
 
     const payload = {
       messaging_product: 'whatsapp',
-      to: patientPhone,
+      to,
       type: 'template',
       template: {
-        name: 'appointment_reminder',
-        language: { code: 'es' },
-        components: [
-          {
-            type: 'body',
-            parameters: [
-              { type: 'text', text: patientName },       // {{1}} nombre
-              { type: 'text', text: appointmentDate },   // {{2}} fecha
-              { type: 'text', text: appointmentTime }    // {{3}} hora
-            ]
-          }
-        ]
+        name,
+        language: { code: languageCode },
+        components: templateRegistry.buildComponents(template, params)
       }
     };
 
     const response = await api.post('/messages', payload);
     const messageId = response.data?.messages?.[0]?.id;
 
-    console.log(`✅ Recordatorio enviado a ${patientPhone}, messageId: ${messageId}`);
+    console.log(`✅ Template ${name} enviado a ${to}, messageId: ${messageId}`);
+    await messageStatusService.recordOutgoing(messageId, { to, kind: name });
 
     return {
       success: true,
@@ -59,7 +61,7 @@ async function sendAppointmentReminder(patientPhone, patientName, appointmentDat
     };
 
   } catch (error) {
-    console.error(`❌ Error enviando recordatorio a ${patientPhone}:`);
+    console.error(`❌ Error enviando template ${name} a ${to}:`);
     console.error(`   Status: ${error?.response?.status}`);
     console.error(`   Error: ${JSON.stringify(error?.response?.data || error.message)}`);
 
@@ -72,11 +74,11 @@ async function sendAppointmentReminder(patientPhone, patientName, appointmentDat
 
       // Error 132000 = Template not found
       if (waError.code === 132000) {
-        errorMessage = 'Template "appointment_reminder" no encontrado. Verifique que esté aprobado en Meta Business Manager.';
+        errorMessage = `Template "${name}" no encontrado. Verifique que esté aprobado en Meta Business Manager.`;
       }
       // Error 131026 = Recipient not registered
       if (waError.code === 131026) {
-        errorMessage = `El número ${patientPhone} no está registrado en WhatsApp o no es válido.`;
+        errorMessage = `El número ${to} no está registrado en WhatsApp o no es válido.`;
       }
     }
 
@@ -87,6 +89,18 @@ async function sendAppointmentReminder(patientPhone, patientName, appointmentDat
   }
 }
 
+/**
+ * Envía un template de recordatorio de cita
+ * @param {string} patientPhone - Número del paciente (ej: "573001234567")
+ * @param {string} patientName - Nombre del paciente
+ * @param {string} appointmentDate - Fecha formateada (ej: "martes 21 de enero")
+ * @param {string} appointmentTime - Hora formateada (ej: "10:00 AM")
+ * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+ */
+async function sendAppointmentReminder(patientPhone, patientName, appointmentDate, appointmentTime) {
+  return sendTemplate(patientPhone, 'appointment_reminder', { patientName, appointmentDate, appointmentTime });
+}
+
 /**
  * Envía un mensaje de confirmación exitosa de cita
  * @param {string} patientPhone - Número del paciente
@@ -139,64 +153,11 @@ async function sendCancellationAcknowledgment(patientPhone) {
  * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
  */
 async function sendDoctorMessage(patientPhone, patientName) {
-  try {
-    console.log(`📤 Enviando template doctor_message a ${patientPhone}`);
-
-    const payload = {
-      messaging_product: 'whatsapp',
-      to: patientPhone,
-      type: 'template',
-      template: {
-        name: 'doctor_message',
-        language: { code: 'es' },
-        components: [
-          {
-            type: 'body',
-            parameters: [
-              { type: 'text', text: patientName }  // {{1}} nombre
-            ]
-          }
-        ]
-      }
-    };
-
-    const response = await api.post('/messages', payload);
-    const messageId = response.data?.messages?.[0]?.id;
-
-    console.log(`✅ Template doctor_message enviado a ${patientPhone}, messageId: ${messageId}`);
-
-    return {
-      success: true,
-      messageId: messageId
-    };
-
-  } catch (error) {
-    console.error(`❌ Error enviando doctor_message a ${patientPhone}:`);
-    console.error(`   Status: ${error?.response?.status}`);
-    console.error(`   Error: ${JSON.stringify(error?.response?.data || error.message)}`);
-
-    const waError = error?.response?.data?.error;
-    let errorMessage = error.message;
-
-    if (waError) {
-      errorMessage = waError.message || waError.error_data?.details || error.message;
-
-      if (waError.code === 132000) {
-        errorMessage = 'Template "doctor_message" no encontrado. Verifique que esté aprobado en Meta Business Manager.';
-      }
-      if (waError.code === 131026) {
-        errorMessage = `El número ${patientPhone} no está registrado en WhatsApp o no es válido.`;
-      }
-    }
-
-    return {
-      success: false,
-      error: errorMessage
-    };
-  }
+  return sendTemplate(patientPhone, 'doctor_message', { patientName });
 }
 
 module.exports = {
+  sendTemplate,
   sendAppointmentReminder,
   sendConfirmationSuccess,
   sendCancellationAcknowledgment,
@@ -0,0 +1,173 @@
+// test/agentCommands.test.js
+// Comandos del agente por WhatsApp: /chats, /a, /cerrar, /bot, /nota y /cita
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createScenarioHarness, setClock, AGENT_PHONE } = require('./support/scenarioRunner');
+
+let harness;
+let replayWebhook;
+let sessionService;
+let handoffService;
+let conversationLogService;
+
+before(async () => {
+  harness = await createScenarioHarness();
+  ({ replayWebhook } = require('../dev/replayWebhooks'));
+  sessionService = require('../services/sessionService');
+  handoffService = require('../services/handoffService');
+  conversationLogService = require('../services/conversationLogService');
+});
+
+after(async () => {
+  await harness.close();
+});
+
+const LAURA = '573001112233';
+const PEDRO = '573004445566';
+
+const SEED = {
+  dentalink: {
+    patients: [{ id: 7, nombre: 'Laura', apellidos: 'Gómez', rut: '1098765432', celular: '3001112233' }],
+    appointments: [{ id: 41, id_paciente: 7, fecha: '2030-01-16', hora_inicio: '10:00', duracion: 60 }]
+  }
+};
+
+let minute = 0;
+
+// Reinicia Firestore y Dentalink y fija el reloj
+async function reset() {
+  minute = 0;
+  await harness.run({ seed: SEED, steps: [] });
+  return setClock('2030-01-14T13:00:00Z');
+}
+
+// El paciente escribe y queda en relevo con el agente, un minuto después del anterior
+async function openChat(clientId, clientName) {
+  minute++;
+  const restore = setClock(`2030-01-14T13:${String(minute).padStart(2, '0')}:00Z`);
+  await conversationLogService.logSimpleMessage(clientId, 'user', 'Quiero hablar con una persona', null, clientName);
+  const handoff = await handoffService.createHandoff(clientId, null, clientName);
+  restore();
+  return handoff;
+}
+
+let messageCount = 0;
+
+async function agentSays(text) {
+  messageCount++;
+  await replayWebhook({
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: 'WABA_ID',
+      changes: [{
+        field: 'messages',
+        value: {
+          messaging_product: 'whatsapp',
+          messages: [{ from: AGENT_PHONE, id: `wamid.CMD${messageCount}`, timestamp: String(Math.floor(Date.now() / 1000)), type: 'text', text: { body: text } }]
+        }
+      }]
+    }]
+  });
+  await sessionService.whenIdle();
+}
+
+function lastReply() {
+  const messages = harness.graph.messagesTo(AGENT_PHONE);
+  return messages[messages.length - 1]?.text;
+}
+
+function textsTo(phone) {
+  return harness.graph.messagesTo(phone).map(m => m.text);
+}
+
+test('/chats lista los chats con id corto y /a cambia a quién le llega lo que escribe', async () => {
+  const restore = await reset();
+  await openChat(LAURA, 'Laura');
+  await openChat(PEDRO, 'Pedro');
+
+  await agentSays('/chats');
+  assert.match(lastReply(), /^💬 \*Tus chats abiertos \(2\):\*/);
+  assert.match(lastReply(), /👉 #5566 Pedro · 573004445566/);
+  assert.match(lastReply(), /▫️ #2233 Laura · 573001112233/);
+
+  await agentSays('/a 2233');
+  assert.strictEqual(lastReply(), '👉 Ahora estás en el chat de Laura (#2233). Lo que escribas le llegará a este paciente.');
+  assert.strictEqual(harness.db.dump('agent_targets')[AGENT_PHONE].handoffId, (await handoffService.getActiveHandoffByClient(LAURA)).id);
+
+  // Aunque Pedro escriba después, el agente sigue en el chat que eligió
+  await handoffService.updateHandoffTimestamp((await handoffService.getActiveHandoffByClient(PEDRO)).id);
+  await agentSays('Hola Laura, ya reviso');
+  assert.deepStrictEqual(textsTo(LAURA), ['Hola Laura, ya reviso']);
+  assert.deepStrictEqual(textsTo(PEDRO), []);
+
+  await agentSays('/a 9999');
+  assert.match(lastReply(), /No tienes un chat abierto con el id 9999/);
+  restore();
+});
+
+test('/cerrar cierra un chat sin avisar y /bot le avisa al paciente que vuelve el bot', async () => {
+  const restore = await reset();
+  await openChat(LAURA, 'Laura');
+  await openChat(PEDRO, 'Pedro');
+
+  await agentSays('/cerrar 5566');
+  assert.strictEqual(lastReply(), '✅ Chat de Pedro (#5566) cerrado. El cliente volverá a interactuar con el bot.\n👉 Ahora estás en el chat de Laura (#2233).');
+  assert.deepStrictEqual(textsTo(PEDRO), []);
+
+  await agentSays('/bot');
+  assert.strictEqual(lastReply(), '🤖 Laura (#2233) volvió con el bot.');
+  assert.deepStrictEqual(textsTo(LAURA), [handoffService.BOT_BACK_MESSAGE]);
+  assert.deepStrictEqual(Object.values(harness.db.dump('open-handoffs')).map(h => h.status), ['closed', 'closed']);
+
+  await agentSays('/cerrar');
+  assert.strictEqual(lastReply(), '📭 No tienes chats abiertos.');
+
+  await openChat(LAURA, 'Laura');
+  await openChat(PEDRO, 'Pedro');
+  await agentSays('/cerrar todos');
+  assert.strictEqual(lastReply(), '✅ 2 chats cerrados.');
+  restore();
+});
+
+test('/nota queda en el chat sin llegarle al paciente y /cita muestra sus citas', async () => {
+  const restore = await reset();
+  await openChat(LAURA, 'Laura');
+
+  await agentSays('/nota Pide factura electrónica');
+  assert.strictEqual(lastReply(), '📝 Nota guardada en el chat de Laura (#2233). El paciente no la ve.');
+  assert.deepStrictEqual(textsTo(LAURA), []);
+  const { messages } = await conversationLogService.getConversation(LAURA);
+  assert.deepStrictEqual(messages[messages.length - 1].role, 'note');
+  assert.deepStrictEqual(messages[messages.length - 1].text, 'Dr. Camilo: Pide factura electrónica');
+
+  // Sin documento: se usa el del paciente del chat activo
+  await agentSays('/cita');
+  assert.strictEqual(lastReply(), '⚠️ No sé el documento de Laura (#2233). Usa /cita <documento>.');
+
+  await sessionService.setDocumentNumber(LAURA, '1098765432');
+  await agentSays('/cita');
+  assert.match(lastReply(), /^📅 \*Citas de Laura Gómez \(1098765432\):\*\n\n⏰ Mié 16\/01 10:00/);
+  assert.match(lastReply(), /id 41$/);
+
+  await agentSays('/cita 555');
+  assert.strictEqual(lastReply(), '⚠️ No encontré un paciente con documento 555.');
+  restore();
+});
+
+test('los ids cortos crecen cuando dos teléfonos terminan igual y un comando desconocido muestra la ayuda', async () => {
+  const restore = await reset();
+  await openChat('573001112233', 'Laura');
+  await openChat('573009912233', 'Marta');
+
+  await agentSays('/chats');
+  assert.match(lastReply(), /#112233 Laura/);
+  assert.match(lastReply(), /#912233 Marta/);
+
+  await agentSays('/a 2233');
+  assert.match(lastReply(), /Hay varios chats que terminan en 2233/);
+
+  await agentSays('/transferir 2233');
+  assert.match(lastReply(), /^⚠️ No conozco el comando \/transferir\.\n\n🧭 \*Comandos:\*/);
+  restore();
+});
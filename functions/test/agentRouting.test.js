@@ -0,0 +1,196 @@
+// test/agentRouting.test.js
+// Varios agentes: asignación least_busy / round robin, habilidades, horario, transferencias
+// y a qué chat va lo que escribe un agente por WhatsApp
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createScenarioHarness, setClock, AGENT_PHONE } = require('./support/scenarioRunner');
+
+let harness;
+let replayWebhook;
+let sessionService;
+let handoffService;
+let configService;
+let conversationLogService;
+
+before(async () => {
+  harness = await createScenarioHarness();
+  ({ replayWebhook } = require('../dev/replayWebhooks'));
+  sessionService = require('../services/sessionService');
+  handoffService = require('../services/handoffService');
+  configService = require('../services/configService');
+  conversationLogService = require('../services/conversationLogService');
+});
+
+after(async () => {
+  await harness.close();
+});
+
+// Lunes 14 de enero de 2030, 08:00 en Colombia
+const NOW = '2030-01-14T13:00:00Z';
+const BETO_PHONE = '573008887766';
+const CARLA_PHONE = '573007776655';
+
+const AGENTS = [
+  { id: 'ana', name: 'Ana', phone: AGENT_PHONE, email: 'Ana@Clinica.com', skills: ['pagos'], active: true },
+  { id: 'beto', name: 'Beto', phone: BETO_PHONE, skills: ['ortodoncia'], active: true },
+  // Solo atiende los sábados
+  { id: 'carla', name: 'Carla', phone: CARLA_PHONE, workingHours: { saturday: { open: '08:00', close: '12:00' } }, active: true },
+  { id: 'dario', name: 'Darío', phone: '573006665544', active: false }
+];
+
+let minute = 0;
+
+// Reinicia Firestore con el roster y fija el reloj
+async function reset(config = {}) {
+  minute = 0;
+  await harness.run({ seed: { firestore: { 'tenant_config/default': { agents: AGENTS, ...config } } }, steps: [] });
+  return setClock(NOW);
+}
+
+// El paciente escribe y se crea su relevo un minuto después del anterior, para que el orden de asignación sea estable
+async function handOff(clientId, options) {
+  minute++;
+  const restore = setClock(`2030-01-14T13:${String(minute).padStart(2, '0')}:00Z`);
+  await conversationLogService.logSimpleMessage(clientId, 'user', 'Quiero hablar con una persona', null, null);
+  const handoff = await handoffService.createHandoff(clientId, null, `Paciente ${clientId.slice(-2)}`, options);
+  restore();
+  return handoff;
+}
+
+async function agentSays(from, text) {
+  await replayWebhook({
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: 'WABA_ID',
+      changes: [{
+        field: 'messages',
+        value: {
+          messaging_product: 'whatsapp',
+          messages: [{ from, id: `wamid.AGENT${Date.now()}${Math.random()}`, timestamp: String(Math.floor(Date.now() / 1000)), type: 'text', text: { body: text } }]
+        }
+      }]
+    }]
+  });
+  await sessionService.whenIdle();
+}
+
+test('el roster reemplaza al agente único y solo incluye agentes activos', async () => {
+  const restore = await reset();
+
+  assert.deepStrictEqual((await configService.getAgentRoster()).map(a => a.id), ['ana', 'beto', 'carla']);
+  assert.strictEqual(await configService.isAgentPhoneNumber(BETO_PHONE), true);
+  assert.strictEqual(await configService.isAgentPhoneNumber('573006665544'), false);
+  assert.strictEqual((await configService.getAgentByEmail('ana@clinica.com')).id, 'ana');
+  restore();
+
+  // Sin `agents`, agentPhoneNumber sigue funcionando como único agente
+  const restoreSingle = await reset({ agents: [] });
+  const handoff = await handOff('573001110001');
+  assert.deepStrictEqual(
+    { phone: handoff.agentPhoneNumber, id: handoff.agentId, name: handoff.agentName },
+    { phone: AGENT_PHONE, id: 'default', name: 'Dr. Camilo' }
+  );
+  restoreSingle();
+});
+
+test('least_busy reparte por carga y empata por el que hace más tiempo no recibe uno', async () => {
+  const restore = await reset();
+
+  const assigned = [];
+  for (const clientId of ['573001110001', '573001110002', '573001110003', '573001110004']) {
+    assigned.push((await handOff(clientId)).agentId);
+  }
+  // Carla está fuera de horario (lunes) y Darío inactivo
+  assert.deepStrictEqual(assigned, ['ana', 'beto', 'ana', 'beto']);
+
+  // Al cerrar un chat de Beto, el siguiente es para él
+  await handoffService.closeHandoff((await handoffService.getActiveHandoffByClient('573001110002')).id);
+  assert.strictEqual((await handOff('573001110005')).agentId, 'beto');
+
+  // Un paciente que ya tiene relevo conserva su agente
+  assert.strictEqual((await handOff('573001110001')).agentId, 'ana');
+  restore();
+});
+
+test('round_robin rota sin mirar la carga', async () => {
+  const restore = await reset({ agentRouting: 'round_robin' });
+
+  await handOff('573001110001');
+  await handoffService.closeHandoff((await handoffService.getActiveHandoffByClient('573001110001')).id);
+
+  const assigned = [];
+  for (const clientId of ['573001110002', '573001110003', '573001110004']) {
+    assigned.push((await handOff(clientId)).agentId);
+  }
+  assert.deepStrictEqual(assigned, ['beto', 'ana', 'beto']);
+  restore();
+});
+
+test('la habilidad pedida elige al agente aunque tenga más carga', async () => {
+  const restore = await reset();
+
+  await handOff('573001110001');
+  await handOff('573001110002', { skill: 'ortodoncia' });
+  const ortho = await handOff('573001110003', { skill: 'Ortodoncia' });
+  assert.strictEqual(ortho.agentId, 'beto');
+  assert.strictEqual(ortho.skill, 'Ortodoncia');
+
+  // Nadie sabe de implantes: se reparte como siempre
+  assert.strictEqual((await handOff('573001110004', { skill: 'implantes' })).agentId, 'ana');
+
+  // El sábado también atiende Carla, que no tiene chats
+  const restoreSaturday = setClock('2030-01-19T14:00:00Z');
+  assert.strictEqual((await handoffService.createHandoff('573001110005', null, 'Paciente')).agentId, 'carla');
+  restoreSaturday();
+  restore();
+});
+
+test('transferir cambia el agente, avisa a los dos y sus respuestas llegan al paciente', async () => {
+  const restore = await reset();
+  const patient = '573001110001';
+  const handoff = await handOff(patient);
+  assert.strictEqual(handoff.agentId, 'ana');
+
+  const transferred = await handoffService.transferHandoff(handoff.id, 'beto');
+  assert.deepStrictEqual(
+    { phone: transferred.agentPhoneNumber, id: transferred.agentId, transfers: transferred.transfers.map(t => `${t.fromAgentId}→${t.toAgentId}`) },
+    { phone: BETO_PHONE, id: 'beto', transfers: ['ana→beto'] }
+  );
+  assert.deepStrictEqual(harness.graph.messagesTo(BETO_PHONE).map(m => m.text), [
+    `🔀 Ana te transfirió el chat de Paciente 01 (${patient}). Revisa el dashboard para responder.`
+  ]);
+  assert.deepStrictEqual(harness.graph.messagesTo(AGENT_PHONE).map(m => m.text), [
+    `↪️ El chat de Paciente 01 (${patient}) ahora lo atiende Beto.`
+  ]);
+  assert.strictEqual(Object.values(harness.db.dump('open-handoffs'))[0].transfers.length, 1);
+
+  await agentSays(BETO_PHONE, 'Hola, soy Beto y sigo con tu caso');
+  assert.deepStrictEqual(harness.graph.messagesTo(patient).map(m => m.text), ['Hola, soy Beto y sigo con tu caso']);
+
+  await assert.rejects(handoffService.transferHandoff(handoff.id, 'nadie'), /No existe el agente/);
+  restore();
+});
+
+test('con dos chats abiertos, lo que escribe el agente va al de actividad más reciente', async () => {
+  const restore = await reset();
+  const first = await handOff('573001110001');
+  await handOff('573001110002');
+  const third = await handOff('573001110003');
+  assert.deepStrictEqual([first.agentId, third.agentId], ['ana', 'ana']);
+
+  // El primer paciente escribe después: su chat pasa a ser el más reciente
+  const restoreLater = setClock('2030-01-14T13:30:00Z');
+  await handoffService.updateHandoffTimestamp(first.id);
+  restoreLater();
+
+  assert.deepStrictEqual(
+    (await handoffService.getActiveHandoffsByAgent(AGENT_PHONE)).map(h => h.clientId),
+    ['573001110001', '573001110003']
+  );
+
+  await agentSays(AGENT_PHONE, 'Ya reviso tu radiografía');
+  assert.deepStrictEqual(harness.graph.messagesTo('573001110001').map(m => m.text), ['Ya reviso tu radiografía']);
+  assert.deepStrictEqual(harness.graph.messagesTo('573001110003'), []);
+  restore();
+});
@@ -0,0 +1,148 @@
+// test/bookingConfirmation.test.js
+// Confirmación con botones antes de escribir en Dentalink: No, vencimiento y botones viejos
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createScenarioHarness, setClock, DEFAULT_PATIENT } = require('./support/scenarioRunner');
+
+let harness;
+let replayWebhook;
+let sessionService;
+
+before(async () => {
+  harness = await createScenarioHarness();
+  ({ replayWebhook } = require('../dev/replayWebhooks'));
+  sessionService = require('../services/sessionService');
+});
+
+after(async () => {
+  await harness.close();
+});
+
+const NOW = '2030-01-14T13:00:00Z';
+
+const SEED = {
+  dentalink: {
+    patients: [{ id: 7, nombre: 'Laura', apellidos: 'Gómez', rut: '1098765432', celular: '3001112233' }],
+    appointments: [{ id: 41, id_paciente: 7, fecha: '2030-01-16', hora_inicio: '10:00', duracion: 60 }]
+  }
+};
+
+// Reinicia Firestore y Dentalink y fija el reloj
+async function reset() {
+  await harness.run({ seed: SEED, steps: [] });
+  return setClock(NOW);
+}
+
+let messageCount = 0;
+
+async function receive(message) {
+  messageCount++;
+  await replayWebhook({
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: 'WABA_ID',
+      changes: [{
+        field: 'messages',
+        value: {
+          messaging_product: 'whatsapp',
+          messages: [{ from: DEFAULT_PATIENT, id: `wamid.CONFIRM${messageCount}`, timestamp: String(Math.floor(Date.now() / 1000)), ...message }]
+        }
+      }]
+    }]
+  });
+  await sessionService.whenIdle();
+}
+
+async function say(text, model) {
+  harness.provider.load({ [DEFAULT_PATIENT]: model });
+  await receive({ type: 'text', text: { body: text } });
+}
+
+async function press(id) {
+  await receive({ type: 'interactive', interactive: { type: 'button_reply', button_reply: { id, title: id } } });
+}
+
+// Pide cancelar la cita 41: el bot envía el resumen con los botones
+async function proposeCancel() {
+  await say('Cancela mi cita, cédula 1098765432', [
+    { tool: 'getAppointmentsByPatient', input: { documentNumber: '1098765432' } },
+    { tool: 'cancelAppointment', input: { id_cita: 41 } }
+  ]);
+}
+
+function lastText() {
+  const messages = harness.graph.messagesTo(DEFAULT_PATIENT);
+  const last = messages[messages.length - 1];
+  return last.text || last.payload?.interactive?.body?.text;
+}
+
+function writes() {
+  return harness.dentalink.state.requests.filter(r => r.method !== 'GET').map(r => `${r.method} ${r.path}`);
+}
+
+function session() {
+  return harness.db.dump('sessions')[DEFAULT_PATIENT];
+}
+
+test('el resumen llega con botones y Dentalink no se toca hasta confirmar', async () => {
+  const restore = await reset();
+  await proposeCancel();
+
+  assert.strictEqual(lastText(), '📋 Cancelar tu cita del Miércoles, 16 de enero a las 10:00.\n\n¿Lo confirmas?');
+  assert.deepStrictEqual(writes(), []);
+  assert.strictEqual(session().step, 'confirm');
+  assert.strictEqual(session().booking.pending.id, 'cancel_41');
+  assert.match(session().booking.pending.expiresAt, /^2030-01-14T13:15/);
+
+  await press('booking_confirm:cancel_41');
+  assert.match(lastText(), /quedó cancelada/);
+  assert.deepStrictEqual(writes(), ['PUT /citas/41']);
+  restore();
+});
+
+test('con "No, dejarlo así" no se escribe nada', async () => {
+  const restore = await reset();
+  await proposeCancel();
+
+  await press('booking_abort:cancel_41');
+
+  assert.strictEqual(lastText(), 'Listo, no hice ningún cambio. ¿Te ayudo con algo más?');
+  assert.deepStrictEqual(writes(), []);
+  assert.deepStrictEqual({ step: session().step, pending: session().booking.pending }, { step: 'choose_action', pending: null });
+  restore();
+});
+
+test('una confirmación vencida no escribe en Dentalink', async () => {
+  let restore = await reset();
+  await proposeCancel();
+  restore();
+
+  restore = setClock('2030-01-14T13:16:00Z');
+  await press('booking_confirm:cancel_41');
+
+  assert.match(lastText(), /ya venció/);
+  assert.deepStrictEqual(writes(), []);
+  assert.strictEqual(session().booking.pending, null);
+  restore();
+});
+
+test('el botón de un resumen anterior no confirma la acción nueva', async () => {
+  const restore = await reset();
+  await proposeCancel();
+
+  // El paciente cambia de opinión antes de tocar el botón
+  await say('Mejor muévela al viernes 18 a las 3pm', [
+    { tool: 'updateAppointment', input: { id_sesion: 41, date: '2030-01-18', time: '15:00' } }
+  ]);
+  assert.match(lastText(), /^📋 Mover tu cita del Miércoles, 16 de enero a las 10:00 para el Viernes, 18 de enero a las 15:00/);
+
+  await press('booking_confirm:cancel_41');
+  assert.match(lastText(), /ya venció/);
+  assert.deepStrictEqual(writes(), []);
+
+  await press('booking_confirm:update_41_2030-01-18_15:00');
+  assert.match(lastText(), /Tu cita quedó para el Viernes, 18 de enero a las 15:00/);
+  assert.deepStrictEqual(writes(), ['POST /citas/changeDate']);
+  restore();
+});
@@ -0,0 +1,91 @@
+// test/cacheStore.test.js
+// Cache compartido de Dentalink: backends, invalidación y horarios recién agendados
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createScenarioHarness } = require('./support/scenarioRunner');
+
+let harness;
+let cacheStore;
+let dentalinkService;
+
+before(async () => {
+  harness = await createScenarioHarness();
+  cacheStore = require('../services/cacheStore');
+  dentalinkService = require('../services/dentalinkService');
+});
+
+after(async () => {
+  await harness.close();
+});
+
+const PATIENTS = [
+  { id: 7, nombre: 'Laura', apellidos: 'Gómez', rut: '1098765432', celular: '3001112233' },
+  { id: 8, nombre: 'Pedro', apellidos: 'Díaz', rut: '1000000008', celular: '3005556677' }
+];
+
+async function seed(dentalink = {}) {
+  await harness.run({ seed: { dentalink: { patients: PATIENTS, ...dentalink } }, steps: [] });
+}
+
+function agendaRequests() {
+  return harness.dentalink.state.requests.filter(r => r.path.endsWith('/agendas'));
+}
+
+for (const backend of ['memory', 'firestore']) {
+  test(`${backend}: una invalidación descarta lo que se estaba calculando`, async () => {
+    await seed();
+    const createBackend = backend === 'memory' ? cacheStore.createMemoryBackend : cacheStore.createFirestoreBackend;
+    const cache = cacheStore.createCache(createBackend());
+    const options = { ttlMs: 60000 };
+
+    assert.deepStrictEqual(await cache.wrap('slots', 'martes', options, async () => ['09:00']), ['09:00']);
+    assert.deepStrictEqual(await cache.wrap('slots', 'martes', options, async () => ['otro']), ['09:00']);
+
+    // Se invalida mientras otra consulta está trayendo datos viejos: no deben quedar guardados
+    const stale = cache.wrap('slots', 'martes', options, async () => {
+      await cache.invalidate('slots');
+      return ['09:00', '10:00'];
+    });
+    await cache.invalidate('slots');
+    await stale;
+    assert.deepStrictEqual(await cache.wrap('slots', 'martes', options, async () => ['10:00']), ['10:00']);
+  });
+}
+
+test('firestore: el cache se comparte entre instancias y respeta el TTL', async () => {
+  await seed();
+  const instanceA = cacheStore.createCache(cacheStore.createFirestoreBackend());
+  const instanceB = cacheStore.createCache(cacheStore.createFirestoreBackend());
+
+  await instanceA.wrap('patients', '1098765432', { ttlMs: 60000 }, async () => ({ id: 7 }));
+  assert.deepStrictEqual(await instanceB.wrap('patients', '1098765432', { ttlMs: 60000 }, async () => null), { id: 7 });
+
+  // null no se guarda (paciente que todavía no existe)
+  await instanceA.wrap('patients', '555', { ttlMs: 60000 }, async () => null);
+  assert.deepStrictEqual(await instanceB.wrap('patients', '555', { ttlMs: 60000 }, async () => ({ id: 9 })), { id: 9 });
+
+  await instanceA.wrap('slots', 'lunes', { ttlMs: -1 }, async () => ['vencido']);
+  assert.deepStrictEqual(await instanceB.wrap('slots', 'lunes', { ttlMs: 60000 }, async () => ['nuevo']), ['nuevo']);
+});
+
+test('un horario recién agendado no se vuelve a ofrecer a otro paciente', async () => {
+  await seed({ schedule: { 2: ['09:00', '11:00'] } });
+  const search = { date: '2030-01-15', currentDate: '2030-01-14', duration: 60 };
+  const hours = blocks => blocks.map(b => b.hora_inicio);
+
+  assert.deepStrictEqual(hours(await dentalinkService.getAvailableTimeSlots(search)), ['09:00', '10:00']);
+  assert.deepStrictEqual(hours(await dentalinkService.getAvailableTimeSlots(search)), ['09:00', '10:00']);
+  assert.strictEqual(agendaRequests().length, 1);
+
+  const booking = await dentalinkService.createAppointment('2030-01-15', '09:00', '1098765432', 'Limpieza');
+  assert.strictEqual(booking.success, true);
+
+  const before = agendaRequests().length;
+  assert.deepStrictEqual(hours(await dentalinkService.getAvailableTimeSlots(search)), ['10:00']);
+  assert.strictEqual(agendaRequests().length, before + 1);
+
+  // Al cancelar, el horario vuelve a aparecer
+  await dentalinkService.cancelAppointment(booking.data.data.id);
+  assert.deepStrictEqual(hours(await dentalinkService.getAvailableTimeSlots(search)), ['09:00', '10:00']);
+});
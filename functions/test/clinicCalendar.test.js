@@ -0,0 +1,127 @@
+// test/clinicCalendar.test.js
+// Festivos de Colombia, horario configurable y generación de recordatorios
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createScenarioHarness, setClock } = require('./support/scenarioRunner');
+
+let harness;
+let clinicCalendar;
+let reminderService;
+
+before(async () => {
+  harness = await createScenarioHarness();
+  clinicCalendar = require('../services/clinicCalendar');
+  reminderService = require('../services/reminderService');
+});
+
+after(async () => {
+  await harness.close();
+});
+
+// Siembra Dentalink/Firestore con el mismo formato de los escenarios
+async function seed(data) {
+  await harness.run({ seed: data, steps: [] });
+}
+
+async function generateRemindersAt(iso) {
+  const restoreClock = setClock(iso);
+  try {
+    return await reminderService.generateRemindersForTomorrow();
+  } finally {
+    restoreClock();
+  }
+}
+
+const PATIENTS = [
+  { id: 7, nombre: 'Laura', apellidos: 'Gómez', rut: '1098765432', celular: '3001112233' },
+  { id: 8, nombre: 'Pedro', apellidos: 'Díaz', rut: '1000000008', celular: '3005556677' }
+];
+
+test('festivos de Colombia 2025 (incluye traslados al lunes y fechas de Pascua)', () => {
+  const { getColombianHolidays } = require('../utils/colombianHolidays');
+  const dates = [...new Set(getColombianHolidays(2025).map(h => h.date))];
+
+  assert.deepStrictEqual(dates, [
+    '2025-01-01', '2025-01-06', '2025-03-24', '2025-04-17', '2025-04-18',
+    '2025-05-01', '2025-06-02', '2025-06-23', '2025-06-30', '2025-07-20',
+    '2025-08-07', '2025-08-18', '2025-10-13', '2025-11-03', '2025-11-17',
+    '2025-12-08', '2025-12-25'
+  ]);
+});
+
+test('el horario del día combina bloqueos, excepciones, festivos y horario semanal', async () => {
+  await seed({
+    firestore: {
+      'tenant_config/default': {
+        schedule: {
+          weeklyHours: { saturday: { open: '9:00', close: '13:00' } },
+          blackoutDates: [{ from: '2030-03-26', dentistId: 2, reason: 'Vacaciones' }],
+          overrides: {
+            '2030-03-25': { open: '08:00', close: '12:00' },
+            '2030-03-29': { closed: true, reason: 'Inventario' }
+          },
+          bookingHorizonDays: 21
+        }
+      }
+    }
+  });
+
+  assert.deepStrictEqual(await clinicCalendar.getDaySchedule('2030-03-22'), { closed: false, open: '07:00', close: '20:00' });
+  assert.deepStrictEqual(await clinicCalendar.getDaySchedule('2030-03-23'), { closed: false, open: '09:00', close: '13:00' });
+  assert.strictEqual((await clinicCalendar.getDaySchedule('2030-03-24')).closed, true);
+  // La excepción abre el festivo de San José
+  assert.deepStrictEqual(await clinicCalendar.getDaySchedule('2030-03-25'), { closed: false, open: '08:00', close: '12:00' });
+  // El bloqueo solo aplica al dentista 2
+  assert.strictEqual(await clinicCalendar.isOpenDay('2030-03-26'), true);
+  assert.deepStrictEqual(await clinicCalendar.getDaySchedule('2030-03-26', { dentistId: 2 }), { closed: true, reason: 'Vacaciones' });
+  assert.deepStrictEqual(await clinicCalendar.getDaySchedule('2030-03-29'), { closed: true, reason: 'Inventario' });
+  assert.deepStrictEqual(await clinicCalendar.getDaySchedule('2030-04-18'), { closed: true, reason: 'Festivo: Jueves Santo' });
+  assert.strictEqual(await clinicCalendar.getBookingHorizonDays(), 21);
+});
+
+test('el sábado se generan los recordatorios hasta el próximo día hábil después del festivo', async () => {
+  await seed({
+    dentalink: {
+      patients: PATIENTS,
+      appointments: [
+        { id: 60, id_paciente: 7, fecha: '2030-03-26', hora_inicio: '09:00' },
+        { id: 61, id_paciente: 8, fecha: '2030-03-27', hora_inicio: '09:00' }
+      ]
+    }
+  });
+
+  // Sábado 23: domingo 24 y lunes 25 (San José) no hay atención
+  const saturday = await generateRemindersAt('2030-03-23T13:00:00Z');
+  assert.deepStrictEqual(saturday.dates, ['2030-03-24', '2030-03-25', '2030-03-26']);
+  assert.strictEqual(saturday.created, 1);
+
+  const reminders = Object.values(harness.db.dump('appointment_reminders'));
+  assert.deepStrictEqual(reminders.map(r => [r.appointmentId, r.appointmentDate]), [[60, '2030-03-26']]);
+
+  // Domingo y festivo: no se genera nada
+  const sunday = await generateRemindersAt('2030-03-24T13:00:00Z');
+  assert.deepStrictEqual(sunday.dates, []);
+  const holiday = await generateRemindersAt('2030-03-25T13:00:00Z');
+  assert.deepStrictEqual(holiday.dates, []);
+});
+
+test('no se piden confirmaciones de citas en días bloqueados del dentista', async () => {
+  await seed({
+    dentalink: {
+      patients: PATIENTS,
+      appointments: [{ id: 70, id_paciente: 7, fecha: '2030-03-27', hora_inicio: '10:00' }]
+    },
+    firestore: {
+      'tenant_config/default': {
+        schedule: { blackoutDates: [{ from: '2030-03-27', dentistId: 1, reason: 'Congreso' }] }
+      }
+    }
+  });
+
+  const stats = await generateRemindersAt('2030-03-26T13:00:00Z');
+  assert.deepStrictEqual(stats.dates, ['2030-03-27']);
+  assert.strictEqual(stats.created, 0);
+  assert.strictEqual(stats.skipped, 1);
+  assert.deepStrictEqual(harness.db.dump('appointment_reminders'), {});
+});
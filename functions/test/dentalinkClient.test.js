@@ -0,0 +1,97 @@
+// test/dentalinkClient.test.js
+// Reintentos, errores tipados y circuit breaker del cliente de Dentalink
+
+// Cooldown corto para probar la recuperación del circuito
+process.env.DENTALINK_BREAKER_COOLDOWN_MS = '50';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createScenarioHarness } = require('./support/scenarioRunner');
+
+let harness;
+let client;
+let dentalinkService;
+
+before(async () => {
+  harness = await createScenarioHarness();
+  client = require('../services/dentalinkClient');
+  dentalinkService = require('../services/dentalinkService');
+});
+
+after(async () => {
+  await harness.close();
+});
+
+const PATIENTS = [
+  { id: 7, nombre: 'Laura', apellidos: 'Gómez', rut: '1098765432', celular: '3001112233' }
+];
+
+// Siembra el Dentalink falso (y reinicia el circuito) con el formato de los escenarios
+async function seed(dentalink) {
+  await harness.run({ seed: { dentalink: { patients: PATIENTS, ...dentalink } }, steps: [] });
+}
+
+function requestsTo(path) {
+  return harness.dentalink.state.requests.filter(r => r.path.startsWith(path));
+}
+
+test('reintenta los 429 y 5xx transitorios hasta obtener respuesta', async () => {
+  await seed({
+    failures: [
+      { path: '/pacientes', status: 429, times: 1, retryAfter: 0 },
+      { path: '/pacientes', status: 502, times: 1 }
+    ]
+  });
+
+  const patient = await dentalinkService.findPatientByDocument('1098765432');
+  assert.strictEqual(patient.nombre, 'Laura');
+  assert.strictEqual(requestsTo('/pacientes').length, 3);
+  assert.deepStrictEqual(client.getCircuitState(), { state: 'closed', failures: 0 });
+});
+
+test('distingue "no existe" de "API caída"', async () => {
+  await seed({});
+  assert.strictEqual(await dentalinkService.findPatientByDocument('999'), null);
+  assert.strictEqual(await dentalinkService.getPatientById(999), null);
+
+  await seed({ failures: [{ path: '/pacientes', status: 503 }] });
+  await assert.rejects(
+    dentalinkService.findPatientByDocument('1098765432'),
+    error => error instanceof client.DentalinkUnavailableError && error.status === 503
+  );
+  // 1 intento + 3 reintentos
+  assert.strictEqual(requestsTo('/pacientes').length, 4);
+});
+
+test('no repite un POST que pudo haberse procesado', async () => {
+  await seed({ failures: [{ method: 'POST', path: '/citas', status: 500 }] });
+
+  await assert.rejects(
+    dentalinkService.createAppointment('2030-01-15', '09:00', '1098765432', 'Limpieza'),
+    client.DentalinkUnavailableError
+  );
+  assert.strictEqual(harness.dentalink.state.requests.filter(r => r.method === 'POST').length, 1);
+});
+
+test('el circuito se abre tras fallos seguidos y se recupera después del cooldown', async () => {
+  await seed({ failures: [{ path: '/pacientes', status: 503, times: 5 }] });
+
+  // 4 intentos fallidos: el circuito sigue cerrado
+  await assert.rejects(dentalinkService.getPatientById(7), client.DentalinkUnavailableError);
+  assert.strictEqual(client.getCircuitState().state, 'closed');
+
+  // El quinto fallo lo abre y corta los reintentos
+  await assert.rejects(dentalinkService.getPatientById(7), client.DentalinkUnavailableError);
+  assert.strictEqual(client.getCircuitState().state, 'open');
+  assert.strictEqual(requestsTo('/pacientes').length, 5);
+
+  // Abierto: se rechaza sin llamar a la API
+  await assert.rejects(dentalinkService.getPatientById(7), /circuito abierto/);
+  assert.strictEqual(requestsTo('/pacientes').length, 5);
+
+  // Pasado el cooldown, una petición de prueba lo vuelve a cerrar
+  await new Promise(resolve => setTimeout(resolve, 60));
+  const patient = await dentalinkService.getPatientById(7);
+  assert.strictEqual(patient.nombre, 'Laura');
+  assert.strictEqual(client.getCircuitState().state, 'closed');
+});
@@ -0,0 +1,99 @@
+// test/handoffBriefing.test.js
+// Resumen del relevo para el agente: datos de Dentalink, lo que intentó el bot y respaldo sin IA
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createScenarioHarness, setClock, AGENT_PHONE } = require('./support/scenarioRunner');
+
+let harness;
+let handoffService;
+let handoffBriefingService;
+let conversationLogService;
+let sessionService;
+
+before(async () => {
+  harness = await createScenarioHarness();
+  handoffService = require('../services/handoffService');
+  handoffBriefingService = require('../services/handoffBriefingService');
+  conversationLogService = require('../services/conversationLogService');
+  sessionService = require('../services/sessionService');
+});
+
+after(async () => {
+  await harness.close();
+});
+
+const LAURA = '573001112233';
+
+const SEED = {
+  dentalink: {
+    patients: [{ id: 7, nombre: 'Laura', apellidos: 'Gómez', rut: '1098765432', celular: '3001112233' }],
+    appointments: [{ id: 41, id_paciente: 7, fecha: '2030-01-16', hora_inicio: '10:00', duracion: 60 }]
+  }
+};
+
+// El bot buscó las citas de Laura y ella pide hablar con alguien por un cobro
+const HISTORY = [
+  { role: 'user', content: 'Me cobraron dos veces la limpieza, cédula 1098765432' },
+  { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'getAppointmentsByPatient', input: { documentNumber: '1098765432' } }] },
+  { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: '1 cita: 2030-01-16 10:00' }] },
+  { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_2', name: 'requestHumanAgent', input: { reason: 'Cobro duplicado' } }] }
+];
+
+async function reset() {
+  await harness.run({ seed: SEED, steps: [] });
+  const restore = setClock('2030-01-14T13:00:00Z');
+  await conversationLogService.logSimpleMessage(LAURA, 'user', 'Hola', null, 'Laura');
+  await conversationLogService.logSimpleMessage(LAURA, 'assistant', '¡Hola! ¿En qué te ayudo?', null, null);
+  return restore;
+}
+
+test('el resumen junta los datos de Dentalink con lo que resume el modelo y queda en el handoff', async () => {
+  const restore = await reset();
+  const handoff = await handoffService.createHandoff(LAURA, null, 'Laura');
+  harness.provider.load({
+    [LAURA]: [{
+      tool: 'reportHandoffBriefing',
+      input: {
+        summary: 'Laura dice que le cobraron dos veces la limpieza.',
+        attempts: ['Consultó sus citas: tiene una el miércoles 16'],
+        openQuestion: '¿Se le hizo el cobro doble y cómo se le devuelve?'
+      }
+    }]
+  });
+
+  const briefing = await handoffBriefingService.briefHandoff(handoff, { reason: 'Cobro duplicado', documentNumber: '1098765432', history: HISTORY });
+
+  assert.deepStrictEqual(
+    { name: briefing.patientName, document: briefing.documentNumber, appointments: briefing.appointments, source: briefing.source },
+    { name: 'Laura Gómez', document: '1098765432', appointments: [{ id: 41, date: '2030-01-16', time: '10:00', dentist: 'Camilo Dentista', status: 'No confirmado' }], source: 'ai' }
+  );
+
+  // El modelo ve la conversación (con el mensaje del turno en curso) y las herramientas, sin requestHumanAgent
+  const prompt = harness.provider.calls[harness.provider.calls.length - 1].lastUserMessage;
+  assert.match(prompt, /^Motivo del relevo: Cobro duplicado/);
+  assert.match(prompt, /Bot: ¡Hola! ¿En qué te ayudo\?\nPaciente: Me cobraron dos veces la limpieza/);
+  assert.match(prompt, /- getAppointmentsByPatient \{"documentNumber":"1098765432"\} → 1 cita: 2030-01-16 10:00$/);
+
+  const [sent] = harness.graph.messagesTo(AGENT_PHONE).map(m => m.text);
+  assert.match(sent, /^🔔 \*Solicitud de Atención Humana\*\n\n👤 \*Paciente:\* Laura Gómez · CC 1098765432\n/);
+  assert.match(sent, /🤖 \*El bot intentó:\*\n• Consultó sus citas: tiene una el miércoles 16\n❓ \*Pendiente:\* ¿Se le hizo el cobro doble/);
+  assert.match(sent, /📅 \*Próximas citas:\*\n⏰ Mié 16\/01 10:00 con Camilo Dentista \(No confirmado\)/);
+
+  assert.strictEqual(Object.values(harness.db.dump('open-handoffs'))[0].briefing.summary, 'Laura dice que le cobraron dos veces la limpieza.');
+  restore();
+});
+
+test('si el modelo falla, el resumen usa el motivo y el último mensaje del paciente', async () => {
+  const restore = await reset();
+  await sessionService.setDocumentNumber(LAURA, '1098765432');
+
+  // Sin respuesta pregrabada el proveedor scripted lanza error
+  const briefing = await handoffBriefingService.buildBriefing(LAURA, { reason: 'Cobro duplicado', history: HISTORY });
+
+  assert.deepStrictEqual(
+    { summary: briefing.summary, attempts: briefing.attempts, openQuestion: briefing.openQuestion, source: briefing.source, document: briefing.documentNumber },
+    { summary: 'Cobro duplicado', attempts: ['getAppointmentsByPatient'], openQuestion: 'Me cobraron dos veces la limpieza, cédula 1098765432', source: 'fallback', document: '1098765432' }
+  );
+  restore();
+});
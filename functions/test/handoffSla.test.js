@@ -0,0 +1,164 @@
+// test/handoffSla.test.js
+// SLA de los relevos: recordatorio al agente, "seguimos aquí", escalamiento y cierre por inactividad
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createScenarioHarness, setClock, AGENT_PHONE } = require('./support/scenarioRunner');
+
+let harness;
+let replayWebhook;
+let sessionService;
+let handoffService;
+let handoffSlaService;
+let conversationLogService;
+
+before(async () => {
+  harness = await createScenarioHarness();
+  ({ replayWebhook } = require('../dev/replayWebhooks'));
+  sessionService = require('../services/sessionService');
+  handoffService = require('../services/handoffService');
+  handoffSlaService = require('../services/handoffSlaService');
+  conversationLogService = require('../services/conversationLogService');
+});
+
+after(async () => {
+  await harness.close();
+});
+
+const LAURA = '573001112233';
+const BETO_PHONE = '573008887766';
+const PATIENT_UPDATE = '🙌 Seguimos aquí. Un miembro del equipo revisa tu caso y te responderá en este chat lo antes posible.';
+
+const AGENTS = [
+  { id: 'ana', name: 'Ana', phone: AGENT_PHONE, active: true },
+  { id: 'beto', name: 'Beto', phone: BETO_PHONE, active: true }
+];
+
+// Reinicia Firestore; Laura pide un agente a las 08:00 (Colombia) del lunes 14
+async function reset(config = {}) {
+  await harness.run({ seed: { firestore: { 'tenant_config/default': config } }, steps: [] });
+  const restoreBefore = setClock('2030-01-14T12:59:00Z');
+  await conversationLogService.logSimpleMessage(LAURA, 'user', 'Quiero hablar con una persona', null, 'Laura');
+  restoreBefore();
+  const restore = setClock('2030-01-14T13:00:00Z');
+  await handoffService.createHandoff(LAURA, null, 'Laura');
+  restore();
+}
+
+// Corre el monitor a la hora indicada (minutos después de las 13:00 UTC)
+async function checkAt(minutes) {
+  const restore = setClock(new Date(Date.parse('2030-01-14T13:00:00Z') + minutes * 60000).toISOString());
+  const result = await handoffSlaService.checkHandoffs();
+  restore();
+  return result;
+}
+
+let messageCount = 0;
+
+async function say(from, text, minutes) {
+  messageCount++;
+  const restore = setClock(new Date(Date.parse('2030-01-14T13:00:00Z') + minutes * 60000).toISOString());
+  await replayWebhook({
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: 'WABA_ID',
+      changes: [{
+        field: 'messages',
+        value: {
+          messaging_product: 'whatsapp',
+          contacts: [{ wa_id: from, profile: { name: 'Laura' } }],
+          messages: [{ from, id: `wamid.SLA${messageCount}`, timestamp: String(Math.floor(Date.now() / 1000)), type: 'text', text: { body: text } }]
+        }
+      }]
+    }]
+  });
+  await sessionService.whenIdle();
+  restore();
+}
+
+function textsTo(phone) {
+  return harness.graph.messagesTo(phone).map(m => m.text);
+}
+
+function handoff() {
+  return Object.values(harness.db.dump('open-handoffs'))[0];
+}
+
+test('recuerda al agente y avisa al paciente una sola vez por espera', async () => {
+  await reset();
+
+  assert.deepStrictEqual(await checkAt(9), { checked: 1, reminded: 0, patientNotified: 0, escalated: 0, closed: 0 });
+
+  await checkAt(10);
+  assert.deepStrictEqual(textsTo(AGENT_PHONE), ['⏰ Laura (573001112233) lleva 10 min esperando tu respuesta. Escribe /a 2233 para responderle.']);
+  assert.deepStrictEqual(textsTo(LAURA), []);
+
+  await checkAt(15);
+  await checkAt(20);
+  assert.strictEqual(textsTo(AGENT_PHONE).length, 1);
+  assert.deepStrictEqual(textsTo(LAURA), [PATIENT_UPDATE]);
+  assert.ok(handoff().sla.remindedAt && handoff().sla.patientNotifiedAt);
+
+  // La respuesta del agente termina la espera
+  await say(AGENT_PHONE, 'Hola Laura, ya te atiendo', 21);
+  assert.deepStrictEqual({ waitingSince: handoff().waitingSince, sla: handoff().sla }, { waitingSince: null, sla: {} });
+  assert.deepStrictEqual(await checkAt(40), { checked: 1, reminded: 0, patientNotified: 0, escalated: 0, closed: 0 });
+
+  // Un mensaje nuevo del paciente empieza otra espera
+  await say(LAURA, '¿Sigues ahí?', 50);
+  await checkAt(59);
+  assert.strictEqual(textsTo(AGENT_PHONE).length, 1);
+  await checkAt(60);
+  assert.strictEqual(textsTo(AGENT_PHONE).length, 2);
+});
+
+test('escala al agente de respaldo y, con un solo agente, no escala', async () => {
+  await reset({ agents: AGENTS, handoffSla: { backupAgentId: 'beto', patientUpdateMinutes: 0 } });
+  assert.strictEqual(handoff().agentId, 'ana');
+
+  const result = await checkAt(30);
+  assert.strictEqual(result.escalated, 1);
+  assert.strictEqual(handoff().agentId, 'beto');
+  assert.deepStrictEqual(handoff().transfers.map(t => `${t.fromAgentId}→${t.toAgentId} ${t.reason}`), ['ana→beto 30 min sin respuesta']);
+  assert.deepStrictEqual(textsTo(BETO_PHONE), ['🚨 Te pasamos el chat de Laura (573001112233) (30 min sin respuesta). Revisa el dashboard para responder.']);
+  assert.deepStrictEqual(textsTo(AGENT_PHONE), ['↪️ El chat de Laura (573001112233) ahora lo atiende Beto (30 min sin respuesta).']);
+  assert.deepStrictEqual(textsTo(LAURA), []);
+
+  await checkAt(45);
+  assert.strictEqual(handoff().transfers.length, 1);
+
+  // Sin roster solo está Dr. Camilo: se marca el paso y no se repite
+  await reset({ handoffSla: { agentReminderMinutes: 0 } });
+  assert.strictEqual((await checkAt(30)).escalated, 0);
+  assert.ok(handoff().sla.escalatedAt);
+  assert.deepStrictEqual(textsTo(AGENT_PHONE), []);
+});
+
+test('sin mensajes de nadie el relevo vuelve al bot con un resumen', async () => {
+  await reset();
+  await say(AGENT_PHONE, 'Hola Laura, reviso tu caso', 5);
+  await say(LAURA, 'Gracias, quedo atenta', 6);
+  await say(AGENT_PHONE, 'Listo, ya quedó', 7);
+
+  assert.strictEqual((await checkAt(246)).closed, 0);
+  const result = await checkAt(247);
+  assert.strictEqual(result.closed, 1);
+
+  const summary = 'Relevo cerrado por inactividad (4 h sin mensajes).\n' +
+    'Duración: 4 h 7 min · Agente: Dr. Camilo\n' +
+    'Mensajes: 1 del paciente, 2 del agente\n' +
+    'Último del paciente: "Gracias, quedo atenta"';
+  assert.deepStrictEqual({ status: handoff().status, closeReason: handoff().closeReason, summary: handoff().summary }, { status: 'closed', closeReason: 'inactivity', summary });
+  assert.strictEqual(textsTo(LAURA).pop(), handoffSlaService.AUTO_CLOSE_MESSAGE);
+  assert.strictEqual(textsTo(AGENT_PHONE).pop(), `🔚 El chat de Laura (573001112233) volvió al bot.\n\n${summary}`);
+
+  const { messages } = await conversationLogService.getConversation(LAURA);
+  assert.deepStrictEqual(messages.slice(-2).map(m => m.role), ['assistant', 'note']);
+  assert.strictEqual(await handoffService.getActiveHandoffByClient(LAURA), null);
+});
+
+test('handoffSla.enabled: false apaga el monitor', async () => {
+  await reset({ handoffSla: { enabled: false } });
+  assert.deepStrictEqual(await checkAt(300), { checked: 0, reminded: 0, patientNotified: 0, escalated: 0, closed: 0 });
+  assert.strictEqual(handoff().status, 'active');
+});
@@ -0,0 +1,120 @@
+// test/messageBatchService.test.js
+// Lotes de mensajes en Firestore: se combinan una sola vez aunque cambie la instancia
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createScenarioHarness, setClock } = require('./support/scenarioRunner');
+
+let harness;
+let batches;
+
+before(async () => {
+  harness = await createScenarioHarness();
+  batches = require('../services/messageBatchService');
+});
+
+after(async () => {
+  await harness.close();
+});
+
+const PHONE = '573001112233';
+const NOW = '2030-01-14T13:00:00Z';
+
+// Reinicia Firestore y fija el reloj
+async function reset() {
+  await harness.run({ steps: [] });
+  return setClock(NOW);
+}
+
+function collectTexts() {
+  const texts = [];
+  const handler = async (from, fullText) => {
+    texts.push(`${from}: ${fullText}`);
+  };
+  return { texts, handler };
+}
+
+test('los fragmentos de una instancia que se congeló se procesan juntos una sola vez', async () => {
+  let restore = await reset();
+  // La instancia recibe dos fragmentos y se congela antes de que venza la espera
+  await batches.appendMessage(PHONE, 'hola', 10000);
+  await batches.appendMessage(PHONE, 'quiero una cita', 10000);
+  restore();
+
+  const { texts, handler } = collectTexts();
+
+  // Antes de vencer (más el margen del barrido) no se toca
+  restore = setClock('2030-01-14T13:00:20Z');
+  assert.strictEqual(await batches.flushDueBatches(handler), 0);
+  restore();
+
+  restore = setClock('2030-01-14T13:00:30Z');
+  assert.strictEqual(await batches.flushDueBatches(handler), 1);
+  assert.strictEqual(await batches.flushDueBatches(handler), 0);
+  restore();
+
+  assert.deepStrictEqual(texts, [`${PHONE}: hola quiero una cita`]);
+  assert.deepStrictEqual(harness.db.dump('message_batches'), {});
+});
+
+test('dos instancias que intentan procesar el mismo lote: solo una lo hace', async () => {
+  const restore = await reset();
+  await batches.appendMessage(PHONE, 'necesito cancelar mi cita', 0);
+
+  const processed = [];
+  const slowHandler = (instance) => async (fullText) => {
+    processed.push(`${instance}: ${fullText}`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  };
+  const results = await Promise.all([
+    batches.flushBatch(PHONE, slowHandler('A')),
+    batches.flushBatch(PHONE, slowHandler('B'))
+  ]);
+  restore();
+
+  assert.deepStrictEqual(results.filter(Boolean).length, 1);
+  assert.strictEqual(processed.length, 1);
+  assert.match(processed[0], /: necesito cancelar mi cita$/);
+});
+
+test('un lote tomado por una instancia que murió se retoma cuando vence el lease', async () => {
+  let restore = await reset();
+  await batches.appendMessage(PHONE, 'quiero reagendar', 0);
+  assert.ok(await batches.claimBatch(PHONE, 'instancia-muerta'));
+  restore();
+
+  const { texts, handler } = collectTexts();
+
+  restore = setClock('2030-01-14T13:01:00Z');
+  assert.strictEqual(await batches.flushDueBatches(handler), 0);
+  restore();
+
+  restore = setClock('2030-01-14T13:03:00Z');
+  assert.strictEqual(await batches.flushDueBatches(handler), 1);
+  restore();
+
+  assert.deepStrictEqual(texts, [`${PHONE}: quiero reagendar`]);
+
+  // La instancia muerta "revive" y no borra nada que no le corresponda
+  assert.strictEqual(await batches.completeBatch(PHONE, 'instancia-muerta', []), null);
+});
+
+test('los fragmentos que llegan mientras se procesa un lote quedan para el siguiente', async () => {
+  const restore = await reset();
+  const processed = [];
+
+  await batches.addToBatch(PHONE, 'hola', 0, async (fullText) => {
+    processed.push(fullText);
+    if (processed.length === 1) {
+      // Llega otro fragmento (por otra instancia) mientras el bot responde el primero
+      await batches.appendMessage(PHONE, 'para mañana', 0);
+    }
+  });
+  while (batches.hasPendingWork()) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  restore();
+
+  assert.deepStrictEqual(processed, ['hola', 'para mañana']);
+  assert.deepStrictEqual(harness.db.dump('message_batches'), {});
+});
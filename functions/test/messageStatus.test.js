@@ -0,0 +1,134 @@
+// test/messageStatus.test.js
+// Estados de entrega (sent, delivered, read, failed) que Meta envía por el webhook
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createScenarioHarness, setClock, DEFAULT_PATIENT } = require('./support/scenarioRunner');
+
+let harness;
+let replayWebhook;
+let sessionService;
+let reminderService;
+
+before(async () => {
+  harness = await createScenarioHarness();
+  ({ replayWebhook } = require('../dev/replayWebhooks'));
+  sessionService = require('../services/sessionService');
+  reminderService = require('../services/reminderService');
+});
+
+after(async () => {
+  await harness.close();
+});
+
+const NOW = '2030-01-14T13:00:00Z';
+
+// Reinicia Firestore y fija el reloj
+async function reset(seed) {
+  await harness.run({ seed, steps: [] });
+  return setClock(NOW);
+}
+
+function statusPayload(...statuses) {
+  return {
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: 'WABA_ID',
+      changes: [{
+        field: 'messages',
+        value: {
+          messaging_product: 'whatsapp',
+          statuses: statuses.map(([id, status, errors]) => ({
+            id,
+            status,
+            timestamp: String(Math.floor(Date.now() / 1000)),
+            recipient_id: DEFAULT_PATIENT,
+            ...(errors && { errors })
+          }))
+        }
+      }]
+    }]
+  };
+}
+
+async function deliver(payload) {
+  await replayWebhook(payload);
+  await sessionService.whenIdle();
+}
+
+function lastOutbound() {
+  return harness.graph.state.messages[harness.graph.state.messages.length - 1];
+}
+
+test('la respuesta del bot guarda su messageId y los ticks solo avanzan', async () => {
+  const restore = await reset();
+  harness.provider.load({ [DEFAULT_PATIENT]: ['¡Hola! ¿En qué te ayudo?'] });
+
+  await deliver({
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: 'WABA_ID',
+      changes: [{
+        field: 'messages',
+        value: {
+          messaging_product: 'whatsapp',
+          messages: [{ from: DEFAULT_PATIENT, id: 'wamid.IN1', timestamp: '1894539600', type: 'text', text: { body: 'Hola.' } }]
+        }
+      }]
+    }]
+  });
+  const reply = lastOutbound();
+
+  const botMessage = () => (harness.db.dump('conversations')[DEFAULT_PATIENT].messages || [])
+    .find(m => m.role === 'assistant');
+  assert.deepStrictEqual({ messageId: botMessage().messageId, status: botMessage().status }, { messageId: reply.id, status: 'sent' });
+
+  // Meta puede avisar "read" antes que "delivered"
+  await deliver(statusPayload([reply.id, 'read']));
+  await deliver(statusPayload([reply.id, 'delivered']));
+
+  assert.strictEqual(botMessage().status, 'read');
+  const record = harness.db.dump('message_statuses')[reply.id];
+  assert.strictEqual(record.status, 'read');
+  assert.strictEqual(record.kind, 'text');
+  assert.ok(record.deliveredAt === undefined);
+  restore();
+});
+
+test('un recordatorio que WhatsApp no pudo entregar queda en FAILED con el código de error', async () => {
+  const restore = await reset({
+    firestore: {
+      'appointment_reminders/rem-41': {
+        appointmentId: 41,
+        patientPhone: DEFAULT_PATIENT,
+        patientName: 'Laura Gómez',
+        appointmentDate: '2030-01-15',
+        appointmentTime: '09:00',
+        reminderStatus: 'pending'
+      }
+    }
+  });
+
+  await reminderService.sendPendingReminders();
+  const reminderMessage = lastOutbound();
+  assert.strictEqual(reminderMessage.template, 'appointment_reminder');
+  assert.strictEqual(harness.db.dump('appointment_reminders')['rem-41'].reminderStatus, 'sent');
+
+  await deliver(statusPayload([reminderMessage.id, 'failed', [{
+    code: 131049,
+    title: 'This message was not delivered to maintain healthy ecosystem engagement.',
+    error_data: { details: 'In order to maintain a healthy ecosystem engagement, the message failed to be delivered.' }
+  }]]));
+
+  const reminder = harness.db.dump('appointment_reminders')['rem-41'];
+  assert.strictEqual(reminder.reminderStatus, 'failed');
+  assert.strictEqual(reminder.errorCode, 131049);
+  assert.match(reminder.errorMessage, /healthy ecosystem/);
+
+  const record = harness.db.dump('message_statuses')[reminderMessage.id];
+  assert.deepStrictEqual(
+    { status: record.status, kind: record.kind, code: record.error.code },
+    { status: 'failed', kind: 'appointment_reminder', code: 131049 }
+  );
+  restore();
+});
@@ -0,0 +1,204 @@
+// test/outboundQueue.test.js
+// Cola de salida: reintentos ante errores transitorios y ventana de 24h
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createScenarioHarness, setClock, AGENT_PHONE } = require('./support/scenarioRunner');
+
+let harness;
+let outboundQueue;
+let conversationLogService;
+let dashboardController;
+
+before(async () => {
+  harness = await createScenarioHarness();
+  outboundQueue = require('../services/outboundQueueService');
+  conversationLogService = require('../services/conversationLogService');
+  dashboardController = require('../controllers/dashboardController');
+});
+
+after(async () => {
+  await harness.close();
+});
+
+const PHONE = '573001112233';
+const NOW = '2030-01-14T13:00:00Z';
+
+// Reinicia Firestore y fija el reloj
+async function reset(seed) {
+  await harness.run({ seed, steps: [] });
+  return setClock(NOW);
+}
+
+function record(queueId) {
+  return harness.db.dump('outbound_messages')[queueId];
+}
+
+function createResponse() {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    }
+  };
+  return res;
+}
+
+test('los errores transitorios del Graph API se reintentan y el mensaje sale una vez', async () => {
+  const restore = await reset();
+  await conversationLogService.recordInboundMessage(PHONE);
+
+  harness.graph.failNext({ status: 503, code: 131016, message: 'Service unavailable' });
+  harness.graph.failNext({ status: 400, code: 131056, message: 'Pair rate limit hit' });
+
+  const result = await outboundQueue.enqueueText(PHONE, 'Hola Laura.');
+
+  assert.strictEqual(result.status, 'sent');
+  assert.deepStrictEqual(harness.graph.messagesTo(PHONE).map(m => m.text), ['Hola Laura.']);
+  assert.strictEqual(result.messageId, harness.graph.messagesTo(PHONE)[0].id);
+  assert.deepStrictEqual(
+    { status: record(result.queueId).status, attempts: record(result.queueId).attempts },
+    { status: 'sent', attempts: 3 }
+  );
+  restore();
+});
+
+test('un rechazo definitivo no se reintenta', async () => {
+  const restore = await reset();
+  await conversationLogService.recordInboundMessage(PHONE);
+  harness.graph.failNext({ status: 400, code: 131026, message: 'Message Undeliverable.' });
+
+  const result = await outboundQueue.enqueueText(PHONE, 'Hola Laura.');
+
+  assert.strictEqual(result.status, 'failed');
+  assert.strictEqual(record(result.queueId).attempts, 1);
+  assert.strictEqual(record(result.queueId).lastError.code, 131026);
+  assert.strictEqual(harness.graph.messagesTo(PHONE).length, 0);
+  restore();
+});
+
+test('si WhatsApp sigue caído el barrido programado lo entrega después', async () => {
+  let restore = await reset();
+  await conversationLogService.recordInboundMessage(PHONE);
+  for (let i = 0; i < 3; i++) harness.graph.failNext({ status: 500, code: 2, message: 'Service temporarily unavailable' });
+
+  const result = await outboundQueue.enqueueText(PHONE, 'Tu cita quedó agendada.');
+  assert.strictEqual(result.status, 'retrying');
+  restore();
+
+  // Antes de que llegue su turno no se toca
+  restore = setClock('2030-01-14T13:00:30Z');
+  assert.deepStrictEqual(await outboundQueue.retryDueMessages(), { sent: 0, failed: 0 });
+  restore();
+
+  restore = setClock('2030-01-14T13:01:30Z');
+  assert.deepStrictEqual(await outboundQueue.retryDueMessages(), { sent: 1, failed: 0 });
+  assert.deepStrictEqual(await outboundQueue.retryDueMessages(), { sent: 0, failed: 0 });
+  restore();
+
+  assert.deepStrictEqual(harness.graph.messagesTo(PHONE).map(m => m.text), ['Tu cita quedó agendada.']);
+  assert.deepStrictEqual(
+    { status: record(result.queueId).status, attempts: record(result.queueId).attempts },
+    { status: 'sent', attempts: 4 }
+  );
+});
+
+test('fuera de la ventana de 24h el texto se rechaza o se convierte en template', async () => {
+  const restore = await reset({
+    firestore: {
+      [`conversations/${PHONE}`]: {
+        userId: PHONE,
+        messages: [{ role: 'user', text: 'Hola', timestamp: '2030-01-12T10:00:00Z' }],
+        lastUserMessage: '2030-01-12T10:00:00Z'
+      }
+    }
+  });
+
+  const rejected = await outboundQueue.enqueueText(PHONE, '¿Sigues interesada en la cita?');
+  assert.strictEqual(rejected.status, 'rejected');
+  assert.strictEqual(rejected.reason, 'WINDOW_CLOSED');
+  assert.strictEqual(harness.graph.state.messages.length, 0);
+
+  const converted = await outboundQueue.enqueueText(PHONE, '¿Sigues interesada en la cita?', {
+    fallbackTemplate: 'doctor_message',
+    templateParams: ['Laura']
+  });
+  assert.strictEqual(converted.status, 'converted');
+  assert.deepStrictEqual(harness.graph.messagesTo(PHONE).map(m => m.template), ['doctor_message']);
+
+  // Los avisos al agente no se bloquean aunque no haya escrito
+  const notice = await outboundQueue.enqueueText(AGENT_PHONE, '📎 Nuevo archivo');
+  assert.strictEqual(notice.status, 'sent');
+  restore();
+});
+
+test('el dashboard recibe un error claro si la ventana está cerrada', async () => {
+  const restore = await reset();
+
+  const res = createResponse();
+  await dashboardController.sendMessageFromDashboard({ body: { to: PHONE, message: 'Hola' } }, res);
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(res.body.windowClosed, true);
+
+  const converted = createResponse();
+  await dashboardController.sendMessageFromDashboard({ body: { to: PHONE, message: 'Hola', allowTemplate: true, clientName: 'Laura' } }, converted);
+  assert.strictEqual(converted.statusCode, 200);
+  assert.strictEqual(converted.body.status, 'converted');
+
+  // En cuanto el paciente escribe, el texto libre vuelve a salir
+  await conversationLogService.recordInboundMessage(PHONE);
+  const sent = createResponse();
+  await dashboardController.sendMessageFromDashboard({ body: { to: PHONE, message: 'Hola Laura' } }, sent);
+  assert.strictEqual(sent.body.status, 'sent');
+  assert.deepStrictEqual(harness.graph.messagesTo(PHONE).map(m => m.text || m.template), ['doctor_message', 'Hola Laura']);
+  restore();
+});
+
+test('el barrido vuelve a revisar la ventana: si se cerró usa el template o rechaza el mensaje', async () => {
+  let restore = await reset();
+  await conversationLogService.recordInboundMessage(PHONE);
+  for (let i = 0; i < 6; i++) harness.graph.failNext({ status: 500, code: 2, message: 'Service temporarily unavailable' });
+
+  const plain = await outboundQueue.enqueueText(PHONE, 'Tu cita quedó agendada.');
+  const withTemplate = await outboundQueue.enqueueText(PHONE, '¿Sigues interesada?', {
+    fallbackTemplate: 'doctor_message',
+    templateParams: ['Laura']
+  });
+  assert.deepStrictEqual([plain.status, withTemplate.status], ['retrying', 'retrying']);
+  restore();
+
+  // Un día después la ventana ya se cerró
+  restore = setClock('2030-01-15T14:00:00Z');
+  assert.deepStrictEqual(await outboundQueue.retryDueMessages(), { sent: 1, failed: 1 });
+  restore();
+
+  assert.deepStrictEqual(
+    { status: record(plain.queueId).status, reason: record(plain.queueId).reason },
+    { status: 'rejected', reason: 'WINDOW_CLOSED' }
+  );
+  assert.strictEqual(record(withTemplate.queueId).status, 'converted');
+  assert.deepStrictEqual(harness.graph.messagesTo(PHONE).map(m => m.text || m.template), ['doctor_message']);
+});
+
+test('los botones y las listas pasan por la misma ventana de 24h', async () => {
+  const restore = await reset();
+  const whatsappService = require('../services/whatsappService');
+  const buttons = [{ id: 'si', title: 'Sí' }, { id: 'no', title: 'No' }];
+
+  assert.strictEqual(await whatsappService.sendButtons(PHONE, '¿Confirmas?', buttons), null);
+  assert.strictEqual(await whatsappService.sendList(PHONE, { body: 'Elige', button: 'Ver', sections: [{ title: 'Horarios', rows: [{ id: 'a', title: '10:00' }] }] }), null);
+  assert.strictEqual(harness.graph.state.messages.length, 0);
+  assert.deepStrictEqual(Object.values(harness.db.dump('outbound_messages')).map(m => `${m.type} ${m.status}`), ['interactive rejected', 'interactive rejected']);
+
+  await conversationLogService.recordInboundMessage(PHONE);
+  const messageId = await whatsappService.sendButtons(PHONE, '¿Confirmas?', buttons);
+  assert.strictEqual(harness.graph.messagesTo(PHONE)[0].id, messageId);
+  assert.deepStrictEqual(harness.graph.messagesTo(PHONE)[0].payload.interactive.action.buttons.map(b => b.reply.id), ['si', 'no']);
+  restore();
+});
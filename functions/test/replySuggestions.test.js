@@ -0,0 +1,96 @@
+// test/replySuggestions.test.js
+// Respuestas sugeridas para el agente: contexto que ve el modelo y respuestas que llegan al dashboard
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createScenarioHarness, setClock } = require('./support/scenarioRunner');
+
+let harness;
+let handoffService;
+let replySuggestionService;
+let conversationLogService;
+let sessionService;
+
+before(async () => {
+  harness = await createScenarioHarness();
+  handoffService = require('../services/handoffService');
+  replySuggestionService = require('../services/replySuggestionService');
+  conversationLogService = require('../services/conversationLogService');
+  sessionService = require('../services/sessionService');
+});
+
+after(async () => {
+  await harness.close();
+});
+
+const LAURA = '573001112233';
+
+const SEED = {
+  dentalink: {
+    patients: [{ id: 7, nombre: 'Laura', apellidos: 'Gómez', rut: '1098765432', celular: '3001112233' }],
+    appointments: [{ id: 41, id_paciente: 7, fecha: '2030-01-16', hora_inicio: '10:00', duracion: 60 }]
+  }
+};
+
+const CLINIC_INFO = 'La limpieza cuesta $120.000 y se paga en recepción.';
+
+// Laura está en relevo y pregunta por el precio de la limpieza
+async function reset() {
+  await harness.run({ seed: SEED, clinicInfo: CLINIC_INFO, steps: [] });
+  const restore = setClock('2030-01-14T13:00:00Z');
+  await sessionService.setDocumentNumber(LAURA, '1098765432');
+  await conversationLogService.logSimpleMessage(LAURA, 'user', 'Quiero hablar con una persona', null, 'Laura');
+  await handoffService.createHandoff(LAURA, null, 'Laura');
+  await conversationLogService.logSimpleMessage(LAURA, 'agent', 'Hola Laura, ¿en qué te ayudo?', null, null);
+  await conversationLogService.logSimpleMessage(LAURA, 'user', '¿Cuánto cuesta la limpieza del miércoles?', null, 'Laura');
+  return restore;
+}
+
+test('propone respuestas con la conversación, la información de la clínica y las citas del paciente', async () => {
+  const restore = await reset();
+  harness.provider.load({
+    [LAURA]: [{
+      tool: 'proposeReplies',
+      input: {
+        replies: [
+          ' La limpieza cuesta $120.000 y la pagas en recepción el miércoles. ',
+          'La limpieza cuesta $120.000 y la pagas en recepción el miércoles.',
+          '',
+          '¿Quieres que te confirme también la hora de tu cita?',
+          'Te confirmo el valor en un momento.',
+          'Una cuarta que sobra'
+        ]
+      }
+    }]
+  });
+
+  const suggestions = await replySuggestionService.suggestReplies(LAURA);
+
+  // Sin espacios, repetidos ni vacíos, y como mucho tres
+  assert.deepStrictEqual(suggestions, [
+    'La limpieza cuesta $120.000 y la pagas en recepción el miércoles.',
+    '¿Quieres que te confirme también la hora de tu cita?',
+    'Te confirmo el valor en un momento.'
+  ]);
+
+  const prompt = harness.provider.calls[harness.provider.calls.length - 1].lastUserMessage;
+  assert.match(prompt, /^Paciente: Laura Gómez · CC 1098765432/);
+  assert.match(prompt, /Citas del paciente:\n- 2030-01-16 10:00 con Camilo Dentista \(No confirmado\)/);
+  assert.match(prompt, /Información de la clínica:\nLa limpieza cuesta \$120\.000/);
+  assert.match(prompt, /Agente: Hola Laura, ¿en qué te ayudo\?\nPaciente: ¿Cuánto cuesta la limpieza del miércoles\?$/);
+
+  // Nada se le envía al paciente
+  assert.deepStrictEqual(harness.graph.messagesTo(LAURA), []);
+  restore();
+});
+
+test('si el modelo falla la sugerencia lanza error para que el dashboard lo muestre', async () => {
+  const restore = await reset();
+
+  // Sin respuesta pregrabada el proveedor scripted lanza error
+  await assert.rejects(replySuggestionService.suggestReplies(LAURA));
+
+  harness.provider.load({ [LAURA]: [{ tool: 'proposeReplies', input: { replies: [] } }] });
+  await assert.rejects(replySuggestionService.suggestReplies(LAURA), /El modelo no propuso respuestas/);
+  restore();
+});
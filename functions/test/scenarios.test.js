@@ -0,0 +1,67 @@
+// test/scenarios.test.js
+// Escenarios de conversación con transcripciones golden
+//
+// Cada archivo de test/scenarios/ describe una conversación:
+//
+//   name: Paciente nuevo agenda su primera cita
+//   now: 2030-01-14T13:00:00Z          # reloj fijo (opcional)
+//   from: "573001112233"               # paciente (opcional)
+//   seed:
+//     dentalink: { patients: [...], appointments: [...], failures: [{ path: /citas, status: 503 }] }
+//     firestore: { "appointment_reminders/rem-1": {...} }
+//   steps:
+//     - patient: "Hola"                # o agent:, button:, reply:, list:, media:
+//       from: "573005556677"           # otro paciente en este paso (opcional)
+//       model: ["texto", { tool: findPatientByDocument, input: {...} }]
+//       media: { type: audio, id: media-audio-1, transcript: "..." }   # nota de voz transcrita
+//       expect: { replies: ["texto parcial"], silent: false }
+//   expect:
+//     dentalink: [{ method: POST, path: /citas, body: {...} }]
+//     firestore: { "sessions/573001112233": {...}, "open-handoffs": [{...}] }
+//
+// La transcripción observada (mensajes salientes, escrituras en Dentalink y
+// entradas al modelo) se compara con test/scenarios/__golden__/<id>.json.
+// Para regenerarlas: UPDATE_GOLDEN=1 npm test
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createScenarioHarness, loadScenario } = require('./support/scenarioRunner');
+
+const SCENARIOS_DIR = path.join(__dirname, 'scenarios');
+const GOLDEN_DIR = path.join(SCENARIOS_DIR, '__golden__');
+
+const files = fs.readdirSync(SCENARIOS_DIR)
+  .filter(file => /\.(ya?ml|json)$/i.test(file))
+  .sort();
+
+let harness;
+
+before(async () => {
+  harness = await createScenarioHarness();
+});
+
+after(async () => {
+  await harness.close();
+});
+
+files.forEach(file => {
+  const scenario = loadScenario(path.join(SCENARIOS_DIR, file));
+
+  test(scenario.name || scenario.id, async () => {
+    const { transcript, failures } = await harness.run(scenario);
+    assert.deepStrictEqual(failures, []);
+
+    const goldenFile = path.join(GOLDEN_DIR, `${scenario.id}.json`);
+    if (process.env.UPDATE_GOLDEN) {
+      fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+      fs.writeFileSync(goldenFile, JSON.stringify(transcript, null, 2) + '\n');
+      return;
+    }
+
+    assert.ok(fs.existsSync(goldenFile), `Falta ${path.relative(process.cwd(), goldenFile)}. Genera con UPDATE_GOLDEN=1 npm test`);
+    const golden = JSON.parse(fs.readFileSync(goldenFile, 'utf8'));
+    assert.deepStrictEqual(transcript, golden);
+  });
+});
@@ -0,0 +1,581 @@
+// test/support/fakeFirestore.js
+// Firestore y Storage en memoria para los escenarios de conversación
+//
+// Cubre la parte del SDK de firebase-admin que usan los services:
+// collection/doc, get/set(merge)/update/delete/add, where/orderBy/limit,
+// count(), runTransaction, batch, FieldValue y Timestamp.
+//
+// installFakeAdmin() reemplaza el módulo firebase-admin en require.cache, así
+// que debe llamarse ANTES de requerir cualquier service.
+
+const path = require('path');
+
+class Timestamp {
+  constructor(seconds, nanoseconds = 0) {
+    this.seconds = seconds;
+    this.nanoseconds = nanoseconds;
+  }
+
+  static now() {
+    return Timestamp.fromMillis(Date.now());
+  }
+
+  static fromDate(date) {
+    return Timestamp.fromMillis(date.getTime());
+  }
+
+  static fromMillis(millis) {
+    return new Timestamp(Math.floor(millis / 1000), (millis % 1000) * 1e6);
+  }
+
+  toMillis() {
+    return this.seconds * 1000 + Math.floor(this.nanoseconds / 1e6);
+  }
+
+  toDate() {
+    return new Date(this.toMillis());
+  }
+
+  isEqual(other) {
+    return other instanceof Timestamp && other.toMillis() === this.toMillis();
+  }
+}
+
+class FieldValueSentinel {
+  constructor(op, values = []) {
+    this.op = op;
+    this.values = values;
+  }
+}
+
+const FieldValue = {
+  serverTimestamp: () => new FieldValueSentinel('serverTimestamp'),
+  delete: () => new FieldValueSentinel('delete'),
+  increment: (n) => new FieldValueSentinel('increment', [n]),
+  arrayUnion: (...values) => new FieldValueSentinel('arrayUnion', values),
+  arrayRemove: (...values) => new FieldValueSentinel('arrayRemove', values)
+};
+
+// === VALORES ===
+
+function clone(value) {
+  if (value instanceof Timestamp) return new Timestamp(value.seconds, value.nanoseconds);
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (value instanceof FieldValueSentinel) return value;
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).filter(([, v]) => v !== undefined).map(([k, v]) => [k, clone(v)])
+    );
+  }
+  return value;
+}
+
+function comparable(value) {
+  if (value instanceof Timestamp) return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return value;
+}
+
+function isEqualValue(a, b) {
+  return JSON.stringify(comparable(a)) === JSON.stringify(comparable(b));
+}
+
+function getField(data, fieldPath) {
+  return fieldPath.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), data);
+}
+
+function applyTransform(current, sentinel) {
+  switch (sentinel.op) {
+    case 'serverTimestamp':
+      return Timestamp.now();
+    case 'increment':
+      return (typeof current === 'number' ? current : 0) + sentinel.values[0];
+    case 'arrayUnion': {
+      const base = Array.isArray(current) ? [...current] : [];
+      sentinel.values.forEach(v => {
+        if (!base.some(existing => isEqualValue(existing, v))) base.push(clone(v));
+      });
+      return base;
+    }
+    case 'arrayRemove':
+      return (Array.isArray(current) ? current : []).filter(
+        existing => !sentinel.values.some(v => isEqualValue(existing, v))
+      );
+    default:
+      return current;
+  }
+}
+
+// Escribe value en data[fieldPath] resolviendo sentinels (delete, increment, etc.)
+function setField(data, fieldPath, value) {
+  const keys = fieldPath.split('.');
+  const last = keys.pop();
+  let target = data;
+  keys.forEach(key => {
+    if (!isPlainObject(target[key])) target[key] = {};
+    target = target[key];
+  });
+
+  if (value instanceof FieldValueSentinel) {
+    if (value.op === 'delete') delete target[last];
+    else target[last] = applyTransform(target[last], value);
+  } else {
+    target[last] = resolveSentinels(value, target[last]);
+  }
+}
+
+function resolveSentinels(value, current) {
+  if (value instanceof FieldValueSentinel) return applyTransform(current, value);
+  if (Array.isArray(value)) return value.map(v => resolveSentinels(v));
+  if (isPlainObject(value)) {
+    const result = {};
+    Object.entries(value).forEach(([k, v]) => {
+      if (v instanceof FieldValueSentinel && v.op === 'delete') return;
+      result[k] = resolveSentinels(v, current && typeof current === 'object' ? current[k] : undefined);
+    });
+    return result;
+  }
+  return value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Timestamp) && !(value instanceof FieldValueSentinel) && !Buffer.isBuffer(value);
+}
+
+// set(..., { merge: true }): las claves son literales (no rutas con punto)
+function mergeInto(target, source) {
+  Object.entries(source).forEach(([key, value]) => {
+    if (value instanceof FieldValueSentinel) {
+      if (value.op === 'delete') delete target[key];
+      else target[key] = applyTransform(target[key], value);
+    } else if (isPlainObject(value)) {
+      if (!isPlainObject(target[key])) target[key] = {};
+      mergeInto(target[key], value);
+    } else {
+      target[key] = resolveSentinels(value);
+    }
+  });
+  return target;
+}
+
+// === SNAPSHOTS ===
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return this.exists ? clone(this._data) : undefined;
+  }
+
+  get(fieldPath) {
+    return this.exists ? clone(getField(this._data, fieldPath)) : undefined;
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+// === REFERENCIAS ===
+
+class DocumentReference {
+  constructor(db, docPath) {
+    this._db = db;
+    this.path = docPath;
+    this.id = docPath.split('/').pop();
+  }
+
+  get parent() {
+    return new CollectionReference(this._db, this.path.split('/').slice(0, -1).join('/'));
+  }
+
+  collection(name) {
+    return new CollectionReference(this._db, `${this.path}/${name}`);
+  }
+
+  async get() {
+    return new DocumentSnapshot(this, this._db._docs.get(this.path));
+  }
+
+  async set(data, options = {}) {
+    this._db._write(this.path, 'set', data, options);
+  }
+
+  async create(data) {
+    this._db._write(this.path, 'create', data);
+  }
+
+  async update(data) {
+    this._db._write(this.path, 'update', data);
+  }
+
+  async delete() {
+    this._db._write(this.path, 'delete');
+  }
+}
+
+class Query {
+  constructor(db, collectionPath, filters = [], orders = [], limitCount = null) {
+    this._db = db;
+    this._collectionPath = collectionPath;
+    this._filters = filters;
+    this._orders = orders;
+    this._limit = limitCount;
+  }
+
+  where(field, op, value) {
+    return new Query(this._db, this._collectionPath, [...this._filters, { field, op, value }], this._orders, this._limit);
+  }
+
+  orderBy(field, direction = 'asc') {
+    return new Query(this._db, this._collectionPath, this._filters, [...this._orders, { field, direction }], this._limit);
+  }
+
+  limit(n) {
+    return new Query(this._db, this._collectionPath, this._filters, this._orders, n);
+  }
+
+  count() {
+    return {
+      get: async () => {
+        const snapshot = await this.get();
+        return { data: () => ({ count: snapshot.size }) };
+      }
+    };
+  }
+
+  _matches(data) {
+    return this._filters.every(({ field, op, value }) => {
+      const actual = comparable(getField(data, field));
+      const expected = Array.isArray(value) ? value.map(comparable) : comparable(value);
+
+      switch (op) {
+        case '==': return isEqualValue(actual, expected);
+        case '!=': return actual !== undefined && !isEqualValue(actual, expected);
+        case '<': return actual !== undefined && actual < expected;
+        case '<=': return actual !== undefined && actual <= expected;
+        case '>': return actual !== undefined && actual > expected;
+        case '>=': return actual !== undefined && actual >= expected;
+        case 'in': return expected.some(v => isEqualValue(actual, v));
+        case 'not-in': return actual !== undefined && !expected.some(v => isEqualValue(actual, v));
+        case 'array-contains':
+          return Array.isArray(actual) && actual.some(v => isEqualValue(comparable(v), expected));
+        case 'array-contains-any':
+          return Array.isArray(actual) && actual.some(v => expected.some(e => isEqualValue(comparable(v), e)));
+        default:
+          throw new Error(`Operador no soportado por el Firestore en memoria: ${op}`);
+      }
+    });
+  }
+
+  async get() {
+    const prefix = `${this._collectionPath}/`;
+    let entries = [...this._db._docs.entries()].filter(([docPath, data]) =>
+      docPath.startsWith(prefix) &&
+      !docPath.substring(prefix.length).includes('/') &&
+      this._matches(data)
+    );
+
+    // Como Firestore: orderBy excluye documentos sin el campo
+    this._orders.forEach(({ field }) => {
+      entries = entries.filter(([, data]) => getField(data, field) !== undefined);
+    });
+
+    entries.sort(([pathA, a], [pathB, b]) => {
+      for (const { field, direction } of this._orders) {
+        const va = comparable(getField(a, field));
+        const vb = comparable(getField(b, field));
+        if (va < vb) return direction === 'desc' ? 1 : -1;
+        if (va > vb) return direction === 'desc' ? -1 : 1;
+      }
+      return pathA < pathB ? -1 : pathA > pathB ? 1 : 0;
+    });
+
+    if (this._limit !== null) entries = entries.slice(0, this._limit);
+
+    return new QuerySnapshot(
+      entries.map(([docPath, data]) => new DocumentSnapshot(new DocumentReference(this._db, docPath), data))
+    );
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(db, collectionPath) {
+    super(db, collectionPath);
+    this.path = collectionPath;
+    this.id = collectionPath.split('/').pop();
+  }
+
+  doc(id) {
+    return new DocumentReference(this._db, `${this.path}/${id || this._db._autoId()}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+
+  async listDocuments() {
+    const snapshot = await this.get();
+    return snapshot.docs.map(doc => doc.ref);
+  }
+}
+
+// === TRANSACCIONES Y BATCH ===
+
+class WriteBatch {
+  constructor(db) {
+    this._db = db;
+    this._writes = [];
+  }
+
+  set(ref, data, options = {}) {
+    this._writes.push(() => this._db._write(ref.path, 'set', data, options));
+    return this;
+  }
+
+  create(ref, data) {
+    this._writes.push(() => this._db._write(ref.path, 'create', data));
+    return this;
+  }
+
+  update(ref, data) {
+    this._writes.push(() => this._db._write(ref.path, 'update', data));
+    return this;
+  }
+
+  delete(ref) {
+    this._writes.push(() => this._db._write(ref.path, 'delete'));
+    return this;
+  }
+
+  async commit() {
+    // Validar antes de aplicar para que el commit sea atómico
+    const snapshot = new Map(this._db._docs);
+    try {
+      this._writes.forEach(write => write());
+    } catch (error) {
+      this._db._docs = snapshot;
+      throw error;
+    }
+  }
+}
+
+class Transaction extends WriteBatch {
+  async get(refOrQuery) {
+    if (this._writes.length > 0) {
+      throw new Error('Firestore transactions require all reads to be executed before all writes.');
+    }
+    return refOrQuery.get();
+  }
+}
+
+// === FIRESTORE ===
+
+class FakeFirestore {
+  constructor() {
+    this._docs = new Map();
+    this._idCounter = 0;
+    this._transactionQueue = Promise.resolve();
+  }
+
+  _autoId() {
+    this._idCounter++;
+    return `doc${String(this._idCounter).padStart(6, '0')}`;
+  }
+
+  _write(docPath, kind, data, options = {}) {
+    const existing = this._docs.get(docPath);
+
+    if (kind === 'delete') {
+      this._docs.delete(docPath);
+      return;
+    }
+    if (kind === 'create' && existing) {
+      throw Object.assign(new Error(`6 ALREADY_EXISTS: Document already exists: ${docPath}`), { code: 6 });
+    }
+    if (kind === 'update') {
+      if (!existing) {
+        throw Object.assign(new Error(`5 NOT_FOUND: No document to update: ${docPath}`), { code: 5 });
+      }
+      const updated = clone(existing);
+      Object.entries(clone(data)).forEach(([fieldPath, value]) => setField(updated, fieldPath, value));
+      this._docs.set(docPath, updated);
+      return;
+    }
+
+    if (options.merge && existing) {
+      this._docs.set(docPath, mergeInto(clone(existing), clone(data)));
+    } else {
+      this._docs.set(docPath, resolveSentinels(clone(data)));
+    }
+  }
+
+  collection(collectionPath) {
+    return new CollectionReference(this, collectionPath);
+  }
+
+  doc(docPath) {
+    return new DocumentReference(this, docPath);
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  // Serializa las transacciones: no hay concurrencia real que reintentar
+  runTransaction(updateFunction) {
+    const run = this._transactionQueue.then(async () => {
+      const transaction = new Transaction(this);
+      const result = await updateFunction(transaction);
+      await transaction.commit();
+      return result;
+    });
+    this._transactionQueue = run.catch(() => {});
+    return run;
+  }
+
+  settings() {}
+
+  /**
+   * Documentos de una colección como objetos planos { id: data } (para asserts)
+   * @param {string} collectionPath
+   * @returns {Object}
+   */
+  dump(collectionPath) {
+    const prefix = `${collectionPath}/`;
+    const result = {};
+    this._docs.forEach((data, docPath) => {
+      if (docPath.startsWith(prefix) && !docPath.substring(prefix.length).includes('/')) {
+        result[docPath.substring(prefix.length)] = clone(data);
+      }
+    });
+    return result;
+  }
+
+  reset() {
+    this._docs = new Map();
+    this._idCounter = 0;
+  }
+}
+
+// === STORAGE ===
+
+class FakeBucket {
+  constructor(name) {
+    this.name = name;
+    this.files = new Map();
+  }
+
+  file(filePath) {
+    const bucket = this;
+    return {
+      name: filePath,
+      async save(buffer, options = {}) {
+        bucket.files.set(filePath, {
+          buffer: Buffer.from(buffer),
+          metadata: { ...(options.metadata || {}), timeCreated: new Date().toISOString() },
+          public: false
+        });
+      },
+      async makePublic() {
+        if (bucket.files.has(filePath)) bucket.files.get(filePath).public = true;
+      },
+      async exists() {
+        return [bucket.files.has(filePath)];
+      },
+      async download() {
+        const stored = bucket.files.get(filePath);
+        if (!stored) throw Object.assign(new Error(`No such object: ${bucket.name}/${filePath}`), { code: 404 });
+        return [stored.buffer];
+      },
+      async getMetadata() {
+        return [bucket.files.get(filePath)?.metadata || {}];
+      },
+      async delete() {
+        bucket.files.delete(filePath);
+      },
+      async getSignedUrl() {
+        return [`https://storage.googleapis.com/${bucket.name}/${filePath}?signed=fake`];
+      }
+    };
+  }
+
+  async getFiles(options = {}) {
+    const prefix = options.prefix || '';
+    return [[...this.files.keys()].filter(name => name.startsWith(prefix)).map(name => this.file(name))];
+  }
+
+  reset() {
+    this.files = new Map();
+  }
+}
+
+/**
+ * Crea un objeto con la forma de firebase-admin respaldado por memoria
+ * @returns {{admin: Object, db: FakeFirestore, bucket: FakeBucket}}
+ */
+function createFakeAdmin() {
+  const db = new FakeFirestore();
+  const bucket = new FakeBucket('fake-bucket.appspot.com');
+
+  const firestore = () => db;
+  firestore.FieldValue = FieldValue;
+  firestore.Timestamp = Timestamp;
+
+  const storage = () => ({ bucket: () => bucket });
+
+  const admin = {
+    apps: [{ name: '[DEFAULT]' }],
+    initializeApp: () => admin.apps[0],
+    app: () => admin.apps[0],
+    firestore,
+    storage
+  };
+
+  return { admin, db, bucket };
+}
+
+/**
+ * Registra el admin falso como el módulo firebase-admin
+ * @returns {{admin: Object, db: FakeFirestore, bucket: FakeBucket}}
+ */
+function installFakeAdmin() {
+  const fake = createFakeAdmin();
+  const modulePath = require.resolve('firebase-admin', { paths: [path.join(__dirname, '..', '..')] });
+
+  require.cache[modulePath] = {
+    id: modulePath,
+    filename: modulePath,
+    loaded: true,
+    exports: fake.admin
+  };
+
+  return fake;
+}
+
+module.exports = {
+  Timestamp,
+  FieldValue,
+  FakeFirestore,
+  FakeBucket,
+  createFakeAdmin,
+  installFakeAdmin
+};
@@ -0,0 +1,340 @@
+// test/support/scenarioRunner.js
+// Ejecuta transcripciones de conversación (test/scenarios/*.yaml|json) contra
+// webhookController.handleWebhook con todo lo externo reemplazado en memoria:
+//
+// - Firestore/Storage: test/support/fakeFirestore.js
+// - Dentalink: dev/fakeDentalink.js
+// - Graph API de WhatsApp: dev/fakeGraphApi.js
+// - Claude: proveedor scripted de services/modelProvider.js
+// - Transcripción de notas de voz: transcriber scripted de services/transcriptionService.js
+//
+// El reloj se fija en `now` (por escenario) para que fechas, slots y textos
+// sean estables y se puedan comparar contra transcripciones golden.
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_NOW = '2030-01-14T13:00:00Z'; // Lunes 08:00 en Colombia
+const DEFAULT_PATIENT = '573001112233';
+const AGENT_PHONE = '573009998877';
+const APP_SECRET = 'scenario-secret';
+
+const RealDate = Date;
+
+/**
+ * Reemplaza Date para que "ahora" sea `iso` (el tiempo sigue avanzando desde ahí)
+ * @param {string|Date} iso
+ * @returns {Function} restore
+ */
+function setClock(iso) {
+  const offset = new RealDate(iso).getTime() - RealDate.now();
+
+  class ShiftedDate extends RealDate {
+    constructor(...args) {
+      if (args.length === 0) super(RealDate.now() + offset);
+      else super(...args);
+    }
+
+    static now() {
+      return RealDate.now() + offset;
+    }
+  }
+
+  global.Date = ShiftedDate;
+  return () => {
+    global.Date = RealDate;
+  };
+}
+
+/**
+ * Lee un escenario desde YAML o JSON
+ * @param {string} file
+ * @returns {Object}
+ */
+function loadScenario(file) {
+  const raw = fs.readFileSync(file, 'utf8');
+  const scenario = /\.ya?ml$/i.test(file) ? yaml.load(raw) : JSON.parse(raw);
+  return { id: path.basename(file).replace(/\.(ya?ml|json)$/i, ''), ...scenario };
+}
+
+/**
+ * Verifica que `actual` contenga todos los campos de `expected` (recursivo)
+ * @returns {string|null} Descripción de la primera diferencia o null
+ */
+function findMismatch(actual, expected, where = '') {
+  if (expected === null || typeof expected !== 'object') {
+    const normalized = actual && typeof actual.toDate === 'function' ? actual.toDate().toISOString() : actual;
+    return normalized === expected ? null : `${where || 'valor'}: esperado ${JSON.stringify(expected)}, recibido ${JSON.stringify(normalized)}`;
+  }
+  if (actual === null || typeof actual !== 'object') {
+    return `${where || 'valor'}: esperado objeto, recibido ${JSON.stringify(actual)}`;
+  }
+  if (Array.isArray(expected)) {
+    if (!Array.isArray(actual) || actual.length !== expected.length) {
+      return `${where}: esperado arreglo de ${expected.length}, recibido ${JSON.stringify(actual)}`;
+    }
+  }
+  for (const [key, value] of Object.entries(expected)) {
+    const mismatch = findMismatch(actual[key], value, where ? `${where}.${key}` : key);
+    if (mismatch) return mismatch;
+  }
+  return null;
+}
+
+// Payload de webhook con el formato de WhatsApp Cloud API
+function buildWebhookPayload(step, from, index) {
+  const message = {
+    from,
+    id: `wamid.SCENARIO${String(index).padStart(4, '0')}`,
+    timestamp: String(Math.floor(Date.now() / 1000))
+  };
+
+  if (step.button) {
+    Object.assign(message, { type: 'button', button: { payload: step.button, text: step.button } });
+  } else if (step.reply) {
+    Object.assign(message, {
+      type: 'interactive',
+      interactive: { type: 'button_reply', button_reply: { id: step.reply, title: step.reply } }
+    });
+  } else if (step.list) {
+    const { id, title = id } = typeof step.list === 'string' ? { id: step.list } : step.list;
+    Object.assign(message, {
+      type: 'interactive',
+      interactive: { type: 'list_reply', list_reply: { id, title } }
+    });
+  } else if (step.media) {
+    const { type = 'image', id, mime_type: mimeType, caption } = step.media;
+    Object.assign(message, { type, [type]: { id, mime_type: mimeType, ...(caption && { caption }) } });
+  } else {
+    Object.assign(message, { type: 'text', text: { body: step.patient ?? step.agent } });
+  }
+
+  return {
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: 'WABA_ID',
+      changes: [{
+        field: 'messages',
+        value: {
+          messaging_product: 'whatsapp',
+          metadata: { display_phone_number: '15550001111', phone_number_id: 'PHONE_NUMBER_ID' },
+          contacts: [{ profile: { name: 'Escenario' }, wa_id: from }],
+          messages: [message]
+        }
+      }]
+    }]
+  };
+}
+
+function describeInbound(step) {
+  if (step.agent !== undefined) return { agent: step.agent };
+  if (step.button) return { button: step.button };
+  if (step.reply) return { reply: step.reply };
+  if (step.list) return { list: step.list.id || step.list };
+  if (step.media) return { media: step.media.type || 'image' };
+  return { patient: step.patient };
+}
+
+function summarizeOutbound(message) {
+  if (message.type === 'text') return { to: message.to, text: message.text };
+  if (message.type === 'template') {
+    const params = (message.payload.template.components || [])
+      .flatMap(c => c.parameters || [])
+      .filter(p => p.type === 'text')
+      .map(p => p.text);
+    return { to: message.to, template: message.template, params };
+  }
+  return { to: message.to, type: message.type, [message.type]: message.payload[message.type] };
+}
+
+/**
+ * Crea el entorno de escenarios. Debe llamarse antes de requerir cualquier service.
+ * @returns {Promise<{run: Function, close: Function}>}
+ */
+async function createScenarioHarness() {
+  // Los services registran mucho en consola; SCENARIO_LOGS=1 para verlo
+  if (!process.env.SCENARIO_LOGS) {
+    ['log', 'info', 'warn', 'error'].forEach(level => {
+      console[level] = () => {};
+    });
+  }
+
+  const { installFakeAdmin } = require('./fakeFirestore');
+  const { createFakeDentalink } = require('../../dev/fakeDentalink');
+  const { createFakeGraphApi } = require('../../dev/fakeGraphApi');
+
+  const { db, bucket } = installFakeAdmin();
+  const dentalink = createFakeDentalink();
+  const graph = createFakeGraphApi();
+  const dentalinkServer = await dentalink.listen();
+  const graphServer = await graph.listen();
+
+  Object.assign(process.env, {
+    TZ: 'UTC', // Igual que Cloud Functions
+    APP_SECRET,
+    WHATSAPP_TOKEN: 'scenario-token',
+    PHONE_NUMBER_ID: 'PHONE_NUMBER_ID',
+    GRAPH_API_URL: graphServer.url,
+    DENTALINK_API_URL: dentalinkServer.url,
+    DENTALINK_API_KEY: 'scenario-token',
+    DENTALINK_DENTIST_ID: '1',
+    DENTALINK_DENTIST_NAME: 'Dr. Camilo',
+    DENTALINK_CLINIC_ID: '1',
+    DENTALINK_RETRY_BASE_MS: '1',
+    MESSAGE_BATCH_TIMEOUT_MS: '0',
+    OUTBOUND_RETRY_BASE_MS: '1',
+    OUTBOUND_MIN_INTERVAL_MS: '0'
+  });
+
+  const { createScriptedProvider } = require('../../services/modelProvider');
+  const transcriptionService = require('../../services/transcriptionService');
+  const anthropicService = require('../../services/anthropicService');
+  const googleDocsService = require('../../services/googleDocsService');
+  const dentalinkService = require('../../services/dentalinkService');
+  const dentalinkClient = require('../../services/dentalinkClient');
+  const configService = require('../../services/configService');
+  const sessionService = require('../../services/sessionService');
+  const { replayWebhook } = require('../../dev/replayWebhooks');
+
+  const provider = createScriptedProvider();
+  anthropicService.setModelProvider(provider);
+
+  // Las notas de voz se "transcriben" con el texto de media.transcript del paso
+  const transcriber = transcriptionService.createScriptedTranscriber();
+  transcriptionService.setTranscriptionProvider(transcriber);
+
+  // Sin red: la info de la clínica viene del escenario
+  let clinicInfo = '';
+  googleDocsService.getDocumentContent = async () => clinicInfo;
+
+  /**
+   * Ejecuta un escenario y devuelve la transcripción observada
+   * @param {Object} scenario - Formato descrito en test/scenarios.test.js
+   * @returns {Promise<{transcript: Object, failures: string[]}>}
+   */
+  async function run(scenario) {
+    const restoreClock = setClock(scenario.now || DEFAULT_NOW);
+    const from = scenario.from || DEFAULT_PATIENT;
+    const failures = [];
+
+    try {
+      db.reset();
+      bucket.reset();
+      graph.reset();
+      provider.reset();
+      transcriber.reset();
+      dentalink.reset(scenario.seed?.dentalink || {});
+      await dentalinkService.clearCache();
+      dentalinkClient.reset();
+      clinicInfo = scenario.clinicInfo || '';
+
+      const seededConfig = scenario.seed?.firestore?.['tenant_config/default'] || {};
+      const firestoreSeed = {
+        ...(scenario.seed?.firestore || {}),
+        'tenant_config/default': { agentPhoneNumber: AGENT_PHONE, agentName: 'Dr. Camilo', ...seededConfig }
+      };
+      for (const [docPath, data] of Object.entries(firestoreSeed)) {
+        await db.doc(docPath).set(data);
+      }
+      await configService.getTenantConfig(true);
+
+      const transcript = { name: scenario.name, steps: [] };
+
+      for (const [index, step] of (scenario.steps || []).entries()) {
+        const sender = step.agent !== undefined ? AGENT_PHONE : (step.from || from);
+        const label = `paso ${index + 1}`;
+
+        const messagesBefore = graph.state.messages.length;
+        const requestsBefore = dentalink.state.requests.length;
+        const callsBefore = provider.calls.length;
+
+        if (step.model) provider.load({ [sender]: step.model });
+        if (step.media && 'transcript' in step.media) transcriber.load({ [step.media.id]: step.media.transcript });
+
+        const result = await replayWebhook(buildWebhookPayload(step, sender, index + 1), { secret: APP_SECRET });
+        if (result.status !== 200) failures.push(`${label}: el webhook respondió ${result.status}`);
+        await sessionService.whenIdle();
+
+        const outbound = graph.state.messages.slice(messagesBefore).map(summarizeOutbound);
+        const writes = dentalink.state.requests.slice(requestsBefore)
+          .filter(r => r.method !== 'GET')
+          .map(({ method, path: requestPath, body }) => ({ method, path: requestPath, body }));
+        const modelInputs = provider.calls.slice(callsBefore).map(call => call.lastUserMessage);
+
+        transcript.steps.push({
+          ...describeInbound(step),
+          ...(modelInputs.length > 0 && { model: modelInputs }),
+          whatsapp: outbound,
+          ...(writes.length > 0 && { dentalink: writes })
+        });
+
+        const pending = provider.remaining()[sender];
+        if (pending) failures.push(`${label}: quedaron ${pending} respuestas del modelo sin usar`);
+        if (provider.calls.length - callsBefore > (step.model || []).length) {
+          failures.push(`${label}: el bot llamó al modelo más veces que las respuestas del script`);
+        }
+
+        // Cada texto esperado debe aparecer en algún mensaje saliente del paso
+        (step.expect?.replies || []).forEach(expected => {
+          const found = outbound.some(m => (m.text || m.template || m.interactive?.body?.text || '').includes(expected));
+          if (!found) failures.push(`${label}: no se envió ningún mensaje con "${expected}"`);
+        });
+        if (step.expect?.silent && outbound.length > 0) {
+          failures.push(`${label}: se esperaba que el bot no respondiera y envió ${outbound.length} mensaje(s)`);
+        }
+      }
+
+      await checkFinalState(scenario.expect || {}, failures);
+      return { transcript, failures };
+    } finally {
+      restoreClock();
+    }
+  }
+
+  async function checkFinalState(expect, failures) {
+    (expect.dentalink || []).forEach(expected => {
+      const found = dentalink.state.requests.some(r => !findMismatch(r, expected));
+      if (!found) failures.push(`Dentalink: no hubo una petición ${JSON.stringify(expected)}`);
+    });
+
+    for (const [docPath, expected] of Object.entries(expect.firestore || {})) {
+      // Ruta de colección (segmentos impares): lista de documentos esperados
+      if (docPath.split('/').length % 2 === 1) {
+        const docs = Object.values(db.dump(docPath));
+        if (docs.length !== expected.length) {
+          failures.push(`Firestore ${docPath}: esperados ${expected.length} documento(s), hay ${docs.length}`);
+        }
+        expected.forEach(item => {
+          if (!docs.some(doc => !findMismatch(doc, item))) {
+            failures.push(`Firestore ${docPath}: ningún documento coincide con ${JSON.stringify(item)}`);
+          }
+        });
+        continue;
+      }
+
+      const snapshot = await db.doc(docPath).get();
+      if (!snapshot.exists) {
+        failures.push(`Firestore ${docPath}: no existe`);
+        continue;
+      }
+      const mismatch = findMismatch(snapshot.data(), expected);
+      if (mismatch) failures.push(`Firestore ${docPath}: ${mismatch}`);
+    }
+  }
+
+  async function close() {
+    await Promise.all([dentalinkServer.close(), graphServer.close()]);
+  }
+
+  return { run, close, db, dentalink, graph, provider, transcriber };
+}
+
+module.exports = {
+  AGENT_PHONE,
+  DEFAULT_PATIENT,
+  createScenarioHarness,
+  findMismatch,
+  loadScenario,
+  setClock
+};
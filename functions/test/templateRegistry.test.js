@@ -0,0 +1,185 @@
+// test/templateRegistry.test.js
+// Registro de templates: envío genérico con parámetros e idioma y enrutamiento de botones
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createScenarioHarness, setClock, DEFAULT_PATIENT, AGENT_PHONE } = require('./support/scenarioRunner');
+
+let harness;
+let replayWebhook;
+let sessionService;
+let templateRegistry;
+let whatsappTemplateService;
+let dashboardController;
+
+before(async () => {
+  harness = await createScenarioHarness();
+  ({ replayWebhook } = require('../dev/replayWebhooks'));
+  sessionService = require('../services/sessionService');
+  templateRegistry = require('../services/templateRegistry');
+  whatsappTemplateService = require('../services/whatsappTemplateService');
+  dashboardController = require('../controllers/dashboardController');
+});
+
+after(async () => {
+  await harness.close();
+});
+
+const NOW = '2030-01-14T13:00:00Z';
+
+// Reinicia Firestore, el cache del registro y fija el reloj
+async function reset(seed) {
+  await harness.run({ seed, steps: [] });
+  templateRegistry.clearCache();
+  return setClock(NOW);
+}
+
+function lastOutbound() {
+  return harness.graph.state.messages[harness.graph.state.messages.length - 1];
+}
+
+async function pressButton(button) {
+  await replayWebhook({
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: 'WABA_ID',
+      changes: [{
+        field: 'messages',
+        value: {
+          messaging_product: 'whatsapp',
+          messages: [{ from: DEFAULT_PATIENT, id: `wamid.BTN${Date.now()}${Math.random()}`, timestamp: '1894539600', type: 'button', button }]
+        }
+      }]
+    }]
+  });
+  await sessionService.whenIdle();
+}
+
+test('un template nuevo en Firestore se envía con header, body, botón url e idioma', async () => {
+  const restore = await reset({
+    firestore: {
+      'whatsapp_templates/post_op_followup': {
+        language: 'es',
+        languages: ['es', 'en'],
+        header: ['clinicName'],
+        body: ['patientName', 'procedure'],
+        buttons: [
+          { id: 'followup_ok', type: 'quick_reply', action: 'doctor.decline', texts: ['Todo bien', 'All good'] },
+          { type: 'url', param: 'surveyId' }
+        ]
+      }
+    }
+  });
+
+  const result = await whatsappTemplateService.sendTemplate(DEFAULT_PATIENT, 'post_op_followup', {
+    clinicName: 'Clínica Sonrisa',
+    patientName: 'Laura',
+    procedure: 'endodoncia',
+    surveyId: 'abc123'
+  }, { language: 'en' });
+
+  assert.strictEqual(result.success, true);
+  const sent = lastOutbound();
+  assert.strictEqual(result.messageId, sent.id);
+  assert.strictEqual(sent.payload.template.language.code, 'en');
+  assert.deepStrictEqual(sent.payload.template.components, [
+    { type: 'header', parameters: [{ type: 'text', text: 'Clínica Sonrisa' }] },
+    { type: 'body', parameters: [{ type: 'text', text: 'Laura' }, { type: 'text', text: 'endodoncia' }] },
+    { type: 'button', sub_type: 'quick_reply', index: '0', parameters: [{ type: 'payload', payload: 'followup_ok' }] },
+    { type: 'button', sub_type: 'url', index: '1', parameters: [{ type: 'text', text: 'abc123' }] }
+  ]);
+  assert.strictEqual(harness.db.dump('message_statuses')[sent.id].kind, 'post_op_followup');
+
+  // Un idioma no aprobado cae al idioma por defecto
+  await whatsappTemplateService.sendTemplate(DEFAULT_PATIENT, 'post_op_followup', ['Clínica Sonrisa', 'Laura', 'limpieza', 'x1'], { language: 'pt' });
+  assert.strictEqual(lastOutbound().payload.template.language.code, 'es');
+  restore();
+});
+
+test('sendTemplate no envía nada si falta un parámetro o el template no existe', async () => {
+  const restore = await reset();
+
+  const missing = await whatsappTemplateService.sendTemplate(DEFAULT_PATIENT, 'appointment_reminder', { patientName: 'Laura' });
+  assert.strictEqual(missing.success, false);
+  assert.match(missing.error, /appointmentDate/);
+
+  const unknown = await whatsappTemplateService.sendTemplate(DEFAULT_PATIENT, 'promo_navidad', {});
+  assert.strictEqual(unknown.success, false);
+  assert.strictEqual(harness.graph.state.messages.length, 0);
+  restore();
+});
+
+test('los botones se enrutan por payload del registro y por el texto de los envíos anteriores', async () => {
+  const restore = await reset();
+
+  const byId = await templateRegistry.resolveButton('doctor_available', 'Yes, I am available');
+  assert.strictEqual(byId.action, 'doctor.accept');
+
+  // Templates enviados antes del registro traen el texto del botón como payload
+  assert.strictEqual((await templateRegistry.resolveButton('No podré asistir')).action, 'reminder.cancel');
+  assert.strictEqual((await templateRegistry.resolveButton('Sí, confirmo mi cita')).action, 'reminder.confirm');
+  assert.strictEqual(await templateRegistry.resolveButton('Quiero más info'), null);
+
+  await pressButton({ payload: 'doctor_not_now', text: 'Ahora no puedo' });
+  assert.deepStrictEqual(
+    harness.graph.messagesTo(AGENT_PHONE).map(m => m.text),
+    [`⏳ ${DEFAULT_PATIENT} respondió "Ahora no puedo". Intenta más tarde.`]
+  );
+
+  await pressButton({ payload: 'doctor_available', text: 'Sí, estoy disponible' });
+  assert.deepStrictEqual(
+    harness.graph.messagesTo(DEFAULT_PATIENT).map(m => m.text),
+    ['👤 Perfecto, nuestro equipo se comunicará contigo en breve.']
+  );
+  assert.deepStrictEqual(
+    Object.values(harness.db.dump('open-handoffs')).map(h => ({ clientId: h.clientId, status: h.status })),
+    [{ clientId: DEFAULT_PATIENT, status: 'active' }]
+  );
+  restore();
+});
+
+test('la respuesta a la plantilla de contacto va al agente que la envió desde el dashboard', async () => {
+  const BETO_PHONE = '573008887766';
+  const restore = await reset({
+    firestore: {
+      'tenant_config/default': {
+        agents: [
+          { id: 'ana', name: 'Ana', phone: AGENT_PHONE, email: 'ana@clinica.com', active: true },
+          { id: 'beto', name: 'Beto', phone: BETO_PHONE, email: 'beto@clinica.com', active: true }
+        ]
+      }
+    }
+  });
+
+  const res = { status(code) { res.statusCode = code; return res; }, json(body) { res.body = body; return res; } };
+  await dashboardController.startConversation({ body: { clientId: DEFAULT_PATIENT, clientName: 'Laura', agentEmail: 'Beto@Clinica.com' } }, res);
+  assert.strictEqual(res.body.success, true);
+  assert.strictEqual(harness.db.dump('contact_requests')[DEFAULT_PATIENT].agentId, 'beto');
+
+  await pressButton({ payload: 'doctor_not_now', text: 'Ahora no puedo' });
+  assert.deepStrictEqual(harness.graph.messagesTo(AGENT_PHONE), []);
+  assert.deepStrictEqual(
+    harness.graph.messagesTo(BETO_PHONE).map(m => m.text),
+    [`⏳ ${DEFAULT_PATIENT} respondió "Ahora no puedo". Intenta más tarde.`]
+  );
+
+  await pressButton({ payload: 'doctor_available', text: 'Sí, estoy disponible' });
+  assert.deepStrictEqual(
+    Object.values(harness.db.dump('open-handoffs')).map(h => ({ agentId: h.agentId, agentPhoneNumber: h.agentPhoneNumber })),
+    [{ agentId: 'beto', agentPhoneNumber: BETO_PHONE }]
+  );
+  assert.match(harness.graph.messagesTo(BETO_PHONE).pop().text, /está disponible para hablar/);
+  restore();
+});
+
+test('un botón desactivado en Firestore deja de enrutarse', async () => {
+  const restore = await reset({
+    firestore: {
+      'whatsapp_templates/doctor_message': { active: false }
+    }
+  });
+
+  assert.strictEqual(await templateRegistry.resolveButton('doctor_available'), null);
+  assert.strictEqual((await templateRegistry.resolveButton('reminder_confirm')).template, 'appointment_reminder');
+  restore();
+});
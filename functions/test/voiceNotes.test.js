@@ -0,0 +1,59 @@
+// test/voiceNotes.test.js
+// Notas de voz: el audio queda en la conversación aunque la transcripción falle
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createScenarioHarness, setClock, AGENT_PHONE, DEFAULT_PATIENT } = require('./support/scenarioRunner');
+
+let harness;
+let replayWebhook;
+let sessionService;
+let handoffService;
+
+before(async () => {
+  harness = await createScenarioHarness();
+  ({ replayWebhook } = require('../dev/replayWebhooks'));
+  sessionService = require('../services/sessionService');
+  handoffService = require('../services/handoffService');
+});
+
+after(async () => {
+  await harness.close();
+});
+
+async function sendVoiceNote(mediaId) {
+  await replayWebhook({
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: 'WABA_ID',
+      changes: [{
+        field: 'messages',
+        value: {
+          messaging_product: 'whatsapp',
+          messages: [{ from: DEFAULT_PATIENT, id: `wamid.VOICE${Date.now()}`, timestamp: String(Math.floor(Date.now() / 1000)), type: 'audio', audio: { id: mediaId, mime_type: 'audio/ogg; codecs=opus' } }]
+        }
+      }]
+    }]
+  });
+  await sessionService.whenIdle();
+}
+
+test('en relevo, una nota de voz que no se pudo transcribir queda en la conversación y se le avisa al agente', async () => {
+  await harness.run({ steps: [] });
+  const restore = setClock('2030-01-14T13:00:00Z');
+  await handoffService.createHandoff(DEFAULT_PATIENT, null, 'Laura');
+  harness.transcriber.load({ 'media-audio-1': new Error('Transcripción no disponible') });
+
+  await sendVoiceNote('media-audio-1');
+
+  const [voiceNote] = harness.db.dump('conversations')[DEFAULT_PATIENT].messages.filter(m => m.mediaType === 'audio');
+  assert.strictEqual(voiceNote.transcript, null);
+  assert.ok(voiceNote.mediaUrl);
+  assert.deepStrictEqual(
+    harness.graph.messagesTo(AGENT_PHONE).map(m => m.text),
+    [`📎 ${DEFAULT_PATIENT} envió un audio. Revisa el dashboard.`]
+  );
+  // El bot no le pide al paciente que lo escriba: lo atiende el agente
+  assert.ok(harness.graph.messagesTo(DEFAULT_PATIENT).every(m => !/¿Me lo puedes escribir/.test(m.text || '')));
+  restore();
+});
@@ -0,0 +1,134 @@
+// test/waitlistOffers.test.js
+// Ofertas de la lista de espera: template fuera de la ventana de 24h y envíos fallidos
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createScenarioHarness, setClock } = require('./support/scenarioRunner');
+
+let harness;
+let replayWebhook;
+let sessionService;
+let conversationLogService;
+let waitlistService;
+
+before(async () => {
+  harness = await createScenarioHarness();
+  ({ replayWebhook } = require('../dev/replayWebhooks'));
+  sessionService = require('../services/sessionService');
+  conversationLogService = require('../services/conversationLogService');
+  waitlistService = require('../services/waitlistService');
+});
+
+after(async () => {
+  await harness.close();
+});
+
+const PEDRO = '573005556677';
+const LAURA = '573001112233';
+const MARTA = '573007778899';
+const ANA = '573002223344';
+const BETO = '573004445566';
+const OFFER_ID = '2030-01-15_0900_1';
+
+const SEED = {
+  dentalink: {
+    schedule: { 0: null, 1: ['07:00', '20:00'], 2: ['09:00', '10:00'], 3: ['07:00', '20:00'], 4: ['07:00', '20:00'], 5: ['07:00', '20:00'], 6: null },
+    patients: [{ id: 7, nombre: 'Laura', apellidos: 'Gómez', rut: '1098765432', celular: '3001112233' }]
+  }
+};
+
+// Anota a los pacientes en orden (Pedro primero), con las citas que ya tengan en Dentalink; Laura escribió por última vez hace dos días
+async function reset(appointments = []) {
+  await harness.run({ seed: { dentalink: { ...SEED.dentalink, appointments } }, steps: [] });
+  const people = [
+    [PEDRO, 'Pedro', '1000000008'],
+    [LAURA, 'Laura', '1098765432'],
+    [MARTA, 'Marta', '1000000009'],
+    [ANA, 'Ana', '1000000010'],
+    [BETO, 'Beto', '1000000011']
+  ];
+  for (const [index, [phone, patientName, documentNumber]] of people.entries()) {
+    let restore = setClock(phone === LAURA ? '2030-01-12T12:00:00Z' : '2030-01-14T11:00:00Z');
+    await conversationLogService.recordInboundMessage(phone);
+    restore();
+    restore = setClock(`2030-01-14T12:0${index}:00Z`);
+    await waitlistService.joinWaitlist({ phone, documentNumber, patientName, dateFrom: '2030-01-15' });
+    restore();
+  }
+  return setClock('2030-01-14T13:00:00Z');
+}
+
+async function pressTemplateButton(from, payload) {
+  await replayWebhook({
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: 'WABA_ID',
+      changes: [{
+        field: 'messages',
+        value: {
+          messaging_product: 'whatsapp',
+          messages: [{ from, id: `wamid.WAIT${from}`, timestamp: String(Math.floor(Date.now() / 1000)), type: 'button', button: { payload, text: 'Sí, lo quiero' } }]
+        }
+      }]
+    }]
+  });
+  await sessionService.whenIdle();
+}
+
+test('fuera de la ventana se ofrece con template y un envío fallido pasa la oferta al siguiente', async () => {
+  const restore = await reset();
+  harness.graph.failNext({ status: 400, code: 131026, message: 'Message Undeliverable.' });
+
+  const result = await waitlistService.offerFreedSlot({ fecha: '2030-01-15', hora_inicio: '09:00', duracion: 60, id_dentista: 1 });
+  assert.deepStrictEqual(result, { offerId: OFFER_ID, candidates: 3 });
+
+  // Pedro no recibió nada: no cuenta como ofertado y Beto no alcanzó a entrar en el lote
+  const offer = harness.db.dump('waitlist_offers')[OFFER_ID];
+  assert.deepStrictEqual(offer.candidates.map(c => c.phone), [LAURA, MARTA, ANA]);
+  assert.strictEqual(offer.offeredEntryIds.length, 3);
+  assert.deepStrictEqual(harness.graph.messagesTo(PEDRO), []);
+
+  // Laura recibe el template con el id de la oferta en los botones; Marta y Ana, los botones
+  const [template] = harness.graph.messagesTo(LAURA);
+  assert.strictEqual(template.template, 'waitlist_offer');
+  assert.deepStrictEqual(
+    template.payload.template.components.filter(c => c.type === 'button').map(c => c.parameters[0].payload),
+    [`waitlist_accept:${OFFER_ID}`, `waitlist_decline:${OFFER_ID}`]
+  );
+  assert.deepStrictEqual([MARTA, ANA].map(phone => harness.graph.messagesTo(phone)[0].type), ['interactive', 'interactive']);
+
+  // El botón del template agenda igual que el interactivo
+  await pressTemplateButton(LAURA, `waitlist_accept:${OFFER_ID}`);
+  assert.match(harness.graph.messagesTo(LAURA).pop().text, /Tu cita quedó agendada/);
+  const { appointmentId } = harness.db.dump('waitlist_offers')[OFFER_ID];
+  assert.strictEqual(harness.db.dump('waitlist_offers')[OFFER_ID].status, 'booked');
+
+  // La cita nueva queda en la sesión y se puede reagendar
+  const session = harness.db.dump('sessions')[LAURA];
+  assert.deepStrictEqual({ id: session.id_sesion, active: session.booking.activeAppointmentIds }, { id: appointmentId, active: [String(appointmentId)] });
+  restore();
+});
+
+test('quien ya agendó con el bot no recibe una segunda cita y el horario sigue para los demás', async () => {
+  const restore = await reset([{ id: 60, id_paciente: 7, fecha: '2030-01-16', hora_inicio: '10:00', duracion: 60 }]);
+  await waitlistService.offerFreedSlot({ fecha: '2030-01-15', hora_inicio: '09:00', duracion: 60, id_dentista: 1 });
+
+  await pressTemplateButton(LAURA, `waitlist_accept:${OFFER_ID}`);
+  assert.match(harness.graph.messagesTo(LAURA).pop().text, /^Ya tienes una cita el miércoles, 16 de enero a las 10:00/);
+  assert.strictEqual(harness.dentalink.state.requests.filter(r => r.method === 'POST').length, 0);
+  assert.deepStrictEqual(
+    { status: harness.db.dump('waitlist_offers')[OFFER_ID].status, entry: Object.values(harness.db.dump('waitlist')).find(e => e.phone === LAURA).status },
+    { status: 'open', entry: 'booked' }
+  );
+  restore();
+});
+
+test('si no se le pudo ofrecer a nadie la oferta no queda abierta', async () => {
+  const restore = await reset();
+  for (let i = 0; i < 5; i++) harness.graph.failNext({ status: 400, code: 131026, message: 'Message Undeliverable.' });
+
+  assert.strictEqual(await waitlistService.offerFreedSlot({ fecha: '2030-01-15', hora_inicio: '09:00', duracion: 60, id_dentista: 1 }), null);
+  const offer = harness.db.dump('waitlist_offers')[OFFER_ID];
+  assert.deepStrictEqual({ status: offer.status, candidates: offer.candidates }, { status: 'declined', candidates: [] });
+  restore();
+});
@@ -0,0 +1,112 @@
+// test/webhookIdempotency.test.js
+// Reintentos de Meta: cada message.id se procesa una sola vez, y se procesan
+// todos los mensajes del payload (no solo el primero)
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createScenarioHarness, setClock } = require('./support/scenarioRunner');
+
+let harness;
+let replayWebhook;
+let sessionService;
+let idempotencyService;
+
+before(async () => {
+  harness = await createScenarioHarness();
+  ({ replayWebhook } = require('../dev/replayWebhooks'));
+  sessionService = require('../services/sessionService');
+  idempotencyService = require('../services/idempotencyService');
+});
+
+after(async () => {
+  await harness.close();
+});
+
+const NOW = '2030-01-14T13:00:00Z';
+
+// Reinicia Firestore y fija el reloj
+async function reset(seed) {
+  await harness.run({ seed, steps: [] });
+  return setClock(NOW);
+}
+
+function textMessage(id, from, body) {
+  return { from, id, timestamp: '1894539600', type: 'text', text: { body } };
+}
+
+function payload(...changes) {
+  return {
+    object: 'whatsapp_business_account',
+    entry: changes.map((messages, i) => ({
+      id: `WABA_${i}`,
+      changes: [{ field: 'messages', value: { messaging_product: 'whatsapp', messages } }]
+    }))
+  };
+}
+
+async function deliver(body) {
+  const result = await replayWebhook(body);
+  await sessionService.whenIdle();
+  return result;
+}
+
+function repliesTo(phone) {
+  return harness.graph.state.messages.filter(m => m.to === phone && m.type === 'text').map(m => m.text);
+}
+
+test('un reintento de Meta con el mismo message.id no vuelve a responder', async () => {
+  const restore = await reset();
+  harness.provider.load({ '573001112233': ['¡Hola! ¿En qué te ayudo?'] });
+
+  const body = payload([textMessage('wamid.RETRY1', '573001112233', 'Hola.')]);
+  await deliver(body);
+  // Meta reintenta dos veces, una de ellas mientras la anterior sigue en curso
+  await Promise.all([deliver(body), deliver(body)]);
+
+  assert.deepStrictEqual(repliesTo('573001112233'), ['¡Hola! ¿En qué te ayudo?']);
+  assert.strictEqual(harness.provider.calls.length, 1);
+
+  const record = harness.db.dump('processed_messages')['wamid.RETRY1'];
+  assert.strictEqual(record.status, 'done');
+  assert.strictEqual(record.duplicates, 2);
+
+  const [today] = await idempotencyService.getMetrics(1);
+  assert.deepStrictEqual(today, { day: '2030-01-14', received: 1, duplicatesDropped: 2 });
+  restore();
+});
+
+test('se procesan todas las entradas y mensajes del payload', async () => {
+  const restore = await reset();
+  harness.provider.load({
+    '573001112233': ['Hola Laura.'],
+    '573005556677': ['Hola Pedro.']
+  });
+
+  await deliver(payload(
+    [textMessage('wamid.MULTI1', '573001112233', 'Hola, soy Laura.')],
+    [textMessage('wamid.MULTI2', '573005556677', 'Hola, soy Pedro.'), textMessage('wamid.MULTI1', '573001112233', 'Hola, soy Laura.')]
+  ));
+
+  assert.deepStrictEqual(repliesTo('573001112233'), ['Hola Laura.']);
+  assert.deepStrictEqual(repliesTo('573005556677'), ['Hola Pedro.']);
+  restore();
+});
+
+test('un mensaje que quedó a medias en una instancia que murió se reprocesa', async () => {
+  const restore = await reset({
+    firestore: {
+      'processed_messages/wamid.STUCK1': {
+        status: 'processing',
+        leaseUntilMs: Date.parse('2030-01-14T12:50:00Z'),
+        expiresAtMs: Date.parse('2030-01-21T12:45:00Z')
+      }
+    }
+  });
+  harness.provider.load({ '573001112233': ['Te leo.'] });
+
+  await deliver(payload([textMessage('wamid.STUCK1', '573001112233', '¿Sigues ahí?')]));
+
+  assert.deepStrictEqual(repliesTo('573001112233'), ['Te leo.']);
+  assert.strictEqual(harness.db.dump('processed_messages')['wamid.STUCK1'].status, 'done');
+  restore();
+});
@@ -171,7 +171,67 @@ async function convertToMp3(inputBuffer, inputFormat = 'webm') {
   });
 }
 
+/**
+ * Converts audio buffer to 16 kHz mono WAV (PCM 16-bit), the input format whisper.cpp expects
+ * @param {Buffer} inputBuffer - Input audio buffer (any format FFmpeg supports)
+ * @returns {Promise<Buffer>} - Converted audio buffer (wav)
+ */
+async function convertToWav(inputBuffer) {
+  return new Promise((resolve, reject) => {
+    const tempDir = os.tmpdir();
+    const inputPath = path.join(tempDir, `input_${Date.now()}.audio`);
+    const outputPath = path.join(tempDir, `output_${Date.now()}.wav`);
+
+    console.log(`🔄 Convirtiendo audio a WAV 16 kHz...`);
+
+    fs.writeFileSync(inputPath, inputBuffer);
+
+    const args = [
+      '-i', inputPath,
+      '-c:a', 'pcm_s16le',
+      '-ar', '16000',
+      '-ac', '1',
+      '-y',
+      outputPath
+    ];
+
+    const ffmpeg = spawn(ffmpegPath, args);
+
+    let stderr = '';
+
+    ffmpeg.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    ffmpeg.on('close', (code) => {
+      try { fs.unlinkSync(inputPath); } catch (e) {}
+
+      if (code === 0) {
+        try {
+          const outputBuffer = fs.readFileSync(outputPath);
+          fs.unlinkSync(outputPath);
+          resolve(outputBuffer);
+        } catch (readError) {
+          reject(new Error(`Error leyendo archivo convertido: ${readError.message}`));
+        }
+      } else {
+        try { if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath); } catch (e) {}
+        reject(new Error(`FFmpeg falló con código ${code}: ${stderr.substring(0, 200)}`));
+      }
+    });
+
+    ffmpeg.on('error', (err) => {
+      try {
+        if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
+        if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+      } catch (e) {}
+      reject(new Error(`Error ejecutando FFmpeg: ${err.message}`));
+    });
+  });
+}
+
 module.exports = {
   convertWebmToOgg,
-  convertToMp3
+  convertToMp3,
+  convertToWav
 };
@@ -0,0 +1,114 @@
+// functions/utils/colombianHolidays.js
+// Festivos nacionales de Colombia (Ley 51 de 1983, "Ley Emiliani")
+
+// Festivos de fecha fija que no se trasladan
+const FIXED_HOLIDAYS = [
+  { month: 1, day: 1, name: 'Año Nuevo' },
+  { month: 5, day: 1, name: 'Día del Trabajo' },
+  { month: 7, day: 20, name: 'Día de la Independencia' },
+  { month: 8, day: 7, name: 'Batalla de Boyacá' },
+  { month: 12, day: 8, name: 'Inmaculada Concepción' },
+  { month: 12, day: 25, name: 'Navidad' }
+];
+
+// Festivos que se trasladan al lunes siguiente
+const MONDAY_HOLIDAYS = [
+  { month: 1, day: 6, name: 'Día de los Reyes Magos' },
+  { month: 3, day: 19, name: 'Día de San José' },
+  { month: 6, day: 29, name: 'San Pedro y San Pablo' },
+  { month: 8, day: 15, name: 'Asunción de la Virgen' },
+  { month: 10, day: 12, name: 'Día de la Raza' },
+  { month: 11, day: 1, name: 'Todos los Santos' },
+  { month: 11, day: 11, name: 'Independencia de Cartagena' }
+];
+
+// Festivos relativos al domingo de Pascua (días de diferencia)
+const EASTER_HOLIDAYS = [
+  { offset: -3, name: 'Jueves Santo' },
+  { offset: -2, name: 'Viernes Santo' },
+  { offset: 43, name: 'Ascensión del Señor' },
+  { offset: 64, name: 'Corpus Christi' },
+  { offset: 71, name: 'Sagrado Corazón' }
+];
+
+const holidaysByYear = new Map();
+
+// Fechas en UTC para que el resultado no dependa de la zona horaria del servidor
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Domingo de Pascua (algoritmo anónimo gregoriano)
+ *
+ * @param {number} year
+ * @returns {Date} Fecha en UTC
+ */
+function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function moveToMonday(date) {
+  const dayOfWeek = date.getUTCDay();
+  if (dayOfWeek === 1) return date;
+  return addDays(date, (8 - dayOfWeek) % 7);
+}
+
+/**
+ * Lista los festivos de un año
+ *
+ * @param {number} year
+ * @returns {Array<{date: string, name: string}>} Ordenados por fecha (YYYY-MM-DD)
+ */
+function getColombianHolidays(year) {
+  if (holidaysByYear.has(year)) return holidaysByYear.get(year);
+
+  const easter = getEasterSunday(year);
+  const holidays = [
+    ...FIXED_HOLIDAYS.map(h => ({ date: new Date(Date.UTC(year, h.month - 1, h.day)), name: h.name })),
+    ...MONDAY_HOLIDAYS.map(h => ({ date: moveToMonday(new Date(Date.UTC(year, h.month - 1, h.day))), name: h.name })),
+    ...EASTER_HOLIDAYS.map(h => ({ date: addDays(easter, h.offset), name: h.name }))
+  ]
+    .map(h => ({ date: toDateString(h.date), name: h.name }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  holidaysByYear.set(year, holidays);
+  return holidays;
+}
+
+/**
+ * Indica si una fecha es festivo en Colombia
+ *
+ * @param {string} dateStr - Fecha en formato YYYY-MM-DD
+ * @returns {string|null} Nombre del festivo o null
+ */
+function getColombianHoliday(dateStr) {
+  const year = parseInt(String(dateStr).slice(0, 4), 10);
+  if (!year) return null;
+  const holiday = getColombianHolidays(year).find(h => h.date === dateStr);
+  return holiday ? holiday.name : null;
+}
+
+module.exports = {
+  getColombianHolidays,
+  getColombianHoliday,
+  getEasterSunday
+};
@@ -1,6 +1,8 @@
 // functions/utils/dateHelper.js
 // Helper para manejar fechas en la zona horaria de Colombia
 
+const SHORT_WEEKDAYS = ['Dom', 'Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb'];
+
 /**
  * Obtiene la fecha y hora actual en la zona horaria de Colombia (America/Bogota)
  * formateada para incluir en el contexto de la IA
@@ -104,10 +106,22 @@ function getColombiaDateObject() {
   return new Date(formatted);
 }
 
+/**
+ * Fecha corta para mensajes de WhatsApp
+ *
+ * @param {string} dateStr - Fecha YYYY-MM-DD
+ * @returns {string} Ej: "2030-01-16" → "Mié 16/01"
+ */
+function formatShortDate(dateStr) {
+  const [, month, day] = dateStr.split('-');
+  return `${SHORT_WEEKDAYS[new Date(`${dateStr}T00:00:00Z`).getUTCDay()]} ${day}/${month}`;
+}
+
 module.exports = {
   getCurrentColombiaDateTime,
   getCurrentColombiaDate,
   getCurrentColombiaHour,
   getGreetingByColombiaTime,
-  getColombiaDateObject
+  getColombiaDateObject,
+  formatShortDate
 };